@@ -0,0 +1,44 @@
+/**
+ * Example usage of the J-Algo Backtester
+ * Downloads recent history once and replays it bar by bar
+ */
+
+import { Backtester, binance_candles } from '../index.js';
+
+const backtester = new Backtester({
+    symbol: 'BTCUSDT',     // Trading pair (labels the results)
+    timeframe: '5m',       // Timeframe of the dataset
+    market: 'futures',     // 'futures' or 'spot'
+    warmupCandles: 200,    // Candles used to warm up the indicator
+
+    // Risk management configuration
+    riskOptions: {
+        initialCapital: 10000,
+        riskPerTrade: 2.0,
+        rewardMultiple: 1.5,
+        useLeverage: true,
+        leverageAmount: 3.0,
+        feeSchedule: 'binance',                  // Exchange fee schedule, { maker, taker } rates or false
+        slippage: { model: 'fixed', bps: 2 },    // Market order slippage
+        fundingRate: 0.0001                      // Funding rate per 8h settlement
+    }
+});
+
+try {
+    const candles = await binance_candles('futures', 'BTCUSDT', '5m', 1000);
+    const { trades, equityCurve, stats } = backtester.run(candles);
+
+    console.log('\n============ BACKTEST RESULTS ============');
+    console.log(`Candles replayed: ${equityCurve.length}`);
+    console.log(`Total Trades: ${stats.totalTrades}`);
+    console.log(`Overall Win Rate: ${stats.overallWinRate}%`);
+    console.log(`Total P&L: $${stats.totalProfitLoss} (gross $${stats.grossProfitLoss})`);
+    console.log(`Costs: fees $${stats.totalFees}, slippage $${stats.totalSlippage}, funding $${stats.totalFunding}`);
+    console.log(`Final Capital: $${stats.currentCapital}`);
+
+    console.log('\n--- Last Trades ---');
+    console.log(trades.slice(-3));
+    console.log('==========================================\n');
+} catch (error) {
+    console.error('Backtest failed:', error);
+}
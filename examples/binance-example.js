@@ -21,6 +21,15 @@ const binanceFeed = new BinanceWebsocketFeed({
         useScalpMode: false         // Use faster signals for scalping
     },
     
+    // J-Trend Sniper settings (omitted values use the defaults shown)
+    indicatorOptions: {
+        length: 6,                  // Length for variable MA
+        period: 16,                 // Period for ATR calculation
+        multiplier: 9,              // Multiplier for main ATR
+        fast_multiplier: 5.1,       // Multiplier for fast ATR
+        smoothingPeriod: 21         // Period of the final jATR SMA
+    },
+    
     // Custom event handlers (override default handlers)
     onSignal: (signal) => {
         console.log('==== CUSTOM SIGNAL HANDLER ====');
@@ -91,6 +100,7 @@ function displayTradingStats() {
         console.log(`Efficiency: ${stats.efficiency}%`);
         console.log(`Leverage: ${stats.leverageAmount}`);
         console.log(`Scalp Mode: ${stats.scalpMode ? 'ON' : 'OFF'}`);
+        console.log(`Indicator Options: ${JSON.stringify(stats.indicatorOptions)}`);
         
         console.log('\n--- Active Position Status ---');
         
@@ -46,12 +46,19 @@ const engine = new MultiExchangeEngine({
             }
         },
         
-        // Binance ETH Futures - different symbol example
+        // Binance ETH Futures - different symbol example with tuned indicator settings
         {
             provider: 'binance',
             symbol: 'ETHUSDT',
             timeframe: '5m',
             market: 'futures',
+            indicatorOptions: {
+                length: 8,
+                period: 14,
+                multiplier: 8,
+                fast_multiplier: 4.5,
+                smoothingPeriod: 21
+            },
             riskOptions: {
                 initialCapital: 1000,
                 riskPerTrade: 2.0,
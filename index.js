@@ -6,17 +6,48 @@
 import Jalgo from './src/core/jalgo.js';
 import BinanceWebsocketFeed from './src/exchanges/binance-feed.js';
 import BybitWebsocketFeed from './src/exchanges/bybit-feed.js';
+import ExchangeWebsocketFeed from './src/exchanges/websocket-feed.js';
+import { registerExchange, getExchange, listExchanges } from './src/exchanges/registry.js';
+import { validateExchangeAdapter } from './src/exchanges/exchange-adapter.js';
 import MultiExchangeEngine from './src/multi-exchange/engine.js';
+import Backtester from './src/backtest/backtester.js';
+import { analyzePerformance } from './src/analytics/performance.js';
+import FileStateStore from './src/persistence/state-store.js';
+import FileCandleStore from './src/persistence/candle-store.js';
+import TrendSniperStrategy from './src/strategies/trend-sniper.js';
+import { validateStrategy } from './src/strategies/strategy.js';
 import binance_candles from './src/utility/binance-market.js';
 import bybit_candles from './src/utility/bybit-market.js';
+import { fetchCandleRange } from './src/utility/market-provider.js';
+import { readCandleFile, writeCandleFile } from './src/utility/ohlcv-file.js';
+import { TrendSniperStream } from './src/indicators/jTrendSniper.js';
+import { SATRStream } from './src/indicators/jATR.js';
+import { VariableMovingAverageStream } from './src/indicators/var_ma.js';
 
 export { 
     Jalgo,               // Core algorithm class
     BinanceWebsocketFeed,// Binance WebSocket feed
     BybitWebsocketFeed,  // Bybit WebSocket feed
+    ExchangeWebsocketFeed, // WebSocket feed for any registered exchange
+    registerExchange,    // Add an exchange adapter
+    getExchange,         // Look up an exchange adapter by name
+    listExchanges,       // Registered exchange names
+    validateExchangeAdapter, // Exchange adapter contract check
     MultiExchangeEngine, // Multi-exchange engine
+    Backtester,          // Historical replay engine
+    analyzePerformance,  // Drawdown, ratio and trade analytics
+    FileStateStore,      // File-backed state persistence
+    FileCandleStore,     // On-disk candle cache
+    TrendSniperStrategy, // Default J-Trend Sniper strategy
+    validateStrategy,    // Strategy contract check
     binance_candles,     // Binance market data utility
-    bybit_candles        // Bybit market data utility
+    bybit_candles,       // Bybit market data utility
+    fetchCandleRange,    // Paginated historical candle download
+    readCandleFile,      // OHLCV CSV / JSON import
+    writeCandleFile,     // OHLCV CSV / JSON export
+    TrendSniperStream,   // Incremental J-Trend Sniper
+    SATRStream,          // Incremental Smoothed ATR
+    VariableMovingAverageStream // Incremental Variable MA
 };
 
 export default Jalgo;
\ No newline at end of file
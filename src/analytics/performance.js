@@ -0,0 +1,273 @@
+/**
+ * Performance analytics for J-Algo
+ * Drawdown, risk-adjusted return and trade statistics computed from a trade history
+ * and an equity curve
+ */
+
+import { UNIT_MS, getTimeframeMs } from '../utility/timeframe.js';
+
+/**
+ * Milliseconds in a year (crypto markets trade every day)
+ * @type {number}
+ */
+const YEAR_MS = 365 * UNIT_MS.d;
+
+/**
+ * Round a statistic for reporting
+ * @param {number} value - Value to round
+ * @param {number} [decimals=2] - Number of decimals
+ * @returns {number|null} - Rounded value, null when not finite
+ */
+const round = (value, decimals = 2) => Number.isFinite(value) ? parseFloat(value.toFixed(decimals)) : null;
+
+/**
+ * Mean of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} - Mean, 0 for an empty list
+ */
+const mean = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+/**
+ * Get the number of candles per year for a timeframe
+ * @param {string} timeframe - Timeframe such as "5m", "1h", "1d"
+ * @returns {number|null} - Candles per year, null for an unknown timeframe
+ */
+const getPeriodsPerYear = (timeframe) => {
+    const duration = getTimeframeMs(timeframe);
+    return duration ? YEAR_MS / duration : null;
+};
+
+/**
+ * Get the entry and exit time of a trade in milliseconds
+ * Candle times (backtests) are preferred over the wall-clock timestamps
+ * @param {Object} trade - Trade record
+ * @returns {Object} - { entry, exit } in milliseconds, null when unknown
+ */
+const getTradeTimes = (trade) => {
+    const toMs = (value) => {
+        if (typeof value === 'number') return value;
+        const parsed = Date.parse(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    };
+
+    return {
+        entry: toMs(trade.entryTime ?? trade.timestamp),
+        exit: toMs(trade.exitTime ?? trade.closeTimestamp)
+    };
+};
+
+/**
+ * Calculate trade statistics
+ * @param {Array<Object>} trades - Closed trade records
+ * @returns {Object} - Profit factor, expectancy, averages, extremes, streaks and holding time
+ */
+const calculateTradeStats = (trades) => {
+    const pnls = trades.map(trade => trade.pnl || 0);
+    const wins = pnls.filter(pnl => pnl > 0);
+    const losses = pnls.filter(pnl => pnl <= 0);
+    const grossProfit = wins.reduce((sum, pnl) => sum + pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, pnl) => sum + pnl, 0));
+
+    // Result of each trade in multiples of the amount risked
+    const rMultiples = trades
+        .filter(trade => trade.riskAmount > 0)
+        .map(trade => (trade.pnl || 0) / trade.riskAmount);
+
+    // Longest runs of wins and losses
+    let winStreak = 0;
+    let lossStreak = 0;
+    let maxWinStreak = 0;
+    let maxLossStreak = 0;
+
+    for (const pnl of pnls) {
+        if (pnl > 0) {
+            winStreak++;
+            lossStreak = 0;
+        } else {
+            lossStreak++;
+            winStreak = 0;
+        }
+        maxWinStreak = Math.max(maxWinStreak, winStreak);
+        maxLossStreak = Math.max(maxLossStreak, lossStreak);
+    }
+
+    const holdingTimes = trades
+        .map(getTradeTimes)
+        .filter(times => times.entry !== null && times.exit !== null)
+        .map(times => times.exit - times.entry);
+
+    return {
+        trades: trades.length,
+        wins: wins.length,
+        losses: losses.length,
+        netProfit: round(grossProfit - grossLoss),
+        grossProfit: round(grossProfit),
+        grossLoss: round(grossLoss),
+        profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null, // null without losing trades
+        expectancy: round(mean(pnls)),
+        expectancyR: round(mean(rMultiples), 3),
+        averageWin: round(mean(wins)),
+        averageLoss: round(mean(losses)),
+        largestWin: wins.length > 0 ? round(Math.max(...wins)) : 0,
+        largestLoss: losses.length > 0 ? round(Math.min(...losses)) : 0,
+        maxConsecutiveWins: maxWinStreak,
+        maxConsecutiveLosses: maxLossStreak,
+        averageHoldingTimeMs: holdingTimes.length > 0 ? Math.round(mean(holdingTimes)) : null
+    };
+};
+
+/**
+ * Calculate drawdowns of an equity curve
+ * A drawdown starts when equity falls below its running peak and ends when the peak is regained
+ * @param {Array<Object>} equityCurve - Points as { equity, time? }
+ * @returns {Object} - Max and average drawdown (amount and percent) and drawdown durations
+ */
+const calculateDrawdowns = (equityCurve) => {
+    let peak = -Infinity;
+    let peakIndex = 0;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    let longestPeriods = 0;
+    let longestMs = null;
+    let current = null; // drawdown in progress
+    const episodes = [];
+
+    const closeEpisode = (endIndex) => {
+        const periods = endIndex - current.startIndex;
+        const startTime = equityCurve[current.startIndex].time;
+        const endTime = equityCurve[endIndex].time;
+
+        longestPeriods = Math.max(longestPeriods, periods);
+        if (Number.isFinite(startTime) && Number.isFinite(endTime)) {
+            longestMs = Math.max(longestMs ?? 0, endTime - startTime);
+        }
+        episodes.push(current.depthPercent);
+        current = null;
+    };
+
+    equityCurve.forEach((point, i) => {
+        if (point.equity >= peak) {
+            if (current) closeEpisode(i);
+            peak = point.equity;
+            peakIndex = i;
+            return;
+        }
+
+        const drawdown = peak - point.equity;
+        const drawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+
+        if (!current) current = { startIndex: peakIndex, depthPercent: 0 };
+        current.depthPercent = Math.max(current.depthPercent, drawdownPercent);
+
+        maxDrawdown = Math.max(maxDrawdown, drawdown);
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, drawdownPercent);
+    });
+
+    // A drawdown still open at the end counts up to the last point
+    if (current) closeEpisode(equityCurve.length - 1);
+
+    return {
+        maxDrawdown: round(maxDrawdown),
+        maxDrawdownPercent: round(maxDrawdownPercent),
+        averageDrawdownPercent: round(mean(episodes)),
+        drawdownCount: episodes.length,
+        maxDrawdownDurationPeriods: longestPeriods,
+        maxDrawdownDurationMs: longestMs
+    };
+};
+
+/**
+ * Calculate risk-adjusted return ratios of an equity curve (risk-free rate of 0)
+ * @param {Array<Object>} equityCurve - Points as { equity }, one per period
+ * @param {number|null} periodsPerYear - Periods per year used to annualize, null for per-period values
+ * @param {number} maxDrawdownPercent - Max drawdown in percent (for the Calmar ratio)
+ * @returns {Object} - Total and annualized return, Sharpe, Sortino and Calmar ratios
+ */
+const calculateReturnRatios = (equityCurve, periodsPerYear, maxDrawdownPercent) => {
+    const returns = [];
+
+    for (let i = 1; i < equityCurve.length; i++) {
+        const previous = equityCurve[i - 1].equity;
+        if (previous > 0) returns.push(equityCurve[i].equity / previous - 1);
+    }
+
+    const first = equityCurve.length > 0 ? equityCurve[0].equity : 0;
+    const last = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : 0;
+    const totalReturn = first > 0 ? last / first - 1 : 0;
+
+    const average = mean(returns);
+    const deviation = Math.sqrt(mean(returns.map(r => (r - average) ** 2)));
+    // Downside deviation only penalizes negative returns
+    const downside = Math.sqrt(mean(returns.map(r => Math.min(r, 0) ** 2)));
+    const scale = periodsPerYear ? Math.sqrt(periodsPerYear) : 1;
+
+    const annualizedReturn = periodsPerYear && returns.length > 0 && last > 0 && first > 0
+        ? Math.pow(last / first, periodsPerYear / returns.length) - 1
+        : null;
+
+    return {
+        totalReturnPercent: round(totalReturn * 100),
+        annualizedReturnPercent: annualizedReturn !== null ? round(annualizedReturn * 100) : null,
+        sharpeRatio: deviation > 0 ? round((average / deviation) * scale, 3) : null,
+        sortinoRatio: downside > 0 ? round((average / downside) * scale, 3) : null,
+        calmarRatio: annualizedReturn !== null && maxDrawdownPercent > 0
+            ? round((annualizedReturn * 100) / maxDrawdownPercent, 3)
+            : null
+    };
+};
+
+/**
+ * Build an equity curve from closed trades when none was tracked
+ * @param {Array<Object>} trades - Closed trade records
+ * @param {number} initialCapital - Starting capital
+ * @returns {Array<Object>} - Points as { time, equity }
+ */
+const buildEquityFromTrades = (trades, initialCapital) => {
+    let equity = initialCapital;
+    const curve = [{ time: null, equity }];
+
+    for (const trade of trades) {
+        equity += trade.pnl || 0;
+        curve.push({ time: getTradeTimes(trade).exit, equity });
+    }
+
+    return curve;
+};
+
+/**
+ * Analyze the performance of a trade history and equity curve
+ * @param {Object} params - Analysis input
+ * @param {Array<Object>} params.trades - Trade history (open trades are ignored)
+ * @param {Array<Object>} [params.equityCurve] - Points as { time, equity }, one per candle
+ * @param {number} [params.initialCapital=1000] - Starting capital (used without an equity curve)
+ * @param {string} [params.timeframe] - Candle timeframe used to annualize the ratios
+ * @returns {Object} - Drawdown, return ratios, trade statistics and per-side breakdowns
+ */
+const analyzePerformance = ({ trades = [], equityCurve = null, initialCapital = 1000, timeframe = null } = {}) => {
+    const closed = trades.filter(trade => trade.status !== "open");
+
+    // Ratios are per candle when an equity curve is tracked, per trade otherwise
+    const hasCurve = Array.isArray(equityCurve) && equityCurve.length > 1;
+    const curve = hasCurve ? equityCurve : buildEquityFromTrades(closed, initialCapital);
+    const periodsPerYear = hasCurve ? getPeriodsPerYear(timeframe) : null;
+
+    const drawdowns = calculateDrawdowns(curve);
+
+    return {
+        ...calculateTradeStats(closed),
+        ...drawdowns,
+        ...calculateReturnRatios(curve, periodsPerYear, drawdowns.maxDrawdownPercent),
+        long: calculateTradeStats(closed.filter(trade => trade.type === "long")),
+        short: calculateTradeStats(closed.filter(trade => trade.type === "short"))
+    };
+};
+
+export {
+    getPeriodsPerYear,
+    calculateTradeStats,
+    calculateDrawdowns,
+    calculateReturnRatios,
+    analyzePerformance
+};
+
+export default analyzePerformance;
@@ -0,0 +1,223 @@
+/**
+ * Event-driven Backtester for J-Algo Trading System
+ * Replays historical candles bar by bar through Jalgo and its RiskRewardManager,
+ * using the same code path as the live WebSocket feeds but without any network access
+ */
+
+import Jalgo from '../core/jalgo.js';
+import { analyzePerformance } from '../analytics/performance.js';
+import { CANDLE_FIELDS, getCandle, toCandleMessage, validateCandleSeries } from '../utility/candles.js';
+
+class Backtester {
+    /**
+     * Create a new Backtester
+     * @param {Object} options - Configuration options
+     */
+    constructor(options = {}) {
+        // Trading parameters (used for labelling the results)
+        this.symbol = options.symbol || "BTCUSDT";
+        this.timeframe = options.timeframe || "5m";
+        this.market = options.market || "futures";
+        this.provider = options.provider || "backtest";
+
+        // Risk management, strategy and indicator configuration passed to Jalgo
+        this.riskOptions = options.riskOptions || {};
+        this.strategy = options.strategy;
+        this.indicatorOptions = options.indicatorOptions || {};
+
+        // Price precision of the dataset's symbol (defaults to the legacy rounding)
+        this.tickSize = options.tickSize;
+        this.pricePrecision = options.pricePrecision;
+
+        // Lot size rules of the dataset's symbol (fractional quantities when omitted)
+        this.lotSize = options.lotSize;
+        this.minQty = options.minQty;
+        this.minNotional = options.minNotional;
+
+        // Number of candles used to warm up the indicator before trading starts
+        this.warmupCandles = Math.max(options.warmupCandles || 100, 100);
+
+        // Close any position still open on the last candle
+        this.closeAtEnd = options.closeAtEnd !== false;
+
+        // Event callbacks
+        this.onSignal = options.onSignal || null;
+        this.onPositionOpen = options.onPositionOpen || null;
+        this.onPositionClosed = options.onPositionClosed || null;
+        this.onPositionAdd = options.onPositionAdd || null;
+        this.onTakeProfitHit = options.onTakeProfitHit || null;
+        this.onRiskHalt = options.onRiskHalt || null;
+
+        // Clock for record timestamps, the replayed candle's close time unless injected
+        this.clock = options.clock || null;
+        this.onError = options.onError || null;
+
+        // Jalgo instance of the last run
+        this.jalgo = null;
+    }
+
+    /**
+     * Validate a historical dataset
+     * @param {Object} data - Candle series with OHLCV price arrays and an optional time array
+     * @throws {Error} - If the dataset is malformed, has duplicated or out-of-order bars or is too short
+     */
+    validateData(data) {
+        validateCandleSeries(data);
+
+        const length = data.close.length;
+
+        if (length <= this.warmupCandles) {
+            throw new Error(`Need more than ${this.warmupCandles} candles to backtest, got ${length}`);
+        }
+    }
+
+    /**
+     * Slice every array of the dataset
+     * @param {Object} data - Dataset
+     * @param {number} start - Start index
+     * @param {number} end - End index (exclusive)
+     * @returns {Object} - Sliced dataset
+     */
+    sliceData(data, start, end) {
+        const result = {};
+
+        for (const key of CANDLE_FIELDS) {
+            if (Array.isArray(data[key])) {
+                result[key] = data[key].slice(start, end);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Replay a historical dataset
+     * @param {Object} data - Candle series (see candles.js), only open, high, low and close are required
+     * @returns {Object} - Trade list, signals, blocked signals and risk halts, equity curve,
+     *   performance stats and analytics
+     */
+    run(data) {
+        this.validateData(data);
+
+        const signals = [];
+        const riskHalts = [];
+        const equityCurve = [];
+        const openTrades = {};
+        const time = data.time || data.close.map((_, i) => i);
+        const series = { ...data, time };
+        let index = this.warmupCandles - 1;
+
+        const jalgo = new Jalgo({
+            symbol: this.symbol,
+            timeframe: this.timeframe,
+            market: this.market,
+            provider: this.provider,
+            riskOptions: this.riskOptions,
+            strategy: this.strategy,
+            indicatorOptions: this.indicatorOptions,
+            tickSize: this.tickSize,
+            pricePrecision: this.pricePrecision,
+            lotSize: this.lotSize,
+            minQty: this.minQty,
+            minNotional: this.minNotional,
+            autoInitialize: false,
+            // Stamp records with the replayed candle's close time so repeated runs give identical logs
+            clock: this.clock || (() => jalgo.riskManager.currentCandle?.closeTime ?? 0),
+            onSignal: (signal) => {
+                signals.push({ ...signal, index, time: time[index] });
+                if (this.onSignal) this.onSignal(signal);
+            },
+            onPositionOpen: (position) => {
+                // The position was just recorded as the newest trade
+                const trade = jalgo.riskManager.tradeHistory[jalgo.riskManager.tradeHistory.length - 1];
+                trade.entryIndex = index;
+                openTrades[position.position] = trade;
+
+                if (this.onPositionOpen) this.onPositionOpen(position);
+            },
+            onPositionClosed: (result) => {
+                const trade = openTrades[result.position];
+                if (trade) {
+                    trade.exitIndex = index;
+                    delete openTrades[result.position];
+                }
+
+                if (this.onPositionClosed) this.onPositionClosed(result);
+            },
+            onPositionAdd: this.onPositionAdd,
+            onTakeProfitHit: this.onTakeProfitHit,
+            onRiskHalt: (halt) => {
+                riskHalts.push({ ...halt, index });
+                if (this.onRiskHalt) this.onRiskHalt(halt);
+            },
+            onError: this.onError
+        });
+
+        this.jalgo = jalgo;
+
+        // Warm up on the first candles, exactly like Jalgo.initialize() does with fetched history
+        jalgo.loadCandles(this.sliceData(series, 0, this.warmupCandles));
+        equityCurve.push(this.equityPoint(jalgo, index, time[index], data.close[index]));
+
+        // Replay the remaining candles as closed WebSocket candles
+        for (index = this.warmupCandles; index < data.close.length; index++) {
+            jalgo.processNewCandle(toCandleMessage(getCandle(series, index), true));
+
+            equityCurve.push(this.equityPoint(jalgo, index, time[index], data.close[index]));
+        }
+
+        index = data.close.length - 1;
+
+        // Flatten whatever is still open on the last close
+        if (this.closeAtEnd) {
+            const lastClose = data.close[index];
+
+            if (jalgo.riskManager.inLongTrade) {
+                jalgo.riskManager.closePosition("long", lastClose, "end_of_data");
+            } else if (jalgo.riskManager.inShortTrade) {
+                jalgo.riskManager.closePosition("short", lastClose, "end_of_data");
+            }
+
+            equityCurve[equityCurve.length - 1] = this.equityPoint(jalgo, index, time[index], lastClose);
+        }
+
+        const trades = jalgo.getTradeHistory();
+        
+        return {
+            trades,
+            signals,
+            blockedSignals: jalgo.getBlockedSignals(),
+            riskHalts,
+            equityCurve,
+            stats: jalgo.getPerformanceStats(),
+            analytics: analyzePerformance({
+                trades,
+                // Without a time array the curve is indexed by candle, so durations are only in periods
+                equityCurve: data.time ? equityCurve : equityCurve.map(point => ({ ...point, time: null })),
+                initialCapital: jalgo.riskManager.initialCapital,
+                timeframe: this.timeframe
+            })
+        };
+    }
+
+    /**
+     * Build an equity curve point
+     * @param {Jalgo} jalgo - Jalgo instance being replayed
+     * @param {number} index - Candle index
+     * @param {number} time - Candle time
+     * @param {number} close - Candle close price
+     * @returns {Object} - Equity curve point
+     */
+    equityPoint(jalgo, index, time, close) {
+        const capital = jalgo.riskManager.currentCapital;
+
+        return {
+            index,
+            time,
+            capital,
+            equity: capital + jalgo.riskManager.getUnrealizedPnL(close)
+        };
+    }
+}
+
+export default Backtester;
@@ -1,6 +1,15 @@
-import trend_sniper from '../indicators/jTrendSniper.js';
-import { getMarketData } from '../utility/market-provider.js';
+import TrendSniperStrategy from '../strategies/trend-sniper.js';
+import { NO_SIGNAL, validateStrategy } from '../strategies/strategy.js';
+import { getMarketData, getSymbolInfo, fetchCandleRange } from '../utility/market-provider.js';
+import { getPrecisionFromTickSize, isValidPrecision } from '../utility/precision.js';
+import { getCandleCloseTime, getTimeframeMs } from '../utility/timeframe.js';
+import { getCandle, toCandleMessage, fromCandleMessage, countMissingCandles, validateCandleSeries } from '../utility/candles.js';
 import RiskRewardManager from './risk-manager.js';
+import { analyzePerformance } from '../analytics/performance.js';
+import FileStateStore, { STATE_SCHEMA_VERSION, migrateState } from '../persistence/state-store.js';
+import FileCandleStore from '../persistence/candle-store.js';
+import { getExchange } from '../exchanges/registry.js';
+import { supportsCandleRange } from '../exchanges/exchange-adapter.js';
 
 /**
  * Main Jalgo trading class with multi-exchange support
@@ -15,7 +24,8 @@ class Jalgo {
         this.symbol = options.symbol || "BTCUSDT";
         this.timeframe = options.timeframe || "5m";
         this.market = options.market || "futures"; // futures or spot
-        this.provider = options.provider || "binance"; // Exchange provider (binance or bybit)
+        this.provider = options.provider || "binance"; // Registered exchange adapter name (binance, bybit, file or custom)
+        this.dataFile = options.dataFile || null; // OHLCV file path or { path, ...options } for provider "file"
         
         // Initialize candles with empty arrays
         this.initialCandles = {
@@ -26,11 +36,54 @@ class Jalgo {
             volume: []
         };
         
-        // Create event callback options for RiskRewardManager
+        // Price precision from an explicit tick size or decimal count,
+        // otherwise fetched from the exchange's symbol metadata during initialize()
+        this.tickSize = options.tickSize ? parseFloat(options.tickSize) : null;
+        this.pricePrecision = options.tickSize ? getPrecisionFromTickSize(options.tickSize) :
+            isValidPrecision(options.pricePrecision) ? options.pricePrecision : null;
+        
+        // Lot size rules for position sizing, fetched together with the tick size unless configured
+        this.lotSize = options.lotSize ? parseFloat(options.lotSize) : null;
+        this.minQty = options.minQty ? parseFloat(options.minQty) : null;
+        this.minNotional = options.minNotional ? parseFloat(options.minNotional) : null;
+        
+        // Indicator options configure the default strategy only; a supplied strategy carries its own settings
+        if (options.strategy && options.indicatorOptions && Object.keys(options.indicatorOptions).length > 0) {
+            throw new Error("indicatorOptions only apply to the default J-Trend Sniper strategy; configure the supplied strategy instead");
+        }
+        
+        // Signal strategy, J-Trend Sniper unless one is supplied (throws on invalid settings)
+        this.strategy = validateStrategy(options.strategy || new TrendSniperStrategy({
+            indicatorOptions: options.indicatorOptions,
+            useScalpMode: options.riskOptions?.useScalpMode,
+            // Without a known tick size keep the historical 1 decimal rounding
+            precision: this.pricePrecision ?? 1
+        }));
+        
+        if (options.strategy && this.pricePrecision !== null && typeof this.strategy.setPricePrecision === 'function') {
+            this.strategy.setPricePrecision(this.pricePrecision);
+        }
+        
+        // Latest strategy result, updated once per closed candle
+        this.strategyResult = NO_SIGNAL;
+        
+        // Clock for record timestamps and the end of backfill downloads
+        this.clock = options.clock || Date.now;
+        
+        // Create options for RiskRewardManager (fees default to the provider's schedule for the market)
         const riskOptions = {
+            market: this.market,
+            feeSchedule: this.provider,
             ...(options.riskOptions || {}),
+            ...(this.pricePrecision !== null ? { pricePrecision: this.pricePrecision } : {}),
+            lotSize: this.lotSize,
+            minQty: this.minQty,
+            minNotional: this.minNotional,
+            clock: this.clock,
             onPositionOpen: options.onPositionOpen || null,
-            onPositionClosed: options.onPositionClosed || null
+            onPositionClosed: options.onPositionClosed || null,
+            onPositionAdd: options.onPositionAdd || null,
+            onRiskHalt: options.onRiskHalt || null
         };
         
         // Risk management
@@ -41,15 +94,37 @@ class Jalgo {
         this.lastProcessedCandleTime = null;
         this.lastSignal = null;
         
+        // Missed-candle backfill: live candles are held back while it runs
+        this.isBackfilling = false;
+        this.backfillPromise = null;
+        this.pendingCandles = [];
+        
         // Event callbacks
         this.onSignal = options.onSignal || null;
         this.onPositionOpen = options.onPositionOpen || null;
         this.onTakeProfitHit = options.onTakeProfitHit || null;
         this.onPositionClosed = options.onPositionClosed || null;
+        this.onPositionAdd = options.onPositionAdd || null;
+        this.onRiskHalt = options.onRiskHalt || null;
         this.onError = options.onError || null;
         
-        // Initialize the system
-        this.initialize();
+        // State persistence: a store with load()/save() (or a file path for a FileStateStore).
+        // The saved state is restored here and saved again whenever the position changes
+        this.stateStore = options.stateStore || (options.statePath ? new FileStateStore(options.statePath) : null);
+        this.lastSavedState = null;
+        
+        // Candle cache (or a directory for a FileCandleStore): history is read from it and only
+        // the candles it is missing are downloaded
+        this.candleCache = options.candleCache || (options.cacheDir ? new FileCandleStore(options.cacheDir) : null);
+        
+        if (this.stateStore) {
+            this.loadState();
+        }
+        
+        // Initialize the system unless the caller supplies candles itself (e.g. backtests)
+        if (options.autoInitialize !== false) {
+            this.initialize();
+        }
     }
     
     /**
@@ -59,24 +134,130 @@ class Jalgo {
         try {
             console.log(`Initializing Jalgo for ${this.symbol} on ${this.provider} ${this.timeframe} timeframe...`);
             
-            // Fetch initial candles from the appropriate provider
-            this.initialCandles = await getMarketData(this.provider, this.market, this.symbol, this.timeframe, 500);
-            
-            if (!this.initialCandles || !this.initialCandles.close || this.initialCandles.close.length < 100) {
-                throw new Error("Failed to initialize with sufficient candle data");
+            // Resolve price precision and lot size from exchange metadata unless configured
+            if (this.pricePrecision === null || this.lotSize === null) {
+                await this.loadSymbolInfo();
             }
             
-            console.log(`Initialized with ${this.initialCandles.close.length} candles from ${this.provider}`);
-            this.isInitialized = true;
+            // Fetch initial candles from the appropriate provider
+            const candles = await getMarketData(this.provider, this.market, this.symbol, this.timeframe, 500, {
+                cache: this.candleCache,
+                file: this.dataFile
+            });
             
-            // Check for initial signal
-            this.processSignal();
+            this.loadCandles(candles);
             
         } catch (error) {
             console.error(`Initialization error for ${this.provider}:`, error);
             if (this.onError) this.onError(error);
         }
     }
+    
+    /**
+     * Fetch the symbol's tick size and lot size from the exchange and apply whatever is not configured
+     */
+    async loadSymbolInfo() {
+        try {
+            const info = await getSymbolInfo(this.provider, this.market, this.symbol);
+            
+            if (this.pricePrecision === null) {
+                this.tickSize = info.tickSize;
+                this.setPricePrecision(info.pricePrecision);
+                console.log(`Using ${this.pricePrecision} decimals for ${this.symbol} (tick size ${this.tickSize})`);
+            }
+            
+            if (this.lotSize === null) {
+                this.setLotSize(info.lotSize, info.minQty ?? this.minQty, info.minNotional ?? this.minNotional);
+                console.log(`Using lot size ${this.lotSize} for ${this.symbol} (min qty ${this.minQty}, min notional ${this.minNotional})`);
+            }
+        } catch (error) {
+            console.warn(`Could not load symbol info for ${this.symbol} from ${this.provider}, using default rounding:`, error.message);
+        }
+    }
+    
+    /**
+     * Set the lot size rules used to size positions
+     * @param {number|null} lotSize - Quantity step, null for fractional quantities
+     * @param {number|null} [minQty] - Minimum order quantity
+     * @param {number|null} [minNotional] - Minimum order value in quote currency
+     */
+    setLotSize(lotSize, minQty = null, minNotional = null) {
+        this.lotSize = lotSize || null;
+        this.minQty = minQty || null;
+        this.minNotional = minNotional || null;
+        
+        this.riskManager.lotSize = this.lotSize;
+        this.riskManager.minQty = this.minQty || 0;
+        this.riskManager.minNotional = this.minNotional || 0;
+    }
+    
+    /**
+     * Set the number of decimals used by the strategy and the risk manager
+     * @param {number} precision - Number of decimal places
+     * @throws {Error} - If precision is not a valid decimal count
+     */
+    setPricePrecision(precision) {
+        if (!isValidPrecision(precision)) {
+            throw new Error(`Invalid price precision: ${precision}`);
+        }
+        
+        this.pricePrecision = precision;
+        this.riskManager.pricePrecision = precision;
+        
+        if (typeof this.strategy.setPricePrecision === 'function') {
+            this.strategy.setPricePrecision(precision);
+            
+            // Recompute the strategy on the candles we already have
+            if (this.isInitialized) {
+                this.strategyResult = this.strategy.warmup(this.initialCandles) || NO_SIGNAL;
+            }
+        }
+    }
+    
+    /**
+     * Initialize the system from candles that are already in memory
+     * @param {Object} candles - Candle series with OHLCV price arrays and optionally open times (time)
+     * @throws {Error} - If there are not enough candles to warm up the strategy or bars are duplicated or out of order
+     */
+    loadCandles(candles) {
+        if (!candles || !candles.close || candles.close.length < 100) {
+            throw new Error("Failed to initialize with sufficient candle data");
+        }
+        
+        validateCandleSeries(candles);
+        
+        this.initialCandles = candles;
+        console.log(`Initialized with ${this.initialCandles.close.length} candles from ${this.provider}`);
+        
+        // Warm up the strategy on the historical candles
+        this.strategyResult = this.strategy.warmup(this.initialCandles) || NO_SIGNAL;
+        this.isInitialized = true;
+        
+        const openTime = Array.isArray(candles.time) && candles.time.length > 0
+            ? Number(candles.time[candles.time.length - 1])
+            : null;
+        
+        // A restored position may have reached its exits while the process was down
+        if (openTime !== null && this.lastProcessedCandleTime !== null) {
+            this.replayMissedCandles(candles, this.lastProcessedCandleTime);
+        }
+        
+        // A signal on the last historical candle is stamped with that candle
+        if (openTime !== null) {
+            this.riskManager.setCandle(openTime, getCandleCloseTime(openTime, this.timeframe));
+        }
+        
+        // Check for initial signal, unless a restored state already acted on this candle
+        if (openTime === null || this.lastProcessedCandleTime === null || openTime > this.lastProcessedCandleTime) {
+            this.processSignal();
+            
+            if (openTime !== null) {
+                this.lastProcessedCandleTime = openTime;
+            }
+        }
+        
+        this.autosave();
+    }
 
     /**
      * Process market data and generate trading signals
@@ -89,17 +270,25 @@ class Jalgo {
                 return false;
             }
             
-            // Run the trading algorithm
-            const res = trend_sniper(this.initialCandles);
+            // Read the latest strategy result
+            const res = this.strategyResult;
             
             if (!res || !res.signal) {
                 return false;
             }
             
+            // Open and close time of the candle that produced the signal
+            const candle = this.riskManager.getCandleStamp();
+            
+            // Signals from candles replayed after a reconnect are stale by the time they are seen
+            const backfilled = this.isBackfilling;
+            
             // Call the signal callback if provided
             if (this.onSignal) {
                 this.onSignal({
                     ...res.signal,
+                    candle,
+                    backfilled,
                     provider: this.provider,
                     symbol: this.symbol
                 });
@@ -109,7 +298,9 @@ class Jalgo {
             const signalResult = this.riskManager.handleNewSignal(res);
             this.lastSignal = {
                 ...signalResult,
-                timestamp: new Date().toISOString(),
+                candle,
+                backfilled,
+                timestamp: this.riskManager.getTimestamp(),
                 provider: this.provider,
                 symbol: this.symbol
             };
@@ -124,54 +315,132 @@ class Jalgo {
     }
 
     /**
-     * Check if price hits take profit levels
+     * Check if price reaches the liquidation price of a leveraged position
+     * A stop sitting between the entry and the liquidation price is left to processStopLossHit
      * @param {Object} candle - Price candle data
-     * @returns {Object|boolean} - Take profit result or false
+     * @returns {Object|boolean} - Liquidation result or false
      */
-    processTakeProfitHit(candle) {
+    processLiquidation(candle) {
         try {
-            // Check for long take profit hit
+            let result = false;
+            
+            // Check for long liquidation
             if (this.riskManager.inLongTrade && 
-                this.riskManager.longTargetLevel && 
-                candle.high >= this.riskManager.longTargetLevel) {
+                this.riskManager.longLiquidationPrice !== null && 
+                candle.low <= this.riskManager.longLiquidationPrice &&
+                (this.riskManager.longStopLevel === null || this.riskManager.longStopLevel < this.riskManager.longLiquidationPrice)) {
                 
-                const result = this.riskManager.handleTakeProfitHit("long", this.riskManager.longTargetLevel);
-                
-                // Add provider info to the result
-                if (result) {
-                    result.provider = this.provider;
-                    result.symbol = this.symbol;
-                }
+                result = this.riskManager.handleLiquidation("long");
+            }
+            // Check for short liquidation
+            else if (this.riskManager.inShortTrade && 
+                    this.riskManager.shortLiquidationPrice !== null && 
+                    candle.high >= this.riskManager.shortLiquidationPrice &&
+                    (this.riskManager.shortStopLevel === null || this.riskManager.shortStopLevel > this.riskManager.shortLiquidationPrice)) {
                 
-                // Call the callback if provided
-                if (this.onTakeProfitHit && result) {
-                    this.onTakeProfitHit(result);
-                }
+                result = this.riskManager.handleLiquidation("short");
+            }
+            
+            // Add provider info to the result
+            if (result) {
+                result.provider = this.provider;
+                result.symbol = this.symbol;
+                console.warn(`${result.position.toUpperCase()} position liquidated at ${result.exit} on ${this.provider} ${this.symbol}`);
+            }
+            
+            return result;
+        } catch (error) {
+            console.error("Error processing liquidation:", error);
+            if (this.onError) this.onError(error);
+            return false;
+        }
+    }
+
+    /**
+     * Check if price hits hard stop loss levels
+     * @param {Object} candle - Price candle data
+     * @returns {Object|boolean} - Stop loss result or false
+     */
+    processStopLossHit(candle) {
+        try {
+            let result = false;
+            
+            // Check for long stop loss hit
+            if (this.riskManager.inLongTrade && 
+                this.riskManager.longStopLevel !== null && 
+                candle.low <= this.riskManager.longStopLevel) {
                 
-                return result;
+                result = this.riskManager.handleStopLossHit("long", this.riskManager.longStopLevel);
             }
-            // Check for short take profit hit
+            // Check for short stop loss hit
             else if (this.riskManager.inShortTrade && 
-                    this.riskManager.shortTargetLevel && 
-                    candle.low <= this.riskManager.shortTargetLevel) {
+                    this.riskManager.shortStopLevel !== null && 
+                    candle.high >= this.riskManager.shortStopLevel) {
+                
+                result = this.riskManager.handleStopLossHit("short", this.riskManager.shortStopLevel);
+            }
+            
+            // Add provider info to the result
+            if (result) {
+                result.provider = this.provider;
+                result.symbol = this.symbol;
+            }
+            
+            return result;
+        } catch (error) {
+            console.error("Error processing stop loss hit:", error);
+            if (this.onError) this.onError(error);
+            return false;
+        }
+    }
+
+    /**
+     * Check if price hits take profit levels
+     * With a take profit ladder every level crossed by the candle is filled in order,
+     * and onTakeProfitHit fires once per fill
+     * @param {Object} candle - Price candle data
+     * @returns {Object|boolean} - Result of the last take profit fill or false
+     */
+    processTakeProfitHit(candle) {
+        try {
+            let lastResult = false;
+            
+            while (true) {
+                let result = false;
                 
-                const result = this.riskManager.handleTakeProfitHit("short", this.riskManager.shortTargetLevel);
+                // Check for long take profit hit
+                if (this.riskManager.inLongTrade && 
+                    this.riskManager.longTargetLevel && 
+                    candle.high >= this.riskManager.longTargetLevel) {
+                    
+                    result = this.riskManager.handleTakeProfitHit("long", this.riskManager.longTargetLevel);
+                }
+                // Check for short take profit hit
+                else if (this.riskManager.inShortTrade && 
+                        this.riskManager.shortTargetLevel && 
+                        candle.low <= this.riskManager.shortTargetLevel) {
+                    
+                    result = this.riskManager.handleTakeProfitHit("short", this.riskManager.shortTargetLevel);
+                }
+                
+                if (!result || result.error) break;
                 
                 // Add provider info to the result
-                if (result) {
-                    result.provider = this.provider;
-                    result.symbol = this.symbol;
-                }
+                result.provider = this.provider;
+                result.symbol = this.symbol;
                 
                 // Call the callback if provided
-                if (this.onTakeProfitHit && result) {
+                if (this.onTakeProfitHit) {
                     this.onTakeProfitHit(result);
                 }
                 
-                return result;
+                lastResult = result;
+                
+                // Only a partial fill can leave another level to check
+                if (!result.partial) break;
             }
             
-            return false;
+            return lastResult;
         } catch (error) {
             console.error("Error processing take profit hit:", error);
             if (this.onError) this.onError(error);
@@ -179,68 +448,283 @@ class Jalgo {
         }
     }
 
+    /**
+     * Check if price reaches the break-even trigger and move the stop
+     * @param {Object} candle - Price candle data
+     * @returns {number|null} - New stop level or null
+     */
+    processBreakEven(candle) {
+        try {
+            let stop = null;
+            
+            const longTrigger = this.riskManager.getBreakEvenTrigger("long");
+            const shortTrigger = this.riskManager.getBreakEvenTrigger("short");
+            
+            if (longTrigger !== null && candle.high >= longTrigger) {
+                stop = this.riskManager.handleBreakEvenTrigger("long");
+            } else if (shortTrigger !== null && candle.low <= shortTrigger) {
+                stop = this.riskManager.handleBreakEvenTrigger("short");
+            }
+            
+            if (stop !== null) {
+                console.log(`Stop moved to break-even at ${stop} on ${this.provider} ${this.symbol}`);
+            }
+            
+            return stop;
+        } catch (error) {
+            console.error("Error processing break-even:", error);
+            if (this.onError) this.onError(error);
+            return null;
+        }
+    }
+
+    /**
+     * Check the open position against the range of a candle
+     * Whichever of liquidation and stop is nearer to the entry is reached first; the stop is
+     * checked before the target: when a candle spans both levels we assume the worse fill.
+     * @param {Object} candle - Price candle data ({ high, low })
+     */
+    processPositionExits(candle) {
+        if (this.riskManager.inLongTrade || this.riskManager.inShortTrade) {
+            this.processLiquidation(candle);
+        }
+        
+        if (this.riskManager.inLongTrade || this.riskManager.inShortTrade) {
+            this.processStopLossHit(candle);
+        }
+        
+        if (this.riskManager.inLongTrade || this.riskManager.inShortTrade) {
+            this.processTakeProfitHit(candle);
+        }
+        
+        // Break-even applies from the next tick: the stop it sets may not be hit by the same candle
+        if (this.riskManager.inLongTrade || this.riskManager.inShortTrade) {
+            this.processBreakEven(candle);
+        }
+    }
+
+    /**
+     * Run the exit checks of a restored position over the candles that closed while the process was down
+     * Liquidation, stops, targets and break-even moves are replayed at their levels; trailing stops,
+     * time exits and signals of these candles are not (the strategy only warms up on them)
+     * @param {Object} candles - Historical candles with a time array
+     * @param {number} since - Open time of the last candle processed before the restart
+     * @returns {number} - Number of candles replayed
+     */
+    replayMissedCandles(candles, since) {
+        let replayed = 0;
+        
+        for (let i = 0; i < candles.time.length; i++) {
+            if (!this.riskManager.inLongTrade && !this.riskManager.inShortTrade) break;
+            
+            const openTime = Number(candles.time[i]);
+            if (openTime <= since) continue;
+            
+            // Exits found here are stamped with the candle that reached them
+            this.riskManager.setCandle(openTime, getCandleCloseTime(openTime, this.timeframe));
+            this.processPositionExits({ high: candles.high[i], low: candles.low[i] });
+            replayed++;
+        }
+        
+        if (replayed > 0) {
+            console.log(`Replayed exit checks over ${replayed} candles missed on ${this.provider} ${this.symbol}`);
+        }
+        
+        return replayed;
+    }
+
+    /**
+     * Get the open time of the last closed candle
+     * @returns {number|null} - Open time in milliseconds, null before the first candle with a time
+     */
+    getLastCandleTime() {
+        const times = this.initialCandles.time;
+        
+        if (Array.isArray(times) && times.length > 0) {
+            return times[times.length - 1];
+        }
+        
+        return this.lastProcessedCandleTime ?? null;
+    }
+    
+    /**
+     * Warn when a closed candle does not directly follow the previous one
+     * @param {number|null} lastTime - Open time of the previous closed candle
+     * @param {number} time - Open time of the new closed candle
+     * @returns {number} - Number of candles missing in between
+     */
+    checkCandleGap(lastTime, time) {
+        const duration = getTimeframeMs(this.timeframe);
+        if (!Number.isFinite(lastTime) || !Number.isFinite(time) || duration === null) return 0;
+        
+        const missing = countMissingCandles(lastTime, time, duration);
+        
+        if (missing > 0) {
+            console.warn(`Candle gap on ${this.symbol} ${this.timeframe}: ${missing} candle(s) missing between ${lastTime} and ${time}`);
+        }
+        
+        return missing;
+    }
+    
     /**
      * Process a new candle from the market
-     * @param {Object} candleData - New candle data in standardized format
+     * Candles older than the last closed candle are ignored; a closed candle that skips
+     * candles is processed after warning about the gap
+     * @param {Object} candleData - Candle message { t, T, o, h, l, c, v, x, ... } (see candles.js)
+     * @param {boolean} [backfilled=false] - Whether the candle is replayed by backfillCandles()
      */
-    processNewCandle(candleData) {
+    processNewCandle(candleData, backfilled = false) {
         try {
             if (!this.isInitialized) {
                 console.warn("Cannot process candle: system not initialized");
                 return;
             }
             
+            // Live candles wait until the missed candles before them have been replayed
+            if (this.isBackfilling && !backfilled) {
+                this.pendingCandles.push(candleData);
+                return;
+            }
+            
             // Skip duplicate candles
             if (this.lastProcessedCandleTime === candleData.t) {
                 return;
             }
             
             // Extract candle data
-            const open = parseFloat(candleData.o);
-            const high = parseFloat(candleData.h);
-            const low = parseFloat(candleData.l);
-            const close = parseFloat(candleData.c);
-            const volume = parseFloat(candleData.v);
-            
-            // Create candle object for TP checking
-            const candle = { high, low };
+            const bar = fromCandleMessage(candleData);
+            const { open, high, low, close, volume } = bar;
             
-            // First, check for take profit hits on every tick (completed or not)
-            if (this.riskManager.inLongTrade || this.riskManager.inShortTrade) {
-                this.processTakeProfitHit(candle);
+            // Ignore stale candles that are older than the last closed candle
+            const lastTime = this.getLastCandleTime();
+            if (Number.isFinite(lastTime) && Number.isFinite(bar.time) && bar.time <= lastTime) {
+                if (candleData.x === true) {
+                    console.warn(`Ignoring out-of-order candle at ${bar.time}: last closed candle is at ${lastTime}`);
+                }
+                return;
             }
             
+            // Stamp every record produced by this candle with its open and close time
+            const openTime = bar.time;
+            const closeTime = bar.closeTime ?? getCandleCloseTime(openTime, this.timeframe);
+            this.riskManager.setCandle(openTime, closeTime);
+            
+            // First, check for liquidation, stop loss and take profit hits on every tick (completed or not)
+            this.processPositionExits({ high, low });
+            
             // Only process completed candles for signal generation
             if (candleData.x === true) {
+                this.checkCandleGap(lastTime, bar.time);
+                
                 // Update candle data arrays by shifting the oldest and adding the newest
                 for (const key of Object.keys(this.initialCandles)) {
                     if (Array.isArray(this.initialCandles[key]) && this.initialCandles[key].length > 0) {
                         // Remove the oldest candle
                         this.initialCandles[key].shift();
                         
-                        // Add the new candle value
-                        const value = key === 'open' ? open :
-                                    key === 'high' ? high :
-                                    key === 'low' ? low :
-                                    key === 'close' ? close :
-                                    key === 'volume' ? volume : 0;
-                                    
-                        this.initialCandles[key].push(value);
+                        // Add the new candle value, null for fields the feed does not report
+                        this.initialCandles[key].push(bar[key] ?? null);
                     }
                 }
                 
                 // Update last processed candle time
-                this.lastProcessedCandleTime = candleData.t;
+                this.lastProcessedCandleTime = bar.time;
+                
+                // Settle perpetual funding on any open position
+                this.riskManager.accrueFunding(bar.time, close);
+                
+                // Advance the strategy by the closed candle
+                this.strategyResult = this.strategy.update({ open, high, low, close, volume, time: bar.time }) || NO_SIGNAL;
+                
+                // Move trailing stops along the strategy's line before acting on new signals
+                this.riskManager.updateTrailingStop(this.strategyResult, { close, time: bar.time });
+                
+                // Close positions that ran out of time before a new signal can reopen
+                this.riskManager.handleTimeExit(close);
+                
+                // Roll the circuit breaker sessions before a new entry is considered
+                this.riskManager.updateRiskGuards(bar.time, close);
                 
                 // Process for new signals on candle close
                 this.processSignal();
+                
+                // Mark the account to the close
+                this.riskManager.recordEquity(bar.time, close);
             }
+            
+            this.autosave();
         } catch (error) {
             console.error(`Error processing new candle from ${this.provider}:`, error);
             if (this.onError) this.onError(error);
         }
     }
     
+    /**
+     * Replay the candles that closed after the last processed candle, e.g. after a WebSocket reconnect
+     * Missed candles are fetched over REST and processed in order before the live candles received
+     * in the meantime; signals produced by replayed candles are flagged with backfilled: true
+     * @returns {Promise<number>} - Number of candles replayed
+     */
+    backfillCandles() {
+        // A reconnect during a running backfill waits for the same backfill
+        if (!this.backfillPromise) {
+            this.backfillPromise = this.runBackfill().finally(() => {
+                this.backfillPromise = null;
+            });
+        }
+        
+        return this.backfillPromise;
+    }
+    
+    /**
+     * Fetch and replay the missed candles, then release the held back live candles
+     * @returns {Promise<number>} - Number of candles replayed
+     */
+    async runBackfill() {
+        const lastTime = this.getLastCandleTime();
+        
+        // Only adapters that download candles by date range can fill the gap
+        if (!this.isInitialized || !Number.isFinite(lastTime) || !supportsCandleRange(getExchange(this.provider))) {
+            return 0;
+        }
+        
+        this.isBackfilling = true;
+        let replayed = 0;
+        
+        try {
+            const { candles } = await fetchCandleRange(this.provider, this.market, this.symbol, this.timeframe, lastTime + 1, this.clock(), {
+                cache: this.candleCache
+            });
+            
+            for (let i = 0; i < candles.close.length; i++) {
+                this.processNewCandle(toCandleMessage(getCandle(candles, i), true), true);
+                replayed++;
+            }
+            
+            if (replayed > 0) {
+                console.log(`Backfilled ${replayed} missed ${this.timeframe} candle(s) for ${this.symbol} from ${this.provider}`);
+            }
+        } catch (error) {
+            console.error(`Error backfilling missed candles from ${this.provider}:`, error);
+            if (this.onError) this.onError(error);
+        } finally {
+            this.isBackfilling = false;
+            
+            // Resume live processing with the candles that arrived during the backfill
+            const pending = this.pendingCandles;
+            this.pendingCandles = [];
+            
+            for (const candleData of pending) {
+                // Skip candles the backfill already covered
+                if (Number(candleData.t) <= this.getLastCandleTime()) continue;
+                
+                this.processNewCandle(candleData);
+            }
+        }
+        
+        return replayed;
+    }
+    
     /**
      * Get performance statistics
      * @returns {Object} - Performance statistics
@@ -249,6 +733,29 @@ class Jalgo {
         const stats = this.riskManager.getPerformanceStats();
         return {
             ...stats,
+            strategy: this.strategy.name || "custom",
+            indicatorOptions: typeof this.strategy.getOptions === 'function' ? this.strategy.getOptions() : null,
+            tickSize: this.tickSize,
+            minQty: this.minQty,
+            minNotional: this.minNotional,
+            provider: this.provider,
+            symbol: this.symbol
+        };
+    }
+    
+    /**
+     * Get advanced performance analytics (drawdown, Sharpe/Sortino/Calmar, profit factor,
+     * expectancy, streaks, holding time and per-side breakdowns)
+     * @returns {Object} - Performance analytics
+     */
+    getPerformanceAnalytics() {
+        return {
+            ...analyzePerformance({
+                trades: this.riskManager.tradeHistory,
+                equityCurve: this.riskManager.equityCurve,
+                initialCapital: this.riskManager.initialCapital,
+                timeframe: this.timeframe
+            }),
             provider: this.provider,
             symbol: this.symbol
         };
@@ -268,9 +775,14 @@ class Jalgo {
     
     /**
      * Get current positions
+     * @param {number} [currentPrice] - Price used for the distance to liquidation (defaults to the last close)
      * @returns {Object} - Current position information
      */
-    getCurrentPositions() {
+    getCurrentPositions(currentPrice = null) {
+        if (currentPrice === null && this.initialCandles.close.length > 0) {
+            currentPrice = this.initialCandles.close[this.initialCandles.close.length - 1];
+        }
+        
         return {
             provider: this.provider,
             symbol: this.symbol,
@@ -280,7 +792,26 @@ class Jalgo {
             shortEntry: this.riskManager.shortEntryPrice,
             longTP: this.riskManager.longTargetLevel,
             shortTP: this.riskManager.shortTargetLevel,
+            longStop: this.riskManager.longStopLevel,
+            shortStop: this.riskManager.shortStopLevel,
+            longStopTrailed: this.riskManager.longStopTrailed,
+            shortStopTrailed: this.riskManager.shortStopTrailed,
+            longBreakEven: this.riskManager.longBreakEven,
+            shortBreakEven: this.riskManager.shortBreakEven,
+            barsInTrade: this.riskManager.barsInTrade,
+            trailingStopSource: this.riskManager.trailingStopSource,
+            longLiquidationPrice: this.riskManager.longLiquidationPrice,
+            shortLiquidationPrice: this.riskManager.shortLiquidationPrice,
+            liquidationDistance: this.riskManager.getLiquidationDistance(currentPrice),
+            marginMode: this.riskManager.marginMode,
+            remainingSize: this.riskManager.remainingSize,
+            realizedPnL: this.riskManager.realizedPnL,
             currentRisk: this.riskManager.currentRiskAmount,
+            quantity: this.riskManager.openQuantity,
+            margin: this.riskManager.positionMargin,
+            lots: this.riskManager.positionLots.map(lot => ({ ...lot })),
+            pyramidAdds: this.riskManager.pyramidAdds,
+            positionCosts: { ...this.riskManager.positionCosts },
             leverageUsed: this.riskManager.getEffectiveLeverage()
         };
     }
@@ -312,6 +843,8 @@ class Jalgo {
                 const entry = this.riskManager.longEntryPrice;
                 const target = this.riskManager.longTargetLevel;
                 const refStop = this.riskManager.longStopReference;
+                const stopLevel = this.riskManager.longStopLevel;
+                const stopTrailed = this.riskManager.longStopTrailed;
                 const riskAmount = this.riskManager.currentRiskAmount;
                 const leverage = this.riskManager.getEffectiveLeverage();
                 
@@ -319,13 +852,8 @@ class Jalgo {
                 let percentToTarget = null;
                 
                 if (currentPrice) {
-                    // Calculate current P&L
-                    const priceDifference = currentPrice - entry;
-                    const refStopDifference = Math.abs(entry - refStop);
-                    const percentOfTarget = Math.min(Math.abs(priceDifference) / refStopDifference, this.riskManager.rewardMultiple);
-                    const directionMultiplier = priceDifference >= 0 ? 1 : -1;
-                    
-                    currentPnL = riskAmount * percentOfTarget * directionMultiplier * leverage;
+                    // Calculate current P&L of the part still open
+                    currentPnL = this.riskManager.getUnrealizedPnL(currentPrice);
                     percentToTarget = target ? ((currentPrice - entry) / (target - entry) * 100).toFixed(2) + '%' : 'N/A';
                 }
                 
@@ -336,9 +864,16 @@ class Jalgo {
                     target,
                     percentToTarget,
                     refStop,
+                    stopLevel: stopLevel ?? 'None',
+                    stopType: stopTrailed ? `trailing (${this.riskManager.trailingStopSource})` : 'fixed',
+                    liquidationPrice: this.riskManager.longLiquidationPrice ?? 'None',
+                    remainingSize: this.riskManager.remainingSize,
+                    realizedPnL: this.riskManager.realizedPnL.toFixed(2),
                     riskAmount,
+                    quantity: this.riskManager.openQuantity,
+                    margin: this.riskManager.positionMargin,
                     leverage,
-                    potentialProfit: riskAmount * this.riskManager.rewardMultiple * leverage,
+                    potentialProfit: target ? this.riskManager.openQuantity * Math.abs(target - entry) : 'N/A',
                     currentPnL: currentPnL !== null ? currentPnL.toFixed(2) : 'N/A',
                     openedAt: this.riskManager.tradeHistory.find(t => t.type === 'long' && t.status === 'open')?.timestamp || 'Unknown'
                 });
@@ -349,6 +884,8 @@ class Jalgo {
                 const entry = this.riskManager.shortEntryPrice;
                 const target = this.riskManager.shortTargetLevel;
                 const refStop = this.riskManager.shortStopReference;
+                const stopLevel = this.riskManager.shortStopLevel;
+                const stopTrailed = this.riskManager.shortStopTrailed;
                 const riskAmount = this.riskManager.currentRiskAmount;
                 const leverage = this.riskManager.getEffectiveLeverage();
                 
@@ -356,13 +893,8 @@ class Jalgo {
                 let percentToTarget = null;
                 
                 if (currentPrice) {
-                    // Calculate current P&L
-                    const priceDifference = entry - currentPrice;
-                    const refStopDifference = Math.abs(entry - refStop);
-                    const percentOfTarget = Math.min(Math.abs(priceDifference) / refStopDifference, this.riskManager.rewardMultiple);
-                    const directionMultiplier = priceDifference >= 0 ? 1 : -1;
-                    
-                    currentPnL = riskAmount * percentOfTarget * directionMultiplier * leverage;
+                    // Calculate current P&L of the part still open
+                    currentPnL = this.riskManager.getUnrealizedPnL(currentPrice);
                     percentToTarget = target ? ((entry - currentPrice) / (entry - target) * 100).toFixed(2) + '%' : 'N/A';
                 }
                 
@@ -373,9 +905,16 @@ class Jalgo {
                     target,
                     percentToTarget,
                     refStop,
+                    stopLevel: stopLevel ?? 'None',
+                    stopType: stopTrailed ? `trailing (${this.riskManager.trailingStopSource})` : 'fixed',
+                    liquidationPrice: this.riskManager.shortLiquidationPrice ?? 'None',
+                    remainingSize: this.riskManager.remainingSize,
+                    realizedPnL: this.riskManager.realizedPnL.toFixed(2),
                     riskAmount,
+                    quantity: this.riskManager.openQuantity,
+                    margin: this.riskManager.positionMargin,
                     leverage,
-                    potentialProfit: riskAmount * this.riskManager.rewardMultiple * leverage,
+                    potentialProfit: target ? this.riskManager.openQuantity * Math.abs(target - entry) : 'N/A',
                     currentPnL: currentPnL !== null ? currentPnL.toFixed(2) : 'N/A',
                     openedAt: this.riskManager.tradeHistory.find(t => t.type === 'short' && t.status === 'open')?.timestamp || 'Unknown'
                 });
@@ -411,6 +950,7 @@ class Jalgo {
                 result.symbol = this.symbol;
             }
             
+            this.autosave();
             return result;
         } catch (error) {
             console.error(`Error manually closing position on ${this.provider}:`, error);
@@ -418,6 +958,173 @@ class Jalgo {
             return false;
         }
     }
+    
+    /**
+     * Get a snapshot of the trading state (account, active position, counters and trade history)
+     * Candles are not included: they are fetched again when the instance initializes
+     * @returns {Object} - Plain object safe to serialize, restored with restoreState() or fromJSON()
+     */
+    toJSON() {
+        return {
+            schemaVersion: STATE_SCHEMA_VERSION,
+            provider: this.provider,
+            symbol: this.symbol,
+            market: this.market,
+            timeframe: this.timeframe,
+            lastProcessedCandleTime: this.lastProcessedCandleTime,
+            lastSignal: this.lastSignal,
+            riskManager: this.riskManager.toJSON()
+        };
+    }
+    
+    /**
+     * Restore a snapshot taken by toJSON()
+     * @param {Object} snapshot - Snapshot
+     * @throws {Error} - If the snapshot is for another symbol or market, or has an unsupported version
+     */
+    restoreState(snapshot) {
+        const state = migrateState(snapshot);
+        
+        if (state.provider !== this.provider || state.symbol !== this.symbol || state.market !== this.market) {
+            throw new Error(`State snapshot is for ${state.provider} ${state.market} ${state.symbol}, ` +
+                `not ${this.provider} ${this.market} ${this.symbol}`);
+        }
+        
+        this.riskManager.restoreState(state.riskManager);
+        this.lastProcessedCandleTime = state.lastProcessedCandleTime ?? null;
+        this.lastSignal = state.lastSignal ?? null;
+    }
+    
+    /**
+     * Create a Jalgo instance from a snapshot taken by toJSON()
+     * @param {Object} snapshot - Snapshot
+     * @param {Object} [options] - Constructor options (symbol, provider and market must match the snapshot)
+     * @returns {Jalgo} - Instance with the restored state
+     */
+    static fromJSON(snapshot, options = {}) {
+        const jalgo = new Jalgo({
+            symbol: snapshot.symbol,
+            provider: snapshot.provider,
+            market: snapshot.market,
+            timeframe: snapshot.timeframe,
+            ...options
+        });
+        jalgo.restoreState(snapshot);
+        return jalgo;
+    }
+    
+    /**
+     * Restore the state saved in the state store
+     * A snapshot that cannot be restored is passed to onError and the instance starts fresh
+     * @returns {boolean} - True if a saved state was restored
+     */
+    loadState() {
+        if (!this.stateStore) return false;
+        
+        // A stale or foreign snapshot is reported and replaced instead of failing construction
+        const freshState = this.riskManager.toJSON();
+        
+        try {
+            const snapshot = this.stateStore.load();
+            if (!snapshot) {
+                console.log(`No saved state for ${this.provider} ${this.symbol}, starting fresh`);
+                return false;
+            }
+            
+            this.restoreState(snapshot);
+        } catch (error) {
+            this.riskManager.restoreState(freshState);
+            this.lastProcessedCandleTime = null;
+            this.lastSignal = null;
+            
+            console.error(`Could not restore saved state for ${this.provider} ${this.symbol}, starting fresh:`, error.message);
+            if (this.onError) this.onError(error);
+            return false;
+        }
+        
+        this.lastSavedState = this.getStateSignature();
+        
+        const position = this.riskManager.inLongTrade ? "long" : this.riskManager.inShortTrade ? "short" : "no";
+        console.log(`Restored state for ${this.provider} ${this.symbol}: capital ${this.riskManager.currentCapital.toFixed(2)}, ${position} position open`);
+        return true;
+    }
+    
+    /**
+     * Save the current state to the state store
+     * @returns {boolean} - True if the state was saved
+     */
+    saveState() {
+        if (!this.stateStore) return false;
+        
+        try {
+            this.stateStore.save(this.toJSON());
+            this.lastSavedState = this.getStateSignature();
+            return true;
+        } catch (error) {
+            console.error(`Error saving state for ${this.provider} ${this.symbol}:`, error);
+            if (this.onError) this.onError(error);
+            return false;
+        }
+    }
+    
+    /**
+     * Save the state if the position or the account changed since the last save
+     * @returns {boolean} - True if the state was saved
+     */
+    autosave() {
+        if (!this.stateStore || this.getStateSignature() === this.lastSavedState) return false;
+        return this.saveState();
+    }
+    
+    /**
+     * Summarize the parts of the state that change with the position
+     * The processed candle time is left out so quiet candles do not rewrite the store; it is saved with
+     * the next change, and a restart replays exit checks from it (see replayMissedCandles())
+     * @returns {string} - Signature compared between saves
+     */
+    getStateSignature() {
+        return JSON.stringify([
+            this.riskManager.inLongTrade,
+            this.riskManager.inShortTrade,
+            this.riskManager.openQuantity,
+            this.riskManager.longStopLevel,
+            this.riskManager.shortStopLevel,
+            this.riskManager.longTargetLevel,
+            this.riskManager.shortTargetLevel,
+            this.riskManager.currentCapital,
+            this.riskManager.tradeHistory.length,
+            this.riskManager.riskGuards.halt,
+            this.riskManager.riskGuards.blockedSignals.length
+        ]);
+    }
+    
+    /**
+     * Lift a circuit breaker halt (daily/weekly loss, max drawdown or loss streak) and resume entries
+     * @param {number} [currentPrice] - Price used to mark the open position (defaults to the last close)
+     * @returns {Object} - Circuit breaker status after the reset
+     */
+    resetRiskHalt(currentPrice = null) {
+        if (currentPrice === null && this.initialCandles.close.length > 0) {
+            currentPrice = this.initialCandles.close[this.initialCandles.close.length - 1];
+        }
+        
+        console.log(`Resetting risk halt on ${this.provider} ${this.symbol}`);
+        const status = this.riskManager.resetRiskHalt(currentPrice);
+        this.saveState();
+        return status;
+    }
+    
+    /**
+     * Get the signals skipped while a circuit breaker was tripped
+     * @returns {Array} - Blocked signals
+     */
+    getBlockedSignals() {
+        return this.riskManager.getBlockedSignals().map(signal => ({
+            ...signal,
+            provider: this.provider,
+            symbol: this.symbol
+        }));
+    }
 }
 
 export default Jalgo;
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * Position sizing models for the RiskRewardManager
+ * Each model turns the account, the entry and the stop into a position quantity;
+ * leverage, exposure and lot size limits are applied by the manager afterwards
+ */
+
+/**
+ * Supported sizing models
+ * - fixedFractional: risk riskPercent of the capital between the entry and the stop
+ * - fixedNotional: hold a fixed notional (quote currency) per position
+ * - volatility: size so that atrMultiple x ATR moves riskPercent of the capital (ATR from the strategy)
+ * - kelly: risk a fraction of the Kelly criterion computed from the last closed trades
+ * @type {Array<string>}
+ */
+const SIZING_MODELS = ["fixedFractional", "fixedNotional", "volatility", "kelly"];
+
+/**
+ * Validate an optional positive number
+ * @param {string} name - Option name used in the error message
+ * @param {*} value - Option value
+ * @param {number|null} fallback - Value used when the option is omitted
+ * @returns {number|null} - The value
+ * @throws {Error} - If the value is not a positive number
+ */
+const positive = (name, value, fallback) => {
+    if (value === undefined || value === null) return fallback;
+
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid positionSizing.${name}: ${value} (expected a positive number)`);
+    }
+
+    return value;
+};
+
+/**
+ * Validate an optional positive integer
+ * @param {string} name - Option name used in the error message
+ * @param {*} value - Option value
+ * @param {number|null} fallback - Value used when the option is omitted
+ * @returns {number|null} - The count
+ * @throws {Error} - If the value is not a positive integer
+ */
+const positiveInteger = (name, value, fallback) => {
+    if (value === undefined || value === null) return fallback;
+
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Invalid positionSizing.${name}: ${value} (expected a positive whole number of trades)`);
+    }
+
+    return value;
+};
+
+/**
+ * Validate a position sizing option
+ * @param {Object|string} [sizing] - Model name or { model, ...inputs, maxLeverage, maxExposurePercent }
+ * @param {number} [riskPerTrade=2] - Default risk in percent of capital
+ * @returns {Object} - Normalized sizing settings
+ * @throws {Error} - If the model or one of its inputs is invalid
+ */
+const normalizePositionSizing = (sizing, riskPerTrade = 2) => {
+    const settings = typeof sizing === 'string' ? { model: sizing } : (sizing || {});
+    const model = settings.model || "fixedFractional";
+
+    if (!SIZING_MODELS.includes(model)) {
+        throw new Error(`Invalid position sizing model "${model}". Valid models: ${SIZING_MODELS.join(', ')}`);
+    }
+
+    // Caps shared by every model
+    const normalized = {
+        model,
+        maxLeverage: positive("maxLeverage", settings.maxLeverage, null),
+        maxExposurePercent: positive("maxExposurePercent", settings.maxExposurePercent, null)
+    };
+
+    switch (model) {
+        case "fixedNotional":
+            normalized.notional = positive("notional", settings.notional, null);
+            if (normalized.notional === null) {
+                throw new Error("positionSizing.notional is required by the fixedNotional model");
+            }
+            break;
+        case "volatility":
+            normalized.riskPercent = positive("riskPercent", settings.riskPercent, riskPerTrade);
+            normalized.atrMultiple = positive("atrMultiple", settings.atrMultiple, 1);
+            break;
+        case "kelly":
+            normalized.kellyFraction = positive("kellyFraction", settings.kellyFraction, 0.5);
+            normalized.lookback = positiveInteger("lookback", settings.lookback, 50);
+            normalized.minTrades = positiveInteger("minTrades", settings.minTrades, 20);
+            normalized.maxRiskPercent = positive("maxRiskPercent", settings.maxRiskPercent, riskPerTrade * 2);
+            normalized.riskPercent = positive("riskPercent", settings.riskPercent, riskPerTrade); // until minTrades
+            break;
+        default:
+            normalized.riskPercent = positive("riskPercent", settings.riskPercent, riskPerTrade);
+    }
+
+    return normalized;
+};
+
+/**
+ * Calculate the Kelly criterion from closed trades
+ * f* = W - (1 - W) / R, with W the win rate and R the average win over the average loss
+ * @param {Array<Object>} trades - Closed trade records with pnl
+ * @returns {Object} - { trades, winRate, payoffRatio, kelly }, kelly null when it cannot be computed
+ */
+const calculateKellyCriterion = (trades) => {
+    const wins = trades.filter(trade => trade.pnl > 0).map(trade => trade.pnl);
+    const losses = trades.filter(trade => trade.pnl <= 0).map(trade => Math.abs(trade.pnl));
+    const winRate = trades.length > 0 ? wins.length / trades.length : 0;
+    const averageWin = wins.length > 0 ? wins.reduce((sum, pnl) => sum + pnl, 0) / wins.length : 0;
+    const averageLoss = losses.length > 0 ? losses.reduce((sum, pnl) => sum + pnl, 0) / losses.length : 0;
+
+    // Without losses the payoff ratio is unbounded and Kelly says bet everything
+    const payoffRatio = averageLoss > 0 ? averageWin / averageLoss : null;
+    const kelly = payoffRatio !== null ? winRate - (1 - winRate) / payoffRatio : (wins.length > 0 ? 1 : null);
+
+    return { trades: trades.length, winRate, payoffRatio, kelly };
+};
+
+/**
+ * Calculate the quantity a sizing model asks for, before leverage, exposure and lot size limits
+ * @param {Object} sizing - Normalized sizing settings
+ * @param {Object} context - Sizing input
+ * @param {number} context.entryPrice - Entry price
+ * @param {number} context.stopPrice - Stop used for sizing (hard stop or reference stop)
+ * @param {number} context.capital - Current capital
+ * @param {number|null} [context.atr] - Average true range of the signal bar
+ * @param {Array<Object>} [context.trades] - Closed trades, oldest first (kelly model)
+ * @returns {Object} - { quantity, inputs } with the values the model used, or { quantity: 0, reason }
+ */
+const calculateModelQuantity = (sizing, { entryPrice, stopPrice, capital, atr = null, trades = [] }) => {
+    const distance = Math.abs(entryPrice - stopPrice);
+
+    switch (sizing.model) {
+        case "fixedNotional":
+            return { quantity: sizing.notional / entryPrice, inputs: { notional: sizing.notional } };
+
+        case "volatility": {
+            // Without an ATR fall back to the stop distance
+            const hasAtr = Number.isFinite(atr) && atr > 0;
+            const unitRisk = hasAtr ? atr * sizing.atrMultiple : distance;
+            if (!(unitRisk > 0)) return { quantity: 0, reason: "no volatility or stop distance" };
+
+            const riskAmount = capital * (sizing.riskPercent / 100);
+            return {
+                quantity: riskAmount / unitRisk,
+                inputs: { riskPercent: sizing.riskPercent, atr: hasAtr ? atr : null, atrMultiple: sizing.atrMultiple, riskAmount }
+            };
+        }
+
+        case "kelly": {
+            if (!(distance > 0)) return { quantity: 0, reason: "no stop distance" };
+
+            const stats = calculateKellyCriterion(trades.slice(-sizing.lookback));
+            const warmingUp = stats.trades < sizing.minTrades || stats.kelly === null;
+
+            if (!warmingUp && stats.kelly <= 0) {
+                return { quantity: 0, reason: `no edge (Kelly ${stats.kelly.toFixed(3)})` };
+            }
+
+            const riskPercent = warmingUp
+                ? sizing.riskPercent
+                : Math.min(stats.kelly * sizing.kellyFraction * 100, sizing.maxRiskPercent);
+            const riskAmount = capital * (riskPercent / 100);
+
+            return {
+                quantity: riskAmount / distance,
+                inputs: {
+                    riskPercent,
+                    riskAmount,
+                    kelly: stats.kelly,
+                    kellyFraction: sizing.kellyFraction,
+                    winRate: stats.winRate,
+                    payoffRatio: stats.payoffRatio,
+                    sampleTrades: stats.trades,
+                    warmingUp
+                }
+            };
+        }
+
+        default: {
+            if (!(distance > 0)) return { quantity: 0, reason: "no stop distance" };
+
+            const riskAmount = parseFloat((capital * (sizing.riskPercent / 100)).toFixed(2));
+            return { quantity: riskAmount / distance, inputs: { riskPercent: sizing.riskPercent, riskAmount } };
+        }
+    }
+};
+
+export {
+    SIZING_MODELS,
+    normalizePositionSizing,
+    calculateKellyCriterion,
+    calculateModelQuantity
+};
@@ -0,0 +1,362 @@
+/**
+ * Account-level circuit breakers for the RiskRewardManager
+ * Daily and weekly loss limits, a max drawdown halt, a cooldown after losing trades and a loss streak halt.
+ * While a guard is tripped new entries are blocked; exits keep working.
+ */
+
+/**
+ * Milliseconds per UTC day
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Milliseconds per week
+ * @type {number}
+ */
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Halt reasons ordered from least to most severe
+ * - cooldown: a trade closed at a loss, lifts after cooldownBars candles
+ * - loss_streak: maxConsecutiveLosses losing trades in a row, lifts after cooldownBars
+ *   candles (or at the next UTC day without a cooldown)
+ * - daily_loss: loss since 00:00 UTC reached maxDailyLossPercent, lifts at the next UTC day
+ * - weekly_loss: loss since Monday 00:00 UTC reached maxWeeklyLossPercent, lifts at the next week
+ * - max_drawdown: equity fell maxDrawdownPercent below its peak, lifts only on a manual reset
+ * @type {Array<string>}
+ */
+const HALT_REASONS = ["cooldown", "loss_streak", "daily_loss", "weekly_loss", "max_drawdown"];
+
+/**
+ * Fields saved in state snapshots (limits and callbacks come from the options)
+ * @type {Array<string>}
+ */
+const STATE_FIELDS = [
+    "lastTime", "dayKey", "weekKey", "dayStartCapital", "weekStartCapital", "equityPeak",
+    "lossStreak", "halt", "cooldownRemaining", "haltHistory", "blockedSignals"
+];
+
+/**
+ * Get the UTC day index of a time
+ * @param {number} time - Time in milliseconds
+ * @returns {number|null} - Day index, null for an unknown time
+ */
+const getDayKey = (time) => Number.isFinite(time) ? Math.floor(time / DAY_MS) : null;
+
+/**
+ * Get the ISO week index (weeks starting Monday 00:00 UTC) of a time
+ * @param {number} time - Time in milliseconds
+ * @returns {number|null} - Week index, null for an unknown time
+ */
+const getWeekKey = (time) => Number.isFinite(time) ? Math.floor((time - 4 * DAY_MS) / WEEK_MS) : null;
+
+/**
+ * Validate an optional positive limit
+ * @param {string} name - Option name used in the error message
+ * @param {*} value - Option value
+ * @returns {number|null} - The limit, null when disabled
+ * @throws {Error} - If the value is not a positive number
+ */
+const normalizeLimit = (name, value) => {
+    if (value === undefined || value === null || value === false || value === 0) return null;
+
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid ${name}: ${value} (expected a positive number)`);
+    }
+
+    return value;
+};
+
+class RiskGuards {
+    /**
+     * Create the circuit breakers
+     * @param {Object} options - Configuration options
+     * @param {number} [options.maxDailyLossPercent] - Max loss per UTC day, percent of the capital at the start of the day
+     * @param {number} [options.maxWeeklyLossPercent] - Max loss per week, percent of the capital at the start of the week
+     * @param {number} [options.maxDrawdownPercent] - Max drop of equity from its peak, percent of the peak
+     * @param {number} [options.maxConsecutiveLosses] - Losing trades in a row that trip the loss streak guard
+     * @param {number} [options.cooldownBars=0] - Closed candles to sit out after any losing trade, and after a loss
+     *   streak (0: no cooldown, a loss streak lasts until the next UTC day)
+     * @param {Function} [options.onRiskHalt] - Called with the halt when a guard trips
+     * @param {Function} [options.clock=Date.now] - Clock for record timestamps (milliseconds)
+     * @param {number} [initialCapital=1000] - Starting capital
+     */
+    constructor(options = {}, initialCapital = 1000) {
+        this.maxDailyLossPercent = normalizeLimit("maxDailyLossPercent", options.maxDailyLossPercent);
+        this.maxWeeklyLossPercent = normalizeLimit("maxWeeklyLossPercent", options.maxWeeklyLossPercent);
+        this.maxDrawdownPercent = normalizeLimit("maxDrawdownPercent", options.maxDrawdownPercent);
+        this.maxConsecutiveLosses = normalizeLimit("maxConsecutiveLosses", options.maxConsecutiveLosses);
+        this.cooldownBars = options.cooldownBars || 0;
+
+        if (!Number.isInteger(this.cooldownBars) || this.cooldownBars < 0) {
+            throw new Error(`Invalid cooldownBars: ${this.cooldownBars} (expected a whole number of candles)`);
+        }
+
+        this.onRiskHalt = options.onRiskHalt || null;
+        this.clock = options.clock || Date.now;
+
+        // Session state
+        this.lastTime = null; // time of the last closed candle
+        this.dayKey = null;
+        this.weekKey = null;
+        this.dayStartCapital = initialCapital;
+        this.weekStartCapital = initialCapital;
+        this.equityPeak = initialCapital;
+        this.lossStreak = 0;
+
+        // Active halt, null while trading is allowed
+        this.halt = null;
+        this.cooldownRemaining = 0;
+
+        // Every halt and every signal skipped because of one
+        this.haltHistory = [];
+        this.blockedSignals = [];
+    }
+
+    /**
+     * Check whether any guard is configured
+     * @returns {boolean} - True when at least one limit is set
+     */
+    isEnabled() {
+        return this.maxDailyLossPercent !== null || this.maxWeeklyLossPercent !== null ||
+            this.maxDrawdownPercent !== null || this.maxConsecutiveLosses !== null || this.cooldownBars > 0;
+    }
+
+    /**
+     * Check whether new entries are blocked
+     * @returns {boolean} - True while a guard is tripped
+     */
+    isHalted() {
+        return this.halt !== null;
+    }
+
+    /**
+     * Advance to a closed candle: roll the daily and weekly sessions, lift expired halts,
+     * count down the cooldown and check the drawdown
+     * @param {number} time - Candle time in milliseconds
+     * @param {number} capital - Account capital
+     * @param {number} equity - Capital plus the open P&L at the candle close
+     */
+    update(time, capital, equity = capital) {
+        const dayKey = getDayKey(time);
+        const weekKey = getWeekKey(time);
+
+        if (dayKey !== null) {
+            this.lastTime = time;
+
+            if (dayKey !== this.dayKey) {
+                if (this.dayKey !== null) this.resume(["daily_loss", "loss_streak"], "new day");
+                this.dayKey = dayKey;
+                this.dayStartCapital = capital;
+            }
+
+            if (weekKey !== this.weekKey) {
+                if (this.weekKey !== null) this.resume(["weekly_loss"], "new week");
+                this.weekKey = weekKey;
+                this.weekStartCapital = capital;
+            }
+        }
+
+        // The cooldown counts the candles closed since the losing trade or the loss streak
+        if (this.halt && (this.halt.reason === "cooldown" || this.halt.reason === "loss_streak") && this.cooldownBars > 0) {
+            if (this.cooldownRemaining <= 0) {
+                this.resume(["cooldown", "loss_streak"], "cooldown over");
+            } else {
+                this.cooldownRemaining--;
+            }
+        }
+
+        this.checkLimits(capital, equity);
+    }
+
+    /**
+     * Account for a closed trade
+     * @param {Object} result - Close result from closePosition
+     * @param {number} capital - Account capital after the trade
+     */
+    onTradeClosed(result, capital) {
+        this.lossStreak = result.isWin ? 0 : this.lossStreak + 1;
+
+        if (!result.isWin && this.cooldownBars > 0) {
+            // Another loss during the cooldown starts it over
+            if (this.halt && this.halt.reason === "cooldown") {
+                this.cooldownRemaining = this.cooldownBars;
+            } else {
+                this.trip("cooldown", `losing trade, sitting out ${this.cooldownBars} candle(s)`, capital);
+            }
+        }
+
+        if (this.maxConsecutiveLosses !== null && this.lossStreak >= this.maxConsecutiveLosses) {
+            this.trip("loss_streak", `${this.lossStreak} losing trades in a row`, capital);
+        }
+
+        this.checkLimits(capital, capital);
+    }
+
+    /**
+     * Trip the loss and drawdown guards whose limit is reached
+     * @param {number} capital - Account capital
+     * @param {number} equity - Capital plus the open P&L
+     */
+    checkLimits(capital, equity) {
+        this.equityPeak = Math.max(this.equityPeak, equity);
+
+        if (this.maxDrawdownPercent !== null && this.equityPeak > 0) {
+            const drawdownPercent = ((this.equityPeak - equity) / this.equityPeak) * 100;
+            if (drawdownPercent >= this.maxDrawdownPercent) {
+                this.trip("max_drawdown", `drawdown of ${drawdownPercent.toFixed(2)}% from the peak of ${this.equityPeak.toFixed(2)}`, capital);
+            }
+        }
+
+        if (this.maxWeeklyLossPercent !== null && this.weekStartCapital > 0) {
+            const lossPercent = ((this.weekStartCapital - capital) / this.weekStartCapital) * 100;
+            if (lossPercent >= this.maxWeeklyLossPercent) {
+                this.trip("weekly_loss", `weekly loss of ${lossPercent.toFixed(2)}%`, capital);
+            }
+        }
+
+        if (this.maxDailyLossPercent !== null && this.dayStartCapital > 0) {
+            const lossPercent = ((this.dayStartCapital - capital) / this.dayStartCapital) * 100;
+            if (lossPercent >= this.maxDailyLossPercent) {
+                this.trip("daily_loss", `daily loss of ${lossPercent.toFixed(2)}%`, capital);
+            }
+        }
+    }
+
+    /**
+     * Block new entries (a more severe halt replaces a less severe one)
+     * @param {string} reason - Halt reason
+     * @param {string} message - Description of the breach
+     * @param {number} capital - Account capital when the guard tripped
+     * @returns {Object|null} - The new halt, null if an equal or more severe halt is already active
+     */
+    trip(reason, message, capital) {
+        if (this.halt && HALT_REASONS.indexOf(this.halt.reason) >= HALT_REASONS.indexOf(reason)) {
+            return null;
+        }
+
+        this.halt = {
+            reason,
+            message,
+            time: this.lastTime,
+            capital: parseFloat(capital.toFixed(2)),
+            timestamp: new Date(this.clock()).toISOString()
+        };
+        this.haltHistory.push(this.halt);
+
+        if (reason === "cooldown" || reason === "loss_streak") {
+            this.cooldownRemaining = this.cooldownBars;
+        }
+
+        console.warn(`Risk halt (${reason}): ${message}. New entries are blocked`);
+
+        if (typeof this.onRiskHalt === 'function') {
+            this.onRiskHalt({ ...this.halt });
+        }
+
+        return this.halt;
+    }
+
+    /**
+     * Lift the active halt if it is one of the given reasons
+     * Lifting a loss streak halt starts the streak over
+     * @param {Array<string>} reasons - Halt reasons to lift
+     * @param {string} why - Description logged with the resume
+     */
+    resume(reasons, why) {
+        if (this.halt && reasons.includes(this.halt.reason)) {
+            console.log(`Risk halt (${this.halt.reason}) lifted: ${why}`);
+            if (this.halt.reason === "loss_streak") this.lossStreak = 0;
+            this.halt = null;
+            this.cooldownRemaining = 0;
+        }
+    }
+
+    /**
+     * Lift any halt and start over from the current account
+     * The drawdown peak and the daily and weekly start capital are reset to the current values
+     * @param {number} capital - Account capital
+     * @param {number} [equity] - Capital plus the open P&L
+     */
+    reset(capital, equity = capital) {
+        if (this.halt) {
+            console.log(`Risk halt (${this.halt.reason}) lifted: manual reset`);
+        }
+
+        this.halt = null;
+        this.cooldownRemaining = 0;
+        this.lossStreak = 0;
+        this.equityPeak = equity;
+        this.dayStartCapital = capital;
+        this.weekStartCapital = capital;
+    }
+
+    /**
+     * Record a signal skipped because of the active halt
+     * @param {Object} signal - Strategy signal { position, location }
+     * @param {Object|null} [candle] - Open and close time of the signal's candle
+     * @returns {Object} - Blocked signal record
+     */
+    recordBlockedSignal(signal, candle = null) {
+        const record = {
+            position: signal.position,
+            location: signal.location,
+            reason: this.halt ? this.halt.reason : null,
+            time: this.lastTime,
+            candle,
+            timestamp: new Date(this.clock()).toISOString()
+        };
+
+        this.blockedSignals.push(record);
+        console.warn(`Blocked ${record.position} signal @ ${record.location}: risk halt (${record.reason})`);
+
+        return record;
+    }
+
+    /**
+     * Get a snapshot of the session, halt and blocked signal state
+     * @returns {Object} - Plain object safe to serialize
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(Object.fromEntries(STATE_FIELDS.map(field => [field, this[field]]))));
+    }
+
+    /**
+     * Restore the state saved by toJSON()
+     * @param {Object} state - Snapshot
+     */
+    restoreState(state = {}) {
+        for (const field of STATE_FIELDS) {
+            if (state[field] !== undefined) {
+                this[field] = JSON.parse(JSON.stringify(state[field]));
+            }
+        }
+    }
+
+    /**
+     * Get the state of the circuit breakers
+     * @returns {Object} - Limits, active halt, loss streak and blocked signal count
+     */
+    getStatus() {
+        return {
+            halted: this.isHalted(),
+            halt: this.halt ? { ...this.halt } : null,
+            cooldownRemaining: this.cooldownRemaining,
+            lossStreak: this.lossStreak,
+            haltCount: this.haltHistory.length,
+            blockedSignals: this.blockedSignals.length,
+            limits: {
+                maxDailyLossPercent: this.maxDailyLossPercent ?? "OFF",
+                maxWeeklyLossPercent: this.maxWeeklyLossPercent ?? "OFF",
+                maxDrawdownPercent: this.maxDrawdownPercent ?? "OFF",
+                maxConsecutiveLosses: this.maxConsecutiveLosses ?? "OFF",
+                cooldownBars: this.cooldownBars
+            }
+        };
+    }
+}
+
+export { HALT_REASONS };
+
+export default RiskGuards;
@@ -1,7 +1,143 @@
 /**
  * Risk-Reward Manager for J-Trend Sniper
- * No Stop Loss, only exits on target hit or new opposing signal
+ * Exits on target hit or new opposing signal, with an optional hard stop loss
  */
+
+import {
+    resolveFeeSchedule,
+    normalizeSlippage,
+    calculateSlippageCost,
+    countFundingIntervals
+} from './trading-costs.js';
+import { floorToStep } from '../utility/precision.js';
+import RiskGuards from './risk-guards.js';
+import { normalizePositionSizing, calculateModelQuantity } from './position-sizing.js';
+import { STATE_SCHEMA_VERSION, migrateState } from '../persistence/state-store.js';
+
+/**
+ * Supported stop loss modes
+ * - none: no stop loss, exit only on target hit or opposing signal
+ * - refStop: stop at the reference stop
+ * - multiple: stop at stopMultiple times the reference stop distance
+ * - atr: stop at stopAtrMultiple times the ATR of the signal bar
+ * @type {Array<string>}
+ */
+const STOP_MODES = ["none", "refStop", "multiple", "atr"];
+
+/**
+ * Close reasons that are kept as the trade's status in the history
+ * @type {Array<string>}
+ */
+const EXIT_STATUSES = ["tp_hit", "stop_hit", "trailing_stop", "break_even", "time_exit", "liquidated"];
+
+/**
+ * Supported margin modes
+ * - isolated: only the position's margin (notional / leverage) backs the position
+ * - cross: the whole account balance backs the position
+ * @type {Array<string>}
+ */
+const MARGIN_MODES = ["isolated", "cross"];
+
+/**
+ * Supported policies for a signal in the direction of the open position
+ * - ignore: keep the open position untouched
+ * - replace: close the open position and open a new one at the signal
+ * - pyramid: add a lot to the open position, up to maxPyramidAdds times
+ * @type {Array<string>}
+ */
+const SAME_DIRECTION_POLICIES = ["ignore", "replace", "pyramid"];
+
+/**
+ * Fields saved in state snapshots: capital, counters, the active position and the trade history.
+ * Settings and callbacks come from the constructor options; the equity curve is not saved
+ * @type {Array<string>}
+ */
+const STATE_FIELDS = [
+    "initialCapital", "currentCapital", "totalProfitLoss", "totalProfit", "totalLoss", "totalRiskedAmount",
+    "grossProfitLoss", "totalFees", "totalSlippage", "totalFunding", "fundingRate",
+    "longWins", "longLosses", "shortWins", "shortLosses", "longTargetHits", "shortTargetHits",
+    "longStopHits", "shortStopHits", "totalStopLoss", "longTrailHits", "shortTrailHits",
+    "longLiquidations", "shortLiquidations", "totalLiquidationLoss", "longPartialHits", "shortPartialHits",
+    "longBreakEvenExits", "shortBreakEvenExits", "longTimeExits", "shortTimeExits",
+    "longPyramidAdds", "shortPyramidAdds", "ignoredSignals",
+    "inLongTrade", "inShortTrade", "longEntryPrice", "shortEntryPrice", "longStopReference", "shortStopReference",
+    "longTargetLevel", "shortTargetLevel", "longStopLevel", "shortStopLevel", "longStopTrailed", "shortStopTrailed",
+    "longBreakEven", "shortBreakEven", "barsInTrade", "longLiquidationPrice", "shortLiquidationPrice",
+    "currentRiskAmount", "remainingSize", "nextTakeProfitIndex", "realizedPnL",
+    "positionQuantity", "openQuantity", "positionMargin", "positionCosts", "lastFundingTime",
+    "positionLots", "pyramidAdds", "tradeHistory"
+];
+
+/**
+ * Get the latest value of an indicator series
+ * @param {Array|number} series - Full series from trend_sniper or a single streamed value
+ * @returns {number} - Latest value
+ */
+const lastValue = (series) => Array.isArray(series) ? series[series.length - 1] : series;
+
+/**
+ * Get the reference stop of a signal result
+ * @param {Object} res - Strategy result ({ signal, refStop }) or a raw trend_sniper result
+ * @param {boolean} useScalpMode - Use the fast jATR SMA for raw trend_sniper results
+ * @returns {number} - Reference stop level
+ */
+const getReferenceStop = (res, useScalpMode) => {
+    if (res.refStop !== undefined) return res.refStop;
+    return useScalpMode ? lastValue(res.fast_jATR_sma) : lastValue(res.jATR_sma);
+};
+
+/**
+ * Validate and sort a take profit ladder
+ * @param {Array<Object>} [levels] - Ladder levels as { rMultiple, size }, size being a fraction of the position
+ * @returns {Array<Object>} - Levels sorted by rMultiple, empty when no ladder is used
+ * @throws {Error} - If a level is invalid or the sizes add up to more than the whole position
+ */
+const normalizeTakeProfitLevels = (levels) => {
+    if (levels === undefined || levels === null) return [];
+
+    if (!Array.isArray(levels)) {
+        throw new Error("takeProfitLevels must be an array of { rMultiple, size }");
+    }
+
+    const sorted = levels.map(level => ({ rMultiple: level?.rMultiple, size: level?.size }))
+        .sort((a, b) => a.rMultiple - b.rMultiple);
+
+    let totalSize = 0;
+
+    for (const level of sorted) {
+        if (!Number.isFinite(level.rMultiple) || level.rMultiple <= 0) {
+            throw new Error(`Invalid take profit rMultiple: ${level.rMultiple}`);
+        }
+        if (!Number.isFinite(level.size) || level.size <= 0 || level.size > 1) {
+            throw new Error(`Invalid take profit size: ${level.size} (expected a fraction between 0 and 1)`);
+        }
+        totalSize += level.size;
+    }
+
+    if (totalSize > 1 + 1e-9) {
+        throw new Error(`Take profit sizes add up to ${totalSize}, expected at most 1`);
+    }
+
+    return sorted;
+};
+
+/**
+ * Validate the size of pyramid adds
+ * @param {number|Array<number>} [sizing=1] - Fraction of a full risk-sized entry per add, or one fraction
+ *   per add (the last one repeats)
+ * @returns {Array<number>} - Fractions per add
+ * @throws {Error} - If a fraction is not positive
+ */
+const normalizePyramidSizing = (sizing = 1) => {
+    const sizes = Array.isArray(sizing) ? sizing : [sizing];
+
+    if (sizes.length === 0 || sizes.some(size => !Number.isFinite(size) || size <= 0)) {
+        throw new Error(`Invalid pyramidSizing: ${JSON.stringify(sizing)} (expected a positive fraction or an array of them)`);
+    }
+
+    return sizes;
+};
+
 class RiskRewardManager {
     constructor(options = {}) {
         // Default settings
@@ -10,11 +146,98 @@ class RiskRewardManager {
         this.rewardMultiple = options.rewardMultiple || 1.5;
         this.useLeverage = options.useLeverage || false;
         this.leverageAmount = options.leverageAmount || 1.0;
+        this.marginMode = options.marginMode || "isolated";
+        this.maintenanceMarginRate = options.maintenanceMarginRate ?? 0.005; // fraction of notional
         this.useScalpMode = options.useScalpMode || false;
+        this.pricePrecision = options.pricePrecision ?? 2; // decimals for price levels (from tick size)
+        
+        if (!MARGIN_MODES.includes(this.marginMode)) {
+            throw new Error(`Invalid marginMode "${this.marginMode}". Valid modes: ${MARGIN_MODES.join(', ')}`);
+        }
+        
+        if (!Number.isFinite(this.maintenanceMarginRate) || this.maintenanceMarginRate < 0 || this.maintenanceMarginRate >= 1) {
+            throw new Error(`Invalid maintenanceMarginRate: ${this.maintenanceMarginRate}`);
+        }
+        
+        // Position sizing model: fixedFractional (riskPerTrade, the default), fixedNotional,
+        // volatility or kelly, with optional maxLeverage and maxExposurePercent caps
+        this.positionSizing = normalizePositionSizing(options.positionSizing, this.riskPerTrade);
+        
+        // Symbol trading rules for position sizing (from the exchange's lot size filter)
+        this.lotSize = options.lotSize || null; // quantity step, null for fractional quantities
+        this.minQty = options.minQty || 0;
+        this.minNotional = options.minNotional || 0;
+        
+        // Stop loss settings
+        this.stopMode = options.stopMode || "none";
+        this.stopMultiple = options.stopMultiple || 1.0; // x reference stop distance ("multiple" mode)
+        this.stopAtrMultiple = options.stopAtrMultiple || 2.0; // x ATR ("atr" mode)
+        
+        if (!STOP_MODES.includes(this.stopMode)) {
+            throw new Error(`Invalid stopMode "${this.stopMode}". Valid modes: ${STOP_MODES.join(', ')}`);
+        }
+        
+        // Trailing stop: strategy indicator the stop follows on each closed candle
+        // (e.g. "jATR" or "fast_jATR"), null to disable
+        this.trailingStopSource = options.trailingStopSource || null;
+        
+        // Exit rules: move the stop to break-even (entry plus costs) once price reaches breakEvenAtR
+        // times the reference stop distance, and close after maxBarsInTrade closed candles
+        // unless a take profit has filled. null disables either rule
+        this.breakEvenAtR = options.breakEvenAtR || null;
+        this.maxBarsInTrade = options.maxBarsInTrade || null;
+        
+        if (this.breakEvenAtR !== null && (!Number.isFinite(this.breakEvenAtR) || this.breakEvenAtR <= 0)) {
+            throw new Error(`Invalid breakEvenAtR: ${this.breakEvenAtR}`);
+        }
+        
+        if (this.maxBarsInTrade !== null && (!Number.isInteger(this.maxBarsInTrade) || this.maxBarsInTrade <= 0)) {
+            throw new Error(`Invalid maxBarsInTrade: ${this.maxBarsInTrade} (expected a whole number of candles)`);
+        }
+        
+        // Take profit ladder, e.g. [{ rMultiple: 1, size: 0.3 }, { rMultiple: 2, size: 0.3 }].
+        // Sizes are fractions of the original position; whatever is left after the last
+        // level stays open until the stop, trailing stop or an opposing signal.
+        // Empty: a single target at rewardMultiple closes the whole position
+        this.takeProfitLevels = normalizeTakeProfitLevels(options.takeProfitLevels);
+        
+        // Signals in the direction of the open position: ignore, replace or pyramid.
+        // Pyramid adds are sized at a fraction of a full entry and keep the position's stop;
+        // the entry becomes the average of the open lots and pending targets follow it
+        this.sameDirectionPolicy = options.sameDirectionPolicy || "ignore";
+        this.maxPyramidAdds = options.maxPyramidAdds ?? 2;
+        this.pyramidSizing = normalizePyramidSizing(options.pyramidSizing);
+        
+        if (!SAME_DIRECTION_POLICIES.includes(this.sameDirectionPolicy)) {
+            throw new Error(`Invalid sameDirectionPolicy "${this.sameDirectionPolicy}". Valid policies: ${SAME_DIRECTION_POLICIES.join(', ')}`);
+        }
+        
+        if (!Number.isInteger(this.maxPyramidAdds) || this.maxPyramidAdds < 0) {
+            throw new Error(`Invalid maxPyramidAdds: ${this.maxPyramidAdds}`);
+        }
+        
+        // Trading costs. Entries, signal and stop exits are market (taker) orders that slip;
+        // take profit fills are limit (maker) orders that don't
+        this.market = options.market || "futures";
+        this.feeSchedule = resolveFeeSchedule(options.feeSchedule, this.market); // { maker, taker }, exchange name or false
+        this.slippage = normalizeSlippage(options.slippage); // { model: "fixed", bps } or { model: "spread", spread }
+        this.fundingRate = options.fundingRate || 0; // per settlement, positive: longs pay shorts (futures only)
+        this.fundingIntervalHours = options.fundingIntervalHours || 8;
+        
+        // Account-level circuit breakers (maxDailyLossPercent, maxWeeklyLossPercent,
+        // maxDrawdownPercent, maxConsecutiveLosses, cooldownBars, onRiskHalt)
+        this.riskGuards = new RiskGuards(options, this.initialCapital);
         
         // Event callbacks
         this.onPositionOpen = options.onPositionOpen || null;
         this.onPositionClosed = options.onPositionClosed || null;
+        this.onPositionAdd = options.onPositionAdd || null;
+        
+        // Clock for record timestamps (returns milliseconds), injectable for deterministic replays
+        this.clock = options.clock || Date.now;
+        
+        // Candle being processed; its open and close times are stamped on every record
+        this.currentCandle = null; // { openTime, closeTime }
         
         // Internal state
         this.currentCapital = this.initialCapital;
@@ -22,6 +245,10 @@ class RiskRewardManager {
         this.totalProfit = 0.0;
         this.totalLoss = 0.0;
         this.totalRiskedAmount = 0.0;
+        this.grossProfitLoss = 0.0;
+        this.totalFees = 0.0;
+        this.totalSlippage = 0.0;
+        this.totalFunding = 0.0;
         
         // Trade tracking
         this.longWins = 0;
@@ -30,6 +257,23 @@ class RiskRewardManager {
         this.shortLosses = 0;
         this.longTargetHits = 0;
         this.shortTargetHits = 0;
+        this.longStopHits = 0;
+        this.shortStopHits = 0;
+        this.totalStopLoss = 0.0;
+        this.longTrailHits = 0;
+        this.shortTrailHits = 0;
+        this.longLiquidations = 0;
+        this.shortLiquidations = 0;
+        this.totalLiquidationLoss = 0.0;
+        this.longPartialHits = 0;
+        this.shortPartialHits = 0;
+        this.longBreakEvenExits = 0;
+        this.shortBreakEvenExits = 0;
+        this.longTimeExits = 0;
+        this.shortTimeExits = 0;
+        this.longPyramidAdds = 0;
+        this.shortPyramidAdds = 0;
+        this.ignoredSignals = 0;
         
         // Active trade info
         this.inLongTrade = false;
@@ -40,10 +284,66 @@ class RiskRewardManager {
         this.shortStopReference = null;
         this.longTargetLevel = null;
         this.shortTargetLevel = null;
+        this.longStopLevel = null;
+        this.shortStopLevel = null;
+        this.longStopTrailed = false;
+        this.shortStopTrailed = false;
+        this.longBreakEven = false; // stop moved to break-even
+        this.shortBreakEven = false;
+        this.barsInTrade = 0; // closed candles since the entry
+        this.longLiquidationPrice = null;
+        this.shortLiquidationPrice = null;
         this.currentRiskAmount = 0.0;
         
+        // Take profit ladder progress of the active position
+        this.remainingSize = 1.0; // fraction of the position still open
+        this.nextTakeProfitIndex = 0;
+        this.realizedPnL = 0.0; // P&L already booked by partial fills
+        
+        // Size and trading costs of the active position
+        this.positionQuantity = 0.0; // base units opened
+        this.openQuantity = 0.0; // base units still open after partial fills
+        this.positionMargin = 0.0; // margin used (notional / leverage)
+        this.positionCosts = { fees: 0.0, slippage: 0.0, funding: 0.0 };
+        this.lastFundingTime = null; // time of the last candle funding was accrued to
+        
+        // Entries of the active position, the entry price is their quantity-weighted average
+        this.positionLots = []; // { entry, quantity, riskAmount, sizing, timestamp }
+        this.pyramidAdds = 0;
+        
         // Trade history
         this.tradeHistory = [];
+        
+        // Equity curve, one point per closed candle (oldest points dropped past maxEquityPoints)
+        this.equityCurve = [];
+        this.maxEquityPoints = options.maxEquityPoints || 50000;
+    }
+    
+    /**
+     * Get the current time of the clock
+     * @returns {string} - ISO timestamp
+     */
+    getTimestamp() {
+        return new Date(this.clock()).toISOString();
+    }
+    
+    /**
+     * Set the candle being processed (called by Jalgo for every tick and closed candle)
+     * @param {number} openTime - Candle open time in milliseconds
+     * @param {number|null} [closeTime] - Candle close time in milliseconds
+     */
+    setCandle(openTime, closeTime = null) {
+        this.currentCandle = Number.isFinite(openTime)
+            ? { openTime, closeTime: Number.isFinite(closeTime) ? closeTime : null }
+            : null;
+    }
+    
+    /**
+     * Get the open and close time of the candle being processed
+     * @returns {Object|null} - { openTime, closeTime }, null outside of candle processing
+     */
+    getCandleStamp() {
+        return this.currentCandle ? { ...this.currentCandle } : null;
     }
     
     /**
@@ -54,32 +354,102 @@ class RiskRewardManager {
         return this.useLeverage ? this.leverageAmount : 1.0;
     }
     
+    /**
+     * Get the collateral backing each unit of the position
+     * Isolated: the position margin (entry / leverage); cross: the whole account balance
+     * @param {number} entryPrice - Entry price of the position
+     * @param {number} quantity - Position quantity in base units
+     * @returns {number|null} - Collateral per unit, null when it cannot be determined
+     */
+    getCollateralPerUnit(entryPrice, quantity) {
+        if (this.marginMode === "cross") {
+            return quantity > 0 ? this.currentCapital / quantity : null;
+        }
+        return entryPrice / this.getEffectiveLeverage();
+    }
+    
     /**
      * Calculate liquidation price for a long position
+     * Price where collateral plus unrealized loss falls to the maintenance margin
      * @param {number} entryPrice - Entry price of the position
+     * @param {number} [quantity] - Position quantity (needed for cross margin)
      * @returns {number|null} - Liquidation price or null if no leverage
      */
-    calculateLongLiquidationPrice(entryPrice) {
+    calculateLongLiquidationPrice(entryPrice, quantity = this.openQuantity) {
         if (!this.useLeverage || this.leverageAmount <= 1.0) return null;
-        return entryPrice * (1 - (1 / this.leverageAmount));
+        
+        const collateral = this.getCollateralPerUnit(entryPrice, quantity);
+        if (collateral === null) return null;
+        
+        const price = (entryPrice - collateral) / (1 - this.maintenanceMarginRate);
+        return price > 0 ? parseFloat(price.toFixed(this.pricePrecision)) : null;
     }
     
     /**
      * Calculate liquidation price for a short position
+     * Price where collateral plus unrealized loss falls to the maintenance margin
      * @param {number} entryPrice - Entry price of the position
+     * @param {number} [quantity] - Position quantity (needed for cross margin)
      * @returns {number|null} - Liquidation price or null if no leverage
      */
-    calculateShortLiquidationPrice(entryPrice) {
+    calculateShortLiquidationPrice(entryPrice, quantity = this.openQuantity) {
         if (!this.useLeverage || this.leverageAmount <= 1.0) return null;
-        return entryPrice * (1 + (1 / this.leverageAmount));
+        
+        const collateral = this.getCollateralPerUnit(entryPrice, quantity);
+        if (collateral === null) return null;
+        
+        const price = (entryPrice + collateral) / (1 + this.maintenanceMarginRate);
+        return parseFloat(price.toFixed(this.pricePrecision));
     }
     
     /**
-     * Calculate risk amount for the current trade
+     * Recalculate the liquidation price of the active position
+     * Cross margin levels move whenever the account balance changes (partial fills, funding)
+     * @returns {number|null} - Liquidation price of the active position
+     */
+    updateLiquidationPrice() {
+        if (this.inLongTrade) {
+            this.longLiquidationPrice = this.calculateLongLiquidationPrice(this.longEntryPrice);
+            return this.longLiquidationPrice;
+        }
+        if (this.inShortTrade) {
+            this.shortLiquidationPrice = this.calculateShortLiquidationPrice(this.shortEntryPrice);
+            return this.shortLiquidationPrice;
+        }
+        return null;
+    }
+    
+    /**
+     * Get the distance from a price to the active position's liquidation price
+     * @param {number} currentPrice - Current market price
+     * @returns {number|null} - Distance in percent of the current price, null without a liquidation price
+     */
+    getLiquidationDistance(currentPrice) {
+        const liquidationPrice = this.inLongTrade ? this.longLiquidationPrice :
+            this.inShortTrade ? this.shortLiquidationPrice : null;
+        
+        if (liquidationPrice === null || !Number.isFinite(currentPrice) || currentPrice <= 0) return null;
+        return parseFloat((Math.abs(currentPrice - liquidationPrice) / currentPrice * 100).toFixed(2));
+    }
+    
+    /**
+     * Get the risk budget of the next trade
      * @returns {number} - Dollar amount to risk based on current capital
      */
-    calculateRiskAmount() {
-        this.currentRiskAmount = parseFloat((this.currentCapital * (this.riskPerTrade / 100)).toFixed(2));
+    getRiskBudget() {
+        return parseFloat((this.currentCapital * (this.riskPerTrade / 100)).toFixed(2));
+    }
+    
+    /**
+     * Calculate risk amount for the current trade
+     * The amount actually lost if the stop is hit, after lot size rounding and the leverage cap
+     * @param {number} quantity - Position quantity in base units
+     * @param {number} entryPrice - Entry price of the position
+     * @param {number} stopPrice - Stop used for sizing (hard stop or reference stop)
+     * @returns {number} - Dollar amount at risk
+     */
+    calculateRiskAmount(quantity, entryPrice, stopPrice) {
+        this.currentRiskAmount = parseFloat((quantity * Math.abs(entryPrice - stopPrice)).toFixed(2));
         this.totalRiskedAmount += this.currentRiskAmount;
         return this.currentRiskAmount;
     }
@@ -101,22 +471,337 @@ class RiskRewardManager {
         // Calculate take profit based on position direction
         if (entryPrice > refStop) {
             // Long position: reference stop is below entry
-            return parseFloat((entryPrice + reward).toFixed(2));
+            return parseFloat((entryPrice + reward).toFixed(this.pricePrecision));
         } else {
             // Short position: reference stop is above entry
-            return parseFloat((entryPrice - reward).toFixed(2));
+            return parseFloat((entryPrice - reward).toFixed(this.pricePrecision));
+        }
+    }
+    
+    /**
+     * Calculate the price of every take profit ladder level
+     * @param {number} entryPrice - Entry price of the position
+     * @param {number} refStop - Reference stop level
+     * @returns {Array<number>} - Take profit prices, empty when no ladder is used
+     */
+    calculateTakeProfit_ladder(entryPrice, refStop) {
+        return this.takeProfitLevels.map(level => this.calculateTakeProfit_level(entryPrice, refStop, level.rMultiple));
+    }
+    
+    /**
+     * Calculate the P&L of the active position (or a part of it) at a given price
+     * @param {string} positionType - "long" or "short"
+     * @param {number} exitPrice - Price to value the position at
+     * @param {number} [quantity] - Quantity being valued (defaults to the open quantity)
+     * @returns {number} - Profit or loss (quantity x price change)
+     */
+    calculatePositionPnL(positionType, exitPrice, quantity = this.openQuantity) {
+        const entry = positionType === "long" ? this.longEntryPrice : this.shortEntryPrice;
+        const priceDifference = positionType === "long" ? exitPrice - entry : entry - exitPrice;
+        
+        return quantity * priceDifference;
+    }
+    
+    /**
+     * Calculate the position quantity for a risk budget
+     * Losing the budget over the stop distance means holding budget / distance units. Leverage
+     * only caps the notional at capital x leverage; the result is rounded down to the lot size
+     * @param {number} entryPrice - Entry price of the position
+     * @param {number} stopPrice - Stop used for sizing (hard stop or reference stop)
+     * @param {number} riskAmount - Dollar amount to risk
+     * @param {number} [openNotional=0] - Notional already held (pyramid adds share the leverage cap)
+     * @returns {number} - Quantity in base units, 0 when below the symbol's minimums
+     */
+    calculatePositionQuantity(entryPrice, stopPrice, riskAmount, openNotional = 0) {
+        const distance = Math.abs(entryPrice - stopPrice);
+        if (!(distance > 0) || !(entryPrice > 0)) return 0;
+        
+        return this.applyQuantityLimits(riskAmount / distance, entryPrice, openNotional).quantity;
+    }
+    
+    /**
+     * Cap a quantity at the leverage and exposure limits and round it down to the lot size
+     * @param {number} quantity - Requested quantity in base units
+     * @param {number} entryPrice - Entry price of the position
+     * @param {number} [openNotional=0] - Notional already held (pyramid adds share the caps)
+     * @returns {Object} - { quantity, cappedBy } with cappedBy "leverage", "exposure" or null;
+     *   quantity is 0 when below the symbol's minimums
+     */
+    applyQuantityLimits(quantity, entryPrice, openNotional = 0) {
+        if (!(quantity > 0) || !(entryPrice > 0)) return { quantity: 0, cappedBy: null };
+        
+        // Notional is capped at capital x leverage (the lower of the account's and the model's)
+        let maxNotional = this.currentCapital * Math.min(this.getEffectiveLeverage(), this.positionSizing.maxLeverage ?? Infinity);
+        let limit = "leverage";
+        
+        if (this.positionSizing.maxExposurePercent !== null) {
+            const maxExposure = this.currentCapital * (this.positionSizing.maxExposurePercent / 100);
+            if (maxExposure < maxNotional) {
+                maxNotional = maxExposure;
+                limit = "exposure";
+            }
+        }
+        
+        const maxQuantity = Math.max(maxNotional - openNotional, 0) / entryPrice;
+        const cappedBy = quantity > maxQuantity ? limit : null;
+        const rounded = floorToStep(Math.min(quantity, maxQuantity), this.lotSize);
+        
+        if (rounded <= 0 || rounded < this.minQty || rounded * entryPrice < this.minNotional) {
+            return { quantity: 0, cappedBy };
+        }
+        return { quantity: rounded, cappedBy };
+    }
+    
+    /**
+     * Size a position with the configured sizing model
+     * @param {number} entryPrice - Entry price of the position
+     * @param {number} stopPrice - Stop used for sizing (hard stop or reference stop)
+     * @param {number|null} [atr] - Average true range of the signal bar (volatility model)
+     * @param {Object} [options] - Pyramid add settings
+     * @param {number} [options.scale=1] - Fraction of a full position
+     * @param {number} [options.openNotional=0] - Notional already held
+     * @returns {Object} - { quantity, sizing } with the model and the inputs it used,
+     *   or { quantity: 0, reason } when no position can be opened
+     */
+    sizePosition(entryPrice, stopPrice, atr = null, { scale = 1, openNotional = 0 } = {}) {
+        const model = calculateModelQuantity(this.positionSizing, {
+            entryPrice,
+            stopPrice,
+            atr,
+            capital: this.currentCapital,
+            trades: this.tradeHistory.filter(trade => trade.status !== "open")
+        });
+        
+        if (!(model.quantity > 0)) {
+            return { quantity: 0, reason: model.reason || "no position size" };
+        }
+        
+        const requestedQuantity = model.quantity * scale;
+        const { quantity, cappedBy } = this.applyQuantityLimits(requestedQuantity, entryPrice, openNotional);
+        
+        if (quantity <= 0) {
+            return { quantity: 0, reason: cappedBy ? `the ${cappedBy} cap is used up` : "position size is below the symbol's minimum quantity or notional" };
+        }
+        
+        return {
+            quantity,
+            sizing: {
+                model: this.positionSizing.model,
+                ...model.inputs,
+                ...(scale !== 1 ? { scale } : {}),
+                requestedQuantity,
+                cappedBy
+            }
+        };
+    }
+    
+    /**
+     * Calculate the fee and slippage of a fill
+     * @param {number} quantity - Filled quantity in base units
+     * @param {number} price - Fill price
+     * @param {string} liquidity - "maker" (limit order) or "taker" (market order)
+     * @returns {Object} - Costs as { fees, slippage }
+     */
+    calculateFillCosts(quantity, price, liquidity) {
+        return {
+            fees: quantity * price * this.feeSchedule[liquidity],
+            slippage: liquidity === "taker" ? calculateSlippageCost(this.slippage, quantity, price) : 0
+        };
+    }
+    
+    /**
+     * Calculate the costs of closing the open quantity
+     * Take profits are limit orders, liquidations forfeit the maintenance margin,
+     * everything else is a market order
+     * @param {number} exitPrice - Exit price
+     * @param {string} closeReason - Reason for closing the position
+     * @returns {Object} - Costs as { fees, slippage }
+     */
+    calculateExitCosts(exitPrice, closeReason) {
+        if (closeReason === "liquidated") {
+            return { fees: this.openQuantity * exitPrice * this.maintenanceMarginRate, slippage: 0 };
+        }
+        return this.calculateFillCosts(this.openQuantity, exitPrice, closeReason === "tp_hit" ? "maker" : "taker");
+    }
+    
+    /**
+     * Charge trading costs to the active position and the account
+     * @param {Object} costs - Any of { fees, slippage, funding } (funding may be negative when received)
+     */
+    chargeCosts(costs) {
+        for (const key of ['fees', 'slippage', 'funding']) {
+            const amount = costs[key] || 0;
+            this.positionCosts[key] += amount;
+            this.currentCapital -= amount;
+            this.totalProfitLoss -= amount;
+        }
+        
+        this.totalFees += costs.fees || 0;
+        this.totalSlippage += costs.slippage || 0;
+        this.totalFunding += costs.funding || 0;
+    }
+    
+    /**
+     * Accrue perpetual funding on the active position up to a candle time
+     * Called by Jalgo on every closed candle; futures only
+     * @param {number} time - Candle time in milliseconds
+     * @param {number} price - Mark price used for the position value (candle close)
+     * @returns {number} - Funding charged (negative when received)
+     */
+    accrueFunding(time, price) {
+        const previousTime = this.lastFundingTime;
+        this.lastFundingTime = time;
+        
+        if (this.market !== "futures" || !this.fundingRate || previousTime === null) return 0;
+        if (!this.inLongTrade && !this.inShortTrade) return 0;
+        
+        const settlements = countFundingIntervals(previousTime, time, this.fundingIntervalHours);
+        if (settlements === 0) return 0;
+        
+        const notional = this.openQuantity * price;
+        const direction = this.inLongTrade ? 1 : -1;
+        const funding = notional * this.fundingRate * settlements * direction;
+        
+        this.chargeCosts({ funding });
+        this.updateLiquidationPrice();
+        return funding;
+    }
+    
+    /**
+     * Update the funding rate used for accrual (e.g. from the exchange's premium index)
+     * @param {number} rate - Funding rate per settlement
+     */
+    setFundingRate(rate) {
+        if (!Number.isFinite(rate)) {
+            throw new Error(`Invalid funding rate: ${rate}`);
+        }
+        this.fundingRate = rate;
+    }
+    
+    /**
+     * Summarize the P&L breakdown of the active position
+     * @param {number} grossPnl - Gross P&L of the whole trade
+     * @returns {Object} - { grossPnl, fees, slippage, funding, netPnl }
+     */
+    getCostBreakdown(grossPnl) {
+        const { fees, slippage, funding } = this.positionCosts;
+        
+        return {
+            grossPnl,
+            fees,
+            slippage,
+            funding,
+            netPnl: grossPnl - fees - slippage - funding
+        };
+    }
+    
+    /**
+     * Calculate the hard stop loss level for a new position
+     * @param {string} positionType - "long" or "short"
+     * @param {number} entryPrice - Entry price of the position
+     * @param {number} refStop - Reference stop level
+     * @param {number} [atr] - ATR at the signal bar (required for "atr" mode)
+     * @returns {number|null} - Stop loss price level or null when no stop is used
+     */
+    calculateStopLoss_level(positionType, entryPrice, refStop, atr = null) {
+        let distance;
+        
+        switch (this.stopMode) {
+            case "refStop":
+                distance = Math.abs(entryPrice - refStop);
+                break;
+            case "multiple":
+                distance = Math.abs(entryPrice - refStop) * this.stopMultiple;
+                break;
+            case "atr":
+                if (!Number.isFinite(atr)) {
+                    console.warn("ATR stop mode needs an ATR value from the strategy, opening without stop loss");
+                    return null;
+                }
+                distance = atr * this.stopAtrMultiple;
+                break;
+            default:
+                return null;
+        }
+        
+        // The stop always sits on the losing side of the entry
+        const level = positionType === "long" ? entryPrice - distance : entryPrice + distance;
+        return parseFloat(level.toFixed(this.pricePrecision));
+    }
+    
+    /**
+     * Find the open trade record of a position
+     * @param {string} positionType - "long" or "short"
+     * @returns {Object|null} - Open trade record or null
+     */
+    findOpenTrade(positionType) {
+        for (let i = this.tradeHistory.length - 1; i >= 0; i--) {
+            const trade = this.tradeHistory[i];
+            if (trade.type === positionType && trade.status === "open") return trade;
+        }
+        return null;
+    }
+    
+    /**
+     * Ratchet the stop of the active position along the trailing indicator line
+     * Longs only move the stop up while the line is below the close, shorts only
+     * move it down while the line is above the close
+     * @param {Object} res - Strategy result of the closed candle (reads res.indicators)
+     * @param {Object} candle - Closed candle ({ close, time })
+     * @returns {number|null} - New stop level, or null if the stop did not move
+     */
+    updateTrailingStop(res, candle = {}) {
+        if (!this.trailingStopSource || !res || !res.indicators) return null;
+        
+        const line = res.indicators[this.trailingStopSource];
+        if (!Number.isFinite(line) || !Number.isFinite(candle.close)) return null;
+        
+        let positionType = null;
+        
+        if (this.inLongTrade && line < candle.close && (this.longStopLevel === null || line > this.longStopLevel)) {
+            this.longStopLevel = line;
+            this.longStopTrailed = true;
+            positionType = "long";
+        } else if (this.inShortTrade && line > candle.close && (this.shortStopLevel === null || line < this.shortStopLevel)) {
+            this.shortStopLevel = line;
+            this.shortStopTrailed = true;
+            positionType = "short";
         }
+        
+        if (!positionType) return null;
+        
+        // Keep the trail history on the trade record
+        const trade = this.findOpenTrade(positionType);
+        if (trade) {
+            trade.trailHistory = trade.trailHistory || [];
+            trade.trailHistory.push({ stop: line, close: candle.close, time: candle.time ?? null });
+        }
+        
+        return line;
     }
     
     /**
      * Handle a new trading signal
-     * @param {Object} res - Result from trend_sniper with signal info
+     * @param {Object} res - Strategy result ({ signal, refStop }) or a raw trend_sniper result
      * @returns {Object|string} - Information about the handled signal or error
      */
     handleNewSignal(res = {}) {
         try {
             if (!res.signal) return "no signal";
             
+            // Use appropriate reference for calculating TP
+            const refStop = getReferenceStop(res, this.useScalpMode);
+            
+            if (!Number.isFinite(refStop)) return "no reference stop";
+            
+            const sameDirection = (res.signal.position === "long" && this.inLongTrade) ||
+                (res.signal.position === "short" && this.inShortTrade);
+            
+            if (sameDirection && this.sameDirectionPolicy === "ignore") {
+                this.ignoredSignals++;
+                return "already in position";
+            }
+            
             // If there's an opposing position, close it first with the actual current price
             if (res.signal.position === "long" && this.inShortTrade) {
                 const exitPrice = res.signal.location;
@@ -126,6 +811,30 @@ class RiskRewardManager {
                 this.closePosition("long", exitPrice, "signal");
             }
             
+            // Circuit breakers only block entries, the opposing position above is still closed
+            if (this.riskGuards.isHalted()) {
+                this.riskGuards.recordBlockedSignal(res.signal, this.getCandleStamp());
+                return "blocked by risk guard";
+            }
+            
+            if (sameDirection) {
+                if (this.sameDirectionPolicy === "pyramid") {
+                    return this.addToPosition(res, refStop);
+                }
+                this.closePosition(res.signal.position, res.signal.location, "replaced");
+            }
+            
+            // Size the position with the sizing model and the stop it would be closed at
+            const entryPrice = res.signal.location;
+            const stopLevel = this.calculateStopLoss_level(res.signal.position, entryPrice, refStop, res.atr);
+            const sizingStop = stopLevel ?? refStop;
+            const { quantity, sizing, reason } = this.sizePosition(entryPrice, sizingStop, res.atr);
+            
+            if (quantity <= 0) {
+                console.warn(`Skipping ${res.signal.position} signal: ${reason}`);
+                return "position below minimum size";
+            }
+            
             let result = null;
             
             // Process new position
@@ -134,14 +843,23 @@ class RiskRewardManager {
                 this.inLongTrade = true;
                 this.longEntryPrice = res.signal.location;
                 
-                // Use appropriate reference for calculating TP
-                const refStop = this.useScalpMode ? 
-                    res.fast_jATR_sma[res.fast_jATR_sma.length - 1] : 
-                    res.jATR_sma[res.jATR_sma.length - 1];
-                
                 this.longStopReference = refStop;
-                this.longTargetLevel = this.calculateTakeProfit_level(this.longEntryPrice, refStop);
-                this.calculateRiskAmount();
+                const takeProfitPrices = this.calculateTakeProfit_ladder(this.longEntryPrice, refStop);
+                this.longTargetLevel = takeProfitPrices.length > 0
+                    ? takeProfitPrices[0]
+                    : this.calculateTakeProfit_level(this.longEntryPrice, refStop);
+                this.longStopLevel = stopLevel;
+                this.calculateRiskAmount(quantity, this.longEntryPrice, sizingStop);
+                
+                // Pay the entry fee and slippage of the market order
+                this.positionQuantity = quantity;
+                this.openQuantity = quantity;
+                this.positionMargin = (quantity * this.longEntryPrice) / this.getEffectiveLeverage();
+                this.positionCosts = { fees: 0.0, slippage: 0.0, funding: 0.0 };
+                this.chargeCosts(this.calculateFillCosts(this.positionQuantity, this.longEntryPrice, "taker"));
+                this.longLiquidationPrice = this.calculateLongLiquidationPrice(this.longEntryPrice, quantity);
+                this.positionLots = [{ entry: this.longEntryPrice, quantity, riskAmount: this.currentRiskAmount, sizing, candle: this.getCandleStamp(), timestamp: this.getTimestamp() }];
+                this.pyramidAdds = 0;
                 
                 // Record the trade
                 const tradeInfo = {
@@ -149,17 +867,39 @@ class RiskRewardManager {
                     entry: this.longEntryPrice,
                     refStop: refStop,
                     target: this.longTargetLevel,
+                    stopLevel: this.longStopLevel,
+                    liquidationPrice: this.longLiquidationPrice,
                     riskAmount: this.currentRiskAmount,
-                    timestamp: new Date().toISOString(),
+                    quantity: this.positionQuantity,
+                    notional: this.positionQuantity * entryPrice,
+                    margin: this.positionMargin,
+                    sizing: sizing,
+                    lots: this.positionLots.map(lot => ({ ...lot })),
+                    entryTime: this.currentCandle ? this.currentCandle.openTime : null,
+                    entryCandle: this.getCandleStamp(),
+                    timestamp: this.getTimestamp(),
                     status: "open"
                 };
                 
+                if (takeProfitPrices.length > 0) {
+                    tradeInfo.takeProfitLevels = this.takeProfitLevels.map((level, i) => ({ ...level, price: takeProfitPrices[i] }));
+                    tradeInfo.fills = [];
+                    tradeInfo.remainingSize = 1;
+                }
+                
                 this.tradeHistory.push(tradeInfo);
                 
+                // Start trailing from the signal bar
+                this.updateTrailingStop(res, { close: this.longEntryPrice });
+                
                 result = {
                     position: "long",
                     entry: this.longEntryPrice,
                     target: this.longTargetLevel,
+                    stopLevel: this.longStopLevel,
+                    liquidationPrice: this.longLiquidationPrice,
+                    quantity: this.positionQuantity,
+                    margin: this.positionMargin,
                     risk: this.currentRiskAmount,
                     refStop: refStop,
                     timestamp: tradeInfo.timestamp
@@ -170,14 +910,23 @@ class RiskRewardManager {
                 this.inShortTrade = true;
                 this.shortEntryPrice = res.signal.location;
                 
-                // Use appropriate reference for calculating TP
-                const refStop = this.useScalpMode ? 
-                    res.fast_jATR_sma[res.fast_jATR_sma.length - 1] : 
-                    res.jATR_sma[res.jATR_sma.length - 1];
-                
                 this.shortStopReference = refStop;
-                this.shortTargetLevel = this.calculateTakeProfit_level(this.shortEntryPrice, refStop);
-                this.calculateRiskAmount();
+                const takeProfitPrices = this.calculateTakeProfit_ladder(this.shortEntryPrice, refStop);
+                this.shortTargetLevel = takeProfitPrices.length > 0
+                    ? takeProfitPrices[0]
+                    : this.calculateTakeProfit_level(this.shortEntryPrice, refStop);
+                this.shortStopLevel = stopLevel;
+                this.calculateRiskAmount(quantity, this.shortEntryPrice, sizingStop);
+                
+                // Pay the entry fee and slippage of the market order
+                this.positionQuantity = quantity;
+                this.openQuantity = quantity;
+                this.positionMargin = (quantity * this.shortEntryPrice) / this.getEffectiveLeverage();
+                this.positionCosts = { fees: 0.0, slippage: 0.0, funding: 0.0 };
+                this.chargeCosts(this.calculateFillCosts(this.positionQuantity, this.shortEntryPrice, "taker"));
+                this.shortLiquidationPrice = this.calculateShortLiquidationPrice(this.shortEntryPrice, quantity);
+                this.positionLots = [{ entry: this.shortEntryPrice, quantity, riskAmount: this.currentRiskAmount, sizing, candle: this.getCandleStamp(), timestamp: this.getTimestamp() }];
+                this.pyramidAdds = 0;
                 
                 // Record the trade
                 const tradeInfo = {
@@ -185,17 +934,39 @@ class RiskRewardManager {
                     entry: this.shortEntryPrice,
                     refStop: refStop,
                     target: this.shortTargetLevel,
+                    stopLevel: this.shortStopLevel,
+                    liquidationPrice: this.shortLiquidationPrice,
                     riskAmount: this.currentRiskAmount,
-                    timestamp: new Date().toISOString(),
+                    quantity: this.positionQuantity,
+                    notional: this.positionQuantity * entryPrice,
+                    margin: this.positionMargin,
+                    sizing: sizing,
+                    lots: this.positionLots.map(lot => ({ ...lot })),
+                    entryTime: this.currentCandle ? this.currentCandle.openTime : null,
+                    entryCandle: this.getCandleStamp(),
+                    timestamp: this.getTimestamp(),
                     status: "open"
                 };
                 
+                if (takeProfitPrices.length > 0) {
+                    tradeInfo.takeProfitLevels = this.takeProfitLevels.map((level, i) => ({ ...level, price: takeProfitPrices[i] }));
+                    tradeInfo.fills = [];
+                    tradeInfo.remainingSize = 1;
+                }
+                
                 this.tradeHistory.push(tradeInfo);
                 
+                // Start trailing from the signal bar
+                this.updateTrailingStop(res, { close: this.shortEntryPrice });
+                
                 result = {
                     position: "short",
                     entry: this.shortEntryPrice,
                     target: this.shortTargetLevel,
+                    stopLevel: this.shortStopLevel,
+                    liquidationPrice: this.shortLiquidationPrice,
+                    quantity: this.positionQuantity,
+                    margin: this.positionMargin,
                     risk: this.currentRiskAmount,
                     refStop: refStop,
                     timestamp: tradeInfo.timestamp
@@ -216,50 +987,171 @@ class RiskRewardManager {
         }
     }
 
+    /**
+     * Add a lot to the open position on a same-direction signal (pyramid policy)
+     * The add is sized from a fraction of the risk budget over the distance to the position's stop
+     * (the signal's stop when the position has none) and shares the leverage cap with the open lots.
+     * The stop is kept; the entry becomes the average of the open lots and pending targets are
+     * recalculated from it
+     * @param {Object} res - Strategy result with the signal
+     * @param {number} refStop - Reference stop of the signal
+     * @returns {Object|string} - Information about the add or the reason it was skipped
+     */
+    addToPosition(res, refStop) {
+        const positionType = res.signal.position;
+        const isLong = positionType === "long";
+        
+        if (this.pyramidAdds >= this.maxPyramidAdds) {
+            this.ignoredSignals++;
+            return "max pyramid adds reached";
+        }
+        
+        const addPrice = res.signal.location;
+        const currentEntry = isLong ? this.longEntryPrice : this.shortEntryPrice;
+        const positionStop = isLong ? this.longStopLevel : this.shortStopLevel;
+        const sizingStop = positionStop ?? this.calculateStopLoss_level(positionType, addPrice, refStop, res.atr) ?? refStop;
+        const scale = this.pyramidSizing[Math.min(this.pyramidAdds, this.pyramidSizing.length - 1)];
+        const { quantity, sizing, reason } = this.sizePosition(addPrice, sizingStop, res.atr, {
+            scale,
+            openNotional: this.openQuantity * currentEntry
+        });
+        
+        if (quantity <= 0) {
+            console.warn(`Skipping ${positionType} pyramid add: ${reason}`);
+            return "position below minimum size";
+        }
+        
+        // Average the entry over the quantity still open (partial fills were booked at the old entry)
+        const openQuantity = this.openQuantity + quantity;
+        const averageEntry = (currentEntry * this.openQuantity + addPrice * quantity) / openQuantity;
+        const riskAmount = parseFloat((quantity * Math.abs(addPrice - sizingStop)).toFixed(2));
+        
+        this.positionQuantity += quantity;
+        this.openQuantity = openQuantity;
+        this.remainingSize = parseFloat((this.openQuantity / this.positionQuantity).toFixed(8));
+        this.positionMargin += (quantity * addPrice) / this.getEffectiveLeverage();
+        this.currentRiskAmount += riskAmount;
+        this.totalRiskedAmount += riskAmount;
+        this.pyramidAdds++;
+        this.chargeCosts(this.calculateFillCosts(quantity, addPrice, "taker"));
+        
+        const lot = { entry: addPrice, quantity, riskAmount, sizing, candle: this.getCandleStamp(), timestamp: this.getTimestamp() };
+        this.positionLots.push(lot);
+        
+        // Move the entry and the pending targets to the average
+        const stopReference = isLong ? this.longStopReference : this.shortStopReference;
+        const pendingLevel = this.takeProfitLevels[this.nextTakeProfitIndex];
+        const target = this.takeProfitLevels.length > 0
+            ? (pendingLevel ? this.calculateTakeProfit_level(averageEntry, stopReference, pendingLevel.rMultiple) : null)
+            : this.calculateTakeProfit_level(averageEntry, stopReference);
+        
+        if (isLong) {
+            this.longEntryPrice = averageEntry;
+            this.longTargetLevel = target;
+            this.longPyramidAdds++;
+        } else {
+            this.shortEntryPrice = averageEntry;
+            this.shortTargetLevel = target;
+            this.shortPyramidAdds++;
+        }
+        
+        const liquidationPrice = this.updateLiquidationPrice();
+        
+        // Keep the trade record in line with the position
+        const trade = this.findOpenTrade(positionType);
+        if (trade) {
+            trade.entry = averageEntry;
+            trade.target = target;
+            trade.liquidationPrice = liquidationPrice;
+            trade.riskAmount = this.currentRiskAmount;
+            trade.quantity = this.positionQuantity;
+            trade.notional = this.positionLots.reduce((sum, entryLot) => sum + entryLot.quantity * entryLot.entry, 0);
+            trade.margin = this.positionMargin;
+            trade.lots = this.positionLots.map(entryLot => ({ ...entryLot }));
+            
+            if (trade.takeProfitLevels) {
+                trade.takeProfitLevels = trade.takeProfitLevels.map((level, i) => i < this.nextTakeProfitIndex ? level :
+                    { ...level, price: this.calculateTakeProfit_level(averageEntry, stopReference, level.rMultiple) });
+            }
+            if (trade.remainingSize !== undefined) trade.remainingSize = this.remainingSize;
+        }
+        
+        const result = {
+            position: positionType,
+            entry: averageEntry,
+            addPrice: addPrice,
+            addQuantity: quantity,
+            add: this.pyramidAdds,
+            target: target,
+            stopLevel: positionStop,
+            liquidationPrice: liquidationPrice,
+            quantity: this.openQuantity,
+            margin: this.positionMargin,
+            risk: this.currentRiskAmount,
+            refStop: refStop,
+            timestamp: lot.timestamp
+        };
+        
+        if (typeof this.onPositionAdd === 'function') {
+            this.onPositionAdd(result);
+        }
+        
+        return result;
+    }
+
     /**
      * Close an existing position
      * @param {string} positionType - "long" or "short"
      * @param {number} exitPrice - Price at which to exit the position
-     * @param {string} [closeReason="signal"] - Reason for closing position: "signal", "tp_hit", or "manual"
-     * @returns {Object} - Information about the closed position
+     * @param {string} [closeReason="signal"] - Reason for closing position: "signal", "tp_hit", "stop_hit",
+     *   "trailing_stop", "break_even", "time_exit", "liquidated", "replaced" (same-direction signal) or "manual"
+     * @returns {Object} - Information about the closed position (pnl covers the whole trade,
+     *   including partial take profit fills)
      */
     closePosition(positionType, exitPrice, closeReason = "signal") {
         try {
             let result = null;
             
             if (positionType === "long" && this.inLongTrade) {
-                // Calculate P&L for the long position
-                const priceDifference = exitPrice - this.longEntryPrice;
-                const directionMultiplier = priceDifference >= 0 ? 1 : -1;
-                
-                // Calculate profit/loss based on risk amount and effective leverage
-                const refStopDifference = Math.abs(this.longEntryPrice - this.longStopReference);
-                const percentOfTarget = Math.min(Math.abs(priceDifference) / refStopDifference, this.rewardMultiple);
-                
-                // Calculate P&L based on percentage of target reached
-                const profitLoss = this.currentRiskAmount * percentOfTarget * directionMultiplier * this.getEffectiveLeverage();
+                // Calculate P&L of the part still open (partial fills are already booked)
+                const profitLoss = this.calculatePositionPnL("long", exitPrice);
                 
                 // Update statistics
                 this.currentCapital += profitLoss;
                 this.totalProfitLoss += profitLoss;
+                this.grossProfitLoss += profitLoss;
+                
+                // Pay the exit costs
+                this.chargeCosts(this.calculateExitCosts(exitPrice, closeReason));
                 
-                // Determine win/loss based on target hit or direction of profitLoss
-                let isWin = false;
+                // Net P&L of the whole trade
+                const breakdown = this.getCostBreakdown(profitLoss + this.realizedPnL);
+                const tradePnL = breakdown.netPnl;
+                
+                // A trade is a win only if it made money after costs, whatever closed it
+                const isWin = tradePnL > 0;
                 
                 if (closeReason === "tp_hit") {
-                    // If closed due to TP hit, it's always a win
-                    isWin = true;
                     this.longTargetHits++;
-                } else {
-                    // For signal or manual close, it's a win only if profitLoss > 0
-                    isWin = profitLoss > 0;
+                } else if (closeReason === "stop_hit") {
+                    this.longStopHits++;
+                    this.totalStopLoss += profitLoss;
+                } else if (closeReason === "trailing_stop") {
+                    this.longTrailHits++;
+                } else if (closeReason === "break_even") {
+                    this.longBreakEvenExits++;
+                } else if (closeReason === "time_exit") {
+                    this.longTimeExits++;
+                } else if (closeReason === "liquidated") {
+                    this.longLiquidations++;
+                    this.totalLiquidationLoss += tradePnL;
                 }
                 
                 if (isWin) {
-                    this.totalProfit += profitLoss;
+                    this.totalProfit += tradePnL;
                     this.longWins++;
                 } else {
-                    this.totalLoss += Math.abs(profitLoss);
+                    this.totalLoss += Math.abs(tradePnL);
                     this.longLosses++;
                 }
                 
@@ -270,9 +1162,15 @@ class RiskRewardManager {
                 if (lastLongTradeIndex !== -1) {
                     const actualIndex = this.tradeHistory.length - 1 - lastLongTradeIndex;
                     this.tradeHistory[actualIndex].exitPrice = exitPrice;
-                    this.tradeHistory[actualIndex].pnl = profitLoss;
-                    this.tradeHistory[actualIndex].status = closeReason === "tp_hit" ? "tp_hit" : "closed";
-                    this.tradeHistory[actualIndex].closeTimestamp = new Date().toISOString();
+                    this.tradeHistory[actualIndex].pnl = tradePnL;
+                    this.tradeHistory[actualIndex].grossPnl = breakdown.grossPnl;
+                    this.tradeHistory[actualIndex].fees = breakdown.fees;
+                    this.tradeHistory[actualIndex].slippage = breakdown.slippage;
+                    this.tradeHistory[actualIndex].funding = breakdown.funding;
+                    this.tradeHistory[actualIndex].status = EXIT_STATUSES.includes(closeReason) ? closeReason : "closed";
+                    this.tradeHistory[actualIndex].exitTime = this.currentCandle ? this.currentCandle.openTime : null;
+                    this.tradeHistory[actualIndex].exitCandle = this.getCandleStamp();
+                    this.tradeHistory[actualIndex].closeTimestamp = this.getTimestamp();
                     this.tradeHistory[actualIndex].isWin = isWin;
                     this.tradeHistory[actualIndex].closeReason = closeReason;
                 }
@@ -282,49 +1180,65 @@ class RiskRewardManager {
                 this.longEntryPrice = null;
                 this.longStopReference = null;
                 this.longTargetLevel = null;
+                this.longStopLevel = null;
+                this.longStopTrailed = false;
+                this.longBreakEven = false;
+                this.longLiquidationPrice = null;
                 
                 result = {
                     position: "long",
                     exit: exitPrice,
-                    pnl: profitLoss,
+                    pnl: tradePnL,
+                    grossPnl: breakdown.grossPnl,
+                    fees: breakdown.fees,
+                    slippage: breakdown.slippage,
+                    funding: breakdown.funding,
+                    partialPnl: this.realizedPnL,
                     capitalAfter: this.currentCapital,
                     isWin: isWin,
                     closeReason: closeReason
                 };
             }
             else if (positionType === "short" && this.inShortTrade) {
-                // Calculate P&L for the short position
-                const priceDifference = this.shortEntryPrice - exitPrice;
-                const directionMultiplier = priceDifference >= 0 ? 1 : -1;
-                
-                // Calculate profit/loss based on risk amount and effective leverage
-                const refStopDifference = Math.abs(this.shortEntryPrice - this.shortStopReference);
-                const percentOfTarget = Math.min(Math.abs(priceDifference) / refStopDifference, this.rewardMultiple);
-                
-                // Calculate P&L based on percentage of target reached
-                const profitLoss = this.currentRiskAmount * percentOfTarget * directionMultiplier * this.getEffectiveLeverage();
+                // Calculate P&L of the part still open (partial fills are already booked)
+                const profitLoss = this.calculatePositionPnL("short", exitPrice);
                 
                 // Update statistics
                 this.currentCapital += profitLoss;
                 this.totalProfitLoss += profitLoss;
+                this.grossProfitLoss += profitLoss;
+                
+                // Pay the exit costs
+                this.chargeCosts(this.calculateExitCosts(exitPrice, closeReason));
                 
-                // Determine win/loss based on target hit or direction of profitLoss
-                let isWin = false;
+                // Net P&L of the whole trade
+                const breakdown = this.getCostBreakdown(profitLoss + this.realizedPnL);
+                const tradePnL = breakdown.netPnl;
+                
+                // A trade is a win only if it made money after costs, whatever closed it
+                const isWin = tradePnL > 0;
                 
                 if (closeReason === "tp_hit") {
-                    // If closed due to TP hit, it's always a win
-                    isWin = true;
                     this.shortTargetHits++;
-                } else {
-                    // For signal or manual close, it's a win only if profitLoss > 0
-                    isWin = profitLoss > 0;
+                } else if (closeReason === "stop_hit") {
+                    this.shortStopHits++;
+                    this.totalStopLoss += profitLoss;
+                } else if (closeReason === "trailing_stop") {
+                    this.shortTrailHits++;
+                } else if (closeReason === "break_even") {
+                    this.shortBreakEvenExits++;
+                } else if (closeReason === "time_exit") {
+                    this.shortTimeExits++;
+                } else if (closeReason === "liquidated") {
+                    this.shortLiquidations++;
+                    this.totalLiquidationLoss += tradePnL;
                 }
                 
                 if (isWin) {
-                    this.totalProfit += profitLoss;
+                    this.totalProfit += tradePnL;
                     this.shortWins++;
                 } else {
-                    this.totalLoss += Math.abs(profitLoss);
+                    this.totalLoss += Math.abs(tradePnL);
                     this.shortLosses++;
                 }
                 
@@ -335,9 +1249,15 @@ class RiskRewardManager {
                 if (lastShortTradeIndex !== -1) {
                     const actualIndex = this.tradeHistory.length - 1 - lastShortTradeIndex;
                     this.tradeHistory[actualIndex].exitPrice = exitPrice;
-                    this.tradeHistory[actualIndex].pnl = profitLoss;
-                    this.tradeHistory[actualIndex].status = closeReason === "tp_hit" ? "tp_hit" : "closed";
-                    this.tradeHistory[actualIndex].closeTimestamp = new Date().toISOString();
+                    this.tradeHistory[actualIndex].pnl = tradePnL;
+                    this.tradeHistory[actualIndex].grossPnl = breakdown.grossPnl;
+                    this.tradeHistory[actualIndex].fees = breakdown.fees;
+                    this.tradeHistory[actualIndex].slippage = breakdown.slippage;
+                    this.tradeHistory[actualIndex].funding = breakdown.funding;
+                    this.tradeHistory[actualIndex].status = EXIT_STATUSES.includes(closeReason) ? closeReason : "closed";
+                    this.tradeHistory[actualIndex].exitTime = this.currentCandle ? this.currentCandle.openTime : null;
+                    this.tradeHistory[actualIndex].exitCandle = this.getCandleStamp();
+                    this.tradeHistory[actualIndex].closeTimestamp = this.getTimestamp();
                     this.tradeHistory[actualIndex].isWin = isWin;
                     this.tradeHistory[actualIndex].closeReason = closeReason;
                 }
@@ -347,11 +1267,20 @@ class RiskRewardManager {
                 this.shortEntryPrice = null;
                 this.shortStopReference = null;
                 this.shortTargetLevel = null;
+                this.shortStopLevel = null;
+                this.shortStopTrailed = false;
+                this.shortBreakEven = false;
+                this.shortLiquidationPrice = null;
                 
                 result = {
                     position: "short",
                     exit: exitPrice,
-                    pnl: profitLoss,
+                    pnl: tradePnL,
+                    grossPnl: breakdown.grossPnl,
+                    fees: breakdown.fees,
+                    slippage: breakdown.slippage,
+                    funding: breakdown.funding,
+                    partialPnl: this.realizedPnL,
                     capitalAfter: this.currentCapital,
                     isWin: isWin,
                     closeReason: closeReason
@@ -362,6 +1291,21 @@ class RiskRewardManager {
                 };
             }
             
+            // Reset the take profit ladder for the next position
+            if (result && !result.error) {
+                this.remainingSize = 1.0;
+                this.nextTakeProfitIndex = 0;
+                this.realizedPnL = 0.0;
+                this.positionQuantity = 0.0;
+                this.openQuantity = 0.0;
+                this.positionMargin = 0.0;
+                this.positionCosts = { fees: 0.0, slippage: 0.0, funding: 0.0 };
+                this.positionLots = [];
+                this.pyramidAdds = 0;
+                this.barsInTrade = 0;
+                this.riskGuards.onTradeClosed(result, this.currentCapital);
+            }
+            
             // Call the onPositionClosed callback if provided
             if (result && !result.error && typeof this.onPositionClosed === 'function') {
                 this.onPositionClosed(result);
@@ -376,12 +1320,18 @@ class RiskRewardManager {
 
     /**
      * Handle when price hits the take profit level
+     * With a take profit ladder only the next level is filled
      * @param {string} positionType - "long" or "short"
      * @param {number} exitPrice - Price level where TP was hit
      * @returns {Object|boolean} - Trade result or false if no TP hit
      */
     handleTakeProfitHit(positionType, exitPrice) {
         try {
+            if (this.takeProfitLevels.length > 0 &&
+                ((positionType === "long" && this.inLongTrade) || (positionType === "short" && this.inShortTrade))) {
+                return this.fillTakeProfitLevel(positionType, exitPrice);
+            }
+            
             // Use the updated closePosition method with closeReason="tp_hit"
             if (positionType === "long" && this.inLongTrade) {
                 return this.closePosition("long", exitPrice, "tp_hit");
@@ -397,6 +1347,365 @@ class RiskRewardManager {
         }
     }
     
+    /**
+     * Fill the next level of the take profit ladder
+     * Closes the level's share of the position and books its P&L; the last level closes
+     * everything still open when the ladder sizes add up to the whole position
+     * @param {string} positionType - "long" or "short"
+     * @param {number} exitPrice - Price level where the ladder level was hit
+     * @returns {Object} - Partial fill result, or the closePosition result for the final fill
+     */
+    fillTakeProfitLevel(positionType, exitPrice) {
+        const index = this.nextTakeProfitIndex;
+        const level = this.takeProfitLevels[index];
+        const isLastLevel = index === this.takeProfitLevels.length - 1;
+        
+        // Quantity of this level, rounded down to the lot size
+        const levelQuantity = Math.min(floorToStep(this.positionQuantity * level.size, this.lotSize), this.openQuantity);
+        const closesPosition = levelQuantity >= this.openQuantity - 1e-12 ||
+            (isLastLevel && level.size >= this.remainingSize - 1e-9);
+        const fillQuantity = closesPosition ? this.openQuantity : levelQuantity;
+        const remainingSize = closesPosition ? 0 : parseFloat(((this.openQuantity - fillQuantity) / this.positionQuantity).toFixed(8));
+        
+        // Share of the open risk carried by this level
+        const riskClosed = this.currentRiskAmount * (fillQuantity / this.openQuantity);
+        const profitLoss = this.calculatePositionPnL(positionType, exitPrice, fillQuantity);
+        const costs = this.calculateFillCosts(fillQuantity, exitPrice, "maker");
+        
+        // Record the fill under the parent trade
+        const trade = this.findOpenTrade(positionType);
+        const fill = {
+            level: index + 1,
+            rMultiple: level.rMultiple,
+            size: parseFloat((fillQuantity / this.positionQuantity).toFixed(8)),
+            price: exitPrice,
+            quantity: fillQuantity,
+            pnl: profitLoss,
+            fees: costs.fees,
+            riskClosed: riskClosed,
+            candle: this.getCandleStamp(),
+            timestamp: this.getTimestamp()
+        };
+        
+        if (trade) {
+            trade.fills = trade.fills || [];
+            trade.fills.push(fill);
+            trade.remainingSize = remainingSize;
+        }
+        
+        if (closesPosition) {
+            return { ...this.closePosition(positionType, exitPrice, "tp_hit"), partial: false, level: fill.level };
+        }
+        
+        // Book the partial P&L, pay the limit order fee and shrink the open position
+        this.currentCapital += profitLoss;
+        this.totalProfitLoss += profitLoss;
+        this.grossProfitLoss += profitLoss;
+        this.realizedPnL += profitLoss;
+        this.chargeCosts(costs);
+        this.currentRiskAmount -= riskClosed;
+        this.openQuantity -= fillQuantity;
+        this.remainingSize = remainingSize;
+        this.nextTakeProfitIndex++;
+        this.updateLiquidationPrice();
+        
+        // Next pending level, or none when only the remainder is left
+        const nextLevel = this.takeProfitLevels[this.nextTakeProfitIndex];
+        const entry = positionType === "long" ? this.longEntryPrice : this.shortEntryPrice;
+        const refStop = positionType === "long" ? this.longStopReference : this.shortStopReference;
+        const nextTarget = nextLevel ? this.calculateTakeProfit_level(entry, refStop, nextLevel.rMultiple) : null;
+        
+        if (positionType === "long") {
+            this.longPartialHits++;
+            this.longTargetLevel = nextTarget;
+        } else {
+            this.shortPartialHits++;
+            this.shortTargetLevel = nextTarget;
+        }
+        
+        return {
+            position: positionType,
+            exit: exitPrice,
+            pnl: profitLoss,
+            fees: costs.fees,
+            capitalAfter: this.currentCapital,
+            isWin: true,
+            closeReason: "partial_tp",
+            partial: true,
+            level: fill.level,
+            size: fill.size,
+            quantity: fillQuantity,
+            remainingSize: this.remainingSize,
+            nextTarget: nextTarget
+        };
+    }
+    
+    /**
+     * Get the price that moves the stop of the active position to break-even
+     * @param {string} positionType - "long" or "short"
+     * @returns {number|null} - Trigger price, null when the rule is off, already applied or the position is flat
+     */
+    getBreakEvenTrigger(positionType) {
+        if (this.breakEvenAtR === null) return null;
+        
+        if (positionType === "long" && this.inLongTrade && !this.longBreakEven) {
+            return this.calculateTakeProfit_level(this.longEntryPrice, this.longStopReference, this.breakEvenAtR);
+        }
+        if (positionType === "short" && this.inShortTrade && !this.shortBreakEven) {
+            return this.calculateTakeProfit_level(this.shortEntryPrice, this.shortStopReference, this.breakEvenAtR);
+        }
+        return null;
+    }
+    
+    /**
+     * Calculate the break-even price of the active position
+     * Closing there with a market order pays back the fees, slippage and funding of the trade
+     * @param {string} positionType - "long" or "short"
+     * @returns {number} - Break-even price
+     */
+    calculateBreakEvenPrice(positionType) {
+        const isLong = positionType === "long";
+        const entry = isLong ? this.longEntryPrice : this.shortEntryPrice;
+        const { fees, slippage, funding } = this.positionCosts;
+        const paidPerUnit = (fees + slippage + funding) / this.openQuantity;
+        
+        // Exit costs depend on the exit price: estimate them at the entry, then at the first estimate
+        let price = entry;
+        for (let i = 0; i < 2; i++) {
+            const exitCosts = this.calculateFillCosts(1, price, "taker");
+            const costPerUnit = paidPerUnit + exitCosts.fees + exitCosts.slippage;
+            price = isLong ? entry + costPerUnit : entry - costPerUnit;
+        }
+        
+        // Round away from the entry so the tick rounding never turns it into a loss
+        const scale = Math.pow(10, this.pricePrecision);
+        return isLong ? Math.ceil(price * scale - 1e-9) / scale : Math.floor(price * scale + 1e-9) / scale;
+    }
+    
+    /**
+     * Move the stop of the active position to break-even once its trigger is reached
+     * The stop only moves if that tightens it; the rule fires once per position
+     * @param {string} positionType - "long" or "short"
+     * @returns {number|null} - New stop level, or null if the stop did not move
+     */
+    handleBreakEvenTrigger(positionType) {
+        const trigger = this.getBreakEvenTrigger(positionType);
+        if (trigger === null) return null;
+        
+        const stop = this.calculateBreakEvenPrice(positionType);
+        let moved = false;
+        
+        if (positionType === "long") {
+            this.longBreakEven = true;
+            if (this.longStopLevel === null || stop > this.longStopLevel) {
+                this.longStopLevel = stop;
+                this.longStopTrailed = false;
+                moved = true;
+            }
+        } else {
+            this.shortBreakEven = true;
+            if (this.shortStopLevel === null || stop < this.shortStopLevel) {
+                this.shortStopLevel = stop;
+                this.shortStopTrailed = false;
+                moved = true;
+            }
+        }
+        
+        if (!moved) return null;
+        
+        const trade = this.findOpenTrade(positionType);
+        if (trade) {
+            trade.breakEven = { trigger, stop, candle: this.getCandleStamp(), timestamp: this.getTimestamp() };
+        }
+        
+        return stop;
+    }
+    
+    /**
+     * Count a closed candle of the active position and close it once maxBarsInTrade is reached
+     * Positions that already filled a take profit level are left to their remaining exits
+     * @param {number} exitPrice - Candle close
+     * @returns {Object|boolean} - Trade result or false if the position stays open
+     */
+    handleTimeExit(exitPrice) {
+        if (!this.inLongTrade && !this.inShortTrade) return false;
+        
+        this.barsInTrade++;
+        
+        if (this.maxBarsInTrade === null || this.barsInTrade < this.maxBarsInTrade || this.nextTakeProfitIndex > 0) {
+            return false;
+        }
+        
+        return this.closePosition(this.inLongTrade ? "long" : "short", exitPrice, "time_exit");
+    }
+    
+    /**
+     * Handle when price hits the stop loss level
+     * Closes with "trailing_stop" once the stop has been moved by the trail, "break_even" once it has
+     * been moved to break-even, "stop_hit" otherwise
+     * @param {string} positionType - "long" or "short"
+     * @param {number} exitPrice - Price level where the stop was hit
+     * @returns {Object|boolean} - Trade result or false if no stop hit
+     */
+    handleStopLossHit(positionType, exitPrice) {
+        try {
+            if (positionType === "long" && this.inLongTrade) {
+                return this.closePosition("long", exitPrice,
+                    this.longStopTrailed ? "trailing_stop" : this.longBreakEven ? "break_even" : "stop_hit");
+            }
+            else if (positionType === "short" && this.inShortTrade) {
+                return this.closePosition("short", exitPrice,
+                    this.shortStopTrailed ? "trailing_stop" : this.shortBreakEven ? "break_even" : "stop_hit");
+            }
+            
+            return false;
+        } catch (error) {
+            console.error(`Error handling stop loss for ${positionType}:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Handle when price reaches the liquidation price
+     * Force-closes the position at the liquidation price, forfeiting the maintenance margin
+     * @param {string} positionType - "long" or "short"
+     * @returns {Object|boolean} - Trade result or false if there is nothing to liquidate
+     */
+    handleLiquidation(positionType) {
+        try {
+            if (positionType === "long" && this.inLongTrade && this.longLiquidationPrice !== null) {
+                return this.closePosition("long", this.longLiquidationPrice, "liquidated");
+            }
+            else if (positionType === "short" && this.inShortTrade && this.shortLiquidationPrice !== null) {
+                return this.closePosition("short", this.shortLiquidationPrice, "liquidated");
+            }
+            
+            return false;
+        } catch (error) {
+            console.error(`Error handling liquidation for ${positionType}:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Calculate the open P&L of the active position at a given price
+     * Uses the same formula as closePosition (partial fills already booked are excluded)
+     * @param {number} currentPrice - Price to mark the position at
+     * @returns {number} - Unrealized P&L, 0 when flat
+     */
+    getUnrealizedPnL(currentPrice) {
+        if (this.inLongTrade) return this.calculatePositionPnL("long", currentPrice);
+        if (this.inShortTrade) return this.calculatePositionPnL("short", currentPrice);
+        return 0;
+    }
+    
+    /**
+     * Record a point of the equity curve
+     * @param {number} time - Candle time
+     * @param {number} price - Price used to mark the open position (candle close)
+     * @returns {Object} - Recorded point as { time, capital, equity }
+     */
+    recordEquity(time, price) {
+        const point = {
+            time,
+            capital: this.currentCapital,
+            equity: this.currentCapital + this.getUnrealizedPnL(price)
+        };
+        
+        this.equityCurve.push(point);
+        if (this.equityCurve.length > this.maxEquityPoints) {
+            this.equityCurve.shift();
+        }
+        
+        return point;
+    }
+    
+    /**
+     * Advance the circuit breakers to a closed candle
+     * Rolls the daily and weekly loss sessions, lifts expired halts and checks the drawdown
+     * @param {number} time - Candle time
+     * @param {number} price - Price used to mark the open position (candle close)
+     * @returns {boolean} - True while new entries are blocked
+     */
+    updateRiskGuards(time, price) {
+        this.riskGuards.update(time, this.currentCapital, this.currentCapital + this.getUnrealizedPnL(price));
+        return this.riskGuards.isHalted();
+    }
+    
+    /**
+     * Lift any circuit breaker halt and resume trading
+     * The drawdown peak and loss sessions restart from the current capital
+     * @param {number} [price] - Price used to mark the open position
+     * @returns {Object} - Circuit breaker status after the reset
+     */
+    resetRiskHalt(price = null) {
+        const unrealized = Number.isFinite(price) ? this.getUnrealizedPnL(price) : 0;
+        this.riskGuards.reset(this.currentCapital, this.currentCapital + unrealized);
+        return this.riskGuards.getStatus();
+    }
+    
+    /**
+     * Get the signals skipped while a circuit breaker was tripped
+     * @returns {Array<Object>} - Blocked signals as { position, location, reason, time, candle, timestamp }
+     */
+    getBlockedSignals() {
+        return [...this.riskGuards.blockedSignals];
+    }
+    
+    /**
+     * Get a snapshot of the account, the active position and the trade history
+     * @returns {Object} - Plain object safe to serialize, restored with restoreState() or fromJSON()
+     */
+    toJSON() {
+        const state = Object.fromEntries(STATE_FIELDS.map(field => [field, this[field]]));
+        
+        return JSON.parse(JSON.stringify({
+            schemaVersion: STATE_SCHEMA_VERSION,
+            ...state,
+            riskGuards: this.riskGuards.toJSON()
+        }));
+    }
+    
+    /**
+     * Restore a snapshot taken by toJSON()
+     * Settings keep the values of the constructor options
+     * @param {Object} snapshot - Snapshot
+     * @throws {Error} - If the snapshot has an unsupported version or no valid capital
+     */
+    restoreState(snapshot) {
+        const state = migrateState(snapshot);
+        
+        if (!Number.isFinite(state.currentCapital) || !Array.isArray(state.tradeHistory)) {
+            throw new Error("Invalid risk manager snapshot: missing capital or trade history");
+        }
+        
+        if (state.inLongTrade && state.inShortTrade) {
+            throw new Error("Invalid risk manager snapshot: both a long and a short position are open");
+        }
+        
+        for (const field of STATE_FIELDS) {
+            if (state[field] !== undefined) {
+                this[field] = JSON.parse(JSON.stringify(state[field]));
+            }
+        }
+        
+        if (state.riskGuards) {
+            this.riskGuards.restoreState(state.riskGuards);
+        }
+    }
+    
+    /**
+     * Create a manager from a snapshot taken by toJSON()
+     * @param {Object} snapshot - Snapshot
+     * @param {Object} [options] - Constructor options (settings and callbacks)
+     * @returns {RiskRewardManager} - Manager with the restored state
+     */
+    static fromJSON(snapshot, options = {}) {
+        const manager = new RiskRewardManager(options);
+        manager.restoreState(snapshot);
+        return manager;
+    }
+    
     /**
      * Get performance statistics
      * @returns {Object} - Performance metrics
@@ -411,6 +1720,8 @@ class RiskRewardManager {
         const overallWinRate = totalTrades > 0 ? ((this.longWins + this.shortWins) / totalTrades) * 100 : 0;
         
         const efficiency = this.totalRiskedAmount > 0 ? (this.totalProfitLoss / this.totalRiskedAmount) * 100 : 0;
+        const stopHits = this.longStopHits + this.shortStopHits;
+        const stopHitRate = totalTrades > 0 ? (stopHits / totalTrades) * 100 : 0;
         
         return {
             longTrades: totalLongTrades,
@@ -422,18 +1733,56 @@ class RiskRewardManager {
             shortLosses: this.shortLosses,
             longTargetHits: this.longTargetHits,
             shortTargetHits: this.shortTargetHits,
+            longStopHits: this.longStopHits,
+            shortStopHits: this.shortStopHits,
+            stopHitRate: parseFloat(stopHitRate.toFixed(2)),
+            totalStopLoss: parseFloat(this.totalStopLoss.toFixed(2)),
+            longTrailHits: this.longTrailHits,
+            shortTrailHits: this.shortTrailHits,
+            longPartialHits: this.longPartialHits,
+            shortPartialHits: this.shortPartialHits,
+            partialTargetHits: this.longPartialHits + this.shortPartialHits,
+            longPyramidAdds: this.longPyramidAdds,
+            shortPyramidAdds: this.shortPyramidAdds,
+            ignoredSignals: this.ignoredSignals,
+            sameDirectionPolicy: this.sameDirectionPolicy,
+            fullTargetHits: this.longTargetHits + this.shortTargetHits,
             longWinRate: parseFloat(longWinRate.toFixed(2)),
             shortWinRate: parseFloat(shortWinRate.toFixed(2)),
             overallWinRate: parseFloat(overallWinRate.toFixed(2)),
             initialCapital: this.initialCapital,
             currentCapital: parseFloat(this.currentCapital.toFixed(2)),
             totalProfitLoss: parseFloat(this.totalProfitLoss.toFixed(2)),
+            grossProfitLoss: parseFloat(this.grossProfitLoss.toFixed(2)),
+            totalFees: parseFloat(this.totalFees.toFixed(2)),
+            totalSlippage: parseFloat(this.totalSlippage.toFixed(2)),
+            totalFunding: parseFloat(this.totalFunding.toFixed(2)),
             totalProfit: parseFloat(this.totalProfit.toFixed(2)),
             totalLoss: parseFloat(this.totalLoss.toFixed(2)),
             rewardRatio: parseFloat(this.rewardMultiple.toFixed(2)),
             riskPerTrade: this.riskPerTrade,
+            positionSizing: { ...this.positionSizing },
             efficiency: parseFloat(efficiency.toFixed(2)),
             scalpMode: this.useScalpMode,
+            stopMode: this.stopMode,
+            trailingStop: this.trailingStopSource || "OFF",
+            longBreakEvenExits: this.longBreakEvenExits,
+            shortBreakEvenExits: this.shortBreakEvenExits,
+            longTimeExits: this.longTimeExits,
+            shortTimeExits: this.shortTimeExits,
+            breakEvenAtR: this.breakEvenAtR ?? "OFF",
+            maxBarsInTrade: this.maxBarsInTrade ?? "OFF",
+            longLiquidations: this.longLiquidations,
+            shortLiquidations: this.shortLiquidations,
+            totalLiquidationLoss: parseFloat(this.totalLiquidationLoss.toFixed(2)),
+            marginMode: this.useLeverage ? this.marginMode : "OFF",
+            riskGuards: this.riskGuards.isEnabled() ? this.riskGuards.getStatus() : "OFF",
+            takeProfitLevels: this.takeProfitLevels.length > 0 ? this.takeProfitLevels.map(level => ({ ...level })) : "OFF",
+            feeSchedule: { ...this.feeSchedule },
+            slippage: this.slippage.model === "none" ? "OFF" : { ...this.slippage },
+            fundingRate: this.market === "futures" ? this.fundingRate : "OFF",
+            pricePrecision: this.pricePrecision,
+            lotSize: this.lotSize ?? "OFF",
             leverageAmount: this.useLeverage ? this.leverageAmount : "OFF"
         };
     }
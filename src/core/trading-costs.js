@@ -0,0 +1,126 @@
+/**
+ * Trading costs for the RiskRewardManager
+ * Exchange fee schedules, slippage models and perpetual funding intervals
+ */
+
+/**
+ * Default fee rates (fractions of notional) per exchange and market, base VIP tier
+ * @type {Object}
+ */
+const DEFAULT_FEE_SCHEDULES = Object.freeze({
+    binance: Object.freeze({
+        spot: Object.freeze({ maker: 0.001, taker: 0.001 }),
+        futures: Object.freeze({ maker: 0.0002, taker: 0.0005 })
+    }),
+    bybit: Object.freeze({
+        spot: Object.freeze({ maker: 0.001, taker: 0.001 }),
+        futures: Object.freeze({ maker: 0.0002, taker: 0.00055 })
+    })
+});
+
+/**
+ * Supported slippage models
+ * - none: fills at the signal or level price
+ * - fixed: adverse slippage of `bps` basis points of the fill price
+ * - spread: half of a fixed bid/ask `spread` (in price units) on every market fill
+ * @type {Array<string>}
+ */
+const SLIPPAGE_MODELS = ["none", "fixed", "spread"];
+
+/**
+ * Fee schedule that charges nothing
+ * @type {Object}
+ */
+const NO_FEES = Object.freeze({ maker: 0, taker: 0 });
+
+/**
+ * Resolve a fee schedule option
+ * @param {Object|string|boolean|null} schedule - { maker, taker } rates, an exchange name, or false/null for no fees
+ * @param {string} [market="futures"] - Market used to look up an exchange's schedule
+ * @returns {Object} - Fee rates as { maker, taker }
+ * @throws {Error} - If a rate is invalid
+ */
+const resolveFeeSchedule = (schedule, market = "futures") => {
+    if (!schedule) return { ...NO_FEES };
+
+    if (typeof schedule === 'string') {
+        const exchange = DEFAULT_FEE_SCHEDULES[schedule.toLowerCase()];
+        // Unknown venues (e.g. "backtest") have no default fees
+        return exchange && exchange[market] ? { ...exchange[market] } : { ...NO_FEES };
+    }
+
+    const rates = { maker: schedule.maker ?? 0, taker: schedule.taker ?? 0 };
+
+    for (const [key, rate] of Object.entries(rates)) {
+        if (!Number.isFinite(rate) || rate < 0 || rate >= 1) {
+            throw new Error(`Invalid ${key} fee rate: ${rate} (expected a fraction such as 0.0005)`);
+        }
+    }
+
+    return rates;
+};
+
+/**
+ * Validate a slippage option
+ * @param {Object|null} [slippage] - { model: "fixed", bps } or { model: "spread", spread }
+ * @returns {Object} - Normalized slippage settings
+ * @throws {Error} - If the model or its parameter is invalid
+ */
+const normalizeSlippage = (slippage) => {
+    if (!slippage || slippage.model === "none") return { model: "none" };
+
+    if (!SLIPPAGE_MODELS.includes(slippage.model)) {
+        throw new Error(`Invalid slippage model "${slippage.model}". Valid models: ${SLIPPAGE_MODELS.join(', ')}`);
+    }
+
+    const key = slippage.model === "fixed" ? "bps" : "spread";
+    const value = slippage[key];
+
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid slippage ${key}: ${value}`);
+    }
+
+    return { model: slippage.model, [key]: value };
+};
+
+/**
+ * Calculate the cost of slippage on a market fill
+ * @param {Object} slippage - Normalized slippage settings
+ * @param {number} quantity - Filled quantity in base units
+ * @param {number} price - Fill price
+ * @returns {number} - Slippage cost in quote currency
+ */
+const calculateSlippageCost = (slippage, quantity, price) => {
+    switch (slippage.model) {
+        case "fixed":
+            return quantity * price * (slippage.bps / 10000);
+        case "spread":
+            return quantity * (slippage.spread / 2);
+        default:
+            return 0;
+    }
+};
+
+/**
+ * Count the funding settlements between two candle times
+ * Settlements happen every `intervalHours` hours from 00:00 UTC
+ * @param {number} fromTime - Start time in milliseconds (exclusive)
+ * @param {number} toTime - End time in milliseconds (inclusive)
+ * @param {number} [intervalHours=8] - Hours between funding settlements
+ * @returns {number} - Number of settlements
+ */
+const countFundingIntervals = (fromTime, toTime, intervalHours = 8) => {
+    if (!Number.isFinite(fromTime) || !Number.isFinite(toTime) || toTime <= fromTime) return 0;
+
+    const interval = intervalHours * 60 * 60 * 1000;
+    return Math.floor(toTime / interval) - Math.floor(fromTime / interval);
+};
+
+export {
+    DEFAULT_FEE_SCHEDULES,
+    SLIPPAGE_MODELS,
+    resolveFeeSchedule,
+    normalizeSlippage,
+    calculateSlippageCost,
+    countFundingIntervals
+};
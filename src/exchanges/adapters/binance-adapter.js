@@ -0,0 +1,109 @@
+/**
+ * Binance exchange adapter
+ * Binance REST klines and kline streams for spot and USDⓈ-M futures
+ */
+
+import binance_candles, { binance_symbol_info, binance_candle_page, MAX_KLINE_LIMIT } from '../../utility/binance-market.js';
+import { createCandle, toCandleMessage } from '../../utility/candles.js';
+
+class BinanceAdapter {
+    constructor() {
+        this.name = "binance";
+        this.label = "Binance";
+    }
+
+    /**
+     * Binance uses the standard interval codes
+     * @param {string} interval - Standard interval (e.g. "5m")
+     * @returns {string} - Binance interval
+     */
+    convertInterval(interval) {
+        return interval;
+    }
+
+    /**
+     * Fetch the latest closed candles
+     * @param {string} market - Market type ('spot' or 'futures')
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Candle interval
+     * @param {number} limit - Number of candles
+     * @returns {Promise<Object>} - Promise resolving to a candle series
+     */
+    fetchCandles(market, symbol, interval, limit) {
+        return binance_candles(market, symbol, interval, limit);
+    }
+
+    /**
+     * Fetch the candles that open within a time window
+     * @param {string} market - Market type ('spot' or 'futures')
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Candle interval
+     * @param {number} startTime - Window start in milliseconds
+     * @param {number} endTime - Window end in milliseconds
+     * @returns {Promise<Object>} - Promise resolving to a candle series
+     */
+    fetchCandlePage(market, symbol, interval, startTime, endTime) {
+        return binance_candle_page(market, symbol, interval, startTime, endTime);
+    }
+
+    /**
+     * Get the maximum number of candles per kline request
+     * @param {string} market - Market type ('spot' or 'futures')
+     * @returns {number} - Candles per request
+     */
+    getKlineLimit(market) {
+        return MAX_KLINE_LIMIT[market];
+    }
+
+    /**
+     * Fetch symbol trading rules
+     * @param {string} market - Market type ('spot' or 'futures')
+     * @param {string} symbol - Trading pair symbol
+     * @returns {Promise<Object>} - Promise resolving to { symbol, tickSize, pricePrecision, lotSize, minQty, minNotional }
+     */
+    fetchSymbolInfo(market, symbol) {
+        return binance_symbol_info(market, symbol);
+    }
+
+    /**
+     * Get the kline stream URL, the stream is selected by the URL so nothing has to be subscribed
+     * @param {string} market - Market type ('spot' or 'futures')
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Candle interval
+     * @returns {string} - WebSocket URL
+     */
+    getStreamUrl(market, symbol, interval) {
+        const baseUrl = market === 'spot'
+            ? 'wss://stream.binance.com:9443/ws'
+            : 'wss://fstream.binance.com/ws';
+
+        return `${baseUrl}/${symbol.toLowerCase()}@kline_${this.convertInterval(interval)}`;
+    }
+
+    /**
+     * Convert a kline stream message into a candle message
+     * @param {Object} message - Parsed WebSocket message
+     * @returns {Object|null} - Candle message, null for other messages
+     */
+    parseMessage(message) {
+        // Binance kline keys are the candle message keys
+        if (message.e !== 'kline' || !message.k) return null;
+
+        const k = message.k;
+        return toCandleMessage(createCandle({
+            time: k.t,
+            open: k.o,
+            high: k.h,
+            low: k.l,
+            close: k.c,
+            volume: k.v,
+            closeTime: k.T,
+            quoteVolume: k.q,
+            trades: k.n,
+            takerBuyVolume: k.V,
+            takerBuyQuoteVolume: k.Q
+        }), k.x);
+    }
+}
+
+export default BinanceAdapter;
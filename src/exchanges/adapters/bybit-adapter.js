@@ -0,0 +1,124 @@
+/**
+ * Bybit exchange adapter
+ * Bybit v5 REST klines and public kline streams for spot and linear perpetuals
+ */
+
+import bybit_candles, { bybit_symbol_info, bybit_candle_page, convertToBybitInterval, MAX_KLINE_LIMIT } from '../../utility/bybit-market.js';
+import { createCandle, toCandleMessage } from '../../utility/candles.js';
+
+class BybitAdapter {
+    constructor() {
+        this.name = "bybit";
+        this.label = "Bybit";
+
+        // Bybit closes public connections that stay silent for more than a few minutes
+        this.keepalive = {
+            intervalMs: 20000,
+            message: () => ({ op: 'ping', req_id: Date.now().toString() })
+        };
+    }
+
+    /**
+     * Convert a standard interval to Bybit's interval code
+     * @param {string} interval - Standard interval (e.g. "5m", "1h", "1d")
+     * @returns {string} - Bybit interval (e.g. "5", "60", "D")
+     */
+    convertInterval(interval) {
+        return convertToBybitInterval(interval);
+    }
+
+    /**
+     * Fetch the latest closed candles
+     * @param {string} market - Market type ('spot' or 'futures')
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Candle interval
+     * @param {number} limit - Number of candles
+     * @returns {Promise<Object>} - Promise resolving to a candle series
+     */
+    fetchCandles(market, symbol, interval, limit) {
+        return bybit_candles(market, symbol, interval, limit);
+    }
+
+    /**
+     * Fetch the candles that open within a time window
+     * @param {string} market - Market type ('spot' or 'futures')
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Candle interval
+     * @param {number} startTime - Window start in milliseconds
+     * @param {number} endTime - Window end in milliseconds
+     * @returns {Promise<Object>} - Promise resolving to a candle series
+     */
+    fetchCandlePage(market, symbol, interval, startTime, endTime) {
+        return bybit_candle_page(market, symbol, interval, startTime, endTime);
+    }
+
+    /**
+     * Get the maximum number of candles per kline request
+     * @returns {number} - Candles per request
+     */
+    getKlineLimit() {
+        return MAX_KLINE_LIMIT;
+    }
+
+    /**
+     * Fetch symbol trading rules
+     * @param {string} market - Market type ('spot' or 'futures')
+     * @param {string} symbol - Trading pair symbol
+     * @returns {Promise<Object>} - Promise resolving to { symbol, tickSize, pricePrecision, lotSize, minQty, minNotional }
+     */
+    fetchSymbolInfo(market, symbol) {
+        return bybit_symbol_info(market, symbol);
+    }
+
+    /**
+     * Get the public stream URL of a market
+     * @param {string} market - Market type ('spot' or 'futures')
+     * @returns {string} - WebSocket URL
+     */
+    getStreamUrl(market) {
+        return market === 'spot'
+            ? 'wss://stream.bybit.com/v5/public/spot'
+            : 'wss://stream.bybit.com/v5/public/linear';
+    }
+
+    /**
+     * Get the kline topic subscription
+     * @param {string} market - Market type ('spot' or 'futures')
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Candle interval
+     * @returns {Array<Object>} - Subscribe messages
+     */
+    getSubscribeMessages(market, symbol, interval) {
+        return [{
+            op: 'subscribe',
+            args: [`kline.${this.convertInterval(interval)}.${symbol}`],
+            req_id: Date.now().toString()
+        }];
+    }
+
+    /**
+     * Convert a kline topic message into a candle message
+     * Pong and subscription replies carry no topic and are ignored
+     * @param {Object} message - Parsed WebSocket message
+     * @returns {Object|null} - Candle message, null for other messages
+     */
+    parseMessage(message) {
+        if (!message.topic || !message.topic.startsWith('kline.') || !Array.isArray(message.data) || message.data.length === 0) {
+            return null;
+        }
+
+        const data = message.data[0];
+        return toCandleMessage(createCandle({
+            time: data.start,
+            open: data.open,
+            high: data.high,
+            low: data.low,
+            close: data.close,
+            volume: data.volume,
+            closeTime: data.end,
+            quoteVolume: data.turnover
+        }), data.confirm);
+    }
+}
+
+export default BybitAdapter;
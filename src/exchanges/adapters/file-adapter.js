@@ -0,0 +1,29 @@
+/**
+ * OHLCV file adapter
+ * Serves candles from a CSV or JSON file (see utility/ohlcv-file.js); there is no live stream
+ */
+
+import file_candles from '../../utility/ohlcv-file.js';
+
+class FileAdapter {
+    constructor() {
+        this.name = "file";
+        this.label = "File";
+    }
+
+    /**
+     * Read the latest candles of an OHLCV file
+     * @param {string} market - Unused
+     * @param {string} symbol - Unused
+     * @param {string} interval - Candle interval, must match the file
+     * @param {number} limit - Number of candles
+     * @param {Object} options - getMarketData() options
+     * @param {string|Object} options.file - OHLCV file path or { path, ...readCandleFile() options }
+     * @returns {Object} - Candle series
+     */
+    fetchCandles(market, symbol, interval, limit, options = {}) {
+        return file_candles(options.file, interval, limit);
+    }
+}
+
+export default FileAdapter;
@@ -0,0 +1,125 @@
+/**
+ * Exchange adapter contract for Jalgo
+ *
+ * An exchange adapter is everything Jalgo needs to know about a venue: how to download
+ * candles and symbol rules over REST and how to stream live candles over a WebSocket.
+ * Adapters are registered by name (see registry.js) and selected with the `provider`
+ * option of Jalgo, the feeds and the MultiExchangeEngine.
+ *
+ * Required members:
+ *   name                                        - Registry name, e.g. "binance" (matched case-insensitively)
+ *   fetchCandles(market, symbol, interval, limit, options)
+ *                                               - Latest closed candles as a candle series (see utility/candles.js);
+ *                                                 options are the getMarketData() options
+ *
+ * Optional members:
+ *   label                                       - Display name used in logs, defaults to name
+ *   convertInterval(interval)                   - Exchange interval code for a standard interval ("5m", "1h", ...)
+ *   fetchSymbolInfo(market, symbol)             - { symbol, tickSize, pricePrecision, lotSize, minQty, minNotional }
+ *   fetchCandlePage(market, symbol, interval, startTime, endTime)
+ *                                               - Candles opening within a window, at most getKlineLimit() of them.
+ *                                                 Enables fetchCandleRange(), the candle cache and reconnect backfill
+ *   getKlineLimit(market)                       - Maximum candles per fetchCandlePage() request
+ *   getStreamUrl(market, symbol, interval)      - WebSocket URL of the kline stream. Enables live feeds
+ *   getSubscribeMessages(market, symbol, interval)
+ *                                               - Messages (objects) sent once the socket is open
+ *   parseMessage(message)                       - Candle message { t, T, o, h, l, c, v, ..., x } for a parsed kline
+ *                                                 message, null for anything else
+ *   keepalive                                   - { intervalMs, message() } ping sent while the socket is open
+ */
+
+/**
+ * Methods an adapter has to implement together
+ * @type {Object<string, Array<string>>}
+ */
+const METHOD_GROUPS = {
+    fetchCandlePage: ['getKlineLimit'],
+    getStreamUrl: ['parseMessage']
+};
+
+/**
+ * Optional adapter methods
+ * @type {Array<string>}
+ */
+const OPTIONAL_METHODS = [
+    'convertInterval',
+    'fetchSymbolInfo',
+    'fetchCandlePage',
+    'getKlineLimit',
+    'getStreamUrl',
+    'getSubscribeMessages',
+    'parseMessage'
+];
+
+/**
+ * Check that an object implements the exchange adapter contract
+ * @param {Object} adapter - Adapter object to check
+ * @returns {Object} - The same adapter
+ * @throws {Error} - If the name or a required method is missing
+ */
+const validateExchangeAdapter = (adapter) => {
+    if (!adapter || typeof adapter !== 'object') {
+        throw new Error("Exchange adapter must be an object");
+    }
+
+    if (typeof adapter.name !== 'string' || adapter.name.trim() === '') {
+        throw new Error("Exchange adapter must have a name");
+    }
+
+    const label = `Exchange adapter "${adapter.name}"`;
+
+    if (typeof adapter.fetchCandles !== 'function') {
+        throw new Error(`${label} is missing required method fetchCandles()`);
+    }
+
+    for (const method of OPTIONAL_METHODS) {
+        if (adapter[method] !== undefined && typeof adapter[method] !== 'function') {
+            throw new Error(`${label} has a ${method} that is not a function`);
+        }
+    }
+
+    for (const [method, companions] of Object.entries(METHOD_GROUPS)) {
+        if (typeof adapter[method] !== 'function') continue;
+
+        for (const companion of companions) {
+            if (typeof adapter[companion] !== 'function') {
+                throw new Error(`${label} implements ${method}() but is missing ${companion}()`);
+            }
+        }
+    }
+
+    const keepalive = adapter.keepalive;
+    if (keepalive && (!(keepalive.intervalMs > 0) || typeof keepalive.message !== 'function')) {
+        throw new Error(`${label} keepalive needs a positive intervalMs and a message() function`);
+    }
+
+    return adapter;
+};
+
+/**
+ * Whether an adapter can download candles by date range
+ * @param {Object} adapter - Exchange adapter
+ * @returns {boolean} - True when fetchCandlePage() is implemented
+ */
+const supportsCandleRange = (adapter) => typeof adapter.fetchCandlePage === 'function';
+
+/**
+ * Whether an adapter can stream live candles
+ * @param {Object} adapter - Exchange adapter
+ * @returns {boolean} - True when getStreamUrl() is implemented
+ */
+const supportsStreaming = (adapter) => typeof adapter.getStreamUrl === 'function';
+
+/**
+ * Get the display name of an adapter
+ * @param {Object} adapter - Exchange adapter
+ * @returns {string} - Label, or the name when no label is set
+ */
+const getExchangeLabel = (adapter) => adapter.label || adapter.name;
+
+export {
+    validateExchangeAdapter,
+    supportsCandleRange,
+    supportsStreaming,
+    getExchangeLabel
+};
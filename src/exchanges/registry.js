@@ -0,0 +1,84 @@
+/**
+ * Exchange adapter registry
+ * Maps provider names to exchange adapters. Binance, Bybit and OHLCV files are registered
+ * by default; other venues are added with registerExchange() before creating Jalgo or a feed
+ */
+
+import { validateExchangeAdapter } from './exchange-adapter.js';
+import BinanceAdapter from './adapters/binance-adapter.js';
+import BybitAdapter from './adapters/bybit-adapter.js';
+import FileAdapter from './adapters/file-adapter.js';
+
+/**
+ * Registered adapters by lowercase name
+ * @type {Map<string, Object>}
+ */
+const adapters = new Map();
+
+/**
+ * Register an exchange adapter
+ * @param {Object} adapter - Adapter implementing the exchange adapter contract
+ * @param {Object} [options] - Registration options
+ * @param {boolean} [options.replace=false] - Replace an adapter already registered under the same name
+ * @returns {Object} - The registered adapter
+ * @throws {Error} - If the adapter is invalid or the name is taken
+ */
+const registerExchange = (adapter, options = {}) => {
+    validateExchangeAdapter(adapter);
+    const key = adapter.name.toLowerCase();
+
+    if (adapters.has(key) && !options.replace) {
+        throw new Error(`Exchange provider "${adapter.name}" is already registered`);
+    }
+
+    adapters.set(key, adapter);
+    return adapter;
+};
+
+/**
+ * Remove an exchange adapter
+ * @param {string} name - Provider name
+ * @returns {boolean} - True if an adapter was removed
+ */
+const unregisterExchange = (name) => adapters.delete(String(name).toLowerCase());
+
+/**
+ * Whether an exchange adapter is registered
+ * @param {string} name - Provider name
+ * @returns {boolean} - True if registered
+ */
+const hasExchange = (name) => typeof name === 'string' && adapters.has(name.toLowerCase());
+
+/**
+ * Get a registered exchange adapter
+ * @param {string} name - Provider name (case-insensitive)
+ * @returns {Object} - Exchange adapter
+ * @throws {Error} - If no adapter is registered under the name
+ */
+const getExchange = (name) => {
+    const adapter = typeof name === 'string' ? adapters.get(name.toLowerCase()) : undefined;
+
+    if (!adapter) {
+        throw new Error(`Unsupported exchange provider: ${name}`);
+    }
+
+    return adapter;
+};
+
+/**
+ * List the registered provider names
+ * @returns {Array<string>} - Provider names
+ */
+const listExchanges = () => [...adapters.values()].map(adapter => adapter.name);
+
+registerExchange(new BinanceAdapter());
+registerExchange(new BybitAdapter());
+registerExchange(new FileAdapter());
+
+export {
+    registerExchange,
+    unregisterExchange,
+    hasExchange,
+    getExchange,
+    listExchanges
+};
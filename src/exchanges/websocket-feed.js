@@ -0,0 +1,341 @@
+/**
+ * Exchange WebSocket Feed for J-Algo Trading System
+ * Streams live candles from any registered exchange adapter and feeds them into Jalgo
+ */
+
+import Jalgo from '../core/jalgo.js';
+import WebSocket from 'ws';
+import { getExchange } from './registry.js';
+import { supportsStreaming, getExchangeLabel } from './exchange-adapter.js';
+
+class ExchangeWebsocketFeed {
+    /**
+     * Create a new feed
+     * @param {Object} options - Feed options; everything but the handlers and the connection settings is passed to Jalgo
+     * @param {string} [options.provider="binance"] - Registered exchange adapter name
+     * @param {number} [options.maxReconnectAttempts=10] - Reconnect attempts before giving up
+     * @throws {Error} - If the provider is not registered or has no live stream
+     */
+    constructor(options = {}) {
+        // Trading parameters
+        this.symbol = options.symbol || 'BTCUSDT';
+        this.timeframe = options.timeframe || '5m';
+        this.market = options.market || 'futures'; // 'futures' or 'spot'
+        this.provider = options.provider || 'binance';
+        
+        // Resolve the exchange adapter that knows the stream URL and message format
+        this.adapter = getExchange(this.provider);
+        this.label = getExchangeLabel(this.adapter);
+        
+        if (!supportsStreaming(this.adapter)) {
+            throw new Error(`${this.label} does not provide a live candle stream`);
+        }
+        
+        // Initialize websocket connection
+        this.ws = null;
+        this.pingInterval = null;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = options.maxReconnectAttempts ?? 10;
+        this.isClosed = false;
+        
+        // Store event handlers from options or use defaults
+        this.onSignal = options.onSignal || this.handleSignal.bind(this);
+        this.onPositionOpen = options.onPositionOpen || this.handlePositionOpen.bind(this);
+        this.onPositionAdd = options.onPositionAdd || this.handlePositionAdd.bind(this);
+        this.onPositionClosed = options.onPositionClosed || this.handlePositionClosed.bind(this);
+        this.onTakeProfitHit = options.onTakeProfitHit || this.handleTakeProfitHit.bind(this);
+        this.onRiskHalt = options.onRiskHalt || this.handleRiskHalt.bind(this);
+        this.onError = options.onError || this.handleError.bind(this);
+        
+        // Initialize Jalgo with the same provider
+        this.jalgo = new Jalgo({
+            symbol: this.symbol,
+            timeframe: this.timeframe,
+            market: this.market,
+            provider: this.provider,
+            riskOptions: options.riskOptions || {
+                initialCapital: 1000,
+                riskPerTrade: 2.0,
+                rewardMultiple: 1.5,
+                useLeverage: this.market === 'futures',
+                leverageAmount: 3.0
+            },
+            strategy: options.strategy,
+            indicatorOptions: options.indicatorOptions || {},
+            tickSize: options.tickSize,
+            pricePrecision: options.pricePrecision,
+            lotSize: options.lotSize,
+            minQty: options.minQty,
+            minNotional: options.minNotional,
+            // Restore and autosave the trading state when a store or file path is configured
+            stateStore: options.stateStore,
+            statePath: options.statePath,
+            // Read historical candles through an on-disk cache when configured
+            candleCache: options.candleCache,
+            cacheDir: options.cacheDir,
+            // Pass all event handlers to Jalgo
+            onSignal: this.onSignal,
+            onPositionOpen: this.onPositionOpen,
+            onPositionAdd: this.onPositionAdd,
+            onPositionClosed: this.onPositionClosed,
+            onTakeProfitHit: this.onTakeProfitHit,
+            onRiskHalt: this.onRiskHalt,
+            onError: this.onError
+        });
+        
+        // Wait for jalgo initialization before connecting to websockets
+        setTimeout(() => {
+            this.connectToWebsocket();
+        }, 3000);
+    }
+    
+    /**
+     * Connect to the exchange's kline stream
+     */
+    connectToWebsocket() {
+        if (this.isClosed) return;
+        
+        try {
+            console.log(`Connecting to ${this.label} ${this.market} WebSocket for ${this.symbol}...`);
+            
+            const wsUrl = this.adapter.getStreamUrl(this.market, this.symbol, this.timeframe);
+            
+            // Create WebSocket connection
+            this.ws = new WebSocket(wsUrl);
+            
+            this.ws.on('open', () => {
+                console.log(`Connected to ${this.label} WebSocket for ${this.symbol}`);
+                this.reconnectAttempts = 0; // Reset reconnect attempts on successful connection
+                
+                // Subscribe to the kline channel when the stream is not selected by the URL
+                const subscribeMessages = typeof this.adapter.getSubscribeMessages === 'function'
+                    ? this.adapter.getSubscribeMessages(this.market, this.symbol, this.timeframe)
+                    : [];
+                
+                for (const message of subscribeMessages) {
+                    this.ws.send(JSON.stringify(message));
+                }
+                
+                // Replay candles that closed while disconnected before live candles are processed
+                this.jalgo.backfillCandles();
+                
+                // Keep the connection alive when the exchange expects client pings
+                const keepalive = this.adapter.keepalive;
+                if (keepalive) {
+                    this.pingInterval = setInterval(() => {
+                        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                            this.ws.send(JSON.stringify(keepalive.message()));
+                        }
+                    }, keepalive.intervalMs);
+                }
+            });
+            
+            this.ws.on('message', (data) => {
+                this.processMessage(data);
+            });
+            
+            this.ws.on('error', (error) => {
+                // A close event always follows, which schedules the reconnect
+                console.error(`${this.label} WebSocket error:`, error);
+            });
+            
+            this.ws.on('close', () => {
+                console.log(`${this.label} WebSocket connection closed`);
+                // Attempt to reconnect after delay
+                this.handleReconnect();
+            });
+            
+        } catch (error) {
+            console.error(`Error connecting to ${this.label} WebSocket:`, error);
+            // Attempt to reconnect after delay
+            this.handleReconnect();
+        }
+    }
+    
+    /**
+     * Handle WebSocket reconnection with exponential backoff
+     */
+    handleReconnect() {
+        // Clear existing ping interval if it exists
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        }
+        
+        // The feed was closed on purpose
+        if (this.isClosed) return;
+        
+        this.reconnectAttempts++;
+        
+        if (this.reconnectAttempts <= this.maxReconnectAttempts) {
+            // Calculate backoff time (exponential with jitter)
+            const baseDelay = 2000; // 2 seconds
+            const maxDelay = 60000; // Max 60 seconds
+            
+            // Exponential backoff with jitter
+            const exponentialDelay = Math.min(
+                maxDelay,
+                baseDelay * Math.pow(2, this.reconnectAttempts - 1)
+            );
+            
+            // Add jitter (±20%)
+            const jitter = 0.2 * exponentialDelay * (Math.random() - 0.5);
+            const delay = Math.floor(exponentialDelay + jitter);
+            
+            console.log(`Attempting to reconnect to ${this.label} WebSocket in ${delay/1000} seconds (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+            
+            setTimeout(() => {
+                if (!this.ws || this.ws.readyState === WebSocket.CLOSED) {
+                    this.connectToWebsocket();
+                }
+            }, delay);
+        } else {
+            console.error(`Failed to reconnect to ${this.label} WebSocket after ${this.maxReconnectAttempts} attempts. Please check your connection or restart the application.`);
+        }
+    }
+    
+    /**
+     * Process WebSocket messages
+     * @param {Buffer|String} data - Raw websocket message
+     */
+    processMessage(data) {
+        try {
+            const message = JSON.parse(data);
+            
+            // Pongs, subscription replies and other non-kline messages parse to null
+            const candle = this.adapter.parseMessage(message);
+            if (!candle) return;
+            
+            // Pass the candle to Jalgo for processing
+            this.jalgo.processNewCandle(candle);
+            
+            // Log candles that are complete
+            if (candle.x) {
+                console.log(`New completed ${this.timeframe} candle for ${this.symbol} (${this.label} ${this.market}): O=${candle.o} H=${candle.h} L=${candle.l} C=${candle.c}`);
+            }
+        } catch (error) {
+            console.error(`Error processing ${this.label} message:`, error);
+        }
+    }
+    
+    /**
+     * Handle signal detection from Jalgo
+     * @param {Object} signal - Signal information
+     */
+    handleSignal(signal) {
+        console.log('--------------------------------------------------');
+        console.log(`📊 SIGNAL DETECTED (${this.label} ${this.symbol}): ${signal.position.toUpperCase()}`);
+        console.log('--------------------------------------------------');
+    }
+    
+    /**
+     * Handle new position opened from Jalgo
+     * @param {Object} position - Position information
+     */
+    handlePositionOpen(position) {
+        console.log('--------------------------------------------------');
+        console.log(`🔔 NEW POSITION OPENED (${this.label} ${this.symbol}): ${position.position.toUpperCase()} @ ${position.entry}`);
+        console.log(`Target: ${position.target}`);
+        console.log(`Reference Stop: ${position.refStop}`);
+        console.log(`Risk Amount: $${position.risk}`);
+        console.log('--------------------------------------------------');
+    }
+    
+    /**
+     * Handle a pyramid add to the open position from Jalgo
+     * @param {Object} add - Add information
+     */
+    handlePositionAdd(add) {
+        console.log('--------------------------------------------------');
+        console.log(`➕ POSITION ADDED (${this.label} ${this.symbol}): ${add.position.toUpperCase()} @ ${add.addPrice} (add ${add.add})`);
+        console.log(`Average Entry: ${add.entry}`);
+        console.log(`Target: ${add.target}`);
+        console.log(`Risk Amount: $${add.risk}`);
+        console.log('--------------------------------------------------');
+    }
+    
+    /**
+     * Handle position closed from Jalgo
+     * @param {Object} result - Position close result
+     */
+    handlePositionClosed(result) {
+        console.log('--------------------------------------------------');
+        console.log(`🏁 POSITION CLOSED (${this.label} ${this.symbol}): ${result.position.toUpperCase()} @ ${result.exit}`);
+        console.log(`Close Reason: ${result.closeReason}`);
+        const profitOrLoss = result.pnl >= 0 ? `PROFIT: +$${result.pnl.toFixed(2)}` : `LOSS: -$${Math.abs(result.pnl).toFixed(2)}`;
+        console.log(profitOrLoss);
+        console.log(`Capital: $${result.capitalAfter.toFixed(2)}`);
+        console.log('--------------------------------------------------');
+    }
+    
+    /**
+     * Handle take profit hits from Jalgo
+     * @param {Object} result - Take profit result
+     */
+    handleTakeProfitHit(result) {
+        console.log('--------------------------------------------------');
+        console.log(`🎯 TARGET HIT (${this.label} ${this.symbol}): ${result.position.toUpperCase()} @ ${result.exit}`);
+        console.log(`PnL: $${result.pnl.toFixed(2)}`);
+        console.log(`Capital: $${result.capitalAfter.toFixed(2)}`);
+        console.log('--------------------------------------------------');
+    }
+    
+    /**
+     * Handle circuit breaker halts from Jalgo
+     * @param {Object} halt - Halt information
+     */
+    handleRiskHalt(halt) {
+        console.log('--------------------------------------------------');
+        console.log(`⛔ TRADING HALTED (${this.label} ${this.symbol}): ${halt.reason}`);
+        console.log(`Reason: ${halt.message}`);
+        console.log(`Capital: $${halt.capital.toFixed(2)}`);
+        console.log('--------------------------------------------------');
+    }
+    
+    /**
+     * Handle errors from Jalgo
+     * @param {Error} error - Error object
+     */
+    handleError(error) {
+        console.error(`Jalgo Error (${this.label}):`, error);
+    }
+    
+    /**
+     * Get current performance stats
+     * @returns {Object} - Performance statistics
+     */
+    getStats() {
+        return this.jalgo.getPerformanceStats();
+    }
+    
+    /**
+     * Log current active position details
+     */
+    logActivePosition() {
+        if (this.jalgo && typeof this.jalgo.logActivePosition === 'function') {
+            this.jalgo.logActivePosition();
+        } else {
+            console.log(`Active position logging not available for ${this.label}`);
+        }
+    }
+    
+    /**
+     * Close the WebSocket connection without reconnecting
+     */
+    close() {
+        this.isClosed = true;
+        
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        }
+        
+        if (this.ws) {
+            this.ws.close();
+            this.ws = null;
+            console.log(`${this.label} WebSocket connection closed`);
+        }
+    }
+}
+
+export default ExchangeWebsocketFeed;
@@ -0,0 +1,61 @@
+/**
+ * Indicator settings for J-Trend Sniper
+ * Defaults and validation for the `indicatorOptions` block accepted by Jalgo and the feeds
+ */
+
+/**
+ * Default J-Trend Sniper settings (match the trend_sniper() defaults)
+ * @type {Object}
+ */
+const DEFAULT_INDICATOR_OPTIONS = Object.freeze({
+    length: 6,             // Length for variable MA
+    period: 16,            // Period for ATR calculation
+    multiplier: 9,         // Multiplier for main ATR
+    fast_multiplier: 5.1,  // Multiplier for fast ATR
+    smoothingPeriod: 21    // Period of the final jATR SMA
+});
+
+/**
+ * Rule for each option: true when the value is acceptable
+ * @type {Object}
+ */
+const OPTION_RULES = {
+    length: { check: v => Number.isInteger(v) && v >= 1, expected: "an integer >= 1" },
+    period: { check: v => Number.isInteger(v) && v >= 1, expected: "an integer >= 1" },
+    multiplier: { check: v => Number.isFinite(v) && v > 0, expected: "a number > 0" },
+    fast_multiplier: { check: v => Number.isFinite(v) && v > 0, expected: "a number > 0" },
+    smoothingPeriod: { check: v => Number.isInteger(v) && v >= 1, expected: "an integer >= 1" }
+};
+
+/**
+ * Merge user indicator options with the defaults and validate them
+ * @param {Object} [options] - Partial indicator options
+ * @returns {Object} - Complete, validated indicator options
+ * @throws {Error} - If an option is unknown or has an invalid value
+ */
+const validateIndicatorOptions = (options = {}) => {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error("indicatorOptions must be an object");
+    }
+
+    for (const key of Object.keys(options)) {
+        if (!OPTION_RULES[key]) {
+            throw new Error(`Unknown indicator option "${key}". Valid options: ${Object.keys(OPTION_RULES).join(', ')}`);
+        }
+    }
+
+    const merged = { ...DEFAULT_INDICATOR_OPTIONS, ...options };
+
+    for (const [key, rule] of Object.entries(OPTION_RULES)) {
+        if (!rule.check(merged[key])) {
+            throw new Error(`Invalid indicator option "${key}": expected ${rule.expected}, got ${merged[key]}`);
+        }
+    }
+
+    return merged;
+};
+
+export {
+    DEFAULT_INDICATOR_OPTIONS,
+    validateIndicatorOptions
+};
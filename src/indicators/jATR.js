@@ -6,9 +6,10 @@ import { ATR } from 'technicalindicators';
  * @param {Object} source - Object containing OHLC price arrays
  * @param {number} period - ATR period
  * @param {number} multiplier - ATR multiplier
+ * @param {number} precision - Decimal places of the output (derived from the symbol's tick size)
  * @returns {Array} - Array of Smoothed ATR values
  */
-const SATR = (source = {}, period = 16, multiplier = 9) => {
+const SATR = (source = {}, period = 16, multiplier = 9, precision = 1) => {
     // Validate input data
     if (!source || !source.high || !source.low || !source.close) {
         console.error("Missing required price data in source object");
@@ -62,11 +63,81 @@ const SATR = (source = {}, period = 16, multiplier = 9) => {
             defATR.push(val);
         }
         
-        return round(defATR, 1);
+        return round(defATR, precision);
     } catch (error) {
         console.error("Error calculating Smoothed ATR:", error);
         return [];
     }
 }
 
+/**
+ * Incremental Smoothed ATR (SATR)
+ * Produces the same values as SATR() run over every candle pushed so far,
+ * but updates in constant time per candle
+ */
+class SATRStream {
+    /**
+     * @param {number} period - ATR period
+     * @param {number} multiplier - ATR multiplier
+     * @param {number} precision - Decimal places of the output
+     */
+    constructor(period = 16, multiplier = 9, precision = 1) {
+        this.period = period;
+        this.multiplier = multiplier;
+        this.precision = precision;
+        this.reset();
+    }
+
+    /**
+     * Clear all internal state
+     */
+    reset() {
+        this.atr = new ATR({ high: [], low: [], close: [], period: this.period });
+        this.prevDefATR = null; // Unrounded previous SATR value
+        this.prevClose = null;
+        this.atrValue = null; // Latest raw ATR value
+        this.value = null; // Latest rounded SATR value
+    }
+
+    /**
+     * Push a closed candle into the stream
+     * @param {Object} candle - Candle with high, low and close
+     * @returns {number|null} - Latest SATR value or null while warming up
+     */
+    update(candle) {
+        const aTR = this.atr.nextValue({ high: candle.high, low: candle.low, close: candle.close });
+
+        if (aTR === undefined) {
+            return null;
+        }
+
+        this.atrValue = aTR;
+        const nl = this.multiplier * aTR;
+        const close = candle.close;
+
+        // The first value has no history, so it is anchored on its own close
+        const pre_defATR = this.prevDefATR === null ? close : this.prevDefATR;
+        const pre_close = this.prevClose === null ? close : this.prevClose;
+
+        let val;
+
+        if (close > pre_defATR && pre_close > pre_defATR) {
+            val = Math.max(pre_defATR, close - nl);
+        } else if (close < pre_defATR && pre_close < pre_defATR) {
+            val = Math.min(pre_defATR, close + nl);
+        } else if (close > pre_defATR) {
+            val = close - nl;
+        } else {
+            val = close + nl;
+        }
+
+        this.prevDefATR = val;
+        this.prevClose = close;
+        this.value = round(val, this.precision);
+
+        return this.value;
+    }
+}
+
+export { SATRStream };
 export default SATR;
\ No newline at end of file
@@ -1,7 +1,26 @@
 import { divide, subtract, add, round } from 'mathjs';
 import { SMA } from 'technicalindicators';
-import variable_moving_average from './var_ma.js';
-import SATR from './jATR.js';
+import variable_moving_average, { VariableMovingAverageStream } from './var_ma.js';
+import SATR, { SATRStream } from './jATR.js';
+
+/**
+ * Detect a var_ma / jATR crossover at a bar
+ * @param {Array} var_ma - VAR MA values aligned with jATR
+ * @param {Array} jATR - Smoothed ATR values
+ * @param {number} i - Bar index within the aligned arrays (must be >= 1)
+ * @returns {string|null} - "long" on cross over, "short" on cross under, null otherwise
+ */
+const crossover = (var_ma, jATR, i) => {
+    // Cross over - bullish signal
+    if (var_ma[i] > jATR[i] && var_ma[i-1] <= jATR[i-1]) {
+        return 'long';
+    }
+    // Cross under - bearish signal
+    if (var_ma[i] < jATR[i] && var_ma[i-1] >= jATR[i-1]) {
+        return 'short';
+    }
+    return null;
+}
 
 /**
  * J-Trend Sniper v2 indicator
@@ -12,34 +31,45 @@ import SATR from './jATR.js';
  * @param {number} period - Period for ATR calculation
  * @param {number} multiplier - Multiplier for main ATR
  * @param {number} fast_multiplier - Multiplier for fast ATR
+ * @param {Object} [options] - Extra settings
+ * @param {number} [options.smoothingPeriod=21] - Period of the final jATR SMA
+ * @param {number} [options.precision=1] - Decimal places of every output series (derived from the symbol's tick size)
+ * @param {boolean} [options.signalSeries=false] - Also return `signals`, an array aligned with the
+ *   source candles holding a crossover event (or false) for every bar
  * @returns {Object} - Object containing indicator values and signal
  */
-const trend_sniper = (source = {}, length = 6, period = 16, multiplier = 9, fast_multiplier = 5.1) => {
+const trend_sniper = (source = {}, length = 6, period = 16, multiplier = 9, fast_multiplier = 5.1, options = {}) => {
+    const emptyResult = () => ({
+        jATR: [], var_ma: [], jATR_sma: [], fast_jATR_sma: [], signal: false,
+        ...(options.signalSeries ? { signals: Array(source.close?.length ?? 0).fill(false) } : {})
+    });
+
     // Validate input data
     if (!source || !source.close || !source.open || !source.high || !source.low) {
         console.error("Missing required price data in source object");
-        return { jATR: [], var_ma: [], jATR_sma: [], fast_jATR_sma: [], signal: false };
+        return emptyResult();
     }
 
     try {
         /* Initialize */
         // Calculate main indicators
-        const jATR = SATR(source, period, multiplier);
-        const fast_jATR = SATR(source, period, fast_multiplier);
+        const precision = options.precision ?? 1;
+        const jATR = SATR(source, period, multiplier, precision);
+        const fast_jATR = SATR(source, period, fast_multiplier, precision);
         
         // Return early if we couldn't calculate the indicators
         if (!jATR.length || !fast_jATR.length) {
-            return { jATR: [], var_ma: [], jATR_sma: [], fast_jATR_sma: [], signal: false };
+            return emptyResult();
         }
         
         const initialVal = 0.0;
         
         // Calculate variable MA and adjust length to match jATR
-        let var_ma = variable_moving_average(source, length);
+        let var_ma = variable_moving_average(source, length, precision);
         
         // Ensure we have calculated values
         if (!var_ma.length) {
-            return { jATR, var_ma: [], jATR_sma: [], fast_jATR_sma: [], signal: false };
+            return { ...emptyResult(), jATR };
         }
         
         // Ensure var_ma is the same length as jATR (safely)
@@ -85,7 +115,7 @@ const trend_sniper = (source = {}, length = 6, period = 16, multiplier = 9, fast
         }
         
         // Calculate final jATR SMA using SMA function from library
-        const sma_period = 21;
+        const sma_period = options.smoothingPeriod || 21;
         if (jATR_sma.length >= sma_period) {
             jATR_sma = SMA.calculate({period: sma_period, values: jATR_sma});
         } else {
@@ -101,38 +131,200 @@ const trend_sniper = (source = {}, length = 6, period = 16, multiplier = 9, fast
         
         // Only generate signals if we have enough data points
         if (var_ma.length >= 2 && jATR.length >= 2 && close.length >= 1) {
-            // Cross over - bullish signal
-            if (var_ma[var_ma.length-1] > jATR[jATR.length-1] && 
-                var_ma[var_ma.length-2] <= jATR[jATR.length-2]) {
-                signal = {
-                    order: "market",
-                    position: 'long',
-                    location: close[close.length-1] 
-                };
-            } 
-            // Cross under - bearish signal
-            else if (var_ma[var_ma.length-1] < jATR[jATR.length-1] && 
-                    var_ma[var_ma.length-2] >= jATR[jATR.length-2]) {
+            const position = crossover(var_ma, jATR, jATR.length - 1);
+            
+            if (position) {
                 signal = {
                     order: "market",
-                    position: 'short',
+                    position,
                     location: close[close.length-1]
                 };
             }
         }
+        
+        const rounded_jATR_sma = jATR_sma.length ? round(jATR_sma, precision) : [];
+        const rounded_fast_jATR_sma = fast_jATR_sma.length ? round(fast_jATR_sma, precision) : [];
+        
+        /* Signal series */
+        let signals;
+        
+        if (options.signalSeries) {
+            // Bars before the first jATR value can never carry a signal
+            const offset = source.close.length - jATR.length;
+            const smaOffset = jATR.length - rounded_jATR_sma.length;
+            signals = Array(source.close.length).fill(false);
+            
+            for (let i = 1; i < jATR.length; i++) {
+                const position = crossover(var_ma, jATR, i);
+                
+                if (position) {
+                    signals[offset + i] = {
+                        order: "market",
+                        position,
+                        location: close[i],
+                        index: offset + i,
+                        jATR: jATR[i],
+                        fast_jATR: fast_jATR[i],
+                        var_ma: var_ma[i],
+                        jATR_sma: i >= smaOffset ? rounded_jATR_sma[i - smaOffset] : null,
+                        fast_jATR_sma: rounded_fast_jATR_sma[i]
+                    };
+                }
+            }
+        }
             
         /* End */
         return {
             jATR,
             var_ma,
-            jATR_sma: jATR_sma.length ? round(jATR_sma, 1) : [],
-            fast_jATR_sma: fast_jATR_sma.length ? round(fast_jATR_sma, 1) : [],
-            signal
+            jATR_sma: rounded_jATR_sma,
+            fast_jATR_sma: rounded_fast_jATR_sma,
+            signal,
+            ...(signals ? { signals } : {})
         };
     } catch (error) {
         console.error("Error calculating J-Trend Sniper v2:", error);
-        return { jATR: [], var_ma: [], jATR_sma: [], fast_jATR_sma: [], signal: false };
+        return emptyResult();
+    }
+}
+
+/**
+ * Incremental J-Trend Sniper v2
+ * Keeps the SATR, VAR MA and SMA state between candles so each closed candle
+ * is processed in constant time. The snapshot returned by update() holds the
+ * latest value of every series trend_sniper() returns, and matches the last
+ * element of trend_sniper() run over every candle pushed so far.
+ */
+class TrendSniperStream {
+    /**
+     * @param {number} length - Length for variable MA
+     * @param {number} period - Period for ATR calculation
+     * @param {number} multiplier - Multiplier for main ATR
+     * @param {number} fast_multiplier - Multiplier for fast ATR
+     * @param {Object} [options] - Extra settings
+     * @param {number} [options.smoothingPeriod=21] - Period of the final jATR SMA
+     * @param {number} [options.precision=1] - Decimal places of every output value
+     */
+    constructor(length = 6, period = 16, multiplier = 9, fast_multiplier = 5.1, options = {}) {
+        this.length = length;
+        this.period = period;
+        this.multiplier = multiplier;
+        this.fast_multiplier = fast_multiplier;
+        this.smoothingPeriod = options.smoothingPeriod || 21;
+        this.precision = options.precision ?? 1;
+        this.reset();
+    }
+
+    /**
+     * Clear all internal state
+     */
+    reset() {
+        this.jATRStream = new SATRStream(this.period, this.multiplier, this.precision);
+        this.fastJATRStream = new SATRStream(this.period, this.fast_multiplier, this.precision);
+        this.varMaStream = new VariableMovingAverageStream(this.length, this.precision);
+        this.jATRSmaStream = new SMA({ period: this.smoothingPeriod, values: [] });
+        this.hasVarMa = false;
+        this.prevJATR = null;
+        this.prevVarMa = null;
+        this.current = TrendSniperStream.emptySnapshot();
+    }
+
+    /**
+     * Snapshot returned before the indicator has enough data
+     * @returns {Object} - Empty indicator snapshot
+     */
+    static emptySnapshot() {
+        return { jATR: null, fast_jATR: null, var_ma: null, jATR_sma: null, fast_jATR_sma: null, atr: null, signal: false };
+    }
+
+    /**
+     * Feed a full OHLC history into the stream
+     * @param {Object} source - Object containing OHLC price arrays
+     * @returns {Object} - Snapshot after the last candle
+     */
+    seed(source = {}) {
+        if (!source || !source.close || !source.open || !source.high || !source.low) {
+            console.error("Missing required price data in source object");
+            return this.current;
+        }
+
+        for (let i = 0; i < source.close.length; i++) {
+            this.update({
+                open: source.open[i],
+                high: source.high[i],
+                low: source.low[i],
+                close: source.close[i]
+            });
+        }
+
+        return this.current;
+    }
+
+    /**
+     * Push a closed candle into the stream
+     * @param {Object} candle - Candle with open, high, low and close
+     * @returns {Object} - Latest indicator snapshot with signal
+     */
+    update(candle) {
+        const initialVal = 0.0;
+
+        const jATR = this.jATRStream.update(candle);
+        const fast_jATR = this.fastJATRStream.update(candle);
+        const var_ma = this.varMaStream.update(candle);
+
+        if (var_ma !== null) {
+            this.hasVarMa = true;
+        }
+
+        if (jATR === null || fast_jATR === null) {
+            this.current = TrendSniperStream.emptySnapshot();
+            return this.current;
+        }
+
+        // Bars where VAR MA is still warming up count as zero, like the batch padding
+        const var_ma_val = var_ma === null ? initialVal : var_ma;
+        const jATR_val = jATR || initialVal;
+        const fast_jATR_val = fast_jATR || initialVal;
+
+        const jATR_mid = jATR_val > var_ma_val ?
+            jATR_val - (jATR_val - var_ma_val) / 2 :
+            jATR_val + (var_ma_val - jATR_val) / 2;
+
+        const fast_jATR_mid = fast_jATR_val > var_ma_val ?
+            fast_jATR_val - (fast_jATR_val - var_ma_val) / 2 :
+            fast_jATR_val + (var_ma_val - fast_jATR_val) / 2;
+
+        const jATR_sma = this.jATRSmaStream.nextValue(jATR_mid);
+
+        let signal = false;
+
+        if (this.prevJATR !== null && this.hasVarMa) {
+            // Cross over - bullish signal
+            if (var_ma_val > jATR && this.prevVarMa <= this.prevJATR) {
+                signal = { order: "market", position: 'long', location: candle.close };
+            }
+            // Cross under - bearish signal
+            else if (var_ma_val < jATR && this.prevVarMa >= this.prevJATR) {
+                signal = { order: "market", position: 'short', location: candle.close };
+            }
+        }
+
+        this.prevJATR = jATR;
+        this.prevVarMa = var_ma_val;
+
+        this.current = this.hasVarMa ? {
+            jATR,
+            fast_jATR,
+            var_ma: var_ma_val,
+            jATR_sma: jATR_sma === undefined ? null : round(jATR_sma, this.precision),
+            fast_jATR_sma: round(fast_jATR_mid, this.precision),
+            atr: this.jATRStream.atrValue,
+            signal
+        } : { ...TrendSniperStream.emptySnapshot(), jATR, fast_jATR };
+
+        return this.current;
     }
 }
 
+export { TrendSniperStream };
 export default trend_sniper;
\ No newline at end of file
@@ -5,9 +5,10 @@ import { SMA } from 'technicalindicators';
  * Calculate Variable Moving Average
  * @param {Object} source - Object containing OHLC price arrays
  * @param {number} length - Length of the moving average period
+ * @param {number} precision - Decimal places of the output (derived from the symbol's tick size)
  * @returns {Array} - Array of VAR MA values
  */
-const variable_moving_average = (source = {}, length = 6) => {
+const variable_moving_average = (source = {}, length = 6, precision = 1) => {
     // Validate input data
     if (!source || !source.close || !source.open || !source.high || !source.low) {
         console.error("Missing required price data in source object");
@@ -51,11 +52,73 @@ const variable_moving_average = (source = {}, length = 6) => {
 
             var_ma.push(value); 
         }
-        return round(var_ma, 1);
+        return round(var_ma, precision);
     } catch (error) {
         console.error("Error calculating Variable Moving Average:", error);
         return [];
     }
 }
 
+/**
+ * Incremental Variable Moving Average
+ * Produces the same values as variable_moving_average() run over every candle
+ * pushed so far, but updates in constant time per candle
+ */
+class VariableMovingAverageStream {
+    /**
+     * @param {number} length - Length of the moving average period
+     * @param {number} precision - Decimal places of the output
+     */
+    constructor(length = 6, precision = 1) {
+        this.length = length;
+        this.precision = precision;
+        this.reset();
+    }
+
+    /**
+     * Clear all internal state
+     */
+    reset() {
+        this.c_sma = new SMA({ period: this.length, values: [] });
+        this.o_sma = new SMA({ period: this.length, values: [] });
+        this.h_sma = new SMA({ period: this.length, values: [] });
+        this.l_sma = new SMA({ period: this.length, values: [] });
+        this.prevValue = null; // Unrounded previous VAR MA value
+        this.value = null; // Latest rounded VAR MA value
+    }
+
+    /**
+     * Push a closed candle into the stream
+     * @param {Object} candle - Candle with open, high, low and close
+     * @returns {number|null} - Latest VAR MA value or null while warming up
+     */
+    update(candle) {
+        const c_sma = this.c_sma.nextValue(candle.close);
+        const o_sma = this.o_sma.nextValue(candle.open);
+        const h_sma = this.h_sma.nextValue(candle.high);
+        const l_sma = this.l_sma.nextValue(candle.low);
+
+        if (c_sma === undefined || o_sma === undefined || h_sma === undefined || l_sma === undefined) {
+            return null;
+        }
+
+        let lv = 0;
+        const highLowDiff = h_sma - l_sma;
+
+        if (Math.abs(highLowDiff) > 1e-8) {
+            lv = Math.abs((c_sma - o_sma) / highLowDiff);
+        }
+
+        // The first value has no history, so it is anchored on its own close
+        const prevValue = this.prevValue === null ? candle.close : this.prevValue;
+        const value = lv * candle.close + (1 - lv) * prevValue;
+
+        this.prevValue = value;
+        this.value = round(value, this.precision);
+
+        return this.value;
+    }
+}
+
+export { VariableMovingAverageStream };
 export default variable_moving_average;
\ No newline at end of file
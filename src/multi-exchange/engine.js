@@ -3,8 +3,7 @@
  * Manages multiple exchange instances simultaneously
  */
 
-import BinanceWebsocketFeed from '../exchanges/binance-feed.js';
-import BybitWebsocketFeed from '../exchanges/bybit-feed.js';
+import ExchangeWebsocketFeed from '../exchanges/websocket-feed.js';
 
 class MultiExchangeEngine {
     /**
@@ -27,6 +26,8 @@ class MultiExchangeEngine {
     
     /**
      * Initialize exchanges based on configuration
+     * Each configuration may carry its own `strategy` object; strategies keep
+     * per-symbol state, so never share one instance between exchanges
      * @param {Array} exchangesConfig - Array of exchange configurations
      */
     initialize(exchangesConfig) {
@@ -48,27 +49,18 @@ class MultiExchangeEngine {
                 const eventHandlers = {
                     onSignal: (signal) => this.handleSignal(exchangeId, signal),
                     onPositionOpen: (position) => this.handlePositionOpen(exchangeId, position),
+                    onPositionAdd: (add) => this.handlePositionAdd(exchangeId, add),
                     onPositionClosed: (result) => this.handlePositionClosed(exchangeId, result),
                     onTakeProfitHit: (result) => this.handleTakeProfitHit(exchangeId, result),
+                    onRiskHalt: (halt) => this.handleRiskHalt(exchangeId, halt),
                     onError: (error) => this.handleError(exchangeId, error)
                 };
                 
-                // Create exchange instance with the right class
-                let exchange;
-                
-                if (config.provider.toLowerCase() === 'binance') {
-                    exchange = new BinanceWebsocketFeed({
-                        ...config,
-                        ...eventHandlers
-                    });
-                } else if (config.provider.toLowerCase() === 'bybit') {
-                    exchange = new BybitWebsocketFeed({
-                        ...config,
-                        ...eventHandlers
-                    });
-                } else {
-                    throw new Error(`Unsupported exchange provider: ${config.provider}`);
-                }
+                // Any registered exchange adapter with a live stream can be traded
+                const exchange = new ExchangeWebsocketFeed({
+                    ...config,
+                    ...eventHandlers
+                });
                 
                 // Add additional metadata
                 exchange.id = exchangeId;
@@ -174,6 +166,17 @@ class MultiExchangeEngine {
         }
     }
     
+    /**
+     * Handle pyramid add event
+     * @param {string} exchangeId - Exchange identifier
+     * @param {Object} add - Add information
+     */
+    handlePositionAdd(exchangeId, add) {
+        if (this.enableDetailedLogs) {
+            console.log(`[${exchangeId}] Position added: ${add.position.toUpperCase()} @ ${add.addPrice}, average entry ${add.entry}`);
+        }
+    }
+    
     /**
      * Handle position closed event
      * @param {string} exchangeId - Exchange identifier
@@ -197,6 +200,15 @@ class MultiExchangeEngine {
         }
     }
     
+    /**
+     * Handle circuit breaker halt event
+     * @param {string} exchangeId - Exchange identifier
+     * @param {Object} halt - Halt information
+     */
+    handleRiskHalt(exchangeId, halt) {
+        console.warn(`[${exchangeId}] Trading halted (${halt.reason}): ${halt.message}`);
+    }
+    
     /**
      * Handle error event
      * @param {string} exchangeId - Exchange identifier
@@ -226,7 +238,12 @@ class MultiExchangeEngine {
                 totalTrades: stats.totalTrades,
                 winRate: stats.overallWinRate,
                 pnl: stats.totalProfitLoss,
-                capital: stats.currentCapital
+                grossPnl: stats.grossProfitLoss,
+                fees: stats.totalFees,
+                slippage: stats.totalSlippage,
+                funding: stats.totalFunding,
+                capital: stats.currentCapital,
+                indicatorOptions: stats.indicatorOptions
             };
         });
         
@@ -234,9 +251,12 @@ class MultiExchangeEngine {
         const totalStats = statsByExchange.reduce((total, exchange) => {
             total.totalTrades += exchange.totalTrades;
             total.totalPnl += exchange.pnl;
+            total.totalFees += exchange.fees;
+            total.totalSlippage += exchange.slippage;
+            total.totalFunding += exchange.funding;
             total.totalCapital += exchange.capital;
             return total;
-        }, { totalTrades: 0, totalPnl: 0, totalCapital: 0 });
+        }, { totalTrades: 0, totalPnl: 0, totalFees: 0, totalSlippage: 0, totalFunding: 0, totalCapital: 0 });
         
         // Add other aggregated metrics
         return {
@@ -244,6 +264,9 @@ class MultiExchangeEngine {
             totalExchanges: this.exchanges.length,
             totalTrades: totalStats.totalTrades,
             totalPnl: parseFloat(totalStats.totalPnl.toFixed(2)),
+            totalFees: parseFloat(totalStats.totalFees.toFixed(2)),
+            totalSlippage: parseFloat(totalStats.totalSlippage.toFixed(2)),
+            totalFunding: parseFloat(totalStats.totalFunding.toFixed(2)),
             totalCapital: parseFloat(totalStats.totalCapital.toFixed(2)),
             timestamp: new Date().toISOString()
         };
@@ -0,0 +1,392 @@
+/**
+ * On-disk candle cache
+ * Candles are kept per provider/market/symbol/interval in an append-only NDJSON file, one candle
+ * per line with the fields in CANDLE_FIELDS order, next to a metadata file that records the
+ * time ranges already downloaded so that only missing ranges are fetched again. The ranges
+ * need not touch: a query far from the cached candles downloads only what it asks for
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    CANDLE_FIELDS,
+    createCandleSeries,
+    appendCandle,
+    getCandle,
+    findCandleGaps
+} from '../utility/candles.js';
+import { getTimeframeMs } from '../utility/timeframe.js';
+
+/**
+ * Version of the cache file layout
+ * @type {number}
+ */
+const CANDLE_CACHE_VERSION = 1;
+
+/**
+ * Merge a time range into sorted coverage segments
+ * Overlapping and touching segments are joined
+ * @param {Array<Object>} segments - Sorted { from, to } segments
+ * @param {Object} range - { from, to } range to add
+ * @returns {Array<Object>} - Sorted, disjoint segments
+ */
+const mergeSegments = (segments, range) => {
+    const merged = [];
+
+    for (const segment of [...segments, range].sort((a, b) => a.from - b.from)) {
+        const last = merged[merged.length - 1];
+
+        if (last && segment.from <= last.to + 1) {
+            last.to = Math.max(last.to, segment.to);
+        } else {
+            merged.push({ from: segment.from, to: segment.to });
+        }
+    }
+
+    return merged;
+};
+
+/**
+ * Validate and normalize a cache key
+ * @param {Object} key - { provider, market, symbol, interval }
+ * @returns {Object} - Normalized key
+ * @throws {Error} - If a part of the key is missing or the interval is invalid
+ */
+const normalizeKey = (key) => {
+    const { provider, market, symbol, interval } = key || {};
+
+    if (!provider || !market || !symbol || !interval) {
+        throw new Error("Candle cache key requires provider, market, symbol and interval");
+    }
+
+    if (getTimeframeMs(interval) === null) {
+        throw new Error(`Invalid interval: ${interval}`);
+    }
+
+    return { provider: provider.toLowerCase(), market, symbol: symbol.toUpperCase(), interval };
+};
+
+/**
+ * Get the file name of an interval
+ * Months are written as "mo" so that "1M" and "1m" do not collide on case-insensitive file systems
+ * @param {string} interval - Candle interval
+ * @returns {string} - File name without extension
+ */
+const getIntervalFileName = (interval) => interval.replace(/M$/, 'mo');
+
+/**
+ * Turn a candle into a cache line
+ * @param {Object} candle - Normalized candle
+ * @returns {string} - JSON array terminated by a newline
+ */
+const toLine = (candle) => `${JSON.stringify(CANDLE_FIELDS.map(field => candle[field] ?? null))}\n`;
+
+/**
+ * Parse the content of a cache file
+ * @param {string} content - File content
+ * @returns {Object} - { candles, errors, torn } with the valid candles, the problems found and
+ *   whether the last line was cut off by an interrupted append
+ */
+const parseCandleFile = (content) => {
+    const candles = createCandleSeries();
+    const errors = [];
+    const lines = content.split('\n');
+
+    // Every complete line ends with a newline, so anything after the last one is a partial write
+    const torn = lines.pop() !== '';
+
+    lines.forEach((line, i) => {
+        let row;
+
+        try {
+            row = JSON.parse(line);
+        } catch (error) {
+            errors.push(`line ${i + 1}: invalid JSON`);
+            return;
+        }
+
+        if (!Array.isArray(row) || row.length !== CANDLE_FIELDS.length || !Number.isFinite(row[0])) {
+            errors.push(`line ${i + 1}: not a candle`);
+            return;
+        }
+
+        const lastTime = candles.time[candles.time.length - 1];
+        if (lastTime !== undefined && row[0] <= lastTime) {
+            errors.push(`line ${i + 1}: candle at ${row[0]} is not after ${lastTime}`);
+            return;
+        }
+
+        CANDLE_FIELDS.forEach((field, index) => candles[field].push(row[index]));
+    });
+
+    return { candles, errors, torn };
+};
+
+class FileCandleStore {
+    /**
+     * Create a file-backed candle cache
+     * @param {string} directory - Directory holding the cache files
+     */
+    constructor(directory) {
+        if (!directory) {
+            throw new Error("FileCandleStore requires a directory");
+        }
+
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * Get the file paths of a cache entry
+     * @param {Object} key - { provider, market, symbol, interval }
+     * @returns {Object} - { dataPath, metaPath }
+     */
+    getPaths(key) {
+        const { provider, market, symbol, interval } = normalizeKey(key);
+        const basePath = path.join(this.directory, provider, market, symbol, getIntervalFileName(interval));
+
+        return { dataPath: `${basePath}.ndjson`, metaPath: `${basePath}.meta.json` };
+    }
+
+    /**
+     * Read the metadata of a cache entry
+     * @param {Object} key - { provider, market, symbol, interval }
+     * @returns {Object|null} - Metadata, null when missing or unreadable
+     */
+    readMeta(key) {
+        const { metaPath } = this.getPaths(key);
+        if (!fs.existsSync(metaPath)) return null;
+
+        try {
+            const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+            return meta && meta.version === CANDLE_CACHE_VERSION && Array.isArray(meta.segments) ? meta : null;
+        } catch (error) {
+            console.warn(`Unreadable candle cache metadata ${metaPath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Get the time ranges whose closed candles are all in the cache
+     * @param {Object} key - { provider, market, symbol, interval }
+     * @returns {Array<Object>} - Sorted, disjoint { from, to } open time ranges in milliseconds, empty when nothing is cached
+     */
+    getCoverage(key) {
+        const meta = this.readMeta(key);
+        return meta ? meta.segments : [];
+    }
+
+    /**
+     * Read cached candles
+     * A cut-off last line is dropped; a file with any other damage is moved aside as
+     * <file>.corrupt-<time> and the entry starts over empty
+     * @param {Object} key - { provider, market, symbol, interval }
+     * @param {number} [startTime=-Infinity] - First open time (inclusive)
+     * @param {number} [endTime=Infinity] - Last open time (inclusive)
+     * @returns {Object} - Candle series, oldest first
+     */
+    read(key, startTime = -Infinity, endTime = Infinity) {
+        const { dataPath, metaPath } = this.getPaths(key);
+        if (!fs.existsSync(dataPath)) return createCandleSeries();
+
+        const { candles, errors, torn } = parseCandleFile(fs.readFileSync(dataPath, 'utf8'));
+
+        if (errors.length > 0) {
+            const corruptPath = `${dataPath}.corrupt-${Date.now()}`;
+            console.error(`Corrupted candle cache ${dataPath} (${errors[0]}), moved to ${corruptPath}`);
+            fs.renameSync(dataPath, corruptPath);
+            if (fs.existsSync(metaPath)) fs.unlinkSync(metaPath);
+            return createCandleSeries();
+        }
+
+        if (torn) {
+            console.warn(`Dropping incomplete last line of candle cache ${dataPath}`);
+            this.rewrite(dataPath, candles);
+        }
+
+        const result = createCandleSeries();
+
+        for (let i = 0; i < candles.time.length; i++) {
+            if (candles.time[i] >= startTime && candles.time[i] <= endTime) {
+                appendCandle(result, getCandle(candles, i));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Add downloaded candles to the cache
+     * Candles newer than the cached ones are appended; older or overlapping ones are merged
+     * and the file is rewritten. Cached candles are kept when a time is already present
+     * @param {Object} key - { provider, market, symbol, interval }
+     * @param {Object} candles - Candle series of closed candles
+     * @param {Object} coverage - { from, to } time range the candles were downloaded for, merged
+     *   into the cached segments
+     * @returns {number} - Number of candles added
+     */
+    write(key, candles, coverage) {
+        const normalizedKey = normalizeKey(key);
+        const { dataPath } = this.getPaths(normalizedKey);
+        const stored = this.read(normalizedKey);
+        const segments = mergeSegments(this.getCoverage(normalizedKey), coverage);
+
+        const storedTimes = new Set(stored.time);
+        const lastTime = stored.time[stored.time.length - 1];
+        const added = [];
+
+        for (let i = 0; i < candles.close.length; i++) {
+            const candle = getCandle(candles, i);
+            if (!Number.isFinite(candle.time) || storedTimes.has(candle.time)) continue;
+
+            storedTimes.add(candle.time);
+            added.push(candle);
+        }
+
+        fs.mkdirSync(path.dirname(dataPath), { recursive: true });
+
+        if (added.length > 0 && (lastTime === undefined || added.every(candle => candle.time > lastTime))) {
+            fs.appendFileSync(dataPath, added.sort((a, b) => a.time - b.time).map(toLine).join(''));
+        } else if (added.length > 0) {
+            const merged = createCandleSeries();
+            const all = [...Array.from({ length: stored.time.length }, (_, i) => getCandle(stored, i)), ...added];
+            all.sort((a, b) => a.time - b.time).forEach(candle => appendCandle(merged, candle));
+            this.rewrite(dataPath, merged);
+        }
+
+        const total = stored.time.length + added.length;
+        this.writeMeta(normalizedKey, segments, total);
+
+        return added.length;
+    }
+
+    /**
+     * Atomically replace a cache file
+     * @param {string} dataPath - Path of the cache file
+     * @param {Object} candles - Candle series to write
+     */
+    rewrite(dataPath, candles) {
+        const tempPath = `${dataPath}.tmp`;
+        const lines = Array.from({ length: candles.time.length }, (_, i) => toLine(getCandle(candles, i)));
+
+        fs.writeFileSync(tempPath, lines.join(''));
+        fs.renameSync(tempPath, dataPath);
+    }
+
+    /**
+     * Atomically write the metadata of a cache entry
+     * @param {Object} key - Normalized key
+     * @param {Array<Object>} segments - { from, to } cached time ranges
+     * @param {number} candles - Number of cached candles
+     */
+    writeMeta(key, segments, candles) {
+        const { metaPath } = this.getPaths(key);
+        const tempPath = `${metaPath}.tmp`;
+        const meta = {
+            version: CANDLE_CACHE_VERSION,
+            ...key,
+            segments,
+            candles,
+            updatedAt: new Date().toISOString()
+        };
+
+        fs.writeFileSync(tempPath, JSON.stringify(meta));
+        fs.renameSync(tempPath, metaPath);
+    }
+
+    /**
+     * Check a cache entry without modifying it
+     * @param {Object} key - { provider, market, symbol, interval }
+     * @returns {Object} - { provider, market, symbol, interval, path, bytes, candles, firstTime, lastTime,
+     *   coverage, gaps, valid, errors }; gaps are the candles missing inside the covered segments
+     */
+    inspect(key) {
+        const normalizedKey = normalizeKey(key);
+        const { dataPath } = this.getPaths(normalizedKey);
+        const meta = this.readMeta(normalizedKey);
+        const exists = fs.existsSync(dataPath);
+        const { candles, errors, torn } = exists
+            ? parseCandleFile(fs.readFileSync(dataPath, 'utf8'))
+            : { candles: createCandleSeries(), errors: [], torn: false };
+        const times = candles.time;
+        const segments = meta ? meta.segments : [];
+
+        if (torn) errors.push("incomplete last line");
+
+        // Cached candles outside the recorded ranges mean the metadata is behind the data file
+        if (meta && times.some(time => !segments.some(segment => time >= segment.from && time <= segment.to))) {
+            errors.push("candles outside the recorded coverage");
+        }
+
+        // The space between segments was never downloaded, so only holes inside a segment are gaps
+        const duration = getTimeframeMs(normalizedKey.interval);
+        const gaps = segments.flatMap(segment => findCandleGaps(
+            times.filter(time => time >= segment.from && time <= segment.to),
+            duration
+        ));
+
+        if (exists && !meta) errors.push("missing metadata");
+
+        return {
+            ...normalizedKey,
+            path: dataPath,
+            bytes: exists ? fs.statSync(dataPath).size : 0,
+            candles: times.length,
+            firstTime: times.length > 0 ? times[0] : null,
+            lastTime: times.length > 0 ? times[times.length - 1] : null,
+            coverage: segments,
+            gaps,
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Inspect every cache entry
+     * @returns {Array<Object>} - inspect() result of each entry
+     */
+    list() {
+        if (!fs.existsSync(this.directory)) return [];
+
+        const entries = [];
+        const walk = (directory) => {
+            for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+                const entryPath = path.join(directory, entry.name);
+
+                if (entry.isDirectory()) {
+                    walk(entryPath);
+                } else if (entry.name.endsWith('.meta.json')) {
+                    try {
+                        const meta = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+                        entries.push(this.inspect(meta));
+                    } catch (error) {
+                        console.warn(`Skipping unreadable candle cache metadata ${entryPath}: ${error.message}`);
+                    }
+                }
+            }
+        };
+
+        walk(this.directory);
+        return entries;
+    }
+
+    /**
+     * Delete a cache entry, or the whole cache when no key is given
+     * @param {Object} [key] - { provider, market, symbol, interval }
+     */
+    clear(key) {
+        if (!key) {
+            fs.rmSync(this.directory, { recursive: true, force: true });
+            return;
+        }
+
+        for (const filePath of Object.values(this.getPaths(key))) {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        }
+    }
+}
+
+export {
+    CANDLE_CACHE_VERSION
+};
+
+export default FileCandleStore;
@@ -0,0 +1,160 @@
+/**
+ * State persistence for Jalgo
+ * Versioned snapshots of Jalgo / RiskRewardManager state and a file-backed store
+ * that detects corrupted files and falls back to the previous good save
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Version of the snapshot layout produced by toJSON()
+ * Bump it when the layout changes and add a migration from the previous version
+ * @type {number}
+ */
+const STATE_SCHEMA_VERSION = 1;
+
+/**
+ * Snapshot migrations keyed by the version they upgrade from
+ * Each one returns the snapshot in the layout of the next version
+ * @type {Object<number, Function>}
+ */
+const MIGRATIONS = {};
+
+/**
+ * Bring a snapshot up to the current schema version
+ * @param {Object} snapshot - Snapshot produced by toJSON()
+ * @returns {Object} - Snapshot in the current layout
+ * @throws {Error} - If the snapshot has no version, a newer version or a version that cannot be migrated
+ */
+const migrateState = (snapshot) => {
+    if (!snapshot || typeof snapshot !== 'object' || !Number.isInteger(snapshot.schemaVersion)) {
+        throw new Error("Invalid state snapshot: missing schemaVersion");
+    }
+
+    if (snapshot.schemaVersion > STATE_SCHEMA_VERSION) {
+        throw new Error(`State snapshot version ${snapshot.schemaVersion} is newer than supported version ${STATE_SCHEMA_VERSION}`);
+    }
+
+    let migrated = snapshot;
+
+    while (migrated.schemaVersion < STATE_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[migrated.schemaVersion];
+        if (!migrate) {
+            throw new Error(`No migration from state version ${migrated.schemaVersion}`);
+        }
+        migrated = { ...migrate(migrated), schemaVersion: migrated.schemaVersion + 1 };
+    }
+
+    return migrated;
+};
+
+/**
+ * Calculate the checksum stored with a snapshot
+ * @param {Object} state - Snapshot
+ * @returns {string} - SHA-256 hex digest of the snapshot's JSON
+ */
+const createChecksum = (state) => crypto.createHash('sha256').update(JSON.stringify(state)).digest('hex');
+
+class FileStateStore {
+    /**
+     * Create a file-backed state store
+     * Saves are atomic (written to a temporary file, then renamed) and the previous save
+     * is kept as a backup
+     * @param {string} filePath - Path of the state file
+     * @param {Object} [options] - Store options
+     * @param {boolean} [options.keepBackup=true] - Keep the previous save as <file>.bak
+     */
+    constructor(filePath, options = {}) {
+        if (!filePath) {
+            throw new Error("FileStateStore requires a file path");
+        }
+
+        this.filePath = path.resolve(filePath);
+        this.backupPath = `${this.filePath}.bak`;
+        this.keepBackup = options.keepBackup !== false;
+    }
+
+    /**
+     * Save a snapshot
+     * @param {Object} state - Snapshot produced by toJSON()
+     * @returns {string} - Save time as an ISO string
+     */
+    save(state) {
+        const envelope = {
+            savedAt: new Date().toISOString(),
+            checksum: createChecksum(state),
+            state
+        };
+        const tempPath = `${this.filePath}.tmp`;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(envelope));
+
+        if (this.keepBackup && fs.existsSync(this.filePath)) {
+            fs.copyFileSync(this.filePath, this.backupPath);
+        }
+
+        fs.renameSync(tempPath, this.filePath);
+        return envelope.savedAt;
+    }
+
+    /**
+     * Load the last good snapshot
+     * A corrupted state file is moved aside as <file>.corrupt-<time> and the backup is tried instead
+     * @returns {Object|null} - Snapshot, null when nothing valid has been saved
+     */
+    load() {
+        for (const filePath of [this.filePath, this.backupPath]) {
+            if (!fs.existsSync(filePath)) continue;
+
+            try {
+                return this.read(filePath);
+            } catch (error) {
+                const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+                console.error(`Corrupted state file ${filePath} (${error.message}), moved to ${corruptPath}`);
+                fs.renameSync(filePath, corruptPath);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Read and verify a state file
+     * @param {string} filePath - Path of the file
+     * @returns {Object} - Snapshot
+     * @throws {Error} - If the file is not valid JSON, has no snapshot or fails the checksum
+     */
+    read(filePath) {
+        const envelope = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        if (!envelope || typeof envelope.state !== 'object' || envelope.state === null) {
+            throw new Error("no state in file");
+        }
+
+        if (envelope.checksum !== createChecksum(envelope.state)) {
+            throw new Error("checksum mismatch");
+        }
+
+        return envelope.state;
+    }
+
+    /**
+     * Delete the state file and its backup
+     */
+    clear() {
+        for (const filePath of [this.filePath, this.backupPath]) {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        }
+    }
+}
+
+export {
+    STATE_SCHEMA_VERSION,
+    migrateState,
+    createChecksum
+};
+
+export default FileStateStore;
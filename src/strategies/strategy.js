@@ -0,0 +1,61 @@
+/**
+ * Strategy contract for Jalgo
+ *
+ * A strategy turns closed candles into trading signals. Jalgo owns the feeds,
+ * the candle window and the RiskRewardManager; the strategy only decides when
+ * to enter and where the reference stop sits (used to size the take profit).
+ *
+ * Required methods:
+ *   warmup(candles) - Reset internal state and consume a history of closed candles
+ *                     given as { open: [], high: [], low: [], close: [], volume: [], time?: [] }.
+ *                     Returns a StrategyResult for the last candle.
+ *   update(candle)  - Consume one closed candle { open, high, low, close, volume, time }.
+ *                     Returns a StrategyResult for that candle.
+ *
+ * Optional members:
+ *   name                     - Label reported in performance stats
+ *   getOptions()             - Settings reported in performance stats
+ *   setPricePrecision(count) - Called when the symbol's price precision becomes known;
+ *                              Jalgo calls warmup() again afterwards
+ *
+ * StrategyResult:
+ *   {
+ *     signal: false | { order: "market", position: "long" | "short", location: number },
+ *     refStop: number | null,   // reference stop for the signal's position
+ *     atr?: number,             // average true range at the candle (needed by ATR stop loss mode)
+ *     indicators?: Object       // any values worth exposing (logged, not used by Jalgo)
+ *   }
+ */
+
+/**
+ * Result returned while a strategy has nothing to say
+ * @type {Object}
+ */
+const NO_SIGNAL = Object.freeze({ signal: false, refStop: null });
+
+/**
+ * Check that an object implements the strategy contract
+ * @param {Object} strategy - Strategy object to check
+ * @returns {Object} - The same strategy
+ * @throws {Error} - If a required method is missing
+ */
+const validateStrategy = (strategy) => {
+    if (!strategy || typeof strategy !== 'object') {
+        throw new Error("Strategy must be an object");
+    }
+
+    const label = strategy.name ? `Strategy "${strategy.name}"` : "Strategy";
+
+    for (const method of ['warmup', 'update']) {
+        if (typeof strategy[method] !== 'function') {
+            throw new Error(`${label} is missing required method ${method}()`);
+        }
+    }
+
+    return strategy;
+};
+
+export {
+    NO_SIGNAL,
+    validateStrategy
+};
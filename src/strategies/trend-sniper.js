@@ -0,0 +1,87 @@
+/**
+ * J-Trend Sniper strategy
+ * Default Jalgo strategy built on the incremental J-Trend Sniper v2 indicator
+ */
+
+import { TrendSniperStream } from '../indicators/jTrendSniper.js';
+import { validateIndicatorOptions } from '../indicators/indicator-options.js';
+
+class TrendSniperStrategy {
+    /**
+     * Create a new J-Trend Sniper strategy
+     * @param {Object} options - Configuration options
+     * @param {Object} [options.indicatorOptions] - length, period, multiplier, fast_multiplier, smoothingPeriod
+     * @param {boolean} [options.useScalpMode=false] - Use the fast jATR SMA as reference stop
+     * @param {number} [options.precision=1] - Decimal places of the indicator values
+     */
+    constructor(options = {}) {
+        this.name = "j-trend-sniper";
+        this.indicatorOptions = validateIndicatorOptions(options.indicatorOptions || {});
+        this.useScalpMode = options.useScalpMode || false;
+        this.precision = options.precision ?? 1;
+        this.reset();
+    }
+
+    /**
+     * Clear the indicator state
+     */
+    reset() {
+        const { length, period, multiplier, fast_multiplier, smoothingPeriod } = this.indicatorOptions;
+        this.stream = new TrendSniperStream(length, period, multiplier, fast_multiplier, {
+            smoothingPeriod,
+            precision: this.precision
+        });
+    }
+
+    /**
+     * Change the decimal places of the indicator values (clears the state)
+     * @param {number} precision - Number of decimal places
+     */
+    setPricePrecision(precision) {
+        this.precision = precision;
+        this.reset();
+    }
+
+    /**
+     * Reset and consume a candle history
+     * @param {Object} candles - Object containing OHLC price arrays
+     * @returns {Object} - Strategy result for the last candle
+     */
+    warmup(candles) {
+        this.reset();
+        return this.toResult(this.stream.seed(candles));
+    }
+
+    /**
+     * Consume one closed candle
+     * @param {Object} candle - Candle with open, high, low and close
+     * @returns {Object} - Strategy result for the candle
+     */
+    update(candle) {
+        return this.toResult(this.stream.update(candle));
+    }
+
+    /**
+     * Get the indicator settings
+     * @returns {Object} - Indicator options
+     */
+    getOptions() {
+        return { ...this.indicatorOptions };
+    }
+
+    /**
+     * Convert an indicator snapshot into a strategy result
+     * @param {Object} snapshot - TrendSniperStream snapshot
+     * @returns {Object} - Strategy result
+     */
+    toResult(snapshot) {
+        return {
+            signal: snapshot.signal,
+            refStop: this.useScalpMode ? snapshot.fast_jATR_sma : snapshot.jATR_sma,
+            atr: snapshot.atr,
+            indicators: snapshot
+        };
+    }
+}
+
+export default TrendSniperStrategy;
@@ -3,6 +3,9 @@
  * https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/Kline-Candlestick-Data
  */
 
+import { getPrecisionFromTickSize } from './precision.js';
+import { createCandleSeries, createCandle, appendCandle, validateCandleSeries } from './candles.js';
+
 /**
  * Maximum retry attempts for API calls
  * @type {number}
@@ -10,15 +13,22 @@
 const MAX_RETRIES = 3;
 
 /**
- * Fetches candlestick data from Binance API
- * @param {string} market - Market type: "spot" or "futures"
- * @param {string} symbol - Trading pair symbol e.g. "BTCUSDT"
- * @param {string} interval - Candlestick interval e.g. "5m"
- * @param {number} limit - Number of candles to fetch
- * @returns {Promise<Object>} - Promise resolving to OHLCV data object
+ * Maximum candles per kline request
+ * @type {Object<string, number>}
  */
-const binance_candles = async (market = "spot", symbol = "BTCUSDT", interval = "5m", limit = 400) => {
-    // Validate parameters
+const MAX_KLINE_LIMIT = {
+    spot: 1000,
+    futures: 1500
+};
+
+/**
+ * Validate the market and symbol parameters of a candle request
+ * @param {string} market - Market type
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} interval - Candlestick interval
+ * @throws {Error} - If a parameter is missing or invalid
+ */
+const validateParams = (market, symbol, interval) => {
     if (market !== "spot" && market !== "futures") {
         throw new Error('Market must be either "spot" or "futures"');
     }
@@ -26,7 +36,15 @@ const binance_candles = async (market = "spot", symbol = "BTCUSDT", interval = "
     if (!symbol || !interval) {
         throw new Error("Symbol and interval are required parameters");
     }
-    
+};
+
+/**
+ * Request klines from the Binance REST API, retrying with exponential backoff
+ * @param {string} market - Market type: "spot" or "futures"
+ * @param {string} query - Query string of the klines endpoint
+ * @returns {Promise<Array>} - Raw kline rows, oldest first
+ */
+const requestKlines = async (market, query) => {
     // Initialize retry counter
     let retries = 0;
     let lastError = null;
@@ -40,7 +58,7 @@ const binance_candles = async (market = "spot", symbol = "BTCUSDT", interval = "
         try {
             // Make API request
             const response = await fetch(
-                `https://${baseURL}/klines?symbol=${symbol}&interval=${interval}&limit=${limit + 1}`,
+                `https://${baseURL}/klines?${query}`,
                 {
                     headers: {
                         'User-Agent': 'J-Trading-Algo/1.0.0'
@@ -58,30 +76,11 @@ const binance_candles = async (market = "spot", symbol = "BTCUSDT", interval = "
             // Parse response data
             const data = await response.json();
             
-            // Validate response data
-            if (!Array.isArray(data) || data.length === 0) {
-                throw new Error("Invalid or empty response from Binance API");
+            if (!Array.isArray(data)) {
+                throw new Error("Invalid response from Binance API");
             }
             
-            // Remove the last (unclosed) candle
-            data.pop();
-            
-            // Check if we have enough data
-            if (data.length === 0) {
-                console.warn(`No closed candles returned for ${symbol}/${interval}`);
-                return {open:[], high:[], low:[], close:[], volume:[]};
-            }
-            
-            // Process candle data into OHLCV format
-            return data.reduce((total, val, i) => {
-                // Safely parse float values with fallbacks for invalid data
-                total.open[i] = parseFloat(val[1]) || 0;
-                total.high[i] = parseFloat(val[2]) || 0; 
-                total.low[i] = parseFloat(val[3]) || 0;
-                total.close[i] = parseFloat(val[4]) || 0;
-                total.volume[i] = parseFloat(val[5]) || 0;
-                return total;
-            }, {open:[], high:[], low:[], close:[], volume:[]} );
+            return data;
             
         } catch (error) {
             // Track the error
@@ -100,6 +99,143 @@ const binance_candles = async (market = "spot", symbol = "BTCUSDT", interval = "
     
     // If we've exhausted retries, throw the last error
     throw lastError || new Error("Failed to fetch candle data after multiple attempts");
+};
+
+/**
+ * Convert Binance kline rows into a candle series
+ * @param {Array} rows - Kline rows, oldest first
+ * @returns {Object} - Validated candle series
+ * @throws {Error} - If bars are duplicated or out of order
+ */
+const parseKlines = (rows) => {
+    // Binance format: [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, takerBuyVolume, takerBuyQuoteVolume, ignore]
+    const candles = rows.reduce((series, val) => appendCandle(series, createCandle({
+        time: val[0],
+        open: val[1],
+        high: val[2],
+        low: val[3],
+        close: val[4],
+        volume: val[5],
+        closeTime: val[6],
+        quoteVolume: val[7],
+        trades: val[8],
+        takerBuyVolume: val[9],
+        takerBuyQuoteVolume: val[10]
+    })), createCandleSeries());
+    
+    // Reject duplicated or out-of-order bars
+    return validateCandleSeries(candles);
+};
+
+/**
+ * Fetches candlestick data from Binance API
+ * @param {string} market - Market type: "spot" or "futures"
+ * @param {string} symbol - Trading pair symbol e.g. "BTCUSDT"
+ * @param {string} interval - Candlestick interval e.g. "5m"
+ * @param {number} limit - Number of candles to fetch
+ * @returns {Promise<Object>} - Promise resolving to a candle series (see candles.js): OHLCV, open and close times,
+ *   quote volume, trade count and taker buy volumes
+ */
+const binance_candles = async (market = "spot", symbol = "BTCUSDT", interval = "5m", limit = 400) => {
+    // Validate parameters
+    validateParams(market, symbol, interval);
+    
+    const data = await requestKlines(market, `symbol=${symbol}&interval=${interval}&limit=${limit + 1}`);
+    
+    // Validate response data
+    if (data.length === 0) {
+        throw new Error("Invalid or empty response from Binance API");
+    }
+    
+    // Remove the last (unclosed) candle
+    data.pop();
+    
+    // Check if we have enough data
+    if (data.length === 0) {
+        console.warn(`No closed candles returned for ${symbol}/${interval}`);
+        return createCandleSeries();
+    }
+    
+    // Process candle data into the normalized candle format
+    return parseKlines(data);
+}
+
+/**
+ * Fetches the candles that open within a time window from Binance API
+ * Used by fetchCandleRange() to page through history; the window should hold at most
+ * MAX_KLINE_LIMIT[market] candles
+ * @param {string} market - Market type: "spot" or "futures"
+ * @param {string} symbol - Trading pair symbol e.g. "BTCUSDT"
+ * @param {string} interval - Candlestick interval e.g. "5m"
+ * @param {number} startTime - Window start (open time, inclusive) in milliseconds
+ * @param {number} endTime - Window end (open time, inclusive) in milliseconds
+ * @returns {Promise<Object>} - Promise resolving to a candle series, including a still open last candle
+ */
+const binance_candle_page = async (market, symbol, interval, startTime, endTime) => {
+    validateParams(market, symbol, interval);
+    
+    const data = await requestKlines(
+        market,
+        `symbol=${symbol}&interval=${interval}&startTime=${startTime}&endTime=${endTime}&limit=${MAX_KLINE_LIMIT[market]}`
+    );
+    
+    return parseKlines(data);
+}
+
+/**
+ * Fetches trading rules (tick size, lot size, minimums) for a symbol from Binance exchangeInfo
+ * @param {string} market - Market type: "spot" or "futures"
+ * @param {string} symbol - Trading pair symbol e.g. "BTCUSDT"
+ * @returns {Promise<Object>} - Promise resolving to { symbol, tickSize, pricePrecision, lotSize, minQty, minNotional }
+ */
+const binance_symbol_info = async (market = "spot", symbol = "BTCUSDT") => {
+    if (market !== "spot" && market !== "futures") {
+        throw new Error('Market must be either "spot" or "futures"');
+    }
+    
+    // Futures exchangeInfo has no symbol filter, so the full list is searched
+    const url = (market === "spot")
+        ? `https://api.binance.com/api/v3/exchangeInfo?symbol=${symbol}`
+        : "https://fapi.binance.com/fapi/v1/exchangeInfo";
+    
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': 'J-Trading-Algo/1.0.0'
+        },
+        timeout: 10000 // 10 second timeout
+    });
+    
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Binance API error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+    
+    const data = await response.json();
+    const info = (data.symbols || []).find(s => s.symbol === symbol);
+    
+    if (!info) {
+        throw new Error(`Symbol ${symbol} not found in Binance ${market} exchangeInfo`);
+    }
+    
+    const filters = info.filters || [];
+    const priceFilter = filters.find(f => f.filterType === "PRICE_FILTER");
+    const lotFilter = filters.find(f => f.filterType === "LOT_SIZE");
+    // Spot uses NOTIONAL (MIN_NOTIONAL on older symbols), futures MIN_NOTIONAL with a "notional" field
+    const notionalFilter = filters.find(f => f.filterType === "NOTIONAL" || f.filterType === "MIN_NOTIONAL");
+    
+    if (!priceFilter) {
+        throw new Error(`No PRICE_FILTER for ${symbol} in Binance ${market} exchangeInfo`);
+    }
+    
+    return {
+        symbol,
+        tickSize: parseFloat(priceFilter.tickSize),
+        pricePrecision: getPrecisionFromTickSize(priceFilter.tickSize),
+        lotSize: lotFilter ? parseFloat(lotFilter.stepSize) : null,
+        minQty: lotFilter ? parseFloat(lotFilter.minQty) : null,
+        minNotional: notionalFilter ? parseFloat(notionalFilter.minNotional ?? notionalFilter.notional) : null
+    };
 }
 
+export { binance_symbol_info, binance_candle_page, MAX_KLINE_LIMIT };
 export default binance_candles;
\ No newline at end of file
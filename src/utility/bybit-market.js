@@ -3,6 +3,10 @@
  * https://bybit-exchange.github.io/docs/v5/market/kline
  */
 
+import { getPrecisionFromTickSize } from './precision.js';
+import { getCandleCloseTime } from './timeframe.js';
+import { createCandleSeries, createCandle, appendCandle, validateCandleSeries } from './candles.js';
+
 /**
  * Maximum retry attempts for API calls
  * @type {number}
@@ -10,15 +14,19 @@
 const MAX_RETRIES = 3;
 
 /**
- * Fetches candlestick data from Bybit API
- * @param {string} market - Market type: "spot" or "futures"
- * @param {string} symbol - Trading pair symbol e.g. "BTCUSDT"
- * @param {string} interval - Candlestick interval e.g. "5m"
- * @param {number} limit - Number of candles to fetch
- * @returns {Promise<Object>} - Promise resolving to OHLCV data object
+ * Maximum candles per kline request
+ * @type {number}
  */
-const bybit_candles = async (market = "spot", symbol = "BTCUSDT", interval = "5m", limit = 400) => {
-    // Validate parameters
+const MAX_KLINE_LIMIT = 1000;
+
+/**
+ * Validate the market and symbol parameters of a candle request
+ * @param {string} market - Market type
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} interval - Candlestick interval
+ * @throws {Error} - If a parameter is missing or invalid
+ */
+const validateParams = (market, symbol, interval) => {
     if (market !== "spot" && market !== "futures") {
         throw new Error('Market must be either "spot" or "futures"');
     }
@@ -26,14 +34,19 @@ const bybit_candles = async (market = "spot", symbol = "BTCUSDT", interval = "5m
     if (!symbol || !interval) {
         throw new Error("Symbol and interval are required parameters");
     }
-    
+};
+
+/**
+ * Request klines from the Bybit REST API, retrying with exponential backoff
+ * @param {string} market - Market type: "spot" or "futures"
+ * @param {string} query - Query string of the kline endpoint, without the category
+ * @returns {Promise<Array>} - Raw kline rows, newest first as Bybit returns them
+ */
+const requestKlines = async (market, query) => {
     // Initialize retry counter
     let retries = 0;
     let lastError = null;
     
-    // Convert interval to Bybit format
-    const bybitInterval = convertToBybitInterval(interval);
-    
     // Determine category based on market type
     const category = market === "spot" ? "spot" : "linear";
     
@@ -41,7 +54,7 @@ const bybit_candles = async (market = "spot", symbol = "BTCUSDT", interval = "5m
         try {
             // Make API request
             const response = await fetch(
-                `https://api.bybit.com/v5/market/kline?category=${category}&symbol=${symbol}&interval=${bybitInterval}&limit=${limit}`,
+                `https://api.bybit.com/v5/market/kline?category=${category}&${query}`,
                 {
                     headers: {
                         'User-Agent': 'J-Trading-Algo/1.0.0'
@@ -67,30 +80,11 @@ const bybit_candles = async (market = "spot", symbol = "BTCUSDT", interval = "5m
             // Get the list of klines
             const data = responseData.result?.list || [];
             
-            // Validate response data
-            if (!Array.isArray(data) || data.length === 0) {
-                throw new Error("Invalid or empty response from Bybit API");
+            if (!Array.isArray(data)) {
+                throw new Error("Invalid response from Bybit API");
             }
             
-            // Check if we have enough data
-            if (data.length === 0) {
-                console.warn(`No candles returned for ${symbol}/${interval}`);
-                return {open:[], high:[], low:[], close:[], volume:[]};
-            }
-            
-            // Process candle data into OHLCV format (Bybit returns newest first, so reverse the array)
-            const reversedData = [...data].reverse();
-            
-            return reversedData.reduce((total, val, i) => {
-                // Safely parse float values with fallbacks for invalid data
-                // Bybit format: [timestamp, open, high, low, close, volume, ...]
-                total.open[i] = parseFloat(val[1]) || 0;
-                total.high[i] = parseFloat(val[2]) || 0; 
-                total.low[i] = parseFloat(val[3]) || 0;
-                total.close[i] = parseFloat(val[4]) || 0;
-                total.volume[i] = parseFloat(val[5]) || 0;
-                return total;
-            }, {open:[], high:[], low:[], close:[], volume:[]} );
+            return data;
             
         } catch (error) {
             // Track the error
@@ -109,6 +103,144 @@ const bybit_candles = async (market = "spot", symbol = "BTCUSDT", interval = "5m
     
     // If we've exhausted retries, throw the last error
     throw lastError || new Error("Failed to fetch candle data after multiple attempts");
+};
+
+/**
+ * Convert Bybit kline rows into a candle series
+ * @param {Array} rows - Kline rows, newest first
+ * @param {string} interval - Standard interval, used to derive the close times
+ * @returns {Object} - Validated candle series, oldest first
+ * @throws {Error} - If bars are duplicated or out of order
+ */
+const parseKlines = (rows, interval) => {
+    // Bybit returns newest first, so reverse the array
+    // Bybit format: [startTime, open, high, low, close, volume, turnover]
+    const candles = [...rows].reverse().reduce((series, val) => appendCandle(series, createCandle({
+        time: val[0],
+        open: val[1],
+        high: val[2],
+        low: val[3],
+        close: val[4],
+        volume: val[5],
+        closeTime: getCandleCloseTime(parseInt(val[0], 10), interval),
+        quoteVolume: val[6]
+    })), createCandleSeries());
+    
+    // Reject duplicated or out-of-order bars
+    return validateCandleSeries(candles);
+};
+
+/**
+ * Fetches candlestick data from Bybit API
+ * @param {string} market - Market type: "spot" or "futures"
+ * @param {string} symbol - Trading pair symbol e.g. "BTCUSDT"
+ * @param {string} interval - Candlestick interval e.g. "5m"
+ * @param {number} limit - Number of candles to fetch
+ * @returns {Promise<Object>} - Promise resolving to a candle series (see candles.js) of the latest closed candles: OHLCV, open and close times
+ *   and quote volume; Bybit does not report trade counts or taker volumes, so those are null
+ */
+const bybit_candles = async (market = "spot", symbol = "BTCUSDT", interval = "5m", limit = 400) => {
+    // Validate parameters
+    validateParams(market, symbol, interval);
+    
+    // Convert interval to Bybit format
+    const bybitInterval = convertToBybitInterval(interval);
+    
+    // One extra candle because the newest one is usually still open
+    const data = await requestKlines(market, `symbol=${symbol}&interval=${bybitInterval}&limit=${Math.min(limit + 1, MAX_KLINE_LIMIT)}`);
+    
+    // Validate response data
+    if (data.length === 0) {
+        throw new Error("Invalid or empty response from Bybit API");
+    }
+    
+    // Remove the unclosed candle so that its closed version is not rejected as already seen (rows are newest first)
+    const now = Date.now();
+    const closed = data.filter(row => getCandleCloseTime(parseInt(row[0], 10), interval) < now).slice(0, limit);
+    
+    if (closed.length === 0) {
+        console.warn(`No closed candles returned for ${symbol}/${interval}`);
+    }
+    
+    // Process candle data into the normalized candle format
+    return parseKlines(closed, interval);
+}
+
+/**
+ * Fetches the candles that open within a time window from Bybit API
+ * Used by fetchCandleRange() to page through history; the window should hold at most
+ * MAX_KLINE_LIMIT candles
+ * @param {string} market - Market type: "spot" or "futures"
+ * @param {string} symbol - Trading pair symbol e.g. "BTCUSDT"
+ * @param {string} interval - Candlestick interval e.g. "5m"
+ * @param {number} startTime - Window start (open time, inclusive) in milliseconds
+ * @param {number} endTime - Window end (open time, inclusive) in milliseconds
+ * @returns {Promise<Object>} - Promise resolving to a candle series, including a still open last candle
+ */
+const bybit_candle_page = async (market, symbol, interval, startTime, endTime) => {
+    validateParams(market, symbol, interval);
+    
+    const data = await requestKlines(
+        market,
+        `symbol=${symbol}&interval=${convertToBybitInterval(interval)}&start=${startTime}&end=${endTime}&limit=${MAX_KLINE_LIMIT}`
+    );
+    
+    return parseKlines(data, interval);
+}
+
+/**
+ * Fetches trading rules (tick size, lot size, minimums) for a symbol from Bybit instruments-info
+ * @param {string} market - Market type: "spot" or "futures"
+ * @param {string} symbol - Trading pair symbol e.g. "BTCUSDT"
+ * @returns {Promise<Object>} - Promise resolving to { symbol, tickSize, pricePrecision, lotSize, minQty, minNotional }
+ */
+const bybit_symbol_info = async (market = "spot", symbol = "BTCUSDT") => {
+    if (market !== "spot" && market !== "futures") {
+        throw new Error('Market must be either "spot" or "futures"');
+    }
+    
+    const category = market === "spot" ? "spot" : "linear";
+    
+    const response = await fetch(
+        `https://api.bybit.com/v5/market/instruments-info?category=${category}&symbol=${symbol}`,
+        {
+            headers: {
+                'User-Agent': 'J-Trading-Algo/1.0.0'
+            },
+            timeout: 10000 // 10 second timeout
+        }
+    );
+    
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Bybit API error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+    
+    const responseData = await response.json();
+    
+    if (responseData.retCode !== 0) {
+        throw new Error(`Bybit API error: ${responseData.retCode} - ${responseData.retMsg}`);
+    }
+    
+    const info = (responseData.result?.list || []).find(s => s.symbol === symbol);
+    
+    if (!info || !info.priceFilter) {
+        throw new Error(`Symbol ${symbol} not found in Bybit ${category} instruments`);
+    }
+    
+    // Spot lots use basePrecision/minOrderAmt, linear contracts qtyStep/minNotionalValue
+    const lotFilter = info.lotSizeFilter || {};
+    const lotSize = lotFilter.qtyStep ?? lotFilter.basePrecision;
+    const minNotional = lotFilter.minNotionalValue ?? lotFilter.minOrderAmt;
+    
+    return {
+        symbol,
+        tickSize: parseFloat(info.priceFilter.tickSize),
+        pricePrecision: getPrecisionFromTickSize(info.priceFilter.tickSize),
+        lotSize: lotSize !== undefined ? parseFloat(lotSize) : null,
+        minQty: lotFilter.minOrderQty !== undefined ? parseFloat(lotFilter.minOrderQty) : null,
+        minNotional: minNotional !== undefined ? parseFloat(minNotional) : null
+    };
 }
 
 /**
@@ -137,4 +269,5 @@ function convertToBybitInterval(interval) {
     return intervalMap[interval] || "5"; // Default to 5m if not found
 }
 
+export { bybit_symbol_info, bybit_candle_page, convertToBybitInterval, MAX_KLINE_LIMIT };
 export default bybit_candles;
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * Normalized candle format
+ * Shared by the REST fetchers, the WebSocket formatter, Jalgo's candle window and the backtester
+ *
+ * A candle series holds one array per field, oldest candle first:
+ * {
+ *   time,                // open time in milliseconds
+ *   open, high, low, close,
+ *   volume,              // base asset volume
+ *   closeTime,           // close time in milliseconds (last millisecond of the candle)
+ *   quoteVolume,         // quote asset volume (Bybit turnover)
+ *   trades,              // number of trades, null when the exchange does not report it
+ *   takerBuyVolume,      // taker buy base volume, null when not reported
+ *   takerBuyQuoteVolume  // taker buy quote volume, null when not reported
+ * }
+ *
+ * A live candle message uses Binance's kline keys so that it can be passed straight to
+ * Jalgo.processNewCandle(): { t, T, o, h, l, c, v, q, n, V, Q, x }
+ */
+
+/**
+ * Fields of a normalized candle, in series order
+ * @type {Array<string>}
+ */
+const CANDLE_FIELDS = [
+    "time", "open", "high", "low", "close", "volume",
+    "closeTime", "quoteVolume", "trades", "takerBuyVolume", "takerBuyQuoteVolume"
+];
+
+/**
+ * Candle fields every series must contain
+ * @type {Array<string>}
+ */
+const REQUIRED_FIELDS = ["open", "high", "low", "close"];
+
+/**
+ * Candle message keys by candle field
+ * @type {Object<string, string>}
+ */
+const MESSAGE_KEYS = {
+    time: "t",
+    closeTime: "T",
+    open: "o",
+    high: "h",
+    low: "l",
+    close: "c",
+    volume: "v",
+    quoteVolume: "q",
+    trades: "n",
+    takerBuyVolume: "V",
+    takerBuyQuoteVolume: "Q"
+};
+
+/**
+ * Parse an optional numeric field
+ * @param {*} value - Raw value (number or numeric string)
+ * @returns {number|null} - Parsed value, null when missing or not numeric
+ */
+const optionalNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Create an empty candle series
+ * @returns {Object} - Series with an empty array for every candle field
+ */
+const createCandleSeries = () => Object.fromEntries(CANDLE_FIELDS.map(field => [field, []]));
+
+/**
+ * Normalize a single candle
+ * Prices and volume fall back to 0 for invalid data, the optional fields to null
+ * @param {Object} fields - Raw candle fields keyed like CANDLE_FIELDS
+ * @returns {Object} - Normalized candle
+ */
+const createCandle = (fields) => ({
+    time: optionalNumber(fields.time),
+    open: parseFloat(fields.open) || 0,
+    high: parseFloat(fields.high) || 0,
+    low: parseFloat(fields.low) || 0,
+    close: parseFloat(fields.close) || 0,
+    volume: parseFloat(fields.volume) || 0,
+    closeTime: optionalNumber(fields.closeTime),
+    quoteVolume: optionalNumber(fields.quoteVolume),
+    trades: optionalNumber(fields.trades),
+    takerBuyVolume: optionalNumber(fields.takerBuyVolume),
+    takerBuyQuoteVolume: optionalNumber(fields.takerBuyQuoteVolume)
+});
+
+/**
+ * Append a candle to a series
+ * @param {Object} series - Candle series
+ * @param {Object} candle - Normalized candle
+ * @returns {Object} - The series
+ */
+const appendCandle = (series, candle) => {
+    for (const field of CANDLE_FIELDS) {
+        if (!Array.isArray(series[field])) series[field] = [];
+        series[field].push(candle[field] ?? null);
+    }
+
+    return series;
+};
+
+/**
+ * Read one candle from a series
+ * @param {Object} series - Candle series
+ * @param {number} index - Candle index
+ * @returns {Object} - Normalized candle, missing fields as null (0 for volume)
+ */
+const getCandle = (series, index) => createCandle(Object.fromEntries(
+    CANDLE_FIELDS.map(field => [field, Array.isArray(series[field]) ? series[field][index] : null])
+));
+
+/**
+ * Slice every array of a candle series
+ * @param {Object} series - Candle series
+ * @param {number} [start] - Start index, negative counts from the end
+ * @param {number} [end] - End index (exclusive), negative counts from the end
+ * @returns {Object} - Sliced series
+ */
+const sliceCandleSeries = (series, start, end) => {
+    const result = {};
+
+    for (const field of CANDLE_FIELDS) {
+        if (Array.isArray(series[field])) {
+            result[field] = series[field].slice(start, end);
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Build a live candle message from a candle
+ * @param {Object} candle - Normalized candle
+ * @param {boolean} closed - Whether the candle is closed
+ * @returns {Object} - Candle message { t, T, o, h, l, c, v, q, n, V, Q, x }
+ */
+const toCandleMessage = (candle, closed) => {
+    const message = {};
+
+    for (const [field, key] of Object.entries(MESSAGE_KEYS)) {
+        message[key] = candle[field] ?? null;
+    }
+
+    message.x = closed === true;
+    return message;
+};
+
+/**
+ * Read a candle from a live candle message
+ * @param {Object} message - Candle message, only t, o, h, l, c are required
+ * @returns {Object} - Normalized candle
+ */
+const fromCandleMessage = (message) => createCandle(Object.fromEntries(
+    Object.entries(MESSAGE_KEYS).map(([field, key]) => [field, message[key]])
+));
+
+/**
+ * Count the candles missing between two consecutive open times
+ * Rounded so that calendar months of 28 to 31 days count as one candle
+ * @param {number} previousTime - Open time of the earlier candle
+ * @param {number} time - Open time of the later candle
+ * @param {number} duration - Candle duration in milliseconds
+ * @returns {number} - Number of missing candles, 0 when the candles are adjacent
+ */
+const countMissingCandles = (previousTime, time, duration) => Math.max(Math.round((time - previousTime) / duration) - 1, 0);
+
+/**
+ * Find the gaps in a series of open times
+ * @param {Array<number>} times - Open times, oldest first
+ * @param {number} duration - Candle duration in milliseconds
+ * @returns {Array<Object>} - Gaps as { from, to, missing }, from and to being the open times of the candles around the gap
+ */
+const findCandleGaps = (times, duration) => {
+    const gaps = [];
+
+    for (let i = 1; i < times.length; i++) {
+        const missing = countMissingCandles(times[i - 1], times[i], duration);
+        if (missing > 0) gaps.push({ from: times[i - 1], to: times[i], missing });
+    }
+
+    return gaps;
+};
+
+/**
+ * Validate a candle series
+ * All field arrays must have the same length and open times, when present, must be strictly increasing
+ * @param {Object} series - Candle series
+ * @returns {Object} - The series
+ * @throws {Error} - If a required field is missing, the arrays differ in length or bars are duplicated or out of order
+ */
+const validateCandleSeries = (series) => {
+    if (!series || REQUIRED_FIELDS.some(field => !Array.isArray(series[field]))) {
+        throw new Error("Missing required price data in candle series");
+    }
+
+    const length = series.close.length;
+
+    for (const field of CANDLE_FIELDS) {
+        if (Array.isArray(series[field]) && series[field].length !== length) {
+            throw new Error(`Candle series "${field}" has ${series[field].length} values, expected ${length}`);
+        }
+    }
+
+    if (!Array.isArray(series.time)) return series;
+
+    for (let i = 0; i < length; i++) {
+        const time = series.time[i];
+
+        if (!Number.isFinite(time)) {
+            throw new Error(`Candle ${i} has an invalid open time: ${time}`);
+        }
+
+        if (i > 0 && time === series.time[i - 1]) {
+            throw new Error(`Duplicate candle at ${time} (index ${i})`);
+        }
+
+        if (i > 0 && time < series.time[i - 1]) {
+            throw new Error(`Candle ${i} at ${time} is older than the previous candle at ${series.time[i - 1]}`);
+        }
+    }
+
+    return series;
+};
+
+export {
+    CANDLE_FIELDS,
+    createCandleSeries,
+    createCandle,
+    appendCandle,
+    getCandle,
+    sliceCandleSeries,
+    toCandleMessage,
+    fromCandleMessage,
+    countMissingCandles,
+    findCandleGaps,
+    validateCandleSeries
+};
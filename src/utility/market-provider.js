@@ -1,118 +1,294 @@
 /**
- * Market provider factory for supporting multiple exchanges
+ * Market data access for every registered exchange adapter (see exchanges/registry.js)
  */
 
-import binance_candles from './binance-market.js';
-import bybit_candles from './bybit-market.js';
+import { getExchange } from '../exchanges/registry.js';
+import { supportsCandleRange, getExchangeLabel } from '../exchanges/exchange-adapter.js';
+import {
+    createCandleSeries,
+    appendCandle,
+    getCandle,
+    sliceCandleSeries,
+    findCandleGaps,
+    validateCandleSeries
+} from './candles.js';
+import { getTimeframeMs, getCandleCloseTime } from './timeframe.js';
 
 /**
- * Factory function to get the appropriate market data fetcher
- * @param {string} provider - Exchange provider name ('binance' or 'bybit')
+ * Fetch the latest closed candles from a registered exchange adapter
+ * With a candle cache only the candles missing from the cache are downloaded, and the cached
+ * candles are used when the exchange cannot be reached
+ * @param {string} provider - Registered provider name ('binance', 'bybit', 'file' for an OHLCV file or a custom adapter)
  * @param {string} market - Market type ('spot' or 'futures')
  * @param {string} symbol - Trading pair symbol
  * @param {string} interval - Candle interval
  * @param {number} limit - Number of candles to fetch
- * @returns {Promise<Object>} - Promise resolving to OHLCV data
+ * @param {Object} [options] - Fetch options, also passed to the adapter's fetchCandles()
+ * @param {Object} [options.cache] - Candle cache, e.g. a FileCandleStore (adapters with fetchCandlePage())
+ * @param {string|Object} [options.file] - OHLCV file path or { path, ...readCandleFile() options } (provider 'file')
+ * @returns {Promise<Object>} - Promise resolving to a candle series of the latest closed candles
  */
-const getMarketData = async (provider, market, symbol, interval, limit) => {
-    switch (provider.toLowerCase()) {
-        case 'binance':
-            return binance_candles(market, symbol, interval, limit);
-        case 'bybit':
-            return bybit_candles(market, symbol, interval, limit);
-        default:
-            throw new Error(`Unsupported exchange provider: ${provider}`);
+const getMarketData = async (provider, market, symbol, interval, limit, options = {}) => {
+    const adapter = getExchange(provider);
+
+    if (options.cache && supportsCandleRange(adapter)) {
+        return getCachedMarketData(provider, market, symbol, interval, limit, options.cache);
     }
+
+    return adapter.fetchCandles(market, symbol, interval, limit, options);
 };
 
 /**
- * Get WebSocket base URL for the given provider and market
+ * Get the latest closed candles through a candle cache
  * @param {string} provider - Exchange provider name
+ * @param {string} market - Market type
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} interval - Candle interval
+ * @param {number} limit - Number of candles
+ * @param {Object} cache - Candle cache
+ * @returns {Promise<Object>} - Promise resolving to a candle series
+ */
+const getCachedMarketData = async (provider, market, symbol, interval, limit, cache) => {
+    const duration = getTimeframeMs(interval);
+
+    if (duration === null) {
+        throw new Error(`Invalid interval: ${interval}`);
+    }
+
+    // One extra candle because the newest one is usually still open
+    const now = Date.now();
+    const startTime = now - (limit + 1) * duration;
+
+    try {
+        const { candles } = await fetchCandleRange(provider, market, symbol, interval, startTime, now, { cache });
+        return sliceCandleSeries(candles, -limit);
+    } catch (error) {
+        const cached = cache.read({ provider, market, symbol, interval });
+
+        if (cached.close.length === 0) {
+            throw error;
+        }
+
+        console.warn(`Could not update cached ${provider} ${symbol} ${interval} candles (${error.message}), using the cache`);
+        return sliceCandleSeries(cached, -limit);
+    }
+};
+
+/**
+ * Convert a date given as milliseconds, Date or date string into milliseconds
+ * @param {number|Date|string} value - Date
+ * @returns {number} - Milliseconds since the epoch, NaN when invalid
+ */
+const toTimestamp = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'string') return Date.parse(value);
+    return Number(value);
+};
+
+/**
+ * Get an exchange adapter that can download candles by date range
+ * @param {string} provider - Registered provider name
+ * @returns {Object} - Exchange adapter
+ * @throws {Error} - If the adapter has no fetchCandlePage()
+ */
+const getRangeAdapter = (provider) => {
+    const adapter = getExchange(provider);
+
+    if (!supportsCandleRange(adapter)) {
+        throw new Error(`${getExchangeLabel(adapter)} does not support candle range downloads`);
+    }
+
+    return adapter;
+};
+
+/**
+ * Download the closed candles that open between two times, one kline request per page
+ * @param {string} provider - Exchange provider name
+ * @param {string} market - Market type
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} interval - Candle interval
+ * @param {number} from - First open time in milliseconds (inclusive)
+ * @param {number} to - Last open time in milliseconds (inclusive)
+ * @param {Object} options - fetchCandleRange() options
+ * @returns {Promise<Object>} - Promise resolving to a candle series with overlapping bars removed
+ */
+const downloadCandleRange = async (provider, market, symbol, interval, from, to, options) => {
+    const adapter = getRangeAdapter(provider);
+    const duration = getTimeframeMs(interval);
+    const throttleMs = options.throttleMs ?? 100;
+
+    // Each request covers a window that holds at most one page of candles, so no exchange truncates it
+    const pageSpan = adapter.getKlineLimit(market) * duration;
+    const now = Date.now();
+    const candles = createCandleSeries();
+    let cursor = from;
+    let page = 0;
+
+    while (cursor <= to) {
+        const pageEnd = Math.min(cursor + pageSpan - 1, to);
+        const pageCandles = await adapter.fetchCandlePage(market, symbol, interval, cursor, pageEnd);
+        let received = 0;
+
+        for (let i = 0; i < pageCandles.close.length; i++) {
+            const candle = getCandle(pageCandles, i);
+            const lastTime = candles.time[candles.time.length - 1];
+            const closeTime = candle.closeTime ?? candle.time + duration - 1;
+
+            // Skip bars outside the range, bars already received and the candle that is still open
+            if (candle.time < from || candle.time > to) continue;
+            if (lastTime !== undefined && candle.time <= lastTime) continue;
+            if (closeTime >= now) continue;
+
+            appendCandle(candles, candle);
+            received++;
+        }
+
+        page++;
+        if (options.onPage) {
+            options.onPage({ page, startTime: cursor, endTime: pageEnd, received, total: candles.close.length });
+        }
+
+        cursor = pageEnd + 1;
+
+        if (cursor <= to && throttleMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, throttleMs));
+        }
+    }
+
+    return candles;
+};
+
+/**
+ * Read a candle range from a candle cache, downloading the parts the cache does not cover yet
+ * @param {string} provider - Exchange provider name
+ * @param {string} market - Market type
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} interval - Candle interval
+ * @param {number} from - First open time in milliseconds (inclusive)
+ * @param {number} to - Last open time in milliseconds (inclusive)
+ * @param {Object} options - fetchCandleRange() options with the cache
+ * @returns {Promise<Object>} - Promise resolving to a candle series
+ */
+const readThroughCache = async (provider, market, symbol, interval, from, to, options) => {
+    const key = { provider, market, symbol, interval };
+    const coverage = options.cache.getCoverage(key);
+
+    // Candles opening after this one are still open and are never cached
+    const lastClosed = Math.min(to, Date.now() - getTimeframeMs(interval));
+    const missing = [];
+    let cursor = from;
+
+    // Only the parts of the query that no cached segment covers are downloaded
+    for (const segment of coverage) {
+        if (segment.to < cursor) continue;
+        if (segment.from > to) break;
+        if (segment.from > cursor) missing.push([cursor, segment.from - 1]);
+        cursor = segment.to + 1;
+    }
+
+    if (cursor <= to) missing.push([cursor, to]);
+
+    for (const [start, end] of missing) {
+        if (start > lastClosed) continue;
+
+        const candles = await downloadCandleRange(provider, market, symbol, interval, start, end, options);
+
+        // Coverage ends with the last candle received, so a download that returned nothing, or stopped
+        // early because the next candle had not closed yet, is asked for again next time
+        if (candles.time.length === 0) continue;
+        const lastReceived = candles.time[candles.time.length - 1];
+        options.cache.write(key, candles, { from: start, to: Math.min(end, getCandleCloseTime(lastReceived, interval)) });
+    }
+
+    return options.cache.read(key, from, to);
+};
+
+/**
+ * Download every closed candle that opens between two dates, paging through the exchange's kline endpoint
+ * Pages are stitched in order with overlapping bars removed; candles missing from the exchange's
+ * history are reported as gaps
+ * @param {string} provider - Registered provider name whose adapter implements fetchCandlePage()
+ * @param {string} market - Market type ('spot' or 'futures')
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} interval - Candle interval
+ * @param {number|Date|string} startTime - First candle open time (inclusive)
+ * @param {number|Date|string} [endTime=Date.now()] - Last candle open time (inclusive)
+ * @param {Object} [options] - Download options
+ * @param {number} [options.throttleMs=100] - Pause between requests to stay within rate limits
+ * @param {Function} [options.onPage] - Called after each page with { page, startTime, endTime, received, total }
+ * @param {Object} [options.cache] - Candle cache, e.g. a FileCandleStore; only ranges it does not cover are downloaded
+ * @returns {Promise<Object>} - Promise resolving to { candles, gaps }: the candle series and the gaps
+ *   as { from, to, missing }
+ * @throws {Error} - If the interval or the dates are invalid or the provider cannot download ranges
+ */
+const fetchCandleRange = async (provider, market, symbol, interval, startTime, endTime = Date.now(), options = {}) => {
+    const duration = getTimeframeMs(interval);
+    const from = toTimestamp(startTime);
+    const to = toTimestamp(endTime);
+
+    if (duration === null) {
+        throw new Error(`Invalid interval: ${interval}`);
+    }
+
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+        throw new Error(`Invalid candle range: ${startTime} - ${endTime}`);
+    }
+
+    getRangeAdapter(provider);
+
+    const candles = options.cache
+        ? await readThroughCache(provider, market, symbol, interval, from, to, options)
+        : await downloadCandleRange(provider, market, symbol, interval, from, to, options);
+
+    const gaps = findCandleGaps(candles.time, duration);
+
+    if (gaps.length > 0) {
+        const missing = gaps.reduce((sum, gap) => sum + gap.missing, 0);
+        console.warn(`${provider} ${symbol} ${interval}: ${missing} candle(s) missing in ${gaps.length} gap(s)`);
+    }
+
+    return { candles: validateCandleSeries(candles), gaps };
+};
+
+/**
+ * Get symbol trading rules (tick size, price precision and lot size)
+ * @param {string} provider - Registered provider name
  * @param {string} market - Market type ('spot' or 'futures')
- * @returns {string} - WebSocket base URL
+ * @param {string} symbol - Trading pair symbol
+ * @returns {Promise<Object>} - Promise resolving to { symbol, tickSize, pricePrecision, lotSize, minQty, minNotional }
+ * @throws {Error} - If the adapter has no fetchSymbolInfo()
  */
-const getWebSocketBaseUrl = (provider, market) => {
-    switch (provider.toLowerCase()) {
-        case 'binance':
-            return market === 'spot' 
-                ? 'wss://stream.binance.com:9443/ws'
-                : 'wss://fstream.binance.com/ws';
-        case 'bybit':
-            return 'wss://stream.bybit.com/v5/public';
-        default:
-            throw new Error(`Unsupported exchange provider: ${provider}`);
+const getSymbolInfo = async (provider, market, symbol) => {
+    const adapter = getExchange(provider);
+
+    if (typeof adapter.fetchSymbolInfo !== 'function') {
+        throw new Error(`Symbol info is not available for ${getExchangeLabel(adapter)} data; set tickSize or pricePrecision`);
     }
+
+    return adapter.fetchSymbolInfo(market, symbol);
 };
 
 /**
  * Convert standard interval to provider-specific format
- * @param {string} provider - Exchange provider name
+ * @param {string} provider - Registered provider name
  * @param {string} interval - Standard interval (e.g. "1m", "5m", "1h", "1d")
- * @returns {string} - Provider-specific interval format
+ * @returns {string} - Provider-specific interval format, the interval itself when the adapter does not map intervals
  */
 const convertInterval = (provider, interval) => {
-    if (provider.toLowerCase() === 'binance') {
-        // Binance already uses the standard format
-        return interval;
-    } else if (provider.toLowerCase() === 'bybit') {
-        // Map to Bybit intervals
-        const intervalMap = {
-            "1m": "1",
-            "3m": "3",
-            "5m": "5",
-            "15m": "15",
-            "30m": "30",
-            "1h": "60",
-            "2h": "120",
-            "4h": "240",
-            "6h": "360",
-            "12h": "720",
-            "1d": "D",
-            "1w": "W",
-            "1M": "M"
-        };
-        return intervalMap[interval] || interval;
-    }
-    return interval; // Default return original
+    const adapter = getExchange(provider);
+    return typeof adapter.convertInterval === 'function' ? adapter.convertInterval(interval) : interval;
 };
 
 /**
  * Format candle data from WebSocket to a standard format
- * @param {string} provider - Exchange provider name
- * @param {Object} wsData - WebSocket data from exchange
- * @returns {Object|null} - Standardized candle data or null if invalid
+ * @param {string} provider - Registered provider name
+ * @param {Object} wsData - Parsed WebSocket message from the exchange
+ * @returns {Object|null} - Candle message { t, T, o, h, l, c, v, q, n, V, Q, x } (see candles.js) or null if invalid
  */
 const formatWebSocketCandle = (provider, wsData) => {
     try {
-        if (provider.toLowerCase() === 'binance') {
-            // Binance format already matches our expected format
-            if (wsData.e === 'kline') {
-                return {
-                    t: wsData.k.t,
-                    o: wsData.k.o,
-                    h: wsData.k.h,
-                    l: wsData.k.l,
-                    c: wsData.k.c,
-                    v: wsData.k.v,
-                    x: wsData.k.x // candle closed
-                };
-            }
-        } else if (provider.toLowerCase() === 'bybit') {
-            // Convert Bybit format to our standard format
-            if (wsData.topic && wsData.topic.includes('kline')) {
-                const data = wsData.data[0];
-                return {
-                    t: parseInt(data.start),
-                    o: data.open,
-                    h: data.high,
-                    l: data.low,
-                    c: data.close,
-                    v: data.volume,
-                    x: data.confirm // candle closed
-                };
-            }
-        }
-        return null; // Not a candle or unsupported format
+        const adapter = getExchange(provider);
+        return typeof adapter.parseMessage === 'function' ? adapter.parseMessage(wsData) : null;
     } catch (error) {
         console.error(`Error formatting WebSocket candle for ${provider}:`, error);
         return null;
@@ -121,7 +297,8 @@ const formatWebSocketCandle = (provider, wsData) => {
 
 export {
     getMarketData,
-    getWebSocketBaseUrl,
+    fetchCandleRange,
+    getSymbolInfo,
     convertInterval,
     formatWebSocketCandle
 };
\ No newline at end of file
@@ -0,0 +1,481 @@
+/**
+ * OHLCV file import and export
+ * Reads candles from CSV or JSON files (vendor downloads, TradingView exports, Binance kline dumps)
+ * into the normalized candle format and writes candle series back out
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    CANDLE_FIELDS,
+    createCandleSeries,
+    createCandle,
+    appendCandle,
+    sliceCandleSeries,
+    validateCandleSeries
+} from './candles.js';
+import { getTimeframeMs, getTimeframeFromMs, getCandleCloseTime, UNIT_MS } from './timeframe.js';
+
+/**
+ * Column names recognized for each candle field when no mapping is given (compared lowercase)
+ * @type {Object<string, Array<string>>}
+ */
+const COLUMN_ALIASES = {
+    time: ["time", "timestamp", "date", "datetime", "date/time", "open time", "open_time", "opentime", "t"],
+    open: ["open", "o"],
+    high: ["high", "h"],
+    low: ["low", "l"],
+    close: ["close", "c"],
+    volume: ["volume", "vol", "v", "base volume", "base_volume"],
+    closeTime: ["close time", "close_time", "closetime"],
+    quoteVolume: ["quotevolume", "quote volume", "quote_volume", "quote asset volume", "quote_asset_volume", "turnover"],
+    trades: ["trades", "number of trades", "number_of_trades", "count"],
+    takerBuyVolume: [
+        "takerbuyvolume", "taker buy volume", "taker_buy_volume",
+        "taker buy base asset volume", "taker_buy_base_asset_volume"
+    ],
+    takerBuyQuoteVolume: [
+        "takerbuyquotevolume", "taker buy quote volume", "taker_buy_quote_volume",
+        "taker buy quote asset volume", "taker_buy_quote_asset_volume"
+    ]
+};
+
+/**
+ * Date strings without a time zone: YYYY-MM-DD or YYYY/MM/DD with an optional HH:mm[:ss[.sss]]
+ * @type {RegExp}
+ */
+const LOCAL_DATE = /^(\d{4})[-/](\d{2})[-/](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+/**
+ * Compact date strings without a time zone: YYYYMMDD or YYYYMMDDHHmm
+ * @type {RegExp}
+ */
+const COMPACT_DATE = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2}))?$/;
+
+/**
+ * Latest time a JavaScript date can hold, in milliseconds
+ * @type {number}
+ */
+const MAX_TIME = 8.64e15;
+
+/**
+ * Get the file format from an explicit option or the file extension
+ * @param {string} filePath - File path
+ * @param {string} [format] - "csv" or "json"
+ * @returns {string} - "csv" or "json"
+ * @throws {Error} - If the format cannot be determined
+ */
+const getFormat = (filePath, format) => {
+    const resolved = (format || path.extname(filePath).slice(1)).toLowerCase();
+
+    if (resolved !== "csv" && resolved !== "json") {
+        throw new Error(`Unsupported candle file format "${resolved}" (expected csv or json)`);
+    }
+
+    return resolved;
+};
+
+/**
+ * Split a CSV line into cells, honoring double-quoted cells
+ * @param {string} line - CSV line
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<string>} - Cells
+ */
+const splitCsvLine = (line, delimiter) => {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            cells.push(cell.trim());
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+
+    cells.push(cell.trim());
+    return cells;
+};
+
+/**
+ * Quote a CSV cell when needed
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string} - Cell text
+ */
+const formatCsvCell = (value, delimiter) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return text.includes(delimiter) || text.includes('"') || text.includes('\n')
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+};
+
+/**
+ * Get the UTC offset of a time zone at a given time
+ * @param {number} time - Time in milliseconds
+ * @param {string} timeZone - IANA time zone, e.g. "America/New_York"
+ * @returns {number} - Offset in milliseconds (local time minus UTC)
+ */
+const getTimeZoneOffset = (time, timeZone) => {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit"
+    }).formatToParts(new Date(time));
+    const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+    const wholeSeconds = Math.floor(time / 1000) * 1000;
+
+    return Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second) - wholeSeconds;
+};
+
+/**
+ * Convert a wall-clock time in a time zone into UTC
+ * @param {number} localTime - Wall-clock time as if it were UTC, in milliseconds
+ * @param {string} timeZone - "UTC", a fixed offset such as "+02:00" or an IANA time zone
+ * @returns {number} - UTC time in milliseconds
+ * @throws {Error} - If the time zone is unknown
+ */
+const zonedTimeToUtc = (localTime, timeZone) => {
+    if (!timeZone || timeZone.toUpperCase() === "UTC" || timeZone === "Z") return localTime;
+
+    const fixed = /^([+-])(\d{2}):?(\d{2})$/.exec(timeZone);
+    if (fixed) {
+        const offset = (Number(fixed[2]) * 60 + Number(fixed[3])) * UNIT_MS.m;
+        return fixed[1] === "+" ? localTime - offset : localTime + offset;
+    }
+
+    // The offset at the guess may differ from the offset at the result around DST changes
+    const guess = localTime - getTimeZoneOffset(localTime, timeZone);
+    return localTime - getTimeZoneOffset(guess, timeZone);
+};
+
+/**
+ * Read date parts as a wall-clock time
+ * @param {Array<string>} parts - Year, month, day and optional hour, minute, second and milliseconds
+ * @param {string} timezone - Time zone of the wall clock
+ * @returns {number} - UTC time in milliseconds, NaN when a part is out of range (such as month 13 or 31 April)
+ */
+const parseDateParts = ([year, month, day, hour = 0, minute = 0, second = 0, millis = "0"], timezone) => {
+    const values = [year, month, day, hour, minute, second, millis.padEnd(3, "0")].map(Number);
+    const wallClock = Date.UTC(values[0], values[1] - 1, ...values.slice(2));
+    const date = new Date(wallClock);
+
+    // Date.UTC() rolls over out-of-range parts instead of rejecting them
+    const rolledOver = date.getUTCFullYear() !== values[0] || date.getUTCMonth() !== values[1] - 1 || date.getUTCDate() !== values[2] ||
+        date.getUTCHours() !== values[3] || date.getUTCMinutes() !== values[4] || date.getUTCSeconds() !== values[5];
+
+    return rolledOver ? NaN : zonedTimeToUtc(wallClock, timezone);
+};
+
+/**
+ * Parse a candle time
+ * Numbers are epoch seconds, milliseconds or microseconds (detected by magnitude unless timeUnit is set),
+ * except 8 and 12 digit numbers that read as a YYYYMMDD or YYYYMMDDHHmm date;
+ * date strings without an offset are read in the given time zone
+ * @param {*} value - Cell value
+ * @param {Object} options - Parse options
+ * @param {string} [options.timeUnit] - "s", "ms" or "us" for numeric times
+ * @param {string} [options.timezone="UTC"] - Time zone of date strings without an offset
+ * @returns {number} - Time in milliseconds, NaN when it cannot be parsed or is not a valid date
+ */
+const parseTime = (value, { timeUnit, timezone = "UTC" }) => {
+    const text = String(value ?? "").trim();
+    let time;
+
+    const compact = timeUnit ? null : COMPACT_DATE.exec(text);
+    const local = compact || LOCAL_DATE.exec(text);
+
+    if (local) {
+        time = parseDateParts(local.slice(1).filter(part => part !== undefined), timezone);
+    } else if (/^\d+(\.\d+)?$/.test(text)) {
+        const number = Number(text);
+        const unit = timeUnit || (number < 1e11 ? "s" : number < 1e14 ? "ms" : "us");
+        time = Math.round(unit === "s" ? number * 1000 : unit === "us" ? number / 1000 : number);
+    } else {
+        // ISO strings with Z or an explicit offset
+        time = Date.parse(text);
+    }
+
+    return time >= 0 && time <= MAX_TIME ? time : NaN;
+};
+
+/**
+ * Find the column of each candle field
+ * @param {Array<string>|null} names - Column names, null for files without a header
+ * @param {Object} [columns] - Explicit mapping { field: column name or index }
+ * @returns {Object<string, number>} - Column index by candle field
+ * @throws {Error} - If a required column cannot be found
+ */
+const resolveColumns = (names, columns = {}) => {
+    const lowerNames = names ? names.map(name => String(name).trim().toLowerCase()) : null;
+    const indexes = {};
+
+    CANDLE_FIELDS.forEach((field, position) => {
+        const column = columns[field];
+
+        if (Number.isInteger(column)) {
+            indexes[field] = column;
+        } else if (column !== undefined && column !== null) {
+            const index = lowerNames ? lowerNames.indexOf(String(column).toLowerCase()) : -1;
+            if (index === -1) throw new Error(`Column "${column}" for ${field} not found`);
+            indexes[field] = index;
+        } else if (lowerNames) {
+            const index = lowerNames.findIndex(name => COLUMN_ALIASES[field].includes(name));
+            if (index !== -1) indexes[field] = index;
+        } else {
+            // Without a header the columns follow the Binance kline layout
+            indexes[field] = position;
+        }
+    });
+
+    for (const field of ["time", "open", "high", "low", "close"]) {
+        if (indexes[field] === undefined) {
+            throw new Error(`No ${field} column found; map it with options.columns.${field}`);
+        }
+    }
+
+    return indexes;
+};
+
+/**
+ * Infer the candle interval from open times
+ * @param {Array<number>} times - Open times in milliseconds, oldest first
+ * @returns {string|null} - Most common spacing as a timeframe, null with fewer than two candles
+ */
+const inferInterval = (times) => {
+    const counts = new Map();
+
+    for (let i = 1; i < times.length; i++) {
+        let step = times[i] - times[i - 1];
+
+        // Calendar months vary in length
+        if (step >= 28 * UNIT_MS.d && step <= 31 * UNIT_MS.d) step = 30 * UNIT_MS.d;
+        counts.set(step, (counts.get(step) || 0) + 1);
+    }
+
+    let interval = null;
+    let best = 0;
+
+    for (const [step, count] of counts) {
+        if (count > best) {
+            best = count;
+            interval = step;
+        }
+    }
+
+    return interval === null ? null : getTimeframeFromMs(interval);
+};
+
+/**
+ * Turn the content of a candle file into header names and rows of cells
+ * @param {string} content - File content
+ * @param {string} format - "csv" or "json"
+ * @param {Object} options - Parse options
+ * @returns {Object} - { names, rows } with names null when there is no header
+ */
+const readTable = (content, format, options) => {
+    if (format === "json") {
+        const data = JSON.parse(content);
+
+        // Column-oriented, like the candle series itself: { time: [], open: [], ... }
+        if (data && !Array.isArray(data) && typeof data === "object") {
+            const names = Object.keys(data).filter(name => Array.isArray(data[name]));
+            const length = names.length > 0 ? data[names[0]].length : 0;
+            return { names, rows: Array.from({ length }, (_, i) => names.map(name => data[name][i])) };
+        }
+
+        if (!Array.isArray(data)) {
+            throw new Error("JSON candle file must hold an array of candles or an object of arrays");
+        }
+
+        // Arrays in the Binance kline layout, or objects keyed by column name
+        if (data.length === 0 || Array.isArray(data[0])) return { names: null, rows: data };
+
+        const names = Object.keys(data[0]);
+        return { names, rows: data.map(row => names.map(name => row[name])) };
+    }
+
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== "");
+    if (lines.length === 0) return { names: null, rows: [] };
+
+    const delimiter = options.delimiter || [",", ";", "\t"].find(candidate => lines[0].includes(candidate)) || ",";
+    const rows = lines.map(line => splitCsvLine(line, delimiter));
+
+    // A header row has no number where the open price would be
+    const header = options.header ?? !Number.isFinite(Number(rows[0][1]));
+    return header ? { names: rows[0], rows: rows.slice(1) } : { names: null, rows };
+};
+
+/**
+ * Parse OHLCV candles from CSV or JSON text
+ * @param {string} content - File content
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.format="csv"] - "csv" or "json"
+ * @param {Object} [options.columns] - Column name or index per candle field, e.g. { time: "Date", volume: 5 };
+ *   common names are recognized without a mapping, headerless files follow the Binance kline layout
+ * @param {string} [options.delimiter] - CSV delimiter, detected from the first line by default
+ * @param {boolean} [options.header] - Whether the CSV has a header row, detected by default
+ * @param {string} [options.timezone="UTC"] - Time zone of date strings without an offset: "UTC",
+ *   a fixed offset such as "+02:00" or an IANA time zone such as "America/New_York"
+ * @param {string} [options.timeUnit] - "s", "ms" or "us" for numeric times, detected by magnitude by default
+ * @param {string} [options.interval] - Candle interval, inferred from the open times by default
+ * @returns {Object} - { candles, interval } with the candle series (oldest first) and its interval
+ * @throws {Error} - If a column is missing, a time or price cannot be parsed or bars are duplicated
+ */
+const parseCandles = (content, options = {}) => {
+    const format = (options.format || "csv").toLowerCase();
+    const { names, rows } = readTable(content, format, options);
+    const columns = resolveColumns(names, options.columns);
+    const parsed = [];
+
+    rows.forEach((row, i) => {
+        const fields = {};
+
+        for (const [field, index] of Object.entries(columns)) {
+            fields[field] = row[index];
+        }
+
+        const time = parseTime(fields.time, options);
+        if (!Number.isFinite(time)) {
+            throw new Error(`Row ${i + 1}: cannot parse time "${fields.time}"`);
+        }
+
+        if (["open", "high", "low", "close"].some(field => !Number.isFinite(parseFloat(fields[field])))) {
+            throw new Error(`Row ${i + 1}: invalid price`);
+        }
+
+        const closeTime = fields.closeTime !== undefined && fields.closeTime !== null && fields.closeTime !== ""
+            ? parseTime(fields.closeTime, options)
+            : null;
+
+        parsed.push(createCandle({ ...fields, time, closeTime }));
+    });
+
+    // Some vendors list the newest candle first
+    if (parsed.length > 1 && parsed[0].time > parsed[parsed.length - 1].time) parsed.reverse();
+
+    const interval = options.interval || inferInterval(parsed.map(candle => candle.time));
+    const candles = createCandleSeries();
+
+    for (const candle of parsed) {
+        appendCandle(candles, { ...candle, closeTime: candle.closeTime ?? getCandleCloseTime(candle.time, interval) });
+    }
+
+    return { candles: validateCandleSeries(candles), interval };
+};
+
+/**
+ * Read OHLCV candles from a CSV or JSON file
+ * @param {string} filePath - Path of the file
+ * @param {Object} [options] - parseCandles() options; the format defaults to the file extension
+ * @returns {Object} - { candles, interval }
+ */
+const readCandleFile = (filePath, options = {}) => parseCandles(fs.readFileSync(filePath, 'utf8'), {
+    ...options,
+    format: getFormat(filePath, options.format)
+});
+
+/**
+ * Format a candle series as CSV or JSON
+ * Only fields with at least one value are written
+ * @param {Object} candles - Candle series
+ * @param {Object} [options] - Format options
+ * @param {string} [options.format="csv"] - "csv" or "json" (an array of candle objects)
+ * @param {Object} [options.columns] - Column name per candle field, defaults to the field names
+ * @param {string} [options.timeFormat="ms"] - "ms", "s" or "iso" (UTC) for open and close times
+ * @param {string} [options.delimiter=","] - CSV delimiter
+ * @returns {string} - File content
+ */
+const formatCandles = (candles, options = {}) => {
+    const format = (options.format || "csv").toLowerCase();
+    const columns = options.columns || {};
+    const timeFormat = options.timeFormat || "ms";
+    const delimiter = options.delimiter || ",";
+    const fields = CANDLE_FIELDS.filter(field => Array.isArray(candles[field]) && candles[field].some(value => value !== null && value !== undefined));
+    const names = fields.map(field => columns[field] || field);
+
+    const formatValue = (field, value) => {
+        if ((field !== "time" && field !== "closeTime") || value === null || value === undefined) return value ?? null;
+        if (timeFormat === "iso") return new Date(value).toISOString();
+        return timeFormat === "s" ? Math.floor(value / 1000) : value;
+    };
+
+    const rows = candles.close.map((_, i) => fields.map(field => formatValue(field, candles[field][i])));
+
+    if (format === "json") {
+        return JSON.stringify(rows.map(row => Object.fromEntries(names.map((name, index) => [name, row[index]]))), null, 2);
+    }
+
+    return [names, ...rows].map(row => row.map(value => formatCsvCell(value, delimiter)).join(delimiter)).join("\n") + "\n";
+};
+
+/**
+ * Write a candle series to a CSV or JSON file
+ * @param {string} filePath - Path of the file
+ * @param {Object} candles - Candle series
+ * @param {Object} [options] - formatCandles() options; the format defaults to the file extension
+ * @returns {number} - Number of candles written
+ */
+const writeCandleFile = (filePath, candles, options = {}) => {
+    const content = formatCandles(candles, { ...options, format: getFormat(filePath, options.format) });
+
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return candles.close.length;
+};
+
+/**
+ * Market data fetcher for provider "file": the latest candles of an OHLCV file
+ * @param {string|Object} source - File path or { path, ...parseCandles() options }
+ * @param {string} interval - Expected candle interval
+ * @param {number} limit - Number of candles
+ * @returns {Object} - Candle series
+ * @throws {Error} - If no file is configured or its candles have a different interval
+ */
+const file_candles = (source, interval, limit) => {
+    const { path: filePath, ...options } = typeof source === 'string' ? { path: source } : (source || {});
+
+    if (!filePath) {
+        throw new Error('Provider "file" requires a data file');
+    }
+
+    const { candles, interval: fileInterval } = readCandleFile(filePath, options);
+
+    if (fileInterval && getTimeframeMs(fileInterval) !== getTimeframeMs(interval)) {
+        throw new Error(`Candles in ${filePath} are ${fileInterval}, expected ${interval}`);
+    }
+
+    return sliceCandleSeries(candles, -limit);
+};
+
+export {
+    COLUMN_ALIASES,
+    parseTime,
+    inferInterval,
+    parseCandles,
+    readCandleFile,
+    formatCandles,
+    writeCandleFile
+};
+
+export default file_candles;
@@ -0,0 +1,66 @@
+/**
+ * Price precision helpers
+ * Converts exchange tick sizes into the number of decimals used for rounding
+ */
+
+/**
+ * Maximum number of decimals supported when deriving precision
+ * @type {number}
+ */
+const MAX_DECIMALS = 12;
+
+/**
+ * Get the number of decimal places implied by a tick size
+ * e.g. "0.10" -> 1, "0.00001" -> 5, "0.0025" -> 4, "10" -> 0
+ * @param {number|string} tickSize - Minimum price increment of the symbol
+ * @returns {number} - Number of decimal places
+ * @throws {Error} - If the tick size is not a positive number
+ */
+const getPrecisionFromTickSize = (tickSize) => {
+    const tick = parseFloat(tickSize);
+
+    if (!Number.isFinite(tick) || tick <= 0) {
+        throw new Error(`Invalid tick size: ${tickSize}`);
+    }
+
+    let decimals = 0;
+
+    // Find the smallest number of decimals that represents the tick exactly
+    while (decimals < MAX_DECIMALS) {
+        const scaled = tick * Math.pow(10, decimals);
+        if (Math.abs(scaled - Math.round(scaled)) < 1e-9) break;
+        decimals++;
+    }
+
+    return decimals;
+};
+
+/**
+ * Check that a value is a usable number of decimal places
+ * @param {*} precision - Value to check
+ * @returns {boolean} - True if precision is an integer between 0 and MAX_DECIMALS
+ */
+const isValidPrecision = (precision) => {
+    return Number.isInteger(precision) && precision >= 0 && precision <= MAX_DECIMALS;
+};
+
+/**
+ * Round a quantity down to a multiple of the symbol's lot size
+ * @param {number} value - Quantity to round
+ * @param {number|null} step - Lot size (quantity step), null to leave the value unrounded
+ * @returns {number} - Rounded quantity
+ */
+const floorToStep = (value, step) => {
+    if (!step) return value;
+
+    const decimals = getPrecisionFromTickSize(step);
+    // The epsilon keeps exact multiples from dropping a step through float error
+    const steps = Math.floor(value / step + 1e-9);
+    return parseFloat((steps * step).toFixed(decimals));
+};
+
+export {
+    getPrecisionFromTickSize,
+    isValidPrecision,
+    floorToStep
+};
@@ -0,0 +1,67 @@
+/**
+ * Timeframe helpers
+ * Converts candle timeframes such as "5m" or "1h" into durations
+ */
+
+/**
+ * Milliseconds per timeframe unit
+ * @type {Object}
+ */
+const UNIT_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    M: 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Get the duration of one candle
+ * @param {string} timeframe - Timeframe such as "5m", "1h", "1d"
+ * @returns {number|null} - Candle duration in milliseconds, null for an unknown timeframe
+ */
+const getTimeframeMs = (timeframe) => {
+    const match = /^(\d+)([mhdwM])$/.exec(timeframe || "");
+    if (!match) return null;
+    return parseInt(match[1], 10) * UNIT_MS[match[2]];
+};
+
+/**
+ * Get the close time of a candle from its open time
+ * Follows the Binance convention: the last millisecond before the next candle opens
+ * @param {number} openTime - Candle open time in milliseconds
+ * @param {string} timeframe - Candle timeframe
+ * @returns {number|null} - Close time in milliseconds, null when it cannot be derived
+ */
+const getCandleCloseTime = (openTime, timeframe) => {
+    const duration = getTimeframeMs(timeframe);
+    if (!Number.isFinite(openTime) || duration === null) return null;
+    return openTime + duration - 1;
+};
+
+/**
+ * Get the timeframe whose candles last a given duration
+ * Durations of 28 to 31 days are read as calendar months
+ * @param {number} duration - Candle duration in milliseconds
+ * @returns {string|null} - Timeframe such as "5m" or "4h", null when it is not a whole number of minutes
+ */
+const getTimeframeFromMs = (duration) => {
+    if (!Number.isFinite(duration) || duration <= 0) return null;
+
+    if (duration >= 28 * UNIT_MS.d && duration <= 31 * UNIT_MS.d) return "1M";
+
+    for (const unit of ["w", "d", "h", "m"]) {
+        if (duration % UNIT_MS[unit] === 0) {
+            return `${duration / UNIT_MS[unit]}${unit}`;
+        }
+    }
+
+    return null;
+};
+
+export {
+    UNIT_MS,
+    getTimeframeMs,
+    getTimeframeFromMs,
+    getCandleCloseTime
+};
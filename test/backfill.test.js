@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Jalgo from '../src/core/jalgo.js';
+import { NO_SIGNAL } from '../src/strategies/strategy.js';
+import { getCandle, sliceCandleSeries, toCandleMessage } from '../src/utility/candles.js';
+import { createCandles, serveKlines, entrySignal, quiet } from './helpers.js';
+
+const INTERVAL = 300000;
+const series = createCandles(220, { start: Date.UTC(2024, 0, 1), interval: INTERVAL });
+
+// Backfills download up to the Jalgo clock, which reads shortly after the last candle closed
+const NOW = series.time[219] + INTERVAL + 1000;
+
+/**
+ * Create a Jalgo on the first 100 candles whose strategy records every candle it sees
+ * and signals a long entry on the given candles
+ * @param {Array<number>} [signalAt] - Candle indexes producing a signal
+ * @returns {Object} - { jalgo, seen, signals }
+ */
+const createRecordingJalgo = (signalAt = []) => {
+    const seen = [];
+    const signals = [];
+    const signalTimes = new Set(signalAt.map(i => series.time[i]));
+
+    const jalgo = new Jalgo({
+        provider: 'binance',
+        autoInitialize: false,
+        strategy: {
+            warmup: () => NO_SIGNAL,
+            update: (bar) => {
+                seen.push(bar.time);
+                return signalTimes.has(bar.time) ? entrySignal('long', bar.close, bar.close - 5) : NO_SIGNAL;
+            }
+        },
+        onSignal: (signal) => signals.push(signal),
+        clock: () => NOW
+    });
+    jalgo.loadCandles(sliceCandleSeries(series, 0, 100));
+
+    return { jalgo, seen, signals };
+};
+
+const message = (i, closed = true) => toCandleMessage(getCandle(series, i), closed);
+
+describe('Missed candle backfill', () => {
+    it('replays missed candles before the live candles received meanwhile', async (t) => {
+        quiet(t);
+        const server = serveKlines(t, sliceCandleSeries(series, 0, 200));
+
+        const live = createRecordingJalgo([120, 205]);
+        for (let i = 100; i < 220; i++) live.jalgo.processNewCandle(message(i));
+
+        const { jalgo, seen, signals } = createRecordingJalgo([120, 205]);
+        for (let i = 100; i < 110; i++) jalgo.processNewCandle(message(i));
+
+        const backfill = jalgo.backfillCandles();
+        assert.equal(jalgo.backfillCandles(), backfill);
+        assert.equal(jalgo.isBackfilling, true);
+
+        // The socket delivers new candles, including open ticks, while the backfill runs
+        for (let i = 195; i < 220; i++) {
+            jalgo.processNewCandle(message(i, false));
+            jalgo.processNewCandle(message(i));
+        }
+        assert.equal(seen.length, 10);
+
+        assert.equal(await backfill, 90);
+        assert.deepEqual(server.pages, [[series.time[109] + 1, NOW]]);
+        assert.equal(jalgo.isBackfilling, false);
+        assert.deepEqual(jalgo.pendingCandles, []);
+
+        assert.deepEqual(seen, series.time.slice(100));
+        assert.deepEqual(seen, live.seen);
+        assert.deepEqual(jalgo.initialCandles.close, live.jalgo.initialCandles.close);
+        assert.ok(live.jalgo.getTradeHistory().length > 0);
+        assert.deepEqual(jalgo.getTradeHistory(), live.jalgo.getTradeHistory());
+
+        // Only the signal from a replayed candle is flagged as stale
+        assert.deepEqual(signals.map(signal => [signal.candle.openTime, signal.backfilled]), [
+            [series.time[120], true],
+            [series.time[205], false]
+        ]);
+    });
+
+    it('releases the held back candles when the download fails', async (t) => {
+        quiet(t);
+        t.mock.method(globalThis, 'fetch', async () => {
+            throw new Error('exchange unavailable');
+        });
+
+        const errors = [];
+        const { jalgo, seen } = createRecordingJalgo();
+        jalgo.onError = (error) => errors.push(error.message);
+
+        const backfill = jalgo.backfillCandles();
+        jalgo.processNewCandle(message(150));
+
+        assert.equal(await backfill, 0);
+        assert.deepEqual(errors, ['exchange unavailable']);
+        assert.equal(jalgo.isBackfilling, false);
+        assert.deepEqual(seen, [series.time[150]]);
+    });
+
+    it('does nothing for candles read from a file', async (t) => {
+        const server = serveKlines(t, series);
+
+        const { jalgo, seen } = createRecordingJalgo();
+        jalgo.provider = 'file';
+
+        assert.equal(await jalgo.backfillCandles(), 0);
+        assert.equal(jalgo.isBackfilling, false);
+        assert.deepEqual(server.pages, []);
+
+        jalgo.processNewCandle(message(100));
+        assert.deepEqual(seen, [series.time[100]]);
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Backtester from '../src/backtest/backtester.js';
+import { createCandles, quiet } from './helpers.js';
+
+describe('Backtester', () => {
+    const data = createCandles(1200);
+
+    it('replays every candle after the warmup and closes the last position', (t) => {
+        quiet(t);
+        const result = new Backtester({ riskOptions: { initialCapital: 1000 } }).run(data);
+
+        assert.ok(result.trades.length > 0);
+        assert.equal(result.equityCurve.length, data.close.length - 100 + 1);
+        assert.equal(result.equityCurve[0].index, 99);
+        assert.ok(result.trades.every(trade => trade.status !== 'open'));
+
+        const netPnl = result.trades.reduce((sum, trade) => sum + trade.pnl, 0);
+        const last = result.equityCurve[result.equityCurve.length - 1];
+        assert.ok(Math.abs(last.capital - (1000 + netPnl)) < 1e-6);
+        assert.equal(last.equity, last.capital);
+    });
+
+    it('records the candle index and time of signals and trades', (t) => {
+        quiet(t);
+        const result = new Backtester().run(data);
+
+        for (const signal of result.signals) {
+            assert.equal(signal.time, data.time[signal.index]);
+            assert.equal(signal.candle.openTime, signal.time);
+        }
+
+        for (const trade of result.trades) {
+            assert.equal(trade.entryTime, data.time[trade.entryIndex]);
+            assert.ok(trade.exitIndex >= trade.entryIndex);
+        }
+    });
+
+    it('uses candle indexes as times when the dataset has none', (t) => {
+        quiet(t);
+        const { time, ...untimed } = data;
+        const result = new Backtester().run(untimed);
+
+        assert.deepEqual(result.equityCurve.slice(0, 3).map(point => point.time), [99, 100, 101]);
+        assert.ok(result.trades.every(trade => trade.entryTime === trade.entryIndex));
+    });
+
+    it('keeps at least 100 warmup candles', (t) => {
+        quiet(t);
+        assert.equal(new Backtester({ warmupCandles: 20 }).warmupCandles, 100);
+        assert.equal(new Backtester({ warmupCandles: 300 }).run(data).equityCurve[0].index, 299);
+    });
+
+    it('leaves the last position open when closeAtEnd is off', (t) => {
+        quiet(t);
+        // A short opens on candle 1146 of the fixture
+        const truncated = createCandles(1148);
+        const closed = new Backtester().run(truncated);
+        const open = new Backtester({ closeAtEnd: false }).run(truncated);
+
+        assert.equal(closed.trades[closed.trades.length - 1].closeReason, 'end_of_data');
+        assert.equal(open.trades.length, closed.trades.length);
+        assert.equal(open.trades[open.trades.length - 1].status, 'open');
+    });
+
+    it('gives identical results on repeated runs', (t) => {
+        quiet(t);
+        const first = new Backtester().run(data);
+        const second = new Backtester().run(data);
+
+        assert.deepEqual(second, first);
+    });
+
+    it('rejects datasets that are missing prices, misaligned, too short or have duplicated bars', (t) => {
+        quiet(t);
+        assert.throws(() => new Backtester().run({ open: [], high: [], low: [] }), /Missing required price data/);
+        assert.throws(() => new Backtester().run({ ...data, volume: data.volume.slice(1) }), /"volume" has 1199 values, expected 1200/);
+        assert.throws(() => new Backtester().run(createCandles(100)), /Need more than 100 candles/);
+
+        const duplicated = createCandles(300);
+        duplicated.time[150] = duplicated.time[149];
+        assert.throws(() => new Backtester().run(duplicated), /Duplicate candle/);
+    });
+});
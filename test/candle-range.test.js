@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchCandleRange } from '../src/utility/market-provider.js';
+import { createCandles, serveKlines, quiet } from './helpers.js';
+
+const MINUTE = 60000;
+const START = Date.UTC(2024, 0, 1);
+
+describe('fetchCandleRange', () => {
+    it('pages through the range and stitches the pages without overlaps', async (t) => {
+        const series = createCandles(2500, { start: START, interval: MINUTE });
+        const server = serveKlines(t, series);
+        const pages = [];
+
+        const { candles, gaps } = await fetchCandleRange('binance', 'spot', 'BTCUSDT', '1m', START + 10 * MINUTE, START + 2259 * MINUTE, {
+            throttleMs: 0,
+            onPage: page => pages.push(page)
+        });
+
+        assert.deepEqual(server.pages, [
+            [START + 10 * MINUTE, START + 1010 * MINUTE - 1],
+            [START + 1010 * MINUTE, START + 2010 * MINUTE - 1],
+            [START + 2010 * MINUTE, START + 2259 * MINUTE]
+        ]);
+        assert.deepEqual(pages.map(page => [page.page, page.received, page.total]), [[1, 1000, 1000], [2, 1000, 2000], [3, 250, 2250]]);
+        assert.deepEqual(candles.time, series.time.slice(10, 2260));
+        assert.deepEqual(candles.close, series.close.slice(10, 2260));
+        assert.deepEqual(gaps, []);
+    });
+
+    it('sizes the pages by the market\'s kline limit', async (t) => {
+        const server = serveKlines(t, createCandles(2000, { start: START, interval: MINUTE }));
+
+        await fetchCandleRange('binance', 'futures', 'BTCUSDT', '1m', START, START + 1999 * MINUTE, { throttleMs: 0 });
+
+        assert.deepEqual(server.pages, [[START, START + 1500 * MINUTE - 1], [START + 1500 * MINUTE, START + 1999 * MINUTE]]);
+        assert.match(server.fetch.mock.calls[0].arguments[0], /fapi\.binance\.com.*limit=1500/);
+    });
+
+    it('accepts dates and date strings', async (t) => {
+        serveKlines(t, createCandles(50, { start: START, interval: MINUTE }));
+
+        const { candles } = await fetchCandleRange('binance', 'spot', 'BTCUSDT', '1m',
+            new Date(START + 5 * MINUTE), new Date(START + 9 * MINUTE).toISOString(), { throttleMs: 0 });
+
+        assert.deepEqual(candles.time, [5, 6, 7, 8, 9].map(i => START + i * MINUTE));
+    });
+
+    it('reports the candles missing from the exchange history as gaps', async (t) => {
+        quiet(t);
+        const full = createCandles(30, { start: START, interval: MINUTE });
+        const keep = full.time.map((_, i) => i).filter(i => i !== 10 && i !== 11 && i !== 20);
+        const series = Object.fromEntries(Object.entries(full).map(([field, values]) => [field, keep.map(i => values[i])]));
+        serveKlines(t, series);
+
+        const { candles, gaps } = await fetchCandleRange('binance', 'spot', 'BTCUSDT', '1m', START, START + 29 * MINUTE, { throttleMs: 0 });
+
+        assert.equal(candles.close.length, 27);
+        assert.deepEqual(gaps, [
+            { from: START + 9 * MINUTE, to: START + 12 * MINUTE, missing: 2 },
+            { from: START + 19 * MINUTE, to: START + 21 * MINUTE, missing: 1 }
+        ]);
+    });
+
+    it('leaves out the candle that is still open', async (t) => {
+        const open = Math.floor(Date.now() / MINUTE) * MINUTE;
+        serveKlines(t, createCandles(5, { start: open - 4 * MINUTE, interval: MINUTE }));
+
+        const { candles } = await fetchCandleRange('binance', 'spot', 'BTCUSDT', '1m', open - 4 * MINUTE, open, { throttleMs: 0 });
+
+        assert.equal(candles.time[candles.time.length - 1], open - MINUTE);
+    });
+
+    it('returns an empty series for a range before the exchange history', async (t) => {
+        serveKlines(t, createCandles(10, { start: START, interval: MINUTE }));
+
+        const { candles, gaps } = await fetchCandleRange('binance', 'spot', 'BTCUSDT', '1m', START - 5 * MINUTE, START - MINUTE, { throttleMs: 0 });
+
+        assert.equal(candles.time.length, 0);
+        assert.deepEqual(gaps, []);
+    });
+
+    it('rejects invalid requests', async () => {
+        await assert.rejects(fetchCandleRange('binance', 'spot', 'BTCUSDT', '7x', 0, 1), /Invalid interval: 7x/);
+        await assert.rejects(fetchCandleRange('binance', 'spot', 'BTCUSDT', '1m', 10, 1), /Invalid candle range/);
+        await assert.rejects(fetchCandleRange('binance', 'spot', 'BTCUSDT', '1m', 'soon', 1), /Invalid candle range/);
+        await assert.rejects(fetchCandleRange('kraken', 'spot', 'BTCUSDT', '1m', 0, 1), /Unsupported exchange provider: kraken/);
+    });
+});
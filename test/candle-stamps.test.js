@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import Backtester from '../src/backtest/backtester.js';
+import { getCandleCloseTime } from '../src/utility/timeframe.js';
+import { createCandles, createIdleJalgo, entrySignal, quiet } from './helpers.js';
+
+describe('Candle stamps', () => {
+    it('derives the close time from the open time and timeframe', () => {
+        const open = Date.UTC(2024, 0, 1);
+
+        assert.equal(getCandleCloseTime(open, '5m'), open + 300000 - 1);
+        assert.equal(getCandleCloseTime(open, '1h'), open + 3600000 - 1);
+        assert.equal(getCandleCloseTime(open, 'x'), null);
+        assert.equal(getCandleCloseTime(null, '5m'), null);
+    });
+
+    it('stamps trade records with the candle and the injected clock', () => {
+        let now = Date.UTC(2024, 0, 1, 12);
+        const manager = new RiskRewardManager({ clock: () => now, takeProfitLevels: [{ rMultiple: 1, size: 0.5 }] });
+
+        manager.setCandle(1000, 1999);
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+        now += 60000;
+        manager.setCandle(2000, 2999);
+        manager.handleTakeProfitHit('long', 105);
+        now += 60000;
+        manager.setCandle(3000);
+        manager.closePosition('long', 104, 'signal');
+
+        const trade = manager.tradeHistory[0];
+        assert.equal(trade.entryTime, 1000);
+        assert.deepEqual(trade.entryCandle, { openTime: 1000, closeTime: 1999 });
+        assert.equal(trade.timestamp, '2024-01-01T12:00:00.000Z');
+        assert.deepEqual(trade.fills[0].candle, { openTime: 2000, closeTime: 2999 });
+        assert.equal(trade.fills[0].timestamp, '2024-01-01T12:01:00.000Z');
+        assert.equal(trade.exitTime, 3000);
+        assert.deepEqual(trade.exitCandle, { openTime: 3000, closeTime: null });
+        assert.equal(trade.closeTimestamp, '2024-01-01T12:02:00.000Z');
+    });
+
+    it('leaves candle fields empty outside of candle processing', () => {
+        const manager = new RiskRewardManager({ clock: () => 0 });
+        manager.handleNewSignal(entrySignal('short', 100, 105));
+
+        assert.equal(manager.tradeHistory[0].entryTime, null);
+        assert.equal(manager.tradeHistory[0].entryCandle, null);
+        assert.equal(manager.tradeHistory[0].timestamp, '1970-01-01T00:00:00.000Z');
+    });
+
+    it('stamps live exits with the candle that triggered them', (t) => {
+        quiet(t);
+        const { jalgo, candle } = createIdleJalgo({ stopMode: 'refStop' }, { clock: () => 42 });
+        jalgo.riskManager.handleNewSignal(entrySignal('long', 100, 95));
+
+        const message = candle(1, { h: 100, l: 94, c: 96, x: false });
+        jalgo.processNewCandle(message);
+
+        const trade = jalgo.riskManager.tradeHistory[0];
+        assert.deepEqual(trade.exitCandle, { openTime: message.t, closeTime: message.T });
+        assert.equal(trade.closeTimestamp, new Date(42).toISOString());
+    });
+
+    it('stamps backtest records with the replayed candle close time', (t) => {
+        quiet(t);
+        const data = createCandles(600);
+        const { trades, signals } = new Backtester().run(data);
+
+        for (const trade of trades.filter(trade => trade.exitIndex < data.close.length - 1)) {
+            assert.deepEqual(trade.entryCandle, { openTime: data.time[trade.entryIndex], closeTime: data.closeTime[trade.entryIndex] });
+            assert.equal(trade.timestamp, new Date(data.closeTime[trade.entryIndex]).toISOString());
+            assert.equal(trade.closeTimestamp, new Date(data.closeTime[trade.exitIndex]).toISOString());
+        }
+
+        for (const signal of signals) {
+            assert.equal(signal.candle.closeTime, data.closeTime[signal.index]);
+        }
+    });
+});
@@ -0,0 +1,177 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FileCandleStore from '../src/persistence/candle-store.js';
+import { fetchCandleRange } from '../src/utility/market-provider.js';
+import { sliceCandleSeries } from '../src/utility/candles.js';
+import { createCandles, serveKlines, quiet } from './helpers.js';
+
+const MINUTE = 60000;
+const START = Date.UTC(2024, 0, 1);
+const KEY = { provider: 'Binance', market: 'spot', symbol: 'btcusdt', interval: '1m' };
+const CACHE_KEY = { provider: 'binance', market: 'spot', symbol: 'BTCUSDT', interval: '1m' };
+
+/**
+ * Create a candle store in a temporary directory removed after the test
+ * @param {Object} t - node:test context
+ * @returns {FileCandleStore} - Empty store
+ */
+const createStore = (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jalgo-candles-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return new FileCandleStore(directory);
+};
+
+const at = (i) => START + i * MINUTE;
+
+describe('FileCandleStore', () => {
+    const series = createCandles(100, { start: START, interval: MINUTE });
+
+    it('stores candles per normalized key and reads time ranges', (t) => {
+        const store = createStore(t);
+
+        assert.equal(store.write(KEY, sliceCandleSeries(series, 0, 50), { from: at(0), to: at(49) }), 50);
+        assert.equal(store.write(KEY, sliceCandleSeries(series, 40, 60), { from: at(40), to: at(59) }), 10);
+
+        assert.deepEqual(store.read(KEY), sliceCandleSeries(series, 0, 60));
+        assert.deepEqual(store.read(KEY, at(10), at(19)).time, series.time.slice(10, 20));
+        assert.deepEqual(store.getCoverage(KEY), [{ from: at(0), to: at(59) }]);
+        assert.match(store.getPaths(KEY).dataPath, /binance[/\\]spot[/\\]BTCUSDT[/\\]1m\.ndjson$/);
+        assert.match(store.getPaths({ ...KEY, interval: '1M' }).dataPath, /1mo\.ndjson$/);
+    });
+
+    it('keeps separate coverage segments and merges them when they meet', (t) => {
+        const store = createStore(t);
+        store.write(KEY, sliceCandleSeries(series, 50, 60), { from: at(50), to: at(59) });
+        store.write(KEY, sliceCandleSeries(series, 0, 10), { from: at(0), to: at(9) });
+
+        assert.deepEqual(store.getCoverage(KEY), [{ from: at(0), to: at(9) }, { from: at(50), to: at(59) }]);
+        assert.deepEqual(store.read(KEY).time, [...series.time.slice(0, 10), ...series.time.slice(50, 60)]);
+        assert.deepEqual(store.inspect(KEY).gaps, []);
+
+        // Ranges are inclusive in milliseconds, so a range ending right before the next one joins it
+        store.write(KEY, sliceCandleSeries(series, 10, 50), { from: at(9) + 1, to: at(50) - 1 });
+        assert.deepEqual(store.getCoverage(KEY), [{ from: at(0), to: at(59) }]);
+        assert.deepEqual(store.read(KEY), sliceCandleSeries(series, 0, 60));
+    });
+
+    it('drops a torn last line', (t) => {
+        quiet(t);
+        const store = createStore(t);
+        store.write(KEY, sliceCandleSeries(series, 0, 10), { from: at(0), to: at(9) });
+
+        const { dataPath } = store.getPaths(KEY);
+        fs.appendFileSync(dataPath, '[1704067800000,1');
+        assert.equal(store.inspect(KEY).valid, false);
+
+        assert.equal(store.read(KEY).time.length, 10);
+        assert.equal(store.inspect(KEY).valid, true);
+    });
+
+    it('moves a corrupted file aside and starts the entry over', (t) => {
+        quiet(t);
+        const store = createStore(t);
+        store.write(KEY, sliceCandleSeries(series, 0, 10), { from: at(0), to: at(9) });
+
+        const { dataPath } = store.getPaths(KEY);
+        fs.writeFileSync(dataPath, fs.readFileSync(dataPath, 'utf8').replace(/\n/, '\nnot json\n'));
+
+        const report = store.inspect(KEY);
+        assert.equal(report.valid, false);
+        assert.match(report.errors[0], /line 2: invalid JSON/);
+
+        assert.equal(store.read(KEY).time.length, 0);
+        assert.deepEqual(store.getCoverage(KEY), []);
+        assert.ok(fs.readdirSync(path.dirname(dataPath)).some(file => file.startsWith('1m.ndjson.corrupt-')));
+    });
+
+    it('ignores metadata of another layout version', (t) => {
+        quiet(t);
+        const store = createStore(t);
+        store.write(KEY, sliceCandleSeries(series, 0, 10), { from: at(0), to: at(9) });
+
+        const { metaPath } = store.getPaths(KEY);
+        const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+        fs.writeFileSync(metaPath, JSON.stringify({ ...meta, version: meta.version + 1 }));
+
+        assert.equal(store.readMeta(KEY), null);
+        assert.deepEqual(store.getCoverage(KEY), []);
+    });
+
+    it('lists and clears entries', (t) => {
+        const store = createStore(t);
+        store.write(KEY, sliceCandleSeries(series, 0, 10), { from: at(0), to: at(9) });
+        store.write({ ...KEY, interval: '5m' }, createCandles(3, { start: START }), { from: START, to: START + 600000 });
+
+        assert.deepEqual(store.list().map(entry => [entry.interval, entry.candles, entry.valid]), [['1m', 10, true], ['5m', 3, true]]);
+
+        store.clear(KEY);
+        assert.equal(store.list().length, 1);
+
+        store.clear();
+        assert.deepEqual(store.list(), []);
+    });
+});
+
+describe('Cached candle downloads', () => {
+    const fetchRange = (cache, from, to) => fetchCandleRange('binance', 'spot', 'BTCUSDT', '1m', at(from), at(to), { cache, throttleMs: 0 });
+
+    it('downloads only the parts of a range the cache does not cover', async (t) => {
+        const series = createCandles(1000, { start: START, interval: MINUTE });
+        const server = serveKlines(t, series);
+        const cache = createStore(t);
+
+        await fetchRange(cache, 100, 199);
+        assert.equal(server.pages.length, 1);
+
+        // Fully cached
+        const cached = await fetchRange(cache, 120, 180);
+        assert.equal(server.pages.length, 1);
+        assert.deepEqual(cached.candles, sliceCandleSeries(series, 120, 181));
+
+        // A far range does not download the space between
+        await fetchRange(cache, 900, 949);
+        assert.deepEqual(server.pages.slice(1), [[at(900), at(949)]]);
+
+        // Overlapping both segments only fills the hole
+        const bridged = await fetchRange(cache, 150, 920);
+        assert.deepEqual(server.pages.slice(2), [[at(199) + 1, at(900) - 1]]);
+        assert.deepEqual(bridged.candles, sliceCandleSeries(series, 150, 921));
+        assert.deepEqual(cache.getCoverage(CACHE_KEY), [{ from: at(100), to: at(949) }]);
+    });
+
+    it('never marks a range covered when the download returned nothing', async (t) => {
+        quiet(t);
+        const server = serveKlines(t, createCandles(100, { start: START, interval: MINUTE }));
+        const cache = createStore(t);
+
+        // Before the first candle of the history
+        const { candles } = await fetchRange(cache, -100, -51);
+        assert.equal(candles.time.length, 0);
+        assert.deepEqual(cache.getCoverage(CACHE_KEY), []);
+
+        await fetchRange(cache, -100, -51);
+        assert.equal(server.pages.length, 2);
+    });
+
+    it('ends the coverage at the last candle received', async (t) => {
+        quiet(t);
+        const series = createCandles(100, { start: START, interval: MINUTE });
+        const server = serveKlines(t, sliceCandleSeries(series, 0, 50));
+        const cache = createStore(t);
+
+        await fetchRange(cache, 0, 99);
+        assert.deepEqual(cache.getCoverage(CACHE_KEY), [{ from: at(0), to: at(50) - 1 }]);
+
+        // The candles that arrive later are downloaded then, without asking for the cached ones again
+        server.fetch.mock.restore();
+        const later = serveKlines(t, series);
+        const { candles } = await fetchRange(cache, 0, 99);
+
+        assert.deepEqual(later.pages, [[at(50), at(99)]]);
+        assert.deepEqual(candles, series);
+        assert.deepEqual(cache.getCoverage(CACHE_KEY), [{ from: at(0), to: at(99) }]);
+    });
+});
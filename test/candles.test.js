@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CANDLE_FIELDS,
+    createCandleSeries,
+    createCandle,
+    appendCandle,
+    getCandle,
+    sliceCandleSeries,
+    toCandleMessage,
+    fromCandleMessage,
+    findCandleGaps,
+    validateCandleSeries
+} from '../src/utility/candles.js';
+import binance_candles from '../src/utility/binance-market.js';
+import bybit_candles from '../src/utility/bybit-market.js';
+import { formatWebSocketCandle } from '../src/utility/market-provider.js';
+import { createIdleJalgo, quiet } from './helpers.js';
+
+const MINUTE = 60000;
+
+/**
+ * Mock fetch() with a JSON response
+ * @param {Object} t - node:test context
+ * @param {*} body - Response body
+ * @returns {Object} - The mock, its calls hold the requested URLs
+ */
+const mockFetch = (t, body) => t.mock.method(globalThis, 'fetch', async () => ({ ok: true, json: async () => body }));
+
+describe('Candle series', () => {
+    it('normalizes candles with null for unreported fields', () => {
+        const candle = createCandle({ time: '1000', open: '1', high: '2', low: '0.5', close: '1.5', volume: 'x' });
+
+        assert.deepEqual(Object.keys(candle), CANDLE_FIELDS);
+        assert.equal(candle.time, 1000);
+        assert.equal(candle.volume, 0);
+        assert.equal(candle.trades, null);
+        assert.equal(candle.closeTime, null);
+    });
+
+    it('appends and reads every field', () => {
+        const series = createCandleSeries();
+        for (let i = 0; i < 3; i++) {
+            appendCandle(series, createCandle({ time: i * MINUTE, open: i, high: i, low: i, close: i, trades: i }));
+        }
+
+        assert.equal(getCandle(series, 2).trades, 2);
+        assert.deepEqual(series.time, [0, MINUTE, 2 * MINUTE]);
+        assert.deepEqual(Object.keys(getCandle(series, 0)), CANDLE_FIELDS);
+        assert.deepEqual(sliceCandleSeries(series, 1).time, [MINUTE, 2 * MINUTE]);
+        assert.deepEqual(Object.keys(sliceCandleSeries(series, 0, 1)), CANDLE_FIELDS);
+    });
+
+    it('round-trips candles through live candle messages', () => {
+        const candle = createCandle({
+            time: 1000, open: 1, high: 2, low: 0.5, close: 1.5, volume: 10,
+            closeTime: 1999, quoteVolume: 15, trades: 7, takerBuyVolume: 4, takerBuyQuoteVolume: 6
+        });
+        const message = toCandleMessage(candle, true);
+
+        assert.deepEqual(message, { t: 1000, T: 1999, o: 1, h: 2, l: 0.5, c: 1.5, v: 10, q: 15, n: 7, V: 4, Q: 6, x: true });
+        assert.deepEqual(fromCandleMessage(message), candle);
+    });
+
+    it('rejects misaligned, duplicated and out-of-order bars', () => {
+        const series = () => ({ time: [1, 2, 3], open: [1, 1, 1], high: [1, 1, 1], low: [1, 1, 1], close: [1, 1, 1] });
+
+        assert.throws(() => validateCandleSeries({ close: [1] }), /Missing required price data/);
+        assert.throws(() => validateCandleSeries({ ...series(), volume: [1] }), /"volume" has 1 values, expected 3/);
+        assert.throws(() => validateCandleSeries({ ...series(), time: [1, 2, 2] }), /Duplicate candle at 2/);
+        assert.throws(() => validateCandleSeries({ ...series(), time: [1, 3, 2] }), /older than the previous candle/);
+        assert.throws(() => validateCandleSeries({ ...series(), time: [1, null, 3] }), /invalid open time/);
+        assert.doesNotThrow(() => validateCandleSeries(series()));
+    });
+
+    it('finds the gaps between open times', () => {
+        assert.deepEqual(findCandleGaps([0, MINUTE, 4 * MINUTE, 5 * MINUTE], MINUTE), [{ from: MINUTE, to: 4 * MINUTE, missing: 2 }]);
+        assert.deepEqual(findCandleGaps([0, MINUTE], MINUTE), []);
+    });
+});
+
+describe('Exchange candle formats', () => {
+    it('parses every Binance kline field and drops the open candle', async (t) => {
+        const row = (i) => [i * MINUTE, '1', '2', '0.5', '1.5', '10', (i + 1) * MINUTE - 1, '15', 7, '4', '6', '0'];
+        const fetch = mockFetch(t, [row(0), row(1), row(2)]);
+
+        const candles = await binance_candles('futures', 'BTCUSDT', '1m', 2);
+
+        assert.match(fetch.mock.calls[0].arguments[0], /fapi\.binance\.com.*limit=3/);
+        assert.deepEqual(candles.time, [0, MINUTE]);
+        assert.deepEqual(getCandle(candles, 1), {
+            time: MINUTE, open: 1, high: 2, low: 0.5, close: 1.5, volume: 10,
+            closeTime: 2 * MINUTE - 1, quoteVolume: 15, trades: 7, takerBuyVolume: 4, takerBuyQuoteVolume: 6
+        });
+    });
+
+    it('orders Bybit klines oldest first and drops the open candle', async (t) => {
+        const open = Math.floor(Date.now() / MINUTE) * MINUTE;
+        const rows = [0, 1, 2, 3].map(i => [String(open - i * MINUTE), '1', '2', '0.5', '1.5', '10', '15']);
+        const fetch = mockFetch(t, { retCode: 0, result: { list: rows } });
+
+        const candles = await bybit_candles('spot', 'BTCUSDT', '1m', 2);
+
+        assert.match(fetch.mock.calls[0].arguments[0], /category=spot.*interval=1&limit=3/);
+        assert.deepEqual(candles.time, [open - 2 * MINUTE, open - MINUTE]);
+        assert.deepEqual(candles.closeTime, [open - MINUTE - 1, open - 1]);
+        assert.deepEqual(candles.quoteVolume, [15, 15]);
+        assert.deepEqual(candles.trades, [null, null]);
+    });
+
+    it('formats live klines of both exchanges as candle messages', () => {
+        const binance = formatWebSocketCandle('binance', {
+            e: 'kline',
+            k: { t: 1000, T: 1999, o: '1', h: '2', l: '0.5', c: '1.5', v: '10', q: '15', n: 7, V: '4', Q: '6', x: false }
+        });
+        assert.deepEqual(binance, { t: 1000, T: 1999, o: 1, h: 2, l: 0.5, c: 1.5, v: 10, q: 15, n: 7, V: 4, Q: 6, x: false });
+
+        const bybit = formatWebSocketCandle('bybit', {
+            topic: 'kline.5.BTCUSDT',
+            data: [{ start: 1000, end: 1999, open: '1', high: '2', low: '0.5', close: '1.5', volume: '10', turnover: '15', confirm: true }]
+        });
+        assert.deepEqual(bybit, { t: 1000, T: 1999, o: 1, h: 2, l: 0.5, c: 1.5, v: 10, q: 15, n: null, V: null, Q: null, x: true });
+
+        assert.equal(formatWebSocketCandle('binance', { result: null }), null);
+    });
+});
+
+describe('Live candles', () => {
+    it('keeps every field of closed candles in the rolling history', (t) => {
+        quiet(t);
+        const { jalgo, candle } = createIdleJalgo({});
+
+        jalgo.processNewCandle({ ...candle(1, { h: 101, l: 99, c: 100.5 }), q: 15, n: 7 });
+
+        const last = getCandle(jalgo.initialCandles, jalgo.initialCandles.time.length - 1);
+        assert.equal(jalgo.initialCandles.time.length, 120);
+        assert.deepEqual([last.close, last.quoteVolume, last.trades, last.takerBuyVolume], [100.5, 15, 7, null]);
+    });
+
+    it('ignores candles older than the last closed candle', (t) => {
+        quiet(t);
+        const { jalgo, candle } = createIdleJalgo({});
+        jalgo.processNewCandle(candle(2, { h: 101, l: 99, c: 100 }));
+
+        const history = jalgo.initialCandles.close.slice();
+        jalgo.processNewCandle(candle(1, { h: 150, l: 50, c: 120 }));
+
+        assert.deepEqual(jalgo.initialCandles.close, history);
+        assert.match(console.warn.mock.calls.at(-1).arguments[0], /Ignoring out-of-order candle/);
+    });
+
+    it('warns about skipped candles and still processes the candle', (t) => {
+        quiet(t);
+        const { jalgo, candle } = createIdleJalgo({});
+        const message = candle(4, { h: 101, l: 99, c: 100.5 });
+
+        jalgo.processNewCandle(message);
+
+        assert.equal(jalgo.lastProcessedCandleTime, message.t);
+        assert.match(console.warn.mock.calls.at(-1).arguments[0], /3 candle\(s\) missing/);
+        assert.equal(jalgo.checkCandleGap(message.t, message.t + 300000), 0);
+    });
+});
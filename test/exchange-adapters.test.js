@@ -0,0 +1,206 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateExchangeAdapter,
+    supportsCandleRange,
+    supportsStreaming,
+    getExchangeLabel
+} from '../src/exchanges/exchange-adapter.js';
+import {
+    registerExchange,
+    unregisterExchange,
+    hasExchange,
+    getExchange,
+    listExchanges
+} from '../src/exchanges/registry.js';
+import { getMarketData, getSymbolInfo, convertInterval, fetchCandleRange } from '../src/utility/market-provider.js';
+import ExchangeWebsocketFeed from '../src/exchanges/websocket-feed.js';
+import BybitWebsocketFeed from '../src/exchanges/bybit-feed.js';
+import { createCandles, createRangeExchange, quiet } from './helpers.js';
+
+const fetchCandles = async () => createCandles(3);
+
+/**
+ * Register an adapter for one test
+ * @param {Object} t - node:test context
+ * @param {Object} adapter - Exchange adapter
+ * @returns {Object} - Registered adapter
+ */
+const useExchange = (t, adapter) => {
+    registerExchange(adapter);
+    t.after(() => unregisterExchange(adapter.name));
+    return adapter;
+};
+
+/**
+ * Adapter streaming candles from a made-up venue
+ * @param {Array<Object>} calls - Receives the arguments of every fetchCandles() call
+ * @returns {Object} - Exchange adapter
+ */
+const createStreamingExchange = (calls = []) => ({
+    name: 'Stream-Test',
+    label: 'Stream Test',
+    fetchCandles: async (...args) => {
+        calls.push(args);
+        return createCandles(args[3]);
+    },
+    getStreamUrl: (market, symbol, interval) => `wss://stream.test/${market}/${symbol}@${interval}`,
+    parseMessage: (message) => message.kline ?? null
+});
+
+describe('Exchange adapter contract', () => {
+    it('rejects adapters that break the contract', () => {
+        const cases = [
+            [null, /must be an object/],
+            [{ fetchCandles }, /must have a name/],
+            [{ name: ' ', fetchCandles }, /must have a name/],
+            [{ name: 'x' }, /"x" is missing required method fetchCandles\(\)/],
+            [{ name: 'x', fetchCandles, convertInterval: '1h' }, /has a convertInterval that is not a function/],
+            [{ name: 'x', fetchCandles, fetchCandlePage() {} }, /implements fetchCandlePage\(\) but is missing getKlineLimit\(\)/],
+            [{ name: 'x', fetchCandles, getStreamUrl() {} }, /implements getStreamUrl\(\) but is missing parseMessage\(\)/],
+            [{ name: 'x', fetchCandles, keepalive: { intervalMs: 0, message: () => ({}) } }, /keepalive needs a positive intervalMs/],
+            [{ name: 'x', fetchCandles, keepalive: { intervalMs: 1000 } }, /keepalive needs a positive intervalMs/]
+        ];
+
+        for (const [adapter, error] of cases) {
+            assert.throws(() => validateExchangeAdapter(adapter), error);
+        }
+
+        const adapter = { name: 'x', fetchCandles, keepalive: { intervalMs: 1000, message: () => ({}) } };
+        assert.equal(validateExchangeAdapter(adapter), adapter);
+    });
+
+    it('reports what the built-in adapters support', () => {
+        const support = ['binance', 'bybit', 'file'].map(name => {
+            const adapter = getExchange(name);
+            return [getExchangeLabel(adapter), supportsCandleRange(adapter), supportsStreaming(adapter)];
+        });
+
+        assert.deepEqual(support, [['Binance', true, true], ['Bybit', true, true], ['File', false, false]]);
+        assert.equal(getExchangeLabel({ name: 'custom' }), 'custom');
+    });
+});
+
+describe('Exchange registry', () => {
+    it('registers adapters by case-insensitive name', (t) => {
+        const adapter = useExchange(t, { name: 'Custom', fetchCandles });
+
+        assert.equal(getExchange('CUSTOM'), adapter);
+        assert.equal(hasExchange('custom'), true);
+        assert.deepEqual(listExchanges(), ['binance', 'bybit', 'file', 'Custom']);
+
+        assert.throws(() => registerExchange({ name: 'custom', fetchCandles }), /"custom" is already registered/);
+
+        const replacement = registerExchange({ name: 'custom', fetchCandles }, { replace: true });
+        assert.equal(getExchange('Custom'), replacement);
+
+        assert.equal(unregisterExchange('CUSTOM'), true);
+        assert.equal(hasExchange('custom'), false);
+        assert.equal(hasExchange(null), false);
+        assert.throws(() => getExchange('custom'), /Unsupported exchange provider: custom/);
+    });
+
+    it('routes market data requests to a custom adapter', async (t) => {
+        const calls = [];
+        useExchange(t, createStreamingExchange(calls));
+
+        const candles = await getMarketData('stream-test', 'spot', 'ABCUSDT', '1m', 3, { file: null });
+        assert.equal(candles.close.length, 3);
+        assert.deepEqual(calls, [['spot', 'ABCUSDT', '1m', 3, { file: null }]]);
+
+        // Without convertInterval() the standard interval is used as is
+        assert.equal(convertInterval('stream-test', '1h'), '1h');
+        assert.equal(convertInterval('bybit', '1h'), '60');
+
+        await assert.rejects(getSymbolInfo('stream-test', 'spot', 'ABCUSDT'), /not available for Stream Test data/);
+        await assert.rejects(fetchCandleRange('stream-test', 'spot', 'ABCUSDT', '1m', 0, 60000), /Stream Test does not support candle range downloads/);
+    });
+
+    it('downloads candle ranges through the pages of a custom adapter', async (t) => {
+        const series = createCandles(250, { start: 0, interval: 60000 });
+        const adapter = useExchange(t, createRangeExchange('range-test', series));
+
+        const { candles, gaps } = await fetchCandleRange('range-test', 'spot', 'ABCUSDT', '1m', 10 * 60000, 239 * 60000, { throttleMs: 0 });
+
+        assert.deepEqual(adapter.pages, [[600000, 6600000 - 1], [6600000, 12600000 - 1], [12600000, 14340000]]);
+        assert.deepEqual(candles.time, series.time.slice(10, 240));
+        assert.deepEqual(gaps, []);
+    });
+});
+
+describe('Built-in exchange adapters', () => {
+    it('builds Binance stream URLs', () => {
+        const binance = getExchange('binance');
+
+        assert.equal(binance.getStreamUrl('futures', 'BTCUSDT', '5m'), 'wss://fstream.binance.com/ws/btcusdt@kline_5m');
+        assert.equal(binance.getStreamUrl('spot', 'ETHUSDT', '1h'), 'wss://stream.binance.com:9443/ws/ethusdt@kline_1h');
+        assert.equal(binance.parseMessage({ result: null, id: 1 }), null);
+    });
+
+    it('subscribes to Bybit topics and keeps the socket alive', () => {
+        const bybit = getExchange('bybit');
+
+        assert.equal(bybit.getStreamUrl('spot'), 'wss://stream.bybit.com/v5/public/spot');
+        assert.equal(bybit.getStreamUrl('futures'), 'wss://stream.bybit.com/v5/public/linear');
+
+        const [subscribe] = bybit.getSubscribeMessages('futures', 'BTCUSDT', '5m');
+        assert.equal(subscribe.op, 'subscribe');
+        assert.deepEqual(subscribe.args, ['kline.5.BTCUSDT']);
+
+        assert.ok(bybit.keepalive.intervalMs > 0);
+        assert.equal(bybit.keepalive.message().op, 'ping');
+        assert.equal(bybit.parseMessage({ op: 'pong' }), null);
+        assert.equal(bybit.parseMessage({ success: true, op: 'subscribe' }), null);
+    });
+});
+
+describe('WebSocket feeds', () => {
+    it('refuses providers without a live stream', () => {
+        assert.throws(() => new ExchangeWebsocketFeed({ provider: 'file' }), /File does not provide a live candle stream/);
+        assert.throws(() => new ExchangeWebsocketFeed({ provider: 'kraken' }), /Unsupported exchange provider: kraken/);
+    });
+
+    it('feeds the candles parsed by a custom adapter into Jalgo', (t) => {
+        quiet(t);
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        useExchange(t, createStreamingExchange());
+
+        const feed = new ExchangeWebsocketFeed({ provider: 'stream-test', symbol: 'ABCUSDT', timeframe: '1m', pricePrecision: 2 });
+        t.after(() => feed.close());
+
+        const received = [];
+        t.mock.method(feed.jalgo, 'processNewCandle', (candle) => received.push(candle));
+
+        const candle = { t: 0, T: 59999, o: 1, h: 2, l: 0.5, c: 1.5, v: 3, x: true };
+        feed.processMessage(JSON.stringify({ kline: candle }));
+        feed.processMessage(JSON.stringify({ heartbeat: true }));
+        feed.processMessage('not json');
+
+        assert.equal(feed.label, 'Stream Test');
+        assert.equal(feed.jalgo.provider, 'stream-test');
+        assert.deepEqual(received, [candle]);
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+
+    it('always streams Bybit from the Bybit feed', (t) => {
+        quiet(t);
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        t.mock.method(globalThis, 'fetch', () => new Promise(() => {}));
+
+        const feed = new BybitWebsocketFeed({ provider: 'binance', timeframe: '5m' });
+        t.after(() => feed.close());
+
+        const received = [];
+        t.mock.method(feed.jalgo, 'processNewCandle', (candle) => received.push(candle));
+
+        feed.processMessage(JSON.stringify({ op: 'pong' }));
+        feed.processMessage(JSON.stringify({
+            topic: 'kline.5.BTCUSDT',
+            data: [{ start: 0, end: 299999, open: '1', high: '2', low: '0.5', close: '1.5', volume: '3', turnover: '4', confirm: true }]
+        }));
+
+        assert.equal(feed.provider, 'bybit');
+        assert.equal(feed.label, 'Bybit');
+        assert.deepEqual(received.map(candle => [candle.t, candle.c, candle.q, candle.x]), [[0, 1.5, 4, true]]);
+    });
+});
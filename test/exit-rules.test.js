@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import { createIdleJalgo, entrySignal, quiet } from './helpers.js';
+
+describe('Break-even stop', () => {
+    it('moves the stop to entry plus costs once price reaches breakEvenAtR', (t) => {
+        quiet(t);
+        const { jalgo, candle } = createIdleJalgo({ breakEvenAtR: 1, stopMode: 'refStop', rewardMultiple: 3, feeSchedule: 'binance' });
+        const manager = jalgo.riskManager;
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        jalgo.processNewCandle(candle(1, { h: 104.9, l: 99, c: 104, x: false }));
+        assert.equal(manager.longStopLevel, 95);
+
+        jalgo.processNewCandle(candle(1, { h: 105.5, l: 99, c: 104, x: false }));
+        assert.equal(manager.longStopLevel, 100.11);
+        assert.equal(manager.tradeHistory[0].breakEven.trigger, 105);
+
+        jalgo.processNewCandle(candle(2, { o: 104, h: 104, l: 99, c: 100 }));
+        const trade = manager.tradeHistory[0];
+        assert.equal(trade.status, 'break_even');
+        assert.equal(trade.exitPrice, 100.11);
+        assert.ok(trade.pnl >= 0);
+        assert.equal(manager.getPerformanceStats().longBreakEvenExits, 1);
+    });
+
+    it('never loosens a tighter stop', () => {
+        const manager = new RiskRewardManager({ breakEvenAtR: 1, trailingStopSource: 'jATR' });
+        manager.handleNewSignal(entrySignal('short', 100, 105));
+        manager.updateTrailingStop({ indicators: { jATR: 98 } }, { close: 96 });
+
+        assert.equal(manager.handleBreakEvenTrigger('short'), null);
+        assert.equal(manager.shortStopLevel, 98);
+        assert.equal(manager.getBreakEvenTrigger('short'), null);
+    });
+
+    it('rejects a non-positive trigger', () => {
+        assert.throws(() => new RiskRewardManager({ breakEvenAtR: -1 }), /Invalid breakEvenAtR/);
+        assert.equal(new RiskRewardManager().getBreakEvenTrigger('long'), null);
+    });
+});
+
+describe('Time exit', () => {
+    it('closes the position at the close of the maxBarsInTrade-th candle', (t) => {
+        quiet(t);
+        const { jalgo, candle } = createIdleJalgo({ maxBarsInTrade: 3 });
+        const manager = jalgo.riskManager;
+        manager.handleNewSignal(entrySignal('short', 100, 105));
+
+        // Forming candles do not count
+        jalgo.processNewCandle(candle(1, { h: 101, l: 99, c: 99.9, x: false }));
+
+        for (let i = 1; i <= 3; i++) {
+            assert.equal(manager.inShortTrade, true);
+            jalgo.processNewCandle(candle(i, { h: 101, l: 99, c: 100 - i / 10 }));
+        }
+
+        const trade = manager.tradeHistory[0];
+        assert.equal(manager.inShortTrade, false);
+        assert.equal(trade.status, 'time_exit');
+        assert.equal(trade.exitPrice, 99.7);
+        assert.equal(manager.getPerformanceStats().shortTimeExits, 1);
+    });
+
+    it('leaves positions with a filled take profit to their remaining exits', () => {
+        const manager = new RiskRewardManager({ maxBarsInTrade: 1, takeProfitLevels: [{ rMultiple: 1, size: 0.5 }] });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+        manager.handleTakeProfitHit('long', 105);
+
+        assert.equal(manager.handleTimeExit(104), false);
+        assert.equal(manager.inLongTrade, true);
+    });
+
+    it('rejects fractional candle counts', () => {
+        assert.throws(() => new RiskRewardManager({ maxBarsInTrade: 2.5 }), /Invalid maxBarsInTrade/);
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * Shared fixtures for the test suite
+ */
+
+import Jalgo from '../src/core/jalgo.js';
+import { NO_SIGNAL } from '../src/strategies/strategy.js';
+import { createCandleSeries, appendCandle, createCandle, getCandle } from '../src/utility/candles.js';
+
+/**
+ * Create a seeded pseudo-random number generator (Park-Miller)
+ * @param {number} [seed=7] - Seed
+ * @returns {Function} - Generator returning numbers in [0, 1)
+ */
+const createRandom = (seed = 7) => {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647;
+};
+
+/**
+ * Generate a deterministic trending price series
+ * Oscillating swings with noise, enough to make the J-Trend Sniper flip direction regularly
+ * @param {number} count - Number of candles
+ * @param {Object} [options] - Series options
+ * @param {number} [options.seed=7] - Random seed
+ * @param {number} [options.start=Date.UTC(2024, 0, 1)] - Open time of the first candle
+ * @param {number} [options.interval=300000] - Candle duration in milliseconds
+ * @param {number} [options.price=100] - First open price
+ * @returns {Object} - Candle series with open and close times
+ */
+const createCandles = (count, options = {}) => {
+    const random = createRandom(options.seed ?? 7);
+    const start = options.start ?? Date.UTC(2024, 0, 1);
+    const interval = options.interval ?? 300000;
+    const series = createCandleSeries();
+    let price = options.price ?? 100;
+
+    for (let i = 0; i < count; i++) {
+        const open = price;
+        price = Math.max(1, price + Math.sin(i / 12) * 4 + (random() - 0.5) * 3);
+        const time = start + i * interval;
+
+        appendCandle(series, createCandle({
+            time,
+            open,
+            high: Math.max(open, price) + random(),
+            low: Math.max(0.5, Math.min(open, price) - random()),
+            close: price,
+            volume: 10 + random() * 5,
+            closeTime: time + interval - 1
+        }));
+    }
+
+    return series;
+};
+
+/**
+ * Build a candle series from closes only, each candle spanning its open and close
+ * @param {Array<number>} closes - Close prices
+ * @param {Object} [options] - { start, interval }
+ * @returns {Object} - Candle series
+ */
+const candlesFromCloses = (closes, options = {}) => {
+    const start = options.start ?? Date.UTC(2024, 0, 1);
+    const interval = options.interval ?? 300000;
+    const series = createCandleSeries();
+
+    closes.forEach((close, i) => {
+        const open = i === 0 ? close : closes[i - 1];
+        appendCandle(series, createCandle({
+            time: start + i * interval,
+            open,
+            high: Math.max(open, close),
+            low: Math.min(open, close),
+            close,
+            volume: 1,
+            closeTime: start + (i + 1) * interval - 1
+        }));
+    });
+
+    return series;
+};
+
+/**
+ * Build a strategy result carrying a market entry signal
+ * @param {string} position - "long" or "short"
+ * @param {number} location - Entry price
+ * @param {number} refStop - Reference stop of the signal
+ * @param {Object} [extra] - Additional result fields (atr, indicators, ...)
+ * @returns {Object} - Strategy result for RiskRewardManager.handleNewSignal()
+ */
+const entrySignal = (position, location, refStop, extra = {}) => ({
+    signal: { order: 'market', position, location },
+    refStop,
+    ...extra
+});
+
+/**
+ * Create a Jalgo instance warmed up on flat candles with a strategy that never signals
+ * @param {Object} riskOptions - Risk manager options
+ * @param {Object} [options] - Other Jalgo options
+ * @returns {Object} - { jalgo, candle } with candle(i, prices) building the i-th candle message after the history
+ */
+const createIdleJalgo = (riskOptions, options = {}) => {
+    const history = candlesFromCloses(new Array(120).fill(100));
+    const jalgo = new Jalgo({
+        autoInitialize: false,
+        strategy: { warmup: () => NO_SIGNAL, update: () => NO_SIGNAL },
+        riskOptions,
+        ...options
+    });
+    jalgo.loadCandles(history);
+
+    const last = history.time[history.time.length - 1];
+    const candle = (i, { o = 100, h, l, c, x = true }) => {
+        const t = last + i * 300000;
+        return { t, T: t + 299999, o, h, l, c, v: 1, x };
+    };
+
+    return { jalgo, candle };
+};
+
+/**
+ * Serve Binance klines from a candle series through a mocked fetch()
+ * Every page also returns the candle before the requested window, like an exchange rounding
+ * the window down, and the requested windows are recorded in `pages`
+ * @param {Object} t - node:test context
+ * @param {Object} series - Candle series with open and close times
+ * @returns {Object} - { pages, fetch } with the [startTime, endTime] of every page request and the fetch mock
+ */
+const serveKlines = (t, series) => {
+    const server = { pages: [] };
+    const toRow = (candle) => [
+        candle.time, candle.open, candle.high, candle.low, candle.close, candle.volume, candle.closeTime,
+        candle.quoteVolume, candle.trades, candle.takerBuyVolume, candle.takerBuyQuoteVolume, '0'
+    ];
+
+    server.fetch = t.mock.method(globalThis, 'fetch', async (url) => {
+        const params = new URL(url).searchParams;
+        const limit = Number(params.get('limit'));
+        let indexes = series.time.map((_, i) => i);
+
+        if (params.has('startTime')) {
+            const startTime = Number(params.get('startTime'));
+            const endTime = Number(params.get('endTime'));
+            const first = series.time.findIndex(time => time >= startTime);
+            server.pages.push([startTime, endTime]);
+            indexes = first === -1 ? [] : indexes.filter(i => i >= Math.max(first - 1, 0) && series.time[i] <= endTime);
+        }
+
+        const rows = indexes.slice(-limit).map(i => toRow(getCandle(series, i)));
+        return { ok: true, json: async () => rows };
+    });
+
+    return server;
+};
+
+/**
+ * Create an exchange adapter that serves candle pages from a series
+ * Every page also returns the candle before the requested window, like an exchange rounding
+ * the window down, and the requested windows are recorded in `pages`
+ * @param {string} name - Adapter name
+ * @param {Object} series - Candle series with open and close times
+ * @param {Object} [options] - { klineLimit = 100 }
+ * @returns {Object} - Exchange adapter
+ */
+const createRangeExchange = (name, series, options = {}) => {
+    const adapter = {
+        name,
+        pages: [],
+        fetchCandles: async () => series,
+        getKlineLimit: () => options.klineLimit ?? 100,
+        fetchCandlePage: async (market, symbol, interval, startTime, endTime) => {
+            adapter.pages.push([startTime, endTime]);
+            const page = createCandleSeries();
+            const first = series.time.findIndex(time => time >= startTime);
+
+            for (let i = Math.max(first - 1, 0); first !== -1 && i < series.time.length && series.time[i] <= endTime; i++) {
+                appendCandle(page, getCandle(series, i));
+            }
+
+            return page;
+        }
+    };
+
+    return adapter;
+};
+
+/**
+ * Silence console output for the rest of a test
+ * @param {Object} t - node:test context
+ */
+const quiet = (t) => {
+    for (const method of ['log', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+};
+
+export {
+    createRandom,
+    createCandles,
+    candlesFromCloses,
+    entrySignal,
+    createIdleJalgo,
+    serveKlines,
+    createRangeExchange,
+    quiet
+};
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_INDICATOR_OPTIONS, validateIndicatorOptions } from '../src/indicators/indicator-options.js';
+import trend_sniper, { TrendSniperStream } from '../src/indicators/jTrendSniper.js';
+import Backtester from '../src/backtest/backtester.js';
+import { createCandles, quiet } from './helpers.js';
+
+describe('validateIndicatorOptions', () => {
+    it('fills in the defaults', () => {
+        assert.deepEqual(validateIndicatorOptions(), { ...DEFAULT_INDICATOR_OPTIONS });
+        assert.deepEqual(validateIndicatorOptions({ length: 8 }), { ...DEFAULT_INDICATOR_OPTIONS, length: 8 });
+    });
+
+    it('rejects unknown options and invalid values', () => {
+        assert.throws(() => validateIndicatorOptions({ foo: 1 }), /Unknown indicator option "foo"/);
+        assert.throws(() => validateIndicatorOptions({ length: 0 }), /"length": expected an integer >= 1/);
+        assert.throws(() => validateIndicatorOptions({ period: 2.5 }), /"period"/);
+        assert.throws(() => validateIndicatorOptions({ multiplier: 'x' }), /"multiplier": expected a number > 0/);
+        assert.throws(() => validateIndicatorOptions({ fast_multiplier: -1 }), /"fast_multiplier"/);
+        assert.throws(() => validateIndicatorOptions({ multiplier: Infinity }), /"multiplier"/);
+        assert.throws(() => validateIndicatorOptions({ smoothingPeriod: null }), /"smoothingPeriod": expected an integer >= 1, got null/);
+        assert.throws(() => validateIndicatorOptions([]), /must be an object/);
+        assert.throws(() => validateIndicatorOptions(null), /must be an object/);
+    });
+
+    it('returns a copy that leaves the defaults untouched', () => {
+        const options = validateIndicatorOptions();
+        options.length = 50;
+
+        assert.equal(DEFAULT_INDICATOR_OPTIONS.length, 6);
+        assert.ok(Object.isFrozen(DEFAULT_INDICATOR_OPTIONS));
+    });
+});
+
+describe('configurable indicator parameters', () => {
+    const data = createCandles(600);
+
+    it('apply the smoothing period to both the batch and the stream indicator', (t) => {
+        quiet(t);
+        const batch = trend_sniper(data, 8, 16, 9, 5.1, { smoothingPeriod: 10 });
+        const stream = new TrendSniperStream(8, 16, 9, 5.1, { smoothingPeriod: 10 }).seed(data);
+
+        assert.equal(stream.jATR_sma, batch.jATR_sma[batch.jATR_sma.length - 1]);
+        assert.notEqual(batch.jATR_sma.length, trend_sniper(data, 8, 16).jATR_sma.length);
+    });
+
+    it('reach the strategy through Jalgo options', (t) => {
+        quiet(t);
+        const result = new Backtester({ indicatorOptions: { length: 8, smoothingPeriod: 10 } }).run(data);
+
+        assert.deepEqual(result.stats.indicatorOptions, { ...DEFAULT_INDICATOR_OPTIONS, length: 8, smoothingPeriod: 10 });
+        assert.throws(() => new Backtester({ indicatorOptions: { length: 0 } }).run(data), /"length"/);
+        assert.deepEqual(new Backtester().run(data).stats.indicatorOptions, { ...DEFAULT_INDICATOR_OPTIONS });
+    });
+});
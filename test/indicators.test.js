@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import trend_sniper, { TrendSniperStream } from '../src/indicators/jTrendSniper.js';
+import SATR, { SATRStream } from '../src/indicators/jATR.js';
+import variable_moving_average, { VariableMovingAverageStream } from '../src/indicators/var_ma.js';
+import { createCandles, quiet } from './helpers.js';
+
+const last = (values) => values.length > 0 ? values[values.length - 1] : null;
+
+const prefix = (series, count) => ({
+    open: series.open.slice(0, count),
+    high: series.high.slice(0, count),
+    low: series.low.slice(0, count),
+    close: series.close.slice(0, count)
+});
+
+const candleAt = (series, i) => ({
+    open: series.open[i],
+    high: series.high[i],
+    low: series.low[i],
+    close: series.close[i]
+});
+
+describe('incremental indicator streams', () => {
+    const series = createCandles(200);
+
+    for (const [length, period] of [[6, 16], [20, 5]]) {
+        it(`match the batch indicators bar by bar (length ${length}, period ${period})`, (t) => {
+            quiet(t);
+            const sniper = new TrendSniperStream(length, period);
+            const satr = new SATRStream(period, 9);
+            const vma = new VariableMovingAverageStream(length);
+            let signals = 0;
+
+            for (let count = 1; count <= series.close.length; count++) {
+                const candle = candleAt(series, count - 1);
+                const streamed = sniper.update(candle);
+                const source = prefix(series, count);
+                const batch = trend_sniper(source, length, period);
+
+                assert.equal(streamed.var_ma, last(batch.var_ma), `var_ma at ${count}`);
+                assert.equal(streamed.jATR_sma, last(batch.jATR_sma), `jATR_sma at ${count}`);
+                assert.equal(streamed.fast_jATR_sma, last(batch.fast_jATR_sma), `fast_jATR_sma at ${count}`);
+                assert.deepEqual(streamed.signal, batch.signal, `signal at ${count}`);
+                assert.equal(satr.update(candle), last(SATR(source, period, 9)), `SATR at ${count}`);
+                assert.equal(vma.update(candle), last(variable_moving_average(source, length)), `VAR MA at ${count}`);
+
+                if (batch.signal) signals++;
+            }
+
+            assert.ok(signals > 0, 'the fixture should produce signals');
+        });
+    }
+
+    it('return null until their periods are filled', () => {
+        const satr = new SATRStream(16, 9);
+        const vma = new VariableMovingAverageStream(6);
+        const satrValues = [];
+        const vmaValues = [];
+
+        for (let i = 0; i < 20; i++) {
+            satrValues.push(satr.update(candleAt(series, i)));
+            vmaValues.push(vma.update(candleAt(series, i)));
+        }
+
+        // The true range needs the previous close, so ATR starts one candle after its period
+        assert.equal(satrValues.findIndex(value => value !== null), 16);
+        assert.equal(vmaValues.findIndex(value => value !== null), 5);
+        assert.ok(satrValues.slice(16).every(Number.isFinite));
+        assert.ok(vmaValues.slice(5).every(Number.isFinite));
+    });
+
+    it('stay on the price of a flat market', () => {
+        const vma = new VariableMovingAverageStream(6);
+        const sniper = new TrendSniperStream(6, 16);
+        const flat = { open: 100, high: 100, low: 100, close: 100 };
+        let result;
+
+        for (let i = 0; i < 40; i++) {
+            vma.update(flat);
+            result = sniper.update(flat);
+        }
+
+        assert.equal(vma.value, 100);
+        assert.equal(result.var_ma, 100);
+        assert.equal(result.signal, false);
+    });
+
+    it('start over after reset()', () => {
+        const stream = new TrendSniperStream();
+        const first = [];
+        const second = [];
+
+        for (let i = 0; i < 60; i++) first.push(stream.update(candleAt(series, i)));
+        stream.reset();
+        for (let i = 0; i < 60; i++) second.push(stream.update(candleAt(series, i)));
+
+        assert.deepEqual(second, first);
+    });
+});
+
+// Entries of the series also carry the indicator values at the bar
+const pickSignal = (signal) => signal ? { order: signal.order, position: signal.position, location: signal.location } : signal;
+
+describe('trend_sniper signal series', () => {
+    const series = createCandles(200);
+
+    it('returns one entry per candle, matching the signal of every prefix', (t) => {
+        quiet(t);
+        const result = trend_sniper(series, 6, 16, 9, 5.1, { signalSeries: true });
+
+        assert.equal(result.signals.length, series.close.length);
+        assert.deepEqual(pickSignal(result.signals[result.signals.length - 1]), pickSignal(result.signal));
+        assert.ok(result.signals.some(signal => signal !== false));
+
+        for (let count = 1; count <= series.close.length; count++) {
+            const entry = result.signals[count - 1];
+            const batch = trend_sniper(prefix(series, count), 6, 16);
+
+            assert.deepEqual(pickSignal(entry), pickSignal(batch.signal), `signal at ${count}`);
+            if (entry) {
+                assert.equal(entry.index, count - 1);
+                assert.equal(entry.var_ma, last(batch.var_ma), `var_ma at ${count}`);
+                assert.equal(entry.jATR, last(batch.jATR), `jATR at ${count}`);
+            }
+        }
+    });
+
+    it('has no signal on the bars before the first jATR value', (t) => {
+        quiet(t);
+        const { signals } = trend_sniper(series, 6, 16, 9, 5.1, { signalSeries: true });
+
+        assert.ok(signals.slice(0, 17).every(signal => signal === false));
+        assert.deepEqual(trend_sniper(prefix(series, 10), 6, 16, 9, 5.1, { signalSeries: true }).signals, Array(10).fill(false));
+    });
+
+    it('is only returned when requested', (t) => {
+        quiet(t);
+        assert.equal(trend_sniper(series).signals, undefined);
+        assert.deepEqual(trend_sniper({}, 6, 16, 9, 5.1, { signalSeries: true }).signals, []);
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import Jalgo from '../src/core/jalgo.js';
+import Backtester from '../src/backtest/backtester.js';
+import { NO_SIGNAL } from '../src/strategies/strategy.js';
+import { candlesFromCloses, createCandles, entrySignal, quiet } from './helpers.js';
+
+describe('Liquidation', () => {
+    const leveraged = { riskPerTrade: 50, useLeverage: true, leverageAmount: 10 };
+
+    it('prices isolated liquidation from the position margin', () => {
+        const manager = new RiskRewardManager(leveraged);
+        const result = manager.handleNewSignal(entrySignal('long', 100, 90));
+
+        assert.equal(result.quantity, 50);
+        assert.equal(result.margin, 500);
+        assert.equal(result.liquidationPrice, 90.45);
+        assert.equal(manager.getLiquidationDistance(95), 4.79);
+
+        const short = new RiskRewardManager(leveraged);
+        assert.equal(short.handleNewSignal(entrySignal('short', 100, 110)).liquidationPrice, 109.45);
+    });
+
+    it('prices cross liquidation from the whole account balance', () => {
+        const manager = new RiskRewardManager({ ...leveraged, marginMode: 'cross' });
+
+        assert.equal(manager.handleNewSignal(entrySignal('long', 100, 90)).liquidationPrice, 80.4);
+        assert.equal(manager.getPerformanceStats().marginMode, 'cross');
+    });
+
+    it('forfeits the maintenance margin when liquidated', () => {
+        const manager = new RiskRewardManager(leveraged);
+        manager.handleNewSignal(entrySignal('long', 100, 90));
+
+        const result = manager.handleLiquidation('long');
+        assert.equal(result.closeReason, 'liquidated');
+        assert.ok(Math.abs(result.grossPnl - 50 * (90.45 - 100)) < 1e-9);
+        assert.ok(Math.abs(result.fees - 50 * 90.45 * 0.005) < 1e-9);
+        assert.equal(manager.tradeHistory[0].status, 'liquidated');
+
+        const stats = manager.getPerformanceStats();
+        assert.equal(stats.longLiquidations, 1);
+        assert.equal(stats.totalLiquidationLoss, -500.11);
+    });
+
+    it('has no liquidation price without leverage', () => {
+        const manager = new RiskRewardManager();
+
+        assert.equal(manager.handleNewSignal(entrySignal('long', 100, 95)).liquidationPrice, null);
+        assert.equal(manager.handleLiquidation('long'), false);
+        assert.equal(manager.getLiquidationDistance(95), null);
+    });
+
+    it('liquidates live positions on the candle that crosses the level', (t) => {
+        quiet(t);
+        const jalgo = new Jalgo({
+            autoInitialize: false,
+            strategy: { warmup: () => NO_SIGNAL, update: () => NO_SIGNAL },
+            riskOptions: leveraged
+        });
+        const candles = candlesFromCloses(new Array(120).fill(100));
+        jalgo.loadCandles(candles);
+        jalgo.riskManager.handleNewSignal(entrySignal('short', 100, 110));
+
+        const t0 = candles.time[candles.time.length - 1] + 300000;
+        jalgo.processNewCandle({ t: t0, T: t0 + 299999, o: 100, h: 111, l: 99, c: 105, v: 1, x: false });
+
+        const trade = jalgo.riskManager.tradeHistory[0];
+        assert.equal(trade.status, 'liquidated');
+        assert.equal(trade.exitPrice, 109.45);
+        assert.equal(jalgo.riskManager.inShortTrade, false);
+    });
+
+    it('leaves a candle that crosses both levels to the stop nearer the entry', (t) => {
+        quiet(t);
+        const jalgo = new Jalgo({
+            autoInitialize: false,
+            strategy: { warmup: () => NO_SIGNAL, update: () => NO_SIGNAL },
+            riskOptions: { ...leveraged, stopMode: 'multiple', stopMultiple: 0.5 }
+        });
+        const candles = candlesFromCloses(new Array(120).fill(100));
+        jalgo.loadCandles(candles);
+        jalgo.riskManager.handleNewSignal(entrySignal('long', 100, 90));
+
+        const t0 = candles.time[candles.time.length - 1] + 300000;
+        jalgo.processNewCandle({ t: t0, T: t0 + 299999, o: 100, h: 100, l: 85, c: 88, v: 1, x: false });
+
+        const trade = jalgo.riskManager.tradeHistory[0];
+        assert.equal(trade.status, 'stop_hit');
+        assert.equal(trade.exitPrice, 95);
+        assert.equal(jalgo.riskManager.getPerformanceStats().longLiquidations, 0);
+    });
+
+    it('reconciles backtest liquidations with the capital', (t) => {
+        quiet(t);
+        const { trades, stats, equityCurve } = new Backtester({ riskOptions: { useLeverage: true, leverageAmount: 100, riskPerTrade: 50 } })
+            .run(createCandles(1200));
+
+        assert.ok(trades.some(trade => trade.status === 'liquidated'));
+        assert.equal(stats.longLiquidations + stats.shortLiquidations, trades.filter(trade => trade.status === 'liquidated').length);
+
+        const netPnl = trades.reduce((sum, trade) => sum + trade.pnl, 0);
+        assert.ok(Math.abs(equityCurve[equityCurve.length - 1].capital - (1000 + netPnl)) < 1e-6);
+    });
+
+    it('rejects unknown margin modes', () => {
+        assert.throws(() => new RiskRewardManager({ marginMode: 'x' }), /Invalid marginMode "x"/);
+        assert.throws(() => new RiskRewardManager({ maintenanceMarginRate: 1 }), /Invalid maintenanceMarginRate/);
+    });
+});
@@ -0,0 +1,186 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    parseTime,
+    inferInterval,
+    parseCandles,
+    readCandleFile,
+    formatCandles,
+    writeCandleFile
+} from '../src/utility/ohlcv-file.js';
+import { getMarketData } from '../src/utility/market-provider.js';
+import { createCandles } from './helpers.js';
+
+const HOUR = 3600000;
+
+/**
+ * Create a temporary directory removed after the test
+ * @param {Object} t - node:test context
+ * @returns {string} - Directory path
+ */
+const tempDir = (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jalgo-ohlcv-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+};
+
+describe('parseTime', () => {
+    it('detects the unit of numeric times', () => {
+        const time = Date.UTC(2024, 0, 1);
+
+        assert.equal(parseTime(time / 1000, {}), time);
+        assert.equal(parseTime(time, {}), time);
+        assert.equal(parseTime(time * 1000, {}), time);
+        assert.equal(parseTime("1704067200.5", {}), time + 500);
+        assert.equal(parseTime(1704067200, { timeUnit: "ms" }), 1704067200);
+    });
+
+    it('reads dates without an offset in the given time zone', () => {
+        assert.equal(parseTime("2024-01-15 09:30", {}), Date.UTC(2024, 0, 15, 9, 30));
+        assert.equal(parseTime("2024/01/15", {}), Date.UTC(2024, 0, 15));
+        assert.equal(parseTime("2024-01-15T09:30:00", { timezone: "+02:00" }), Date.UTC(2024, 0, 15, 7, 30));
+        assert.equal(parseTime("2024-01-15 09:30", { timezone: "America/New_York" }), Date.UTC(2024, 0, 15, 14, 30));
+        assert.equal(parseTime("2024-07-15 09:30", { timezone: "America/New_York" }), Date.UTC(2024, 6, 15, 13, 30));
+    });
+
+    it('keeps explicit offsets and rejects what it cannot read', () => {
+        assert.equal(parseTime("2024-01-15T09:30:00Z", { timezone: "+02:00" }), Date.UTC(2024, 0, 15, 9, 30));
+        assert.equal(parseTime("2024-01-15T09:30:00-05:00", {}), Date.UTC(2024, 0, 15, 14, 30));
+        assert.ok(Number.isNaN(parseTime("yesterday", {})));
+        assert.throws(() => parseTime("2024-01-15", { timezone: "Mars/Base" }));
+    });
+
+    it('reads 8 and 12 digit numbers as compact dates unless a unit is given', () => {
+        assert.equal(parseTime("20240115", {}), Date.UTC(2024, 0, 15));
+        assert.equal(parseTime(202401150930, {}), Date.UTC(2024, 0, 15, 9, 30));
+        assert.equal(parseTime("202401150930", { timezone: "+02:00" }), Date.UTC(2024, 0, 15, 7, 30));
+        assert.equal(parseTime("20240115", { timeUnit: "s" }), 20240115000);
+    });
+
+    it('rejects dates with out-of-range parts and times a date cannot hold', () => {
+        for (const value of ["20241315", "20240230", "202401152500", "2024-04-31", "2024-01-15 24:00", "2024-01-15 09:61"]) {
+            assert.ok(Number.isNaN(parseTime(value, {})), value);
+        }
+
+        assert.ok(Number.isNaN(parseTime("1".repeat(20), { timeUnit: "ms" })));
+        assert.ok(Number.isNaN(parseTime("-1704067200", {})));
+    });
+});
+
+describe('inferInterval', () => {
+    it('uses the most common spacing', () => {
+        assert.equal(inferInterval([0, HOUR, 2 * HOUR, 5 * HOUR, 6 * HOUR]), "1h");
+        assert.equal(inferInterval([0, 60000]), "1m");
+        assert.equal(inferInterval([0]), null);
+    });
+
+    it('treats calendar months as one interval', () => {
+        assert.equal(inferInterval([Date.UTC(2024, 0, 1), Date.UTC(2024, 1, 1), Date.UTC(2024, 2, 1), Date.UTC(2024, 3, 1)]), "1M");
+    });
+});
+
+describe('parseCandles', () => {
+    it('reads CSV with a header, detected delimiter and local dates', () => {
+        const content = [
+            "Date;Open;High;Low;Close;Vol",
+            "2024-01-01 03:00;2;3;1.5;2.5;20",
+            "2024-01-01 02:00;1;2;0.5;1.5;10",
+            ""
+        ].join("\r\n");
+
+        const { candles, interval } = parseCandles(content, { timezone: "+02:00" });
+
+        // Newest-first files are reversed
+        assert.equal(interval, "1h");
+        assert.deepEqual(candles.time, [Date.UTC(2024, 0, 1, 0), Date.UTC(2024, 0, 1, 1)]);
+        assert.deepEqual(candles.closeTime, [Date.UTC(2024, 0, 1, 1) - 1, Date.UTC(2024, 0, 1, 2) - 1]);
+        assert.deepEqual(candles.close, [1.5, 2.5]);
+        assert.deepEqual(candles.volume, [10, 20]);
+        assert.deepEqual(candles.trades, [null, null]);
+    });
+
+    it('reads headerless CSV in the Binance kline layout', () => {
+        const content = [
+            "1704067200000,100,101,99,100.5,12,1704067499999,1206,30,6,603,0",
+            "1704067500000,100.5,102,100,101.5,8,1704067799999,812,20,4,406,0"
+        ].join("\n");
+
+        const { candles, interval } = parseCandles(content);
+
+        assert.equal(interval, "5m");
+        assert.deepEqual(candles.quoteVolume, [1206, 812]);
+        assert.deepEqual(candles.trades, [30, 20]);
+        assert.deepEqual(candles.takerBuyQuoteVolume, [603, 406]);
+    });
+
+    it('maps columns by name or index and quotes cells', () => {
+        const content = 'Stamp,"Price, open",Max,Min,Last\n1704067200,1,2,0.5,1.5\n1704070800,1.5,2,1,1\n';
+        const { candles } = parseCandles(content, {
+            columns: { time: "stamp", open: 1, high: "Max", low: "Min", close: "Last" },
+            interval: "1h"
+        });
+
+        assert.deepEqual(candles.open, [1, 1.5]);
+        assert.deepEqual(candles.volume, [0, 0]);
+    });
+
+    it('reads JSON rows, objects of arrays and kline arrays alike', () => {
+        const rows = [{ timestamp: 1704067200000, open: 1, high: 2, low: 0.5, close: 1.5 }, { timestamp: 1704070800000, open: 1.5, high: 2, low: 1, close: 1 }];
+        const columnar = { t: [1704067200000, 1704070800000], o: [1, 1.5], h: [2, 2], l: [0.5, 1], c: [1.5, 1] };
+        const klines = [[1704067200000, "1", "2", "0.5", "1.5"], [1704070800000, "1.5", "2", "1", "1"]];
+
+        const expected = parseCandles(JSON.stringify(rows), { format: "json" });
+        assert.equal(expected.interval, "1h");
+        assert.deepEqual(parseCandles(JSON.stringify(columnar), { format: "json" }), expected);
+        assert.deepEqual(parseCandles(JSON.stringify(klines), { format: "JSON" }), expected);
+        assert.throws(() => parseCandles("42", { format: "json" }), /array of candles or an object of arrays/);
+    });
+
+    it('reports missing columns and unreadable rows', () => {
+        assert.throws(() => parseCandles("time,open,high,low\n1,1,1,1\n"), /No close column found/);
+        assert.throws(() => parseCandles("time,open,high,low,close\n1,1,1,1,1\n", { columns: { volume: "Vol" } }), /Column "Vol" for volume not found/);
+        assert.throws(() => parseCandles("time,open,high,low,close\n1704067200,1,1,1,1\nnoon,1,1,1,1\n"), /Row 2: cannot parse time "noon"/);
+        assert.throws(() => parseCandles("time,open,high,low,close\n1704067200,1,x,1,1\n"), /Row 1: invalid price/);
+    });
+});
+
+describe('Candle files', () => {
+    const candles = createCandles(24, { start: Date.UTC(2024, 0, 1), interval: HOUR });
+
+    it('round-trips candles through CSV and JSON files', (t) => {
+        const directory = tempDir(t);
+
+        for (const name of ["nested/candles.csv", "candles.json"]) {
+            const filePath = path.join(directory, name);
+
+            assert.equal(writeCandleFile(filePath, candles), 24);
+            assert.deepEqual(readCandleFile(filePath), { candles, interval: "1h" });
+        }
+
+        assert.throws(() => writeCandleFile(path.join(directory, "candles.txt"), candles), /Unsupported candle file format "txt"/);
+    });
+
+    it('formats times and column names', () => {
+        const first = formatCandles(candles, { timeFormat: "iso", columns: { time: "Date" } }).split("\n").slice(0, 2);
+        assert.match(first[0], /^Date,open,high,low,close,volume,closeTime/);
+        assert.match(first[1], /^2024-01-01T00:00:00\.000Z,/);
+
+        const [row] = JSON.parse(formatCandles(candles, { format: "json", timeFormat: "s" }));
+        assert.equal(row.time, Date.UTC(2024, 0, 1) / 1000);
+        assert.equal(row.closeTime, Date.UTC(2024, 0, 1, 1) / 1000 - 1);
+    });
+
+    it('serves the latest candles of a file through provider "file"', async (t) => {
+        const filePath = path.join(tempDir(t), "candles.csv");
+        writeCandleFile(filePath, candles);
+
+        const latest = await getMarketData("file", "spot", "BTCUSDT", "1h", 5, { file: filePath });
+        assert.deepEqual(latest.time, candles.time.slice(-5));
+
+        await assert.rejects(async () => getMarketData("file", "spot", "BTCUSDT", "5m", 5, { file: filePath }), /are 1h, expected 5m/);
+        await assert.rejects(async () => getMarketData("file", "spot", "BTCUSDT", "1h", 5), /requires a data file/);
+    });
+});
@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import analyzePerformance, {
+    getPeriodsPerYear,
+    calculateTradeStats,
+    calculateDrawdowns,
+    calculateReturnRatios
+} from '../src/analytics/performance.js';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import Backtester from '../src/backtest/backtester.js';
+import { createCandles, entrySignal, quiet } from './helpers.js';
+
+const trade = (type, pnl, extra = {}) => ({ type, pnl, isWin: pnl > 0, riskAmount: 10, status: 'closed', ...extra });
+
+describe('Performance analytics', () => {
+    it('computes trade statistics and streaks', () => {
+        const stats = calculateTradeStats([
+            trade('long', 20, { entryTime: 0, exitTime: 1000 }),
+            trade('short', -10, { entryTime: 0, exitTime: 3000 }),
+            trade('long', -5),
+            trade('long', 15)
+        ]);
+
+        assert.equal(stats.trades, 4);
+        assert.equal(stats.wins, 2);
+        assert.equal(stats.netProfit, 20);
+        assert.equal(stats.profitFactor, 2.33);
+        assert.equal(stats.expectancy, 5);
+        assert.equal(stats.expectancyR, 0.5);
+        assert.equal(stats.largestWin, 20);
+        assert.equal(stats.largestLoss, -10);
+        assert.equal(stats.maxConsecutiveLosses, 2);
+        assert.equal(stats.averageHoldingTimeMs, 2000);
+    });
+
+    it('reports no profit factor without losing trades', () => {
+        const stats = calculateTradeStats([trade('long', 20), trade('short', 5)]);
+
+        assert.equal(stats.profitFactor, null);
+        assert.equal(JSON.parse(JSON.stringify(stats)).profitFactor, null);
+        assert.equal(calculateTradeStats([]).profitFactor, null);
+    });
+
+    it('counts wins and streaks by net P&L, not by the trade\'s win flag', () => {
+        const stats = calculateTradeStats([
+            trade('long', -1, { isWin: true }),
+            trade('long', 0),
+            trade('short', 5, { isWin: false })
+        ]);
+
+        assert.equal(stats.wins, 1);
+        assert.equal(stats.losses, 2);
+        assert.equal(stats.maxConsecutiveLosses, 2);
+        assert.equal(stats.maxConsecutiveWins, 1);
+    });
+
+    it('books a target hit whose fees exceed its gross profit as a loss', () => {
+        const manager = new RiskRewardManager({ feeSchedule: { maker: 0.05, taker: 0.05 } });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        const result = manager.handleTakeProfitHit('long', 107.5);
+        assert.equal(result.grossPnl, 30);
+        assert.ok(result.pnl < 0);
+        assert.equal(result.isWin, false);
+
+        const stats = manager.getPerformanceStats();
+        assert.equal(stats.longTargetHits, 1);
+        assert.equal(stats.longLosses, 1);
+        assert.equal(stats.longWins, 0);
+        assert.equal(calculateTradeStats(manager.tradeHistory).wins, 0);
+    });
+
+    it('measures drawdown depth and duration', () => {
+        const drawdowns = calculateDrawdowns([100, 120, 90, 110, 130, 117, 125].map((equity, i) => ({ equity, time: i * 1000 })));
+
+        assert.equal(drawdowns.maxDrawdown, 30);
+        assert.equal(drawdowns.maxDrawdownPercent, 25);
+        assert.equal(drawdowns.drawdownCount, 2);
+        assert.equal(drawdowns.averageDrawdownPercent, 17.5);
+        assert.equal(drawdowns.maxDrawdownDurationPeriods, 3);
+        assert.equal(drawdowns.maxDrawdownDurationMs, 3000);
+    });
+
+    it('annualizes return ratios by the timeframe', () => {
+        assert.equal(getPeriodsPerYear('1d'), 365);
+        assert.equal(getPeriodsPerYear('1h'), 365 * 24);
+        assert.equal(getPeriodsPerYear('x'), null);
+
+        const curve = [100, 101, 100, 102].map(equity => ({ equity }));
+        const daily = calculateReturnRatios(curve, 365, 1);
+        const perPeriod = calculateReturnRatios(curve, null, 1);
+
+        assert.equal(daily.totalReturnPercent, 2);
+        assert.ok(Math.abs(daily.sharpeRatio - perPeriod.sharpeRatio * Math.sqrt(365)) < 0.01);
+        assert.equal(perPeriod.annualizedReturnPercent, null);
+        assert.equal(perPeriod.calmarRatio, null);
+        assert.equal(calculateReturnRatios([{ equity: 100 }, { equity: 100 }], 365, 0).sharpeRatio, null);
+    });
+
+    it('builds the equity curve from trades when none was tracked', () => {
+        const analytics = analyzePerformance({
+            trades: [trade('long', 100), trade('short', -50), trade('long', 0, { status: 'open' })],
+            initialCapital: 1000
+        });
+
+        assert.equal(analytics.trades, 2);
+        assert.equal(analytics.totalReturnPercent, 5);
+        assert.equal(analytics.maxDrawdown, 50);
+        assert.equal(analytics.long.trades, 1);
+        assert.equal(analytics.short.profitFactor, 0);
+    });
+
+    it('analyzes backtests from the tracked equity curve', (t) => {
+        quiet(t);
+        const { analytics, trades, equityCurve } = new Backtester({ timeframe: '1h', riskOptions: { stopMode: 'refStop' } })
+            .run(createCandles(1200, { interval: 3600000 }));
+
+        assert.equal(analytics.trades, trades.length);
+        assert.equal(analytics.long.trades + analytics.short.trades, trades.length);
+
+        const last = equityCurve[equityCurve.length - 1].equity;
+        assert.equal(analytics.totalReturnPercent, parseFloat(((last / 1000 - 1) * 100).toFixed(2)));
+        assert.ok(analytics.maxDrawdownPercent >= 0);
+        assert.notEqual(analytics.sharpeRatio, null);
+    });
+});
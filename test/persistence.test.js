@@ -0,0 +1,219 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FileStateStore, { STATE_SCHEMA_VERSION, migrateState } from '../src/persistence/state-store.js';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import Jalgo from '../src/core/jalgo.js';
+import { NO_SIGNAL } from '../src/strategies/strategy.js';
+import { candlesFromCloses, createIdleJalgo, entrySignal, quiet } from './helpers.js';
+
+/**
+ * Create a temporary directory removed after the test
+ * @param {Object} t - node:test context
+ * @returns {string} - Directory path
+ */
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jalgo-state-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+describe('State snapshots', () => {
+    it('rejects snapshots without a supported version', () => {
+        assert.throws(() => migrateState({}), /missing schemaVersion/);
+        assert.throws(() => migrateState({ schemaVersion: STATE_SCHEMA_VERSION + 1 }), /is newer than supported/);
+        assert.deepEqual(migrateState({ schemaVersion: STATE_SCHEMA_VERSION, a: 1 }), { schemaVersion: STATE_SCHEMA_VERSION, a: 1 });
+    });
+
+    it('continues a restored risk manager exactly like the original', () => {
+        const options = { stopMode: 'refStop', takeProfitLevels: [{ rMultiple: 1, size: 0.5 }], maxDailyLossPercent: 5 };
+        const original = new RiskRewardManager(options);
+        original.handleNewSignal(entrySignal('long', 100, 95));
+        original.handleTakeProfitHit('long', 105);
+
+        const restored = RiskRewardManager.fromJSON(JSON.parse(JSON.stringify(original)), options);
+        assert.deepEqual(restored.toJSON(), original.toJSON());
+
+        assert.deepEqual(restored.handleStopLossHit('long', 95), original.handleStopLossHit('long', 95));
+        assert.deepEqual(restored.getPerformanceStats(), original.getPerformanceStats());
+    });
+
+    it('rejects inconsistent risk manager snapshots', () => {
+        const snapshot = new RiskRewardManager().toJSON();
+
+        assert.throws(() => new RiskRewardManager().restoreState({ ...snapshot, inLongTrade: true, inShortTrade: true }), /both a long and a short/);
+        assert.throws(() => new RiskRewardManager().restoreState({ ...snapshot, currentCapital: null }), /missing capital/);
+    });
+});
+
+describe('FileStateStore', () => {
+    it('saves atomically and keeps the previous save as a backup', (t) => {
+        const store = new FileStateStore(path.join(tempDir(t), 'nested', 'state.json'));
+        assert.equal(store.load(), null);
+
+        store.save({ n: 1 });
+        store.save({ n: 2 });
+
+        assert.deepEqual(store.load(), { n: 2 });
+        assert.deepEqual(store.read(store.backupPath), { n: 1 });
+        assert.equal(fs.existsSync(`${store.filePath}.tmp`), false);
+
+        store.clear();
+        assert.equal(store.load(), null);
+    });
+
+    it('moves a corrupted file aside and falls back to the backup', (t) => {
+        quiet(t);
+        const dir = tempDir(t);
+        const store = new FileStateStore(path.join(dir, 'state.json'));
+        store.save({ n: 1 });
+        store.save({ n: 2 });
+
+        // A changed value fails the checksum, a torn write fails to parse
+        fs.writeFileSync(store.filePath, fs.readFileSync(store.filePath, 'utf8').replace('"n":2', '"n":3'));
+        assert.deepEqual(store.load(), { n: 1 });
+
+        fs.writeFileSync(store.filePath, '{"savedAt":');
+        fs.writeFileSync(store.backupPath, '');
+        assert.equal(store.load(), null);
+        assert.equal(fs.existsSync(store.filePath), false);
+        assert.equal(fs.existsSync(store.backupPath), false);
+        assert.ok(fs.readdirSync(dir).some(file => file.startsWith('state.json.bak.corrupt-')));
+    });
+});
+
+describe('Jalgo state persistence', () => {
+    const riskOptions = { stopMode: 'refStop', maxDailyLossPercent: 5 };
+
+    it('restores the open position after a restart', (t) => {
+        quiet(t);
+        const statePath = path.join(tempDir(t), 'state.json');
+        const { jalgo, candle } = createIdleJalgo(riskOptions, { statePath });
+        jalgo.riskManager.handleNewSignal(entrySignal('long', 100, 95));
+        jalgo.processNewCandle(candle(1, { h: 101, l: 99, c: 100 }));
+
+        const restarted = createIdleJalgo(riskOptions, { statePath }).jalgo;
+        assert.equal(restarted.riskManager.inLongTrade, true);
+        assert.equal(restarted.riskManager.longStopLevel, 95);
+        assert.equal(restarted.lastProcessedCandleTime, jalgo.lastProcessedCandleTime);
+        assert.deepEqual(restarted.toJSON(), jalgo.toJSON());
+
+        // The restored stop still works
+        restarted.processNewCandle(candle(2, { h: 100, l: 94, c: 96 }));
+        assert.equal(restarted.riskManager.tradeHistory[0].status, 'stop_hit');
+    });
+
+    it('saves on position changes, not on every quiet candle', (t) => {
+        quiet(t);
+        const saved = [];
+        const stateStore = { load: () => null, save: (snapshot) => saved.push(snapshot) };
+        const { jalgo, candle } = createIdleJalgo(riskOptions, { stateStore });
+        const initialSaves = saved.length;
+
+        jalgo.riskManager.handleNewSignal(entrySignal('long', 100, 95));
+        jalgo.processNewCandle(candle(1, { h: 101, l: 99, c: 100 }));
+        assert.equal(saved.length, initialSaves + 1);
+        assert.equal(saved[saved.length - 1].lastProcessedCandleTime, jalgo.lastProcessedCandleTime);
+
+        for (let i = 2; i <= 4; i++) {
+            jalgo.processNewCandle(candle(i, { h: 101, l: 99, c: 100 }));
+        }
+        assert.equal(saved.length, initialSaves + 1);
+
+        jalgo.processNewCandle(candle(5, { h: 100, l: 94, c: 96 }));
+        assert.equal(saved.length, initialSaves + 2);
+    });
+
+    it('replays the exit checks over the candles missed while stopped', (t) => {
+        quiet(t);
+
+        /**
+         * Save a long with its stop at 95 after the 121st candle, then restart on 125 candles of history
+         * @param {Object} lows - Lows of the history by candle index
+         * @returns {Object} - Risk manager of the restarted instance
+         */
+        const restart = (lows) => {
+            const statePath = path.join(tempDir(t), 'state.json');
+            const { jalgo, candle } = createIdleJalgo(riskOptions, { statePath });
+            jalgo.riskManager.handleNewSignal(entrySignal('long', 100, 95));
+            jalgo.processNewCandle(candle(1, { h: 101, l: 99, c: 100 }));
+
+            const history = candlesFromCloses(new Array(125).fill(100));
+            for (const [index, low] of Object.entries(lows)) {
+                history.low[index] = low;
+            }
+
+            const restarted = new Jalgo({
+                autoInitialize: false,
+                statePath,
+                strategy: { warmup: () => NO_SIGNAL, update: () => NO_SIGNAL },
+                riskOptions
+            });
+            restarted.loadCandles(history);
+            return restarted.riskManager;
+        };
+
+        // The candle processed before the save is not checked again
+        assert.equal(restart({ 120: 90 }).inLongTrade, true);
+
+        const manager = restart({ 122: 94, 123: 80 });
+        assert.equal(manager.inLongTrade, false);
+        assert.equal(manager.tradeHistory[0].status, 'stop_hit');
+        assert.equal(manager.tradeHistory[0].exitPrice, 95);
+        assert.equal(manager.tradeHistory[0].exitTime, Date.UTC(2024, 0, 1) + 122 * 300000);
+    });
+
+    it('does not act twice on the signal of a restored candle', (t) => {
+        quiet(t);
+        const statePath = path.join(tempDir(t), 'state.json');
+        const candles = candlesFromCloses(new Array(150).fill(100));
+        const create = () => {
+            const jalgo = new Jalgo({
+                autoInitialize: false,
+                statePath,
+                strategy: {
+                    warmup: (history) => entrySignal('long', history.close[history.close.length - 1], 95),
+                    update: () => ({ signal: false, refStop: null })
+                },
+                riskOptions: { sameDirectionPolicy: 'pyramid' }
+            });
+            jalgo.loadCandles(candles);
+            return jalgo;
+        };
+
+        const first = create();
+        const quantity = first.riskManager.openQuantity;
+        assert.ok(quantity > 0);
+
+        const second = create();
+        assert.equal(second.riskManager.openQuantity, quantity);
+        assert.equal(second.riskManager.pyramidAdds, 0);
+    });
+
+    it('starts fresh from a snapshot of another symbol', (t) => {
+        quiet(t);
+        const statePath = path.join(tempDir(t), 'state.json');
+        const { jalgo } = createIdleJalgo(riskOptions, { statePath, symbol: 'ETHUSDT' });
+        jalgo.riskManager.handleNewSignal(entrySignal('long', 100, 95));
+        jalgo.saveState();
+
+        const errors = [];
+        const other = new Jalgo({ autoInitialize: false, statePath, symbol: 'BTCUSDT', onError: error => errors.push(error) });
+
+        assert.equal(other.riskManager.inLongTrade, false);
+        assert.equal(other.riskManager.tradeHistory.length, 0);
+        assert.match(errors[0].message, /State snapshot is for .* ETHUSDT/);
+    });
+
+    it('starts fresh from a corrupted state file', (t) => {
+        quiet(t);
+        const statePath = path.join(tempDir(t), 'state.json');
+        fs.writeFileSync(statePath, 'not json');
+
+        const jalgo = new Jalgo({ autoInitialize: false, statePath });
+        assert.equal(jalgo.riskManager.currentCapital, 1000);
+        assert.equal(fs.existsSync(statePath), false);
+    });
+});
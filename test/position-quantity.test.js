@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import Backtester from '../src/backtest/backtester.js';
+import { createCandles, entrySignal, quiet } from './helpers.js';
+
+describe('Position quantity', () => {
+    it('holds the quantity that loses the risk budget at the stop', () => {
+        const manager = new RiskRewardManager();
+        const result = manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        assert.equal(result.quantity, 4);
+        assert.equal(result.margin, 400);
+        assert.equal(manager.tradeHistory[0].notional, 400);
+        assert.equal(manager.closePosition('long', 97, 'signal').pnl, -12);
+    });
+
+    it('caps the notional at capital times leverage', () => {
+        const spot = new RiskRewardManager();
+        assert.equal(spot.handleNewSignal(entrySignal('long', 100, 99.9)).quantity, 10);
+
+        const leveraged = new RiskRewardManager({ useLeverage: true, leverageAmount: 5 });
+        const result = leveraged.handleNewSignal(entrySignal('short', 100, 100.1));
+        assert.equal(result.quantity, 50);
+        assert.equal(result.margin, 1000);
+        assert.equal(leveraged.tradeHistory[0].sizing.cappedBy, 'leverage');
+    });
+
+    it('rounds the quantity down to the lot size', () => {
+        const manager = new RiskRewardManager({ lotSize: 0.3 });
+
+        assert.equal(manager.handleNewSignal(entrySignal('long', 100, 95)).quantity, 3.9);
+    });
+
+    it('skips signals below the minimum quantity or notional', (t) => {
+        quiet(t);
+        const minQty = new RiskRewardManager({ minQty: 5 });
+        const minNotional = new RiskRewardManager({ minNotional: 500 });
+
+        assert.equal(minQty.handleNewSignal(entrySignal('long', 100, 95)), 'position below minimum size');
+        assert.equal(minNotional.handleNewSignal(entrySignal('long', 100, 95)), 'position below minimum size');
+        assert.equal(minQty.inLongTrade, false);
+        assert.equal(minQty.tradeHistory.length, 0);
+    });
+
+    it('books backtest P&L as quantity times the price move', (t) => {
+        quiet(t);
+        const { trades } = new Backtester({
+            riskOptions: { useLeverage: true, leverageAmount: 5 },
+            lotSize: 0.01,
+            minQty: 0.01
+        }).run(createCandles(1200));
+
+        assert.ok(trades.length > 0);
+
+        for (const trade of trades) {
+            const move = trade.type === 'long' ? trade.exitPrice - trade.entry : trade.entry - trade.exitPrice;
+            assert.ok(Math.abs(trade.pnl - trade.quantity * move) < 1e-9);
+            assert.ok(Math.abs(trade.quantity / 0.01 - Math.round(trade.quantity / 0.01)) < 1e-9);
+            assert.ok(Math.abs(trade.margin - trade.notional / 5) < 1e-9);
+        }
+    });
+});
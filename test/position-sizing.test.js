@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizePositionSizing,
+    calculateKellyCriterion,
+    calculateModelQuantity
+} from '../src/core/position-sizing.js';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import { entrySignal, quiet } from './helpers.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+const context = { entryPrice: 100, stopPrice: 95, capital: 1000 };
+
+describe('Position sizing', () => {
+    it('defaults to fixed fractional sizing at riskPerTrade', () => {
+        assert.deepEqual(normalizePositionSizing(undefined, 3), {
+            model: 'fixedFractional',
+            maxLeverage: null,
+            maxExposurePercent: null,
+            riskPercent: 3
+        });
+        assert.equal(normalizePositionSizing('kelly').lookback, 50);
+    });
+
+    it('rejects invalid models and inputs', () => {
+        assert.throws(() => normalizePositionSizing('x'), /Invalid position sizing model "x"/);
+        assert.throws(() => normalizePositionSizing({ model: 'fixedNotional' }), /notional is required/);
+        assert.throws(() => normalizePositionSizing({ model: 'volatility', atrMultiple: 0 }), /Invalid positionSizing.atrMultiple/);
+        assert.throws(() => normalizePositionSizing({ maxLeverage: -2 }), /Invalid positionSizing.maxLeverage/);
+    });
+
+    it('requires whole numbers of trades for the Kelly lookback', () => {
+        assert.throws(() => normalizePositionSizing({ model: 'kelly', lookback: 20.5 }), /Invalid positionSizing.lookback: 20.5/);
+        assert.throws(() => normalizePositionSizing({ model: 'kelly', minTrades: 0.5 }), /positive whole number of trades/);
+        assert.throws(() => normalizePositionSizing({ model: 'kelly', lookback: 0 }), /Invalid positionSizing.lookback: 0/);
+        assert.throws(() => normalizePositionSizing({ model: 'kelly', minTrades: '5' }), /Invalid positionSizing.minTrades: 5/);
+        assert.equal(normalizePositionSizing({ model: 'kelly', lookback: 30, minTrades: 10 }).minTrades, 10);
+    });
+
+    it('computes the Kelly criterion from the trade results', () => {
+        const trades = [20, 20, 20, -10, -10].map(pnl => ({ pnl }));
+        const stats = calculateKellyCriterion(trades);
+
+        assert.equal(stats.winRate, 0.6);
+        assert.equal(stats.payoffRatio, 2);
+        near(stats.kelly, 0.4);
+        assert.equal(calculateKellyCriterion([]).kelly, null);
+        assert.equal(calculateKellyCriterion([{ pnl: 5 }]).kelly, 1);
+        assert.equal(calculateKellyCriterion([{ pnl: 0 }, { pnl: -5 }]).winRate, 0);
+    });
+
+    it('sizes each model from its own inputs', () => {
+        const fixed = calculateModelQuantity(normalizePositionSizing(), context);
+        assert.equal(fixed.quantity, 4);
+
+        const notional = calculateModelQuantity(normalizePositionSizing({ model: 'fixedNotional', notional: 250 }), context);
+        assert.equal(notional.quantity, 2.5);
+
+        const volatility = normalizePositionSizing({ model: 'volatility', atrMultiple: 2 });
+        assert.equal(calculateModelQuantity(volatility, { ...context, atr: 2.5 }).quantity, 4);
+        assert.equal(calculateModelQuantity(volatility, context).quantity, 4);
+        assert.equal(calculateModelQuantity(volatility, context).inputs.atr, null);
+    });
+
+    it('risks a fraction of Kelly once enough trades closed', () => {
+        const sizing = normalizePositionSizing({ model: 'kelly', minTrades: 5, lookback: 5, maxRiskPercent: 50 });
+        const edge = [20, 20, 20, -10, -10].map(pnl => ({ pnl }));
+
+        const warmingUp = calculateModelQuantity(sizing, { ...context, trades: edge.slice(1) });
+        assert.equal(warmingUp.inputs.warmingUp, true);
+        assert.equal(warmingUp.inputs.riskPercent, 2);
+
+        const sized = calculateModelQuantity(sizing, { ...context, trades: [{ pnl: -50 }, ...edge] });
+        assert.equal(sized.inputs.sampleTrades, 5);
+        near(sized.inputs.riskPercent, 20);
+        near(sized.quantity, 40);
+
+        const noEdge = calculateModelQuantity(sizing, { ...context, trades: [5, -10, -10, -10, -10].map(pnl => ({ pnl })) });
+        assert.equal(noEdge.quantity, 0);
+        assert.match(noEdge.reason, /no edge/);
+    });
+
+    it('caps positions at maxLeverage and maxExposurePercent', () => {
+        const leverage = new RiskRewardManager({
+            useLeverage: true,
+            leverageAmount: 10,
+            positionSizing: { model: 'fixedNotional', notional: 5000, maxLeverage: 3 }
+        });
+        assert.equal(leverage.handleNewSignal(entrySignal('long', 100, 95)).quantity, 30);
+        assert.equal(leverage.tradeHistory[0].sizing.cappedBy, 'leverage');
+
+        const exposure = new RiskRewardManager({ positionSizing: { model: 'fixedNotional', notional: 5000, maxExposurePercent: 50 } });
+        assert.equal(exposure.handleNewSignal(entrySignal('long', 100, 95)).quantity, 5);
+        assert.equal(exposure.tradeHistory[0].sizing.cappedBy, 'exposure');
+        assert.equal(exposure.tradeHistory[0].sizing.requestedQuantity, 50);
+    });
+
+    it('skips entries the Kelly model finds no edge for', (t) => {
+        quiet(t);
+        const manager = new RiskRewardManager({ positionSizing: { model: 'kelly', minTrades: 2, lookback: 2 } });
+
+        for (const exit of [99, 98]) {
+            manager.handleNewSignal(entrySignal('long', 100, 95));
+            manager.closePosition('long', exit, 'signal');
+        }
+
+        assert.equal(manager.handleNewSignal(entrySignal('long', 100, 95)), 'position below minimum size');
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPrecisionFromTickSize, isValidPrecision, floorToStep } from '../src/utility/precision.js';
+import { binance_symbol_info } from '../src/utility/binance-market.js';
+import { bybit_symbol_info } from '../src/utility/bybit-market.js';
+import Backtester from '../src/backtest/backtester.js';
+import { createCandles, quiet } from './helpers.js';
+
+const decimalsOf = (value) => (String(value).split('.')[1] || '').length;
+
+/**
+ * Answer every fetch() of a test with a JSON body
+ * @param {Object} t - node:test context
+ * @param {Object} body - Response body
+ * @returns {Object} - The mocked fetch, to inspect its calls
+ */
+const respondWith = (t, body) => t.mock.method(globalThis, 'fetch', async () => ({
+    ok: true,
+    json: async () => body
+}));
+
+describe('precision helpers', () => {
+    it('derive the decimals of a tick size', () => {
+        assert.deepEqual(['0.10', '0.00001', '0.0025', '10', 0.5, 1e-7].map(getPrecisionFromTickSize), [1, 5, 4, 0, 1, 7]);
+        assert.throws(() => getPrecisionFromTickSize('0'), /Invalid tick size/);
+        assert.throws(() => getPrecisionFromTickSize('-0.1'), /Invalid tick size/);
+        assert.throws(() => getPrecisionFromTickSize('abc'), /Invalid tick size/);
+    });
+
+    it('caps the decimals of ticks that are not exact', () => {
+        assert.equal(getPrecisionFromTickSize(1 / 3), 12);
+    });
+
+    it('check precision values', () => {
+        assert.equal(isValidPrecision(0), true);
+        assert.equal(isValidPrecision(2), true);
+        assert.equal(isValidPrecision(-1), false);
+        assert.equal(isValidPrecision(1.5), false);
+        assert.equal(isValidPrecision(13), false);
+        assert.equal(isValidPrecision('2'), false);
+    });
+
+    it('floor quantities to the lot size', () => {
+        assert.equal(floorToStep(1.23456, 0.001), 1.234);
+        assert.equal(floorToStep(0.3, 0.1), 0.3);
+        assert.equal(floorToStep(0.0999999, 0.1), 0);
+        assert.equal(floorToStep(1.23456, null), 1.23456);
+    });
+});
+
+describe('symbol precision', () => {
+    it('is read from the Binance PRICE_FILTER and LOT_SIZE filters', async (t) => {
+        respondWith(t, {
+            symbols: [{
+                symbol: 'SHIBUSDT',
+                filters: [
+                    { filterType: 'LOT_SIZE', stepSize: '1.00', minQty: '1.00' },
+                    { filterType: 'PRICE_FILTER', tickSize: '0.00000100' },
+                    { filterType: 'NOTIONAL', minNotional: '5.00' }
+                ]
+            }]
+        });
+
+        assert.deepEqual(await binance_symbol_info('spot', 'SHIBUSDT'), {
+            symbol: 'SHIBUSDT',
+            tickSize: 0.000001,
+            pricePrecision: 6,
+            lotSize: 1,
+            minQty: 1,
+            minNotional: 5
+        });
+    });
+
+    it('reads the futures MIN_NOTIONAL from its notional field and leaves missing rules null', async (t) => {
+        respondWith(t, {
+            symbols: [
+                { symbol: 'BTCUSDT', filters: [{ filterType: 'PRICE_FILTER', tickSize: '0.10' }, { filterType: 'MIN_NOTIONAL', notional: '100' }] },
+                { symbol: 'ETHUSDT', filters: [{ filterType: 'PRICE_FILTER', tickSize: '0.01' }] }
+            ]
+        });
+
+        const btc = await binance_symbol_info('futures', 'BTCUSDT');
+        const eth = await binance_symbol_info('futures', 'ETHUSDT');
+
+        assert.equal(btc.minNotional, 100);
+        assert.deepEqual([eth.lotSize, eth.minQty, eth.minNotional], [null, null, null]);
+    });
+
+    it('searches the full futures list and reports missing symbols and filters', async (t) => {
+        const fetch = respondWith(t, { symbols: [{ symbol: 'ETHUSDT', filters: [] }] });
+
+        await assert.rejects(binance_symbol_info('futures', 'BTCUSDT'), /Symbol BTCUSDT not found in Binance futures exchangeInfo/);
+        await assert.rejects(binance_symbol_info('futures', 'ETHUSDT'), /No PRICE_FILTER for ETHUSDT/);
+        await assert.rejects(binance_symbol_info('margin', 'ETHUSDT'), /Market must be either "spot" or "futures"/);
+        assert.equal(fetch.mock.calls[0].arguments[0], 'https://fapi.binance.com/fapi/v1/exchangeInfo');
+    });
+
+    it('is read from the Bybit priceFilter of the linear category', async (t) => {
+        const fetch = respondWith(t, {
+            retCode: 0,
+            result: {
+                list: [{
+                    symbol: 'BTCUSDT',
+                    priceFilter: { tickSize: '0.10' },
+                    lotSizeFilter: { qtyStep: '0.001', minOrderQty: '0.001', minNotionalValue: '5' }
+                }]
+            }
+        });
+
+        assert.deepEqual(await bybit_symbol_info('futures', 'BTCUSDT'), {
+            symbol: 'BTCUSDT',
+            tickSize: 0.1,
+            pricePrecision: 1,
+            lotSize: 0.001,
+            minQty: 0.001,
+            minNotional: 5
+        });
+        assert.match(fetch.mock.calls[0].arguments[0], /category=linear&symbol=BTCUSDT/);
+    });
+
+    it('reads Bybit spot lots from the base precision and minimum order amount', async (t) => {
+        respondWith(t, {
+            retCode: 0,
+            result: {
+                list: [{
+                    symbol: 'BTCUSDT',
+                    priceFilter: { tickSize: '0.01' },
+                    lotSizeFilter: { basePrecision: '0.000001', minOrderQty: '0.000048', minOrderAmt: '1' }
+                }]
+            }
+        });
+
+        const info = await bybit_symbol_info('spot', 'BTCUSDT');
+        assert.deepEqual([info.lotSize, info.minQty, info.minNotional], [0.000001, 0.000048, 1]);
+    });
+
+    it('surfaces Bybit error codes', async (t) => {
+        respondWith(t, { retCode: 10001, retMsg: 'params error' });
+        await assert.rejects(bybit_symbol_info('spot', 'NOPE'), /Bybit API error: 10001 - params error/);
+    });
+
+    it('rounds trade levels of low priced symbols to the tick size', (t) => {
+        quiet(t);
+        const data = createCandles(1000);
+        for (const key of ['open', 'high', 'low', 'close']) data[key] = data[key].map(value => value / 1000);
+
+        const result = new Backtester({ tickSize: '0.00001000' }).run(data);
+
+        assert.equal(result.stats.pricePrecision, 5);
+        assert.ok(result.trades.length > 0);
+        for (const trade of result.trades) {
+            assert.ok(decimalsOf(trade.target) <= 5, `target ${trade.target}`);
+            assert.ok(decimalsOf(trade.refStop) <= 5, `refStop ${trade.refStop}`);
+        }
+    });
+
+    it('prefers an explicit tick size over a decimal count', (t) => {
+        quiet(t);
+        const data = createCandles(300);
+
+        assert.equal(new Backtester({ tickSize: '0.01', pricePrecision: 4 }).run(data).stats.pricePrecision, 2);
+        assert.equal(new Backtester({ pricePrecision: 3 }).run(data).stats.pricePrecision, 3);
+    });
+});
@@ -0,0 +1,176 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskGuards from '../src/core/risk-guards.js';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import { entrySignal, quiet } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MONDAY = Date.UTC(2024, 0, 1);
+
+/**
+ * Open a long at 100 with a reference stop at 95 and close it on a signal
+ * @param {RiskRewardManager} manager - Risk manager
+ * @param {number} exitPrice - Exit price
+ * @returns {Object} - Close result
+ */
+const trade = (manager, exitPrice) => {
+    manager.handleNewSignal(entrySignal('long', 100, 95));
+    return manager.closePosition('long', exitPrice, 'signal');
+};
+
+describe('Risk guards', () => {
+    it('halts entries at the daily loss limit until the next UTC day', (t) => {
+        quiet(t);
+        const halts = [];
+        const manager = new RiskRewardManager({ maxDailyLossPercent: 2, onRiskHalt: halt => halts.push(halt) });
+        manager.updateRiskGuards(MONDAY, 100);
+        trade(manager, 95);
+
+        assert.equal(manager.riskGuards.isHalted(), true);
+        assert.equal(halts[0].reason, 'daily_loss');
+        assert.equal(halts[0].capital, 980);
+
+        assert.equal(manager.handleNewSignal(entrySignal('short', 100, 105)), 'blocked by risk guard');
+        assert.deepEqual(manager.getBlockedSignals().map(signal => [signal.position, signal.reason]), [['short', 'daily_loss']]);
+
+        assert.equal(manager.updateRiskGuards(MONDAY + 23 * HOUR, 100), true);
+        assert.equal(manager.updateRiskGuards(MONDAY + DAY, 100), false);
+    });
+
+    it('halts at the weekly loss limit until Monday', (t) => {
+        quiet(t);
+        const guards = new RiskGuards({ maxWeeklyLossPercent: 5 });
+        guards.update(MONDAY, 1000);
+        guards.update(MONDAY + 2 * DAY, 950);
+
+        assert.equal(guards.halt.reason, 'weekly_loss');
+
+        guards.update(MONDAY + 6 * DAY, 950);
+        assert.equal(guards.isHalted(), true);
+
+        guards.update(MONDAY + 7 * DAY, 950);
+        assert.equal(guards.isHalted(), false);
+    });
+
+    it('holds a drawdown halt until a manual reset', (t) => {
+        quiet(t);
+        const manager = new RiskRewardManager({ maxDrawdownPercent: 10 });
+        manager.updateRiskGuards(MONDAY, 100);
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        // Open losses count against the peak equity
+        assert.equal(manager.updateRiskGuards(MONDAY + HOUR, 70), true);
+        assert.equal(manager.riskGuards.halt.reason, 'max_drawdown');
+
+        // Exits keep working while halted
+        manager.closePosition('long', 70, 'signal');
+        assert.equal(manager.updateRiskGuards(MONDAY + 8 * DAY, 70), true);
+
+        const status = manager.resetRiskHalt();
+        assert.equal(status.halted, false);
+        assert.equal(manager.updateRiskGuards(MONDAY + 8 * DAY + HOUR, 70), false);
+    });
+
+    it('sits out cooldownBars candles after any losing trade', (t) => {
+        quiet(t);
+        const manager = new RiskRewardManager({ cooldownBars: 2 });
+        manager.updateRiskGuards(MONDAY, 100);
+
+        assert.equal(manager.riskGuards.isEnabled(), true);
+        assert.notEqual(manager.getPerformanceStats().riskGuards, 'OFF');
+
+        trade(manager, 99);
+        assert.equal(manager.riskGuards.halt.reason, 'cooldown');
+
+        assert.equal(manager.updateRiskGuards(MONDAY + 5 * 60000, 100), true);
+        assert.equal(manager.updateRiskGuards(MONDAY + 10 * 60000, 100), true);
+        assert.equal(manager.updateRiskGuards(MONDAY + 15 * 60000, 100), false);
+
+        // Winning trades do not trip it
+        trade(manager, 101);
+        assert.equal(manager.riskGuards.isHalted(), false);
+
+        // A trade closed at break-even made no money and counts as a loss
+        trade(manager, 100);
+        assert.equal(manager.riskGuards.halt.reason, 'cooldown');
+    });
+
+    it('restarts the cooldown on a loss during the cooldown', (t) => {
+        quiet(t);
+        const guards = new RiskGuards({ cooldownBars: 2 });
+        guards.update(MONDAY, 1000);
+        guards.onTradeClosed({ isWin: false }, 990);
+        guards.update(MONDAY + 60000, 990);
+
+        assert.equal(guards.cooldownRemaining, 1);
+        guards.onTradeClosed({ isWin: false }, 980);
+        assert.equal(guards.cooldownRemaining, 2);
+        assert.equal(guards.haltHistory.length, 1);
+    });
+
+    it('counts loss streaks across midnight', (t) => {
+        quiet(t);
+        const manager = new RiskRewardManager({ maxConsecutiveLosses: 2 });
+        manager.updateRiskGuards(MONDAY + 23 * HOUR, 100);
+        trade(manager, 99);
+
+        manager.updateRiskGuards(MONDAY + DAY, 100);
+        assert.equal(manager.riskGuards.lossStreak, 1);
+
+        trade(manager, 99);
+        assert.equal(manager.riskGuards.halt.reason, 'loss_streak');
+
+        // Without a cooldown the streak halt lasts until the next UTC day and starts the streak over
+        manager.updateRiskGuards(MONDAY + 2 * DAY, 100);
+        assert.equal(manager.riskGuards.isHalted(), false);
+        assert.equal(manager.riskGuards.lossStreak, 0);
+    });
+
+    it('lifts a loss streak halt after the cooldown', (t) => {
+        quiet(t);
+        const guards = new RiskGuards({ maxConsecutiveLosses: 2, cooldownBars: 1 });
+        guards.update(MONDAY, 1000);
+        guards.onTradeClosed({ isWin: false }, 990);
+        guards.onTradeClosed({ isWin: false }, 980);
+
+        assert.equal(guards.halt.reason, 'loss_streak');
+        guards.update(MONDAY + 60000, 980);
+        assert.equal(guards.isHalted(), true);
+        guards.update(MONDAY + 120000, 980);
+        assert.equal(guards.isHalted(), false);
+        assert.equal(guards.lossStreak, 0);
+    });
+
+    it('keeps the most severe halt', (t) => {
+        quiet(t);
+        const guards = new RiskGuards({ maxDrawdownPercent: 5, cooldownBars: 3 });
+        guards.update(MONDAY, 1000);
+        guards.update(MONDAY + 60000, 900);
+        guards.onTradeClosed({ isWin: false }, 900);
+
+        assert.equal(guards.halt.reason, 'max_drawdown');
+        assert.equal(guards.haltHistory.length, 1);
+    });
+
+    it('restores its state from a snapshot', (t) => {
+        quiet(t);
+        const guards = new RiskGuards({ maxConsecutiveLosses: 1 });
+        guards.update(MONDAY, 1000);
+        guards.onTradeClosed({ isWin: false }, 990);
+        guards.recordBlockedSignal({ position: 'long', location: 100 });
+
+        const restored = new RiskGuards({ maxConsecutiveLosses: 1 });
+        restored.restoreState(JSON.parse(JSON.stringify(guards)));
+
+        assert.deepEqual(restored.toJSON(), guards.toJSON());
+        assert.equal(restored.isHalted(), true);
+    });
+
+    it('is off without limits and rejects invalid ones', () => {
+        assert.equal(new RiskGuards().isEnabled(), false);
+        assert.equal(new RiskRewardManager().getPerformanceStats().riskGuards, 'OFF');
+        assert.throws(() => new RiskGuards({ maxDailyLossPercent: -1 }), /Invalid maxDailyLossPercent/);
+        assert.throws(() => new RiskGuards({ cooldownBars: 1.5 }), /Invalid cooldownBars/);
+    });
+});
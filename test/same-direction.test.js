@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import BinanceWebsocketFeed from '../src/exchanges/binance-feed.js';
+import MultiExchangeEngine from '../src/multi-exchange/engine.js';
+import { entrySignal, quiet } from './helpers.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('Same-direction signals', () => {
+    it('ignores them by default', () => {
+        const manager = new RiskRewardManager();
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        assert.equal(manager.handleNewSignal(entrySignal('long', 104, 99)), 'already in position');
+        assert.equal(manager.longEntryPrice, 100);
+        assert.equal(manager.getPerformanceStats().ignoredSignals, 1);
+    });
+
+    it('closes and reopens the position with the replace policy', () => {
+        const manager = new RiskRewardManager({ sameDirectionPolicy: 'replace' });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        const result = manager.handleNewSignal(entrySignal('long', 104, 99));
+        assert.equal(result.entry, 104);
+        assert.deepEqual(manager.tradeHistory.map(trade => [trade.status, trade.closeReason ?? null, trade.pnl ?? null]), [['closed', 'replaced', 16], ['open', null, null]]);
+    });
+
+    it('adds scaled lots at the position stop and averages the entry with the pyramid policy', () => {
+        const adds = [];
+        const manager = new RiskRewardManager({
+            sameDirectionPolicy: 'pyramid',
+            pyramidSizing: 0.5,
+            stopMode: 'refStop',
+            onPositionAdd: add => adds.push(add)
+        });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        // Half the risk budget over the distance to the position's stop at 95
+        const result = manager.handleNewSignal(entrySignal('long', 104, 99));
+        const addQuantity = 10 / 9;
+        near(result.addQuantity, addQuantity);
+        near(result.quantity, 4 + addQuantity);
+        near(result.entry, (400 + 104 * addQuantity) / (4 + addQuantity));
+        assert.equal(result.stopLevel, 95);
+        assert.equal(adds.length, 1);
+
+        const trade = manager.tradeHistory[0];
+        assert.equal(manager.tradeHistory.length, 1);
+        assert.deepEqual(trade.lots.map(lot => lot.entry), [100, 104]);
+        near(trade.notional, 400 + 104 * addQuantity);
+
+        // The whole position closes as one trade
+        const close = manager.closePosition('long', 110, 'signal');
+        near(close.pnl, 4 * 10 + addQuantity * 6);
+        assert.equal(manager.getPerformanceStats().longPyramidAdds, 1);
+    });
+
+    it('stops adding after maxPyramidAdds', () => {
+        const manager = new RiskRewardManager({ sameDirectionPolicy: 'pyramid', maxPyramidAdds: 1, pyramidSizing: [0.5, 0.25] });
+        manager.handleNewSignal(entrySignal('short', 100, 105));
+
+        assert.equal(manager.handleNewSignal(entrySignal('short', 96, 101)).add, 1);
+        assert.equal(manager.handleNewSignal(entrySignal('short', 94, 99)), 'max pyramid adds reached');
+        assert.equal(manager.ignoredSignals, 1);
+    });
+
+    it('moves pending ladder targets to the average entry', () => {
+        const manager = new RiskRewardManager({
+            sameDirectionPolicy: 'pyramid',
+            takeProfitLevels: [{ rMultiple: 1, size: 0.5 }, { rMultiple: 2, size: 0.5 }]
+        });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        const result = manager.handleNewSignal(entrySignal('long', 102, 97));
+        const entry = result.entry;
+        assert.equal(result.target, parseFloat((entry + (entry - 95)).toFixed(2)));
+        assert.deepEqual(manager.tradeHistory[0].takeProfitLevels.map(level => level.price),
+            [1, 2].map(r => parseFloat((entry + r * (entry - 95)).toFixed(2))));
+    });
+
+    it('still flips on opposing signals', () => {
+        const manager = new RiskRewardManager({ sameDirectionPolicy: 'pyramid' });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+        manager.handleNewSignal(entrySignal('long', 102, 97));
+        manager.handleNewSignal(entrySignal('short', 101, 106));
+
+        assert.equal(manager.inLongTrade, false);
+        assert.equal(manager.inShortTrade, true);
+        assert.equal(manager.pyramidAdds, 0);
+        assert.equal(manager.positionLots.length, 1);
+    });
+
+    it('counts the pyramid adds of each position separately', () => {
+        const manager = new RiskRewardManager({ sameDirectionPolicy: 'pyramid', maxPyramidAdds: 1 });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+        manager.handleNewSignal(entrySignal('long', 102, 97));
+        manager.closePosition('long', 103, 'signal');
+
+        // A fresh position starts counting its adds from zero
+        manager.handleNewSignal(entrySignal('long', 104, 99));
+        assert.equal(manager.handleNewSignal(entrySignal('long', 106, 101)).add, 1);
+    });
+
+    it('forwards adds through the exchange feeds and the multi-exchange engine', (t) => {
+        quiet(t);
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        t.mock.method(globalThis, 'fetch', () => new Promise(() => {}));
+        const riskOptions = { sameDirectionPolicy: 'pyramid' };
+
+        const adds = [];
+        const feed = new BinanceWebsocketFeed({ riskOptions, onPositionAdd: add => adds.push(add) });
+        feed.jalgo.riskManager.handleNewSignal(entrySignal('long', 100, 95));
+        feed.jalgo.riskManager.handleNewSignal(entrySignal('long', 102, 97));
+        assert.deepEqual(adds.map(add => [add.position, add.addPrice]), [['long', 102]]);
+
+        const engine = new MultiExchangeEngine({ exchanges: [{ provider: 'bybit', symbol: 'BTCUSDT', market: 'futures', riskOptions }] });
+        const handled = t.mock.method(engine, 'handlePositionAdd');
+        const { riskManager } = engine.exchanges[0].jalgo;
+        riskManager.handleNewSignal(entrySignal('short', 100, 105));
+        riskManager.handleNewSignal(entrySignal('short', 98, 103));
+
+        assert.equal(handled.mock.callCount(), 1);
+        assert.equal(handled.mock.calls[0].arguments[0], 'bybit-BTCUSDT-futures');
+        assert.equal(handled.mock.calls[0].arguments[1].addPrice, 98);
+    });
+
+    it('rejects invalid settings', () => {
+        assert.throws(() => new RiskRewardManager({ sameDirectionPolicy: 'x' }), /Invalid sameDirectionPolicy "x"/);
+        assert.throws(() => new RiskRewardManager({ maxPyramidAdds: -1 }), /Invalid maxPyramidAdds/);
+        assert.throws(() => new RiskRewardManager({ pyramidSizing: [] }), /Invalid pyramidSizing/);
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import Backtester from '../src/backtest/backtester.js';
+import { NO_SIGNAL } from '../src/strategies/strategy.js';
+import { createCandles, entrySignal, quiet } from './helpers.js';
+
+describe('Hard stop loss', () => {
+    const options = { stopMultiple: 0.5, stopAtrMultiple: 2 };
+
+    it('places the stop on the losing side of the entry for every mode', () => {
+        const expected = {
+            none: [null, null],
+            refStop: [95, 105],
+            multiple: [97.5, 102.5],
+            atr: [97, 103]
+        };
+
+        for (const [stopMode, [longStop, shortStop]] of Object.entries(expected)) {
+            const long = new RiskRewardManager({ ...options, stopMode });
+            const short = new RiskRewardManager({ ...options, stopMode });
+
+            assert.equal(long.handleNewSignal(entrySignal('long', 100, 95, { atr: 1.5 })).stopLevel, longStop, stopMode);
+            assert.equal(short.handleNewSignal(entrySignal('short', 100, 105, { atr: 1.5 })).stopLevel, shortStop, stopMode);
+        }
+    });
+
+    it('rounds the stop to the price precision', () => {
+        const manager = new RiskRewardManager({ stopMode: 'multiple', stopMultiple: 1 / 3, pricePrecision: 2 });
+
+        assert.equal(manager.handleNewSignal(entrySignal('long', 100, 99)).stopLevel, 99.67);
+    });
+
+    it('sizes on the stop but keeps the target on the reference stop', () => {
+        const manager = new RiskRewardManager({ ...options, stopMode: 'multiple' });
+        const result = manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        assert.equal(result.stopLevel, 97.5);
+        assert.equal(result.target, 107.5);
+        assert.equal(result.quantity, 8);
+        assert.equal(result.risk, 20);
+    });
+
+    it('opens without a stop in atr mode when the strategy reports no ATR', (t) => {
+        quiet(t);
+        const manager = new RiskRewardManager({ stopMode: 'atr' });
+
+        assert.equal(manager.handleNewSignal(entrySignal('long', 100, 95)).stopLevel, null);
+        assert.equal(console.warn.mock.callCount(), 1);
+    });
+
+    it('closes at the stop and counts the stop hit', () => {
+        const manager = new RiskRewardManager({ stopMode: 'refStop' });
+        manager.handleNewSignal(entrySignal('short', 100, 105));
+
+        const result = manager.handleStopLossHit('short', 105);
+        assert.equal(result.closeReason, 'stop_hit');
+        assert.equal(result.pnl, -20);
+        assert.equal(result.isWin, false);
+        assert.equal(manager.inShortTrade, false);
+        assert.equal(manager.shortStopLevel, null);
+        assert.equal(manager.tradeHistory[0].status, 'stop_hit');
+
+        const stats = manager.getPerformanceStats();
+        assert.equal(stats.shortStopHits, 1);
+        assert.equal(stats.stopHitRate, 100);
+        assert.equal(stats.totalStopLoss, -20);
+        assert.equal(stats.stopMode, 'refStop');
+    });
+
+    it('ignores stop hits without an open position', () => {
+        const manager = new RiskRewardManager({ stopMode: 'refStop' });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        assert.equal(manager.handleStopLossHit('short', 105), false);
+        assert.equal(manager.inLongTrade, true);
+    });
+
+    it('takes the stop when a candle spans both the stop and the target', (t) => {
+        quiet(t);
+        const data = createCandles(300);
+        const entry = 150;
+        const strategy = {
+            warmup: () => NO_SIGNAL,
+            update: (candle) => candle.time === data.time[entry] ? entrySignal('long', candle.close, candle.close - 5) : NO_SIGNAL
+        };
+
+        data.high[entry + 1] = data.close[entry] + 50;
+        data.low[entry + 1] = data.close[entry] - 50;
+
+        const [trade] = new Backtester({ strategy, pricePrecision: 2, riskOptions: { stopMode: 'refStop' } }).run(data).trades;
+
+        assert.equal(trade.status, 'stop_hit');
+        assert.equal(trade.exitIndex, entry + 1);
+        assert.equal(trade.exitPrice, trade.stopLevel);
+    });
+
+    it('fills backtest stops at the stop level of a candle that reached it', (t) => {
+        quiet(t);
+        const data = createCandles(1200);
+
+        // Wicks that reach through the stops
+        for (let i = 0; i < data.close.length; i += 7) {
+            data.low[i] -= 15;
+            data.high[Math.min(i + 3, data.close.length - 1)] += 15;
+        }
+
+        const { trades, stats } = new Backtester({ riskOptions: { stopMode: 'multiple', stopMultiple: 0.5 } }).run(data);
+        const stopped = trades.filter(trade => trade.status === 'stop_hit');
+
+        assert.ok(stopped.length > 0);
+        assert.equal(stats.longStopHits + stats.shortStopHits, stopped.length);
+
+        for (const trade of stopped) {
+            assert.equal(trade.exitPrice, trade.stopLevel);
+            if (trade.type === 'long') assert.ok(data.low[trade.exitIndex] <= trade.stopLevel);
+            else assert.ok(data.high[trade.exitIndex] >= trade.stopLevel);
+        }
+    });
+
+    it('rejects unknown stop modes', () => {
+        assert.throws(() => new RiskRewardManager({ stopMode: 'x' }), /Invalid stopMode "x"/);
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_SIGNAL, validateStrategy } from '../src/strategies/strategy.js';
+import TrendSniperStrategy from '../src/strategies/trend-sniper.js';
+import trend_sniper from '../src/indicators/jTrendSniper.js';
+import Backtester from '../src/backtest/backtester.js';
+import { createCandles, quiet } from './helpers.js';
+
+describe('validateStrategy', () => {
+    it('accepts objects with warmup() and update()', () => {
+        const strategy = { warmup: () => NO_SIGNAL, update: () => NO_SIGNAL };
+        assert.equal(validateStrategy(strategy), strategy);
+        assert.equal(validateStrategy(new TrendSniperStrategy()) instanceof TrendSniperStrategy, true);
+    });
+
+    it('names the missing method', () => {
+        assert.throws(() => validateStrategy(null), /Strategy must be an object/);
+        assert.throws(() => validateStrategy({ name: 'x', warmup() {} }), /Strategy "x" is missing required method update\(\)/);
+        assert.throws(() => validateStrategy({ update() {}, warmup: true }), /missing required method warmup\(\)/);
+    });
+});
+
+describe('pluggable strategies', () => {
+    const data = createCandles(400);
+
+    it('receive the warmup history and every closed candle', (t) => {
+        quiet(t);
+        const seen = { warmup: 0, updates: [] };
+        const strategy = {
+            name: 'recorder',
+            warmup(candles) {
+                seen.warmup = candles.close.length;
+                return NO_SIGNAL;
+            },
+            update(candle) {
+                seen.updates.push(candle.time);
+                return NO_SIGNAL;
+            }
+        };
+
+        const result = new Backtester({ strategy }).run(data);
+
+        assert.equal(seen.warmup, 100);
+        assert.deepEqual(seen.updates, data.time.slice(100));
+        assert.equal(result.stats.strategy, 'recorder');
+        assert.equal(result.trades.length, 0);
+    });
+
+    it('drive entries with their signals and reference stops', (t) => {
+        quiet(t);
+        const entryIndex = 150;
+        const strategy = {
+            warmup: () => NO_SIGNAL,
+            update(candle) {
+                if (candle.time !== data.time[entryIndex]) return NO_SIGNAL;
+                return { signal: { order: 'market', position: 'long', location: candle.close }, refStop: candle.close - 5 };
+            }
+        };
+
+        const result = new Backtester({ strategy, pricePrecision: 2 }).run(data);
+        const trade = result.trades[0];
+
+        assert.equal(result.trades.length, 1);
+        assert.equal(trade.type, 'long');
+        assert.equal(trade.entryIndex, entryIndex);
+        assert.equal(trade.entry, data.close[entryIndex]);
+        assert.ok(Math.abs(trade.refStop - (data.close[entryIndex] - 5)) < 0.01, `refStop ${trade.refStop}`);
+    });
+
+    it('treat a missing result as no signal', (t) => {
+        quiet(t);
+        const result = new Backtester({ strategy: { warmup() {}, update() {} } }).run(data);
+
+        assert.equal(result.signals.length, 0);
+        assert.equal(result.stats.strategy, 'custom');
+        assert.equal(result.stats.indicatorOptions, null);
+    });
+
+    it('get the symbol precision when they support it', (t) => {
+        quiet(t);
+        const strategy = new TrendSniperStrategy();
+        new Backtester({ strategy, tickSize: '0.001' }).run(data);
+
+        assert.equal(strategy.precision, 3);
+    });
+
+    it('refuse indicator options meant for the default strategy', (t) => {
+        quiet(t);
+        const strategy = new TrendSniperStrategy({ indicatorOptions: { length: 8 } });
+
+        assert.throws(() => new Backtester({ strategy, indicatorOptions: { length: 10 } }).run(data), /indicatorOptions only apply to the default J-Trend Sniper/);
+        assert.equal(new Backtester({ strategy, indicatorOptions: {} }).run(data).stats.indicatorOptions.length, 8);
+    });
+
+    it('default to the J-Trend Sniper, signalling where the batch indicator does', (t) => {
+        quiet(t);
+        const series = trend_sniper(data, 6, 16, 9, 5.1, { signalSeries: true }).signals;
+        const expected = series.map((signal, i) => signal && i >= 100 ? i : null).filter(i => i !== null);
+        const result = new Backtester().run(data);
+
+        assert.ok(expected.length > 0);
+        assert.deepEqual(result.signals.map(signal => signal.index), expected);
+        assert.equal(result.stats.strategy, new TrendSniperStrategy().name);
+    });
+});
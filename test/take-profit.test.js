@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import Backtester from '../src/backtest/backtester.js';
+import { createCandles, entrySignal, quiet } from './helpers.js';
+
+describe('Take profit ladder', () => {
+    const ladder = [{ rMultiple: 2, size: 0.3 }, { rMultiple: 1, size: 0.3 }];
+
+    it('targets the levels in rMultiple order', () => {
+        const manager = new RiskRewardManager({ takeProfitLevels: ladder });
+        const result = manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        assert.equal(result.target, 105);
+        assert.deepEqual(manager.tradeHistory[0].takeProfitLevels, [
+            { rMultiple: 1, size: 0.3, price: 105 },
+            { rMultiple: 2, size: 0.3, price: 110 }
+        ]);
+    });
+
+    it('books partial fills and leaves the remainder to the stop', () => {
+        const manager = new RiskRewardManager({ stopMode: 'refStop', takeProfitLevels: ladder });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        const first = manager.handleTakeProfitHit('long', 105);
+        assert.equal(first.closeReason, 'partial_tp');
+        assert.equal(first.pnl, 6);
+        assert.equal(first.remainingSize, 0.7);
+        assert.equal(first.nextTarget, 110);
+
+        const second = manager.handleTakeProfitHit('long', 110);
+        assert.equal(second.pnl, 12);
+        assert.equal(second.remainingSize, 0.4);
+        assert.equal(second.nextTarget, null);
+        assert.equal(manager.longTargetLevel, null);
+        assert.equal(manager.currentCapital, 1018);
+
+        const rest = manager.handleStopLossHit('long', 95);
+        assert.equal(rest.pnl, 10);
+        assert.equal(rest.isWin, true);
+
+        const trade = manager.tradeHistory[0];
+        assert.deepEqual(trade.fills.map(fill => [fill.level, fill.price, fill.quantity]), [[1, 105, 1.2], [2, 110, 1.2]]);
+        assert.equal(trade.status, 'stop_hit');
+        assert.equal(manager.currentCapital, 1010);
+        assert.equal(manager.getPerformanceStats().partialTargetHits, 2);
+    });
+
+    it('closes the position on the last level when the sizes add up to the whole position', () => {
+        const manager = new RiskRewardManager({ takeProfitLevels: [{ rMultiple: 1, size: 0.5 }, { rMultiple: 1.5, size: 0.5 }] });
+        manager.handleNewSignal(entrySignal('short', 100, 105));
+
+        assert.equal(manager.handleTakeProfitHit('short', 95).partial, true);
+
+        const last = manager.handleTakeProfitHit('short', 92.5);
+        assert.equal(last.partial, false);
+        assert.equal(last.closeReason, 'tp_hit');
+        assert.equal(last.pnl, 25);
+        assert.equal(manager.inShortTrade, false);
+        assert.equal(manager.tradeHistory[0].remainingSize, 0);
+    });
+
+    it('closes the whole position at the single target without a ladder', () => {
+        const manager = new RiskRewardManager();
+        const result = manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        assert.equal(result.target, 107.5);
+        assert.equal(manager.handleTakeProfitHit('short', 92.5), false);
+
+        const exit = manager.handleTakeProfitHit('long', 107.5);
+        assert.equal(exit.closeReason, 'tp_hit');
+        assert.equal(exit.pnl, 30);
+        assert.equal(manager.tradeHistory[0].fills, undefined);
+    });
+
+    it('keeps the backtest trade P&L in line with the capital', (t) => {
+        quiet(t);
+        let fills = 0;
+        const { trades, equityCurve } = new Backtester({
+            riskOptions: { takeProfitLevels: ladder, trailingStopSource: 'jATR' },
+            onTakeProfitHit: () => fills++
+        }).run(createCandles(1200));
+
+        const filled = trades.reduce((count, trade) => count + (trade.fills?.length ?? 0), 0);
+        assert.ok(filled > 0);
+        assert.equal(fills, filled);
+
+        const netPnl = trades.reduce((sum, trade) => sum + trade.pnl, 0);
+        assert.ok(Math.abs(equityCurve[equityCurve.length - 1].capital - (1000 + netPnl)) < 1e-6);
+    });
+
+    it('rejects invalid ladders', () => {
+        assert.throws(() => new RiskRewardManager({ takeProfitLevels: [{ rMultiple: 1, size: 0.7 }, { rMultiple: 2, size: 0.7 }] }),
+            /add up to 1.4/);
+        assert.throws(() => new RiskRewardManager({ takeProfitLevels: [{ rMultiple: 0, size: 0.5 }] }), /Invalid take profit rMultiple/);
+        assert.throws(() => new RiskRewardManager({ takeProfitLevels: [{ rMultiple: 1, size: 0 }] }), /Invalid take profit size: 0/);
+        assert.throws(() => new RiskRewardManager({ takeProfitLevels: [{ rMultiple: 1, size: 1.5 }] }), /Invalid take profit size: 1.5/);
+        assert.throws(() => new RiskRewardManager({ takeProfitLevels: { rMultiple: 1 } }), /must be an array/);
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import Backtester from '../src/backtest/backtester.js';
+import {
+    resolveFeeSchedule,
+    normalizeSlippage,
+    calculateSlippageCost,
+    countFundingIntervals
+} from '../src/core/trading-costs.js';
+import { createCandles, entrySignal, quiet } from './helpers.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('Trading costs', () => {
+    it('resolves fee schedules by exchange and market', () => {
+        assert.deepEqual(resolveFeeSchedule('binance'), { maker: 0.0002, taker: 0.0005 });
+        assert.deepEqual(resolveFeeSchedule('Bybit', 'spot'), { maker: 0.001, taker: 0.001 });
+        assert.deepEqual(resolveFeeSchedule('backtest'), { maker: 0, taker: 0 });
+        assert.deepEqual(resolveFeeSchedule(false), { maker: 0, taker: 0 });
+        assert.deepEqual(resolveFeeSchedule({ taker: 0.001 }), { maker: 0, taker: 0.001 });
+        assert.throws(() => resolveFeeSchedule({ maker: -1 }), /Invalid maker fee rate/);
+        assert.throws(() => resolveFeeSchedule({ taker: 1 }), /Invalid taker fee rate: 1/);
+    });
+
+    it('prices slippage with the fixed and spread models', () => {
+        near(calculateSlippageCost(normalizeSlippage({ model: 'fixed', bps: 10 }), 4, 100), 0.4);
+        near(calculateSlippageCost(normalizeSlippage({ model: 'spread', spread: 0.1 }), 4, 100), 0.2);
+        assert.equal(calculateSlippageCost(normalizeSlippage(null), 4, 100), 0);
+        assert.throws(() => normalizeSlippage({ model: 'x' }), /Invalid slippage model "x"/);
+        assert.throws(() => normalizeSlippage({ model: 'fixed' }), /Invalid slippage bps/);
+    });
+
+    it('counts funding settlements from 00:00 UTC', () => {
+        const hour = 60 * 60 * 1000;
+        const day = Date.UTC(2024, 0, 1);
+
+        assert.equal(countFundingIntervals(day - hour, day), 1);
+        assert.equal(countFundingIntervals(day, day + 7 * hour), 0);
+        assert.equal(countFundingIntervals(day + hour, day + 17 * hour), 2);
+        assert.equal(countFundingIntervals(day, day + 4 * hour, 4), 1);
+    });
+
+    it('charges taker fees and slippage on market entries and exits', () => {
+        const manager = new RiskRewardManager({ feeSchedule: 'binance', slippage: { model: 'fixed', bps: 10 } });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        near(manager.positionCosts.fees, 0.2);
+        near(manager.positionCosts.slippage, 0.4);
+
+        const result = manager.closePosition('long', 110, 'signal');
+        assert.equal(result.grossPnl, 40);
+        near(result.fees, 0.42);
+        near(result.slippage, 0.84);
+        near(result.pnl, 38.74);
+        near(manager.currentCapital, 1038.74);
+    });
+
+    it('fills stops as taker market orders that deepen the loss', () => {
+        const manager = new RiskRewardManager({ stopMode: 'refStop', feeSchedule: 'binance', slippage: { model: 'fixed', bps: 10 } });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        const result = manager.handleStopLossHit('long', 95);
+        assert.equal(result.grossPnl, -20);
+        near(result.fees, 0.2 + 4 * 95 * 0.0005);
+        near(result.slippage, 0.4 + 4 * 95 * 0.001);
+        near(result.pnl, -21.17);
+        assert.equal(result.isWin, false);
+    });
+
+    it('fills take profits as maker orders without slippage', () => {
+        const manager = new RiskRewardManager({ feeSchedule: 'binance', slippage: { model: 'fixed', bps: 10 } });
+        manager.handleNewSignal(entrySignal('short', 100, 105));
+
+        const result = manager.handleTakeProfitHit('short', 92.5);
+        near(result.fees, 0.2 + 4 * 92.5 * 0.0002);
+        near(result.slippage, 0.4);
+    });
+
+    it('accrues funding on futures positions at every settlement', () => {
+        const hour = 60 * 60 * 1000;
+        const start = Date.UTC(2024, 0, 1, 6);
+        const long = new RiskRewardManager({ fundingRate: 0.0001 });
+
+        long.accrueFunding(start, 100);
+        long.handleNewSignal(entrySignal('long', 100, 95));
+        near(long.accrueFunding(start + 3 * hour, 110), 4 * 110 * 0.0001);
+        assert.equal(long.accrueFunding(start + 4 * hour, 110), 0);
+
+        // Shorts receive a positive rate
+        const short = new RiskRewardManager({ fundingRate: 0.0001 });
+        short.accrueFunding(start, 100);
+        short.handleNewSignal(entrySignal('short', 100, 105));
+        near(short.accrueFunding(start + 3 * hour, 100), -0.04);
+        near(short.closePosition('short', 100, 'signal').pnl, 0.04);
+
+        // Longs receive a negative rate
+        const receiving = new RiskRewardManager({ fundingRate: -0.0001 });
+        receiving.accrueFunding(start, 100);
+        receiving.handleNewSignal(entrySignal('long', 100, 95));
+        near(receiving.accrueFunding(start + 3 * hour, 100), -0.04);
+
+        const spot = new RiskRewardManager({ market: 'spot', fundingRate: 0.0001 });
+        spot.accrueFunding(start, 100);
+        spot.handleNewSignal(entrySignal('long', 100, 95));
+        assert.equal(spot.accrueFunding(start + 3 * hour, 100), 0);
+    });
+
+    it('reconciles the backtest cost breakdown with the net P&L', (t) => {
+        quiet(t);
+        const data = createCandles(1200, { interval: 3600000 });
+        const { trades, stats } = new Backtester({
+            riskOptions: { feeSchedule: 'binance', slippage: { model: 'fixed', bps: 2 }, fundingRate: 0.0001 }
+        }).run(data);
+
+        for (const trade of trades) {
+            near(trade.pnl, trade.grossPnl - trade.fees - trade.slippage - trade.funding);
+        }
+
+        assert.ok(stats.totalFees > 0 && stats.totalSlippage > 0 && stats.totalFunding !== 0);
+        assert.deepEqual(stats.feeSchedule, { maker: 0.0002, taker: 0.0005 });
+    });
+});
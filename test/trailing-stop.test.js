@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskRewardManager from '../src/core/risk-manager.js';
+import Backtester from '../src/backtest/backtester.js';
+import { createCandles, entrySignal, quiet } from './helpers.js';
+
+describe('Trailing stop', () => {
+    const trail = (manager, line, close, time = null) =>
+        manager.updateTrailingStop({ indicators: { jATR: line } }, { close, time });
+
+    it('only ratchets a long stop up while the line is below the close', () => {
+        const manager = new RiskRewardManager({ stopMode: 'refStop', trailingStopSource: 'jATR' });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+
+        assert.equal(trail(manager, 96, 101), 96);
+        assert.equal(trail(manager, 95.5, 101), null);
+        assert.equal(trail(manager, 102, 101), null);
+        assert.equal(trail(manager, 98, 103, 1000), 98);
+
+        assert.equal(manager.longStopLevel, 98);
+        assert.deepEqual(manager.tradeHistory[0].trailHistory.map(point => point.stop), [96, 98]);
+        assert.equal(manager.tradeHistory[0].trailHistory[1].time, 1000);
+    });
+
+    it('only ratchets a short stop down while the line is above the close', () => {
+        const manager = new RiskRewardManager({ trailingStopSource: 'jATR' });
+        manager.handleNewSignal(entrySignal('short', 100, 105));
+
+        // Without a hard stop the first line above the close sets the stop
+        assert.equal(trail(manager, 104, 99), 104);
+        assert.equal(trail(manager, 104.5, 99), null);
+        assert.equal(trail(manager, 103, 97), 103);
+        assert.equal(manager.shortStopLevel, 103);
+    });
+
+    it('closes a trailed stop as a trailing stop exit', () => {
+        const manager = new RiskRewardManager({ stopMode: 'refStop', trailingStopSource: 'jATR' });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+        trail(manager, 101, 104);
+
+        const result = manager.handleStopLossHit('long', 101);
+        assert.equal(result.closeReason, 'trailing_stop');
+        assert.equal(result.isWin, true);
+        assert.equal(manager.tradeHistory[0].status, 'trailing_stop');
+        assert.equal(manager.getPerformanceStats().longTrailHits, 1);
+        assert.equal(manager.getPerformanceStats().trailingStop, 'jATR');
+    });
+
+    it('starts trailing from the line of the signal bar', () => {
+        const manager = new RiskRewardManager({ stopMode: 'refStop', trailingStopSource: 'fast_jATR' });
+        const result = manager.handleNewSignal(entrySignal('long', 100, 95, { indicators: { jATR: 99, fast_jATR: 97 } }));
+
+        assert.equal(result.stopLevel, 97);
+        assert.equal(manager.longStopTrailed, true);
+        assert.deepEqual(manager.tradeHistory[0].trailHistory, [{ stop: 97, close: 100, time: null }]);
+    });
+
+    it('closes the next trade as a plain stop once the trailed one is gone', () => {
+        const manager = new RiskRewardManager({ stopMode: 'refStop', trailingStopSource: 'jATR' });
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+        trail(manager, 101, 104);
+        manager.handleStopLossHit('long', 101);
+
+        manager.handleNewSignal(entrySignal('long', 100, 95));
+        assert.equal(manager.handleStopLossHit('long', 95).closeReason, 'stop_hit');
+        assert.equal(manager.tradeHistory[1].trailHistory, undefined);
+    });
+
+    it('does nothing when disabled, flat or without the line', () => {
+        const disabled = new RiskRewardManager();
+        disabled.handleNewSignal(entrySignal('long', 100, 95));
+        assert.equal(trail(disabled, 99, 101), null);
+
+        const flat = new RiskRewardManager({ trailingStopSource: 'jATR' });
+        assert.equal(trail(flat, 99, 101), null);
+
+        const missing = new RiskRewardManager({ trailingStopSource: 'fast_jATR' });
+        missing.handleNewSignal(entrySignal('long', 100, 95));
+        assert.equal(trail(missing, 99, 101), null);
+        assert.equal(missing.updateTrailingStop({ indicators: { fast_jATR: NaN } }, { close: 101 }), null);
+    });
+
+    it('exits backtest trades on the trail of the strategy line', (t) => {
+        quiet(t);
+        const { trades, stats } = new Backtester({ riskOptions: { trailingStopSource: 'jATR', rewardMultiple: 5 } })
+            .run(createCandles(1200));
+        const trailed = trades.filter(trade => trade.status === 'trailing_stop');
+
+        assert.ok(trailed.length > 0);
+        assert.equal(stats.longTrailHits + stats.shortTrailHits, trailed.length);
+
+        for (const trade of trailed) {
+            assert.equal(trade.exitPrice, trade.trailHistory[trade.trailHistory.length - 1].stop);
+        }
+    });
+});